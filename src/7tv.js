@@ -1,34 +1,90 @@
-const https = require('https');
+const { apiRequest } = require('./apihosts');
 
 /**
- * Validates the OAuth token and returns the Client ID.
+ * Validates an OAuth token. Resolves what Twitch knows about it
+ * ({ client_id, login, user_id, scopes, expires_in }), rejects with err.status set on failure.
  */
-function getClientId(token) {
+function validateToken(token) {
     return new Promise((resolve, reject) => {
         const cleanToken = token.startsWith('oauth:') ? token.substring(6) : token;
         const options = {
-            hostname: 'id.twitch.tv',
             path: '/oauth2/validate',
             method: 'GET',
             headers: { 'Authorization': `OAuth ${cleanToken}` }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('twitchAuth', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
                 if (res.statusCode === 200) {
-                    resolve(JSON.parse(data).client_id);
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (e) {
+                        reject(e);
+                    }
+                } else {
+                    const err = new Error(`Token validation failed: ${res.statusCode}`);
+                    err.status = res.statusCode;
+                    reject(err);
+                }
+            });
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * POSTs the parameters form-encoded to /oauth2/token and resolves the JSON answer.
+ * They carry the client secret and refresh token, so they stay out of the URL (and access logs).
+ */
+function requestToken(params) {
+    return new Promise((resolve, reject) => {
+        const body = new URLSearchParams(params).toString();
+        const options = {
+            path: '/oauth2/token',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        };
+
+        const req = apiRequest('twitchAuth', options, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode === 200) {
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (e) {
+                        reject(e);
+                    }
                 } else {
-                    reject(new Error(`Token validation failed: ${res.statusCode}`));
+                    const err = new Error(`Token request failed: ${res.statusCode} - ${data}`);
+                    err.status = res.statusCode;
+                    reject(err);
                 }
             });
         });
         req.on('error', reject);
+        req.write(body);
         req.end();
     });
 }
 
+/**
+ * Gets a new user access token with a refresh token. Resolves { access_token, refresh_token, expires_in, scope }.
+ */
+function refreshUserToken(refreshToken, clientId, clientSecret) {
+    return requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken, client_id: clientId, client_secret: clientSecret });
+}
+
+/**
+ * Gets an app access token (client credentials). Resolves { access_token, expires_in }.
+ */
+function getAppAccessToken(clientId, clientSecret) {
+    return requestToken({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret });
+}
+
 /**
  * Gets the Twitch User ID for a username using Helix API.
  */
@@ -36,7 +92,6 @@ function getTwitchUserId(username, clientId, token) {
     return new Promise((resolve, reject) => {
         const cleanToken = token.replace('oauth:', '');
         const options = {
-            hostname: 'api.twitch.tv',
             path: `/helix/users?login=${username}`,
             method: 'GET',
             headers: {
@@ -45,7 +100,7 @@ function getTwitchUserId(username, clientId, token) {
             }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('helix', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -78,7 +133,6 @@ function getTwitchUserById(userId, clientId, token) {
     return new Promise((resolve, reject) => {
         const cleanToken = token.replace('oauth:', '');
         const options = {
-            hostname: 'api.twitch.tv',
             path: `/helix/users?id=${userId}`,
             method: 'GET',
             headers: {
@@ -87,7 +141,7 @@ function getTwitchUserById(userId, clientId, token) {
             }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('helix', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -114,13 +168,12 @@ function getTwitchUserById(userId, clientId, token) {
 function get7TVEmotes(twitchUserId) {
     return new Promise((resolve, reject) => {
         const options = {
-            hostname: '7tv.io',
             path: `/v3/users/twitch/${twitchUserId}`,
             method: 'GET',
             headers: { 'Content-Type': 'application/json' }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('sevenTv', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -271,7 +324,6 @@ function helixTimeout(broadcasterId, moderatorId, userId, duration, reason, clie
         });
 
         const options = {
-            hostname: 'api.twitch.tv',
             path: `/helix/moderation/bans?broadcaster_id=${broadcasterId}&moderator_id=${moderatorId}`,
             method: 'POST',
             headers: {
@@ -281,7 +333,7 @@ function helixTimeout(broadcasterId, moderatorId, userId, duration, reason, clie
             }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('helix', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -299,6 +351,42 @@ function helixTimeout(broadcasterId, moderatorId, userId, duration, reason, clie
     });
 }
 
+/**
+ * Sends a whisper from the bot account. Needs the user:manage:whispers scope and a verified phone number.
+ */
+function helixWhisper(fromUserId, toUserId, message, clientId, token) {
+    return new Promise((resolve, reject) => {
+        const cleanToken = token.startsWith('oauth:') ? token.substring(6) : token;
+        const body = JSON.stringify({ message });
+
+        const options = {
+            path: `/helix/whispers?from_user_id=${fromUserId}&to_user_id=${toUserId}`,
+            method: 'POST',
+            headers: {
+                'Client-ID': clientId,
+                'Authorization': `Bearer ${cleanToken}`,
+                'Content-Type': 'application/json'
+            }
+        };
+
+        const req = apiRequest('helix', options, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode === 204) {
+                    resolve(true);
+                } else {
+                    reject(new Error(`Helix Whisper Error: ${res.statusCode} - ${data}`));
+                }
+            });
+        });
+
+        req.on('error', reject);
+        req.write(body);
+        req.end();
+    });
+}
+
 /**
  * Fetches stream details (title, game_name, etc.) for a list of broadcaster IDs.
  */
@@ -312,7 +400,6 @@ function getTwitchChannelsInfo(broadcasterIds, clientId, token) {
         return new Promise((resolve, reject) => {
             const queryParams = ids.map(id => `broadcaster_id=${id}`).join('&');
             const options = {
-                hostname: 'api.twitch.tv',
                 path: `/helix/channels?${queryParams}`,
                 method: 'GET',
                 headers: {
@@ -321,7 +408,7 @@ function getTwitchChannelsInfo(broadcasterIds, clientId, token) {
                 }
             };
 
-            const req = https.request(options, (res) => {
+            const req = apiRequest('helix', options, (res) => {
                 let data = '';
                 res.on('data', (chunk) => data += chunk);
                 res.on('end', () => {
@@ -352,25 +439,21 @@ function getTwitchChannelsInfo(broadcasterIds, clientId, token) {
 }
 
 /**
- * Creates a Twitch EventSub WebSocket subscription.
+ * Creates a Twitch EventSub subscription (channel.update unless type is given).
+ * target is a broadcaster ID or a full condition object, transport a WebSocket session ID
+ * or a Helix transport object like { method: "webhook", callback, secret }.
  */
-function subscribeToEventSub(targetId, sessionId, clientId, token) {
+function subscribeToEventSub(target, transport, clientId, token, type = "channel.update", version = "2") {
     return new Promise((resolve, reject) => {
         const cleanToken = token.startsWith('oauth:') ? token.substring(6) : token;
         const body = JSON.stringify({
-            type: "channel.update",
-            version: "2",
-            condition: {
-                broadcaster_user_id: targetId
-            },
-            transport: {
-                method: "websocket",
-                session_id: sessionId
-            }
+            type,
+            version,
+            condition: typeof target === 'object' ? target : { broadcaster_user_id: target },
+            transport: typeof transport === 'string' ? { method: "websocket", session_id: transport } : transport
         });
 
         const options = {
-            hostname: 'api.twitch.tv',
             path: '/helix/eventsub/subscriptions',
             method: 'POST',
             headers: {
@@ -380,7 +463,7 @@ function subscribeToEventSub(targetId, sessionId, clientId, token) {
             }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('helix', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -403,19 +486,102 @@ function subscribeToEventSub(targetId, sessionId, clientId, token) {
     });
 }
 
+/**
+ * Lists all EventSub subscriptions of the client, following the pagination cursor.
+ * Resolves { data, total, totalCost, maxTotalCost }.
+ */
+function listEventSubSubscriptions(clientId, token) {
+    const cleanToken = token.startsWith('oauth:') ? token.substring(6) : token;
+
+    const fetchPage = (after) => {
+        return new Promise((resolve, reject) => {
+            const options = {
+                path: `/helix/eventsub/subscriptions${after ? `?after=${encodeURIComponent(after)}` : ''}`,
+                method: 'GET',
+                headers: {
+                    'Client-ID': clientId,
+                    'Authorization': `Bearer ${cleanToken}`
+                }
+            };
+
+            const req = apiRequest('helix', options, (res) => {
+                let data = '';
+                res.on('data', (chunk) => data += chunk);
+                res.on('end', () => {
+                    if (res.statusCode === 200) {
+                        try {
+                            resolve(JSON.parse(data));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    } else {
+                        reject(new Error(`EventSub list failed: ${res.statusCode} - ${data}`));
+                    }
+                });
+            });
+            req.on('error', reject);
+            req.end();
+        });
+    };
+
+    return (async () => {
+        const result = { data: [], total: 0, totalCost: 0, maxTotalCost: 0 };
+        let after = null;
+        do {
+            const page = await fetchPage(after);
+            result.data.push(...(page.data || []));
+            result.total = page.total || result.data.length;
+            result.totalCost = page.total_cost || 0;
+            result.maxTotalCost = page.max_total_cost || 0;
+            after = page.pagination && page.pagination.cursor;
+        } while (after);
+        return result;
+    })();
+}
+
+/**
+ * Deletes an EventSub subscription by ID. A subscription that is already gone counts as deleted.
+ */
+function deleteEventSubSubscription(subscriptionId, clientId, token) {
+    return new Promise((resolve, reject) => {
+        const cleanToken = token.startsWith('oauth:') ? token.substring(6) : token;
+        const options = {
+            path: `/helix/eventsub/subscriptions?id=${encodeURIComponent(subscriptionId)}`,
+            method: 'DELETE',
+            headers: {
+                'Client-ID': clientId,
+                'Authorization': `Bearer ${cleanToken}`
+            }
+        };
+
+        const req = apiRequest('helix', options, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode === 204 || res.statusCode === 404) {
+                    resolve(res.statusCode === 204);
+                } else {
+                    reject(new Error(`EventSub delete failed: ${res.statusCode} - ${data}`));
+                }
+            });
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
 /**
  * Fetches BetterTTV emotes for a given Twitch User ID.
  */
 function getBTTVEmotes(twitchUserId) {
     return new Promise((resolve) => {
         const options = {
-            hostname: 'api.betterttv.net',
             path: `/3/cached/users/twitch/${twitchUserId}`,
             method: 'GET',
             headers: { 'Content-Type': 'application/json' }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('bttv', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -450,13 +616,12 @@ function getBTTVEmotes(twitchUserId) {
 function getFFZEmotes(twitchUserId) {
     return new Promise((resolve) => {
         const options = {
-            hostname: 'api.frankerfacez.com',
             path: `/v1/room/id/${twitchUserId}`,
             method: 'GET',
             headers: { 'Content-Type': 'application/json' }
         };
 
-        const req = https.request(options, (res) => {
+        const req = apiRequest('ffz', options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -487,15 +652,20 @@ function getFFZEmotes(twitchUserId) {
 }
 
 module.exports = {
-    getClientId,
+    validateToken,
+    refreshUserToken,
+    getAppAccessToken,
     getTwitchUserId,
     getTwitchUserById,
     getTwitchChannelsInfo,
     subscribeToEventSub,
+    listEventSubSubscriptions,
+    deleteEventSubSubscription,
     get7TVEmotes,
     getBTTVEmotes,
     getFFZEmotes,
     parseHint,
-    helixTimeout
+    helixTimeout,
+    helixWhisper
 };
 
@@ -0,0 +1,57 @@
+const http = require('http');
+const https = require('https');
+
+// Base URL of every external API. Tests point them at a local stub server with setApiHosts.
+const DEFAULT_API_HOSTS = {
+    twitchAuth: 'https://id.twitch.tv',
+    helix: 'https://api.twitch.tv',
+    sevenTv: 'https://7tv.io',
+    bttv: 'https://api.betterttv.net',
+    ffz: 'https://api.frankerfacez.com',
+    lastfm: 'https://ws.audioscrobbler.com',
+    tikwm: 'https://www.tikwm.com',
+    chatters: 'https://api.wydios.de'
+};
+
+const apiHosts = { ...DEFAULT_API_HOSTS };
+
+/**
+ * Overrides base URLs, e.g. { helix: 'http://127.0.0.1:8080' }. A falsy value restores the default.
+ */
+function setApiHosts(overrides = {}) {
+    for (const [name, base] of Object.entries(overrides)) {
+        if (!DEFAULT_API_HOSTS[name]) throw new Error(`Unbekannter API-Host: ${name}`);
+        apiHosts[name] = base ? base.replace(/\/$/, '') : DEFAULT_API_HOSTS[name];
+    }
+}
+
+function apiUrl(name, path) {
+    return apiHosts[name] + path;
+}
+
+function transportFor(url) {
+    return new URL(url).protocol === 'http:' ? http : https;
+}
+
+/**
+ * Same as https.request(options, callback), with options.path resolved against the named host.
+ */
+function apiRequest(name, options, callback) {
+    const url = apiUrl(name, options.path);
+    return transportFor(url).request(url, { method: options.method, headers: options.headers }, callback);
+}
+
+/**
+ * Same as https.get(url, callback) for a url built with apiUrl.
+ */
+function apiGet(url, callback) {
+    return transportFor(url).get(url, callback);
+}
+
+module.exports = {
+    DEFAULT_API_HOSTS,
+    setApiHosts,
+    apiUrl,
+    apiRequest,
+    apiGet
+};
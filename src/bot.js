@@ -0,0 +1,4214 @@
+const tmi = require('tmi.js');
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const http = require('http'); // For Render Health Checks
+const express = require('express');
+const { Server } = require('socket.io');
+const { getNowPlayingWithPlaycount } = require('./lastfm');
+const { getTwitchUserId, getTwitchUserById, getTwitchChannelsInfo, get7TVEmotes, getBTTVEmotes, getFFZEmotes, parseHint, helixTimeout, helixWhisper, subscribeToEventSub, listEventSubSubscriptions, deleteEventSubSubscription } = require('./7tv');
+const emoteGame = require('./emotegame');
+const { normalizeSettings, setSetting, setCommandEnabled, setUserTrusted, formatSettings } = require('./settings');
+const { getUserLevel, hasLevel, formatDenial, parseOwners } = require('./permissions');
+const { replyText } = require('./replies');
+const { createCommandRegistry, formatHelp } = require('./commands/registry');
+const { mergeWindows, createCooldownManager } = require('./cooldowns');
+const { createChatQueue } = require('./chatqueue');
+const { registerFunCommands } = require('./commands/fun');
+const { openStorage } = require('./storage');
+const ledger = require('./ledger');
+const { apiUrl, setApiHosts } = require('./apihosts');
+const { parseRecurrence, nextRun, followingRun, formatRecurrence } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, normalizeTimeZone, offsetFor, parseTimeInput, formatDueAt } = require('./timeparse');
+const { createReminderScheduler } = require('./scheduler');
+const { createEventSubManager, notificationKeys, formatEventSubStatus } = require('./eventsub');
+const { CHANNEL_EVENTS, channelEventOf, eventCondition, eventConfig, describeEvent } = require('./channelevents');
+const { FIELDS, diffStatus, statusFromChanges, formatChanges } = require('./streamhistory');
+const { createEventSubWebhook } = require('./eventsubwebhook');
+const { createTokenManager, saveTokensToEnvFile } = require('./tokens');
+const {
+    NOTIFY_TYPES,
+    TEMPLATE_PLACEHOLDERS,
+    parseNotifyType,
+    subscriptionOf,
+    checkTemplate,
+    templateOf,
+    renderTemplate,
+    appendMentions
+} = require('./notifytypes');
+const { MAX_PENDING_PER_USER, BLOCK_ALL, parseBlockedWords, checkReminderMessage, blocksReminders } = require('./reminderrules');
+
+/**
+ * Reads a recurring schedule ("jeden tag 9uhr", "alle 2h", "cron ...") or a single time in timeZone.
+ * Returns { dueAt, message, recurrence } or null. Throws if a schedule is incomplete.
+ */
+function parseReminderTime(args, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const recurring = parseRecurrence(args);
+    if (recurring) {
+        return { dueAt: nextRun(recurring.recurrence, now.getTime(), offsetFor(timeZone)), message: recurring.message, recurrence: recurring.recurrence };
+    }
+    const parsed = parseTimeInput(args, { now, timeZone });
+    return parsed && { ...parsed, recurrence: null };
+}
+
+// How a reminder is delivered, chosen with a keyword before the time (-remind bob whisper 10m ...).
+// chat: in the channel it was created in. whisper: as Twitch whisper.
+// anywhere: in whichever channel the target writes next (for reminders without time).
+const DELIVERY_KEYWORDS = {
+    whisper: 'whisper', flüstern: 'whisper', dm: 'whisper',
+    anywhere: 'anywhere', überall: 'anywhere'
+};
+
+function parseDelivery(args) {
+    const delivery = DELIVERY_KEYWORDS[(args[0] || '').toLowerCase()];
+    return delivery ? { delivery, args: args.slice(1) } : { delivery: 'chat', args };
+}
+
+/**
+ * Throws if delivery can't be used with the parsed time: anywhere waits for the next message, so it takes no time.
+ */
+function checkDelivery(delivery, parsed) {
+    if (delivery === 'anywhere' && parsed) throw new Error('anywhere geht nur ohne Zeit, der Reminder kommt beim nächsten schreiben');
+}
+
+function formatDelivery(delivery) {
+    if (delivery === 'whisper') return ' per Whisper';
+    if (delivery === 'anywhere') return ' in jedem Chat';
+    return '';
+}
+
+function formatPoints(points) {
+    try {
+        if (typeof points !== 'number') {
+            return String(points);
+        }
+        return new Intl.NumberFormat("de-DE").format(points);
+    } catch (e) {
+        return String(points);
+    }
+}
+
+function getDeck() {
+    const suits = ['♠', '♥', '♦', '♣'];
+    const values = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+    let deck = [];
+    for (let s of suits) {
+        for (let v of values) {
+            deck.push({ value: v, suit: s });
+        }
+    }
+    return deck.sort(() => Math.random() - 0.5);
+}
+
+function getHandValue(hand) {
+    let value = 0;
+    let aces = 0;
+    for (let card of hand) {
+        if (['J', 'Q', 'K'].includes(card.value)) {
+            value += 10;
+        } else if (card.value === 'A') {
+            aces += 1;
+            value += 11;
+        } else {
+            value += parseInt(card.value);
+        }
+    }
+    while (value > 21 && aces > 0) {
+        value -= 10;
+        aces -= 1;
+    }
+    return value;
+}
+
+function formatHand(hand) {
+    return hand.map(c => `${c.value}${c.suit}`).join(' ');
+}
+
+/**
+ * Creates the bot. Nothing connects or listens until start() is called.
+ * options: { client, storage, env, envFile, port, dataDir, apiHosts, WebSocket }
+ * envFile is the .env file the env was loaded from, rotated refresh tokens are written back to it.
+ */
+function createBot(options = {}) {
+    const env = options.env || process.env;
+    if (options.apiHosts) setApiHosts(options.apiHosts);
+
+    // User token for chat and Helix, refreshed with TWITCH_REFRESH_TOKEN when it expires (needs TWITCH_CLIENT_SECRET)
+    let currentRefreshToken = env.TWITCH_REFRESH_TOKEN;
+    const tokens = createTokenManager({
+        accessToken: env.TWITCH_OAUTH_TOKEN,
+        refreshToken: env.TWITCH_REFRESH_TOKEN,
+        clientId: env.TWITCH_CLIENT_ID,
+        clientSecret: env.TWITCH_CLIENT_SECRET,
+        onRefresh: (refreshed) => {
+            // Twitch may hand out a new refresh token, the old one is invalid from then on
+            if (refreshed.refreshToken === currentRefreshToken) return;
+            const previous = currentRefreshToken;
+            currentRefreshToken = refreshed.refreshToken;
+            try {
+                if (options.envFile && saveTokensToEnvFile(options.envFile, previous, refreshed)) {
+                    console.log("[Auth] Neuer Refresh-Token in .env gespeichert.");
+                    return;
+                }
+            } catch (e) {
+                console.error("[Auth] Fehler beim Speichern des Refresh-Tokens in .env:", e);
+            }
+            // Set in the environment of the host, only the operator can replace it there
+            console.error(`[Auth] Twitch hat einen neuen Refresh-Token ausgegeben, der alte ist ab jetzt ungültig. Setze TWITCH_REFRESH_TOKEN=${refreshed.refreshToken} in den Umgebungsvariablen, sonst kann sich der Bot nach einem Neustart nicht mehr anmelden.`);
+        }
+    });
+
+    // Configuration (tests pass a fake client)
+    const client = options.client || new tmi.Client({
+        options: { debug: true, messagesLogLevel: 'info' },
+        connection: {
+            reconnect: true,
+            secure: true
+        },
+        identity: {
+            username: env.TWITCH_USERNAME,
+            password: () => tokens.chatPassword()
+        },
+        channels: [] // Channels are now managed dynamically via channels.json
+    });
+
+    // Every chat message goes through this queue so Twitch rate limits and the duplicate rule are respected.
+    const chatQueue = createChatQueue({
+        send: (channel, message) => client.say(channel, message),
+        isModerator: (channel) => {
+            const state = client.userstate && client.userstate[channel];
+            if (!state) return false;
+            const badges = state.badges || {};
+            return Boolean(state.mod || badges.moderator || badges.broadcaster);
+        },
+        isReady: () => client.readyState() === 'OPEN'
+    });
+
+    // Bot owners pass every permission check in every channel (comma separated usernames)
+    const botOwners = parseOwners(env.BOT_OWNERS);
+
+    // --- Render Web Service Support ---
+    // Render needs a port to be open to check if the app is alive.
+    const app = express();
+    const server = http.createServer(app);
+    const io = new Server(server, { cors: { origin: '*' } });
+
+    app.use(express.static(path.join(__dirname, '..', 'public')));
+
+    // Overlays pass ?channel=name to only receive events of that channel.
+    // Without it they receive the events of every joined channel (legacy behavior).
+    io.on('connection', (socket) => {
+        const overlayChannel = socket.handshake.query.channel;
+        socket.join(overlayChannel ? `#${String(overlayChannel).replace('#', '').toLowerCase()}` : 'all');
+    });
+
+    app.get('/', (req, res) => {
+        res.send('Twitch Bot is alive!');
+    });
+
+    app.get('/overlay', (req, res) => {
+        res.sendFile(path.join(__dirname, '..', 'public', 'overlay.html'));
+    });
+
+    // Ledger export for mods. -audit export whispers a link with a short-lived token that works once.
+    // It only contains the bookings of the channel it was requested in, the newest LEDGER_EXPORT_LIMIT of them.
+    const ledgerExports = new Map(); // format: { token: { channel, user, expiresAt } }
+    const LEDGER_EXPORT_TTL = 10 * 60 * 1000;
+    const LEDGER_EXPORT_LIMIT = 10000;
+
+    app.get('/ledger.csv', async (req, res) => {
+        const exportInfo = ledgerExports.get(String(req.query.token || ''));
+        if (!exportInfo || exportInfo.expiresAt < Date.now() || !storage) {
+            res.status(403).send('Link ungültig oder abgelaufen');
+            return;
+        }
+        ledgerExports.delete(String(req.query.token));
+        try {
+            const entries = await storage.ledger.find({ channel: exportInfo.channel, user: exportInfo.user || undefined }, LEDGER_EXPORT_LIMIT);
+            res.type('text/csv').attachment(`ledger${exportInfo.user ? '-' + exportInfo.user : ''}.csv`).send(ledger.toCsv(entries));
+        } catch (e) {
+            console.error("Fehler beim Ledger-Export:", e);
+            res.status(500).send('Export fehlgeschlagen');
+        }
+    });
+
+    // Global State
+    let channelEmotes = {};
+    let allChannelEmotes = {};
+    let activeTimers = [];
+    let channelSettings = {}; // format: { channelname: settings } (see settings.js)
+    let prefixChangeUsers = {}; // format: { "#channel": username }
+    let userStars = {};
+    let activeChatUsers = new Set();
+    let channelIds = {};
+    let copyTargetUsers = {}; // format: { "#channel": username }
+    let botUserId = null;
+    let tiktokStates = {}; // format: { "#channel": { queue, playing, voteskipUsers, timeoutId } }
+
+    function getTiktokState(channel) {
+        if (!tiktokStates[channel]) {
+            tiktokStates[channel] = { queue: [], playing: false, voteskipUsers: new Set(), timeoutId: null };
+        }
+        return tiktokStates[channel];
+    }
+
+    function playNextTiktok(channel) {
+        const state = getTiktokState(channel);
+        if (state.queue.length === 0) {
+            state.playing = false;
+            return;
+        }
+
+        state.playing = true;
+        state.voteskipUsers.clear();
+
+        const nextVideo = state.queue.shift();
+
+        io.to(['all', channel]).emit('play-tiktok', { url: nextVideo.url, user: nextVideo.user, time: nextVideo.duration });
+        chatQueue.say(channel, `/me @${nextVideo.user} Reacting tiktok von @${nextVideo.user} wird abgespielt`);
+
+        if (state.timeoutId) clearTimeout(state.timeoutId);
+        state.timeoutId = setTimeout(() => {
+            state.playing = false;
+            state.voteskipUsers.clear();
+            state.timeoutId = null;
+            playNextTiktok(channel); // play the next one
+        }, (nextVideo.duration + 2) * 1000);
+    }
+
+    function skipTiktok(channel) {
+        const state = getTiktokState(channel);
+        io.to(['all', channel]).emit('stop-tiktok');
+        state.playing = false;
+        state.voteskipUsers.clear();
+        if (state.timeoutId) {
+            clearTimeout(state.timeoutId);
+            state.timeoutId = null;
+        }
+        setTimeout(() => playNextTiktok(channel), 1000);
+    }
+
+    let eventSubWs = null;
+    let eventSubReconnectDelay = 1000;
+    // EVENTSUB_TRANSPORT=webhook lets Twitch POST events to /eventsub instead of keeping a WebSocket open.
+    // Needs EVENTSUB_SECRET (10-100 characters) and a public URL (EVENTSUB_CALLBACK_URL or RENDER_EXTERNAL_URL).
+    const eventSubTransport = (env.EVENTSUB_TRANSPORT || 'websocket').toLowerCase();
+    const eventSubCallback = env.EVENTSUB_CALLBACK_URL || (env.RENDER_EXTERNAL_URL ? `${env.RENDER_EXTERNAL_URL}/eventsub` : '');
+    // null turns EventSub off (tests)
+    const WebSocketImpl = 'WebSocket' in options ? options.WebSocket : globalThis.WebSocket;
+    // Storage (MongoDB or JSON files, see storage/), set by start()
+    let storage = null;
+
+    let afkUsers = {};
+    let lastAfkUsers = {};
+    let activeBlackjackGames = {};
+    let activeGuessGames = {};
+    let activeEmoteRounds = {}; // format: { "#channel": round }
+    let emoteRoundHistory = {}; // format: { "#channel": [{ emote, winner, hints, reward, endedAt }] }
+    let emoteRoundStreaks = {}; // format: { "#channel": { user, count, bestUser, best } }
+
+
+
+    // Persistence
+    let monitoredChannels = [];
+    let lastStreamStatus = {}; // format: { targetId: { title: "...", game: "..." } }, rebuilt from storage.streamChanges
+    let lastReminderId = 0;
+    let firedReminders = {}; // format: { username: { reminder, firedAt } }, used by -snooze
+
+    async function initLastReminderId() {
+        try {
+            let maxId = 0;
+            const reminders = await storage.reminders.all();
+            const ids = reminders.map(r => parseInt(r.shortId)).filter(n => !isNaN(n));
+            if (ids.length > 0) maxId = Math.max(...ids);
+            lastReminderId = maxId;
+            console.log(`Initialisierte Reminder-ID Startwert: ${lastReminderId}`);
+        } catch (e) {
+            console.error("Fehler beim Initialisieren der Reminder-ID:", e);
+            lastReminderId = 0;
+        }
+    }
+
+    function nextReminderId() {
+        lastReminderId++;
+        return String(lastReminderId);
+    }
+
+    async function loadStars() {
+        try {
+            const users = await storage.users.all();
+            userStars = {};
+            for (const [username, u] of Object.entries(users)) {
+                userStars[username] = {
+                    balance: u.balance || 0,
+                    lastClaim: u.lastClaim || 0,
+                    reminded: u.reminded,
+                    level: u.level || 0,
+                    investedStars: u.investedStars || 0,
+                    nextLevelCost: u.nextLevelCost || 670,
+                    lastChannel: u.lastChannel,
+                    loanAmount: u.loanAmount || 0,
+                    loanDueDate: u.loanDueDate || 0,
+                    lastInterestTime: u.lastInterestTime || 0,
+                    repaymentFailures: u.repaymentFailures || 0,
+                    afkStartTime: u.afkStartTime || 0,
+                    afkReason: u.afkReason || "",
+                    lastfm: u.lastfm || "",
+                    timezone: u.timezone || "",
+                    reminderBlocklist: u.reminderBlocklist || []
+                };
+                // Restore AFK Status
+                if (u.afkStartTime > 0) {
+                    afkUsers[username] = { startTime: u.afkStartTime, reason: u.afkReason || "" };
+                }
+            }
+            console.log(`Stars geladen (${storage.type}): ${Object.keys(userStars).length} User.`);
+        } catch (e) {
+            console.error("Fehler beim Laden der Stars:", e);
+        }
+    }
+
+    /**
+     * Rebuilds the status cache from the stored changes. Only channels never seen before are fetched from Helix.
+     */
+    async function initNotificationsCache() {
+        try {
+            lastStreamStatus = statusFromChanges(await storage.streamChanges.latest());
+
+            const allNotifications = await storage.notifications.all();
+            const missing = [...new Set(allNotifications.map(n => n.targetId))].filter(id => !lastStreamStatus[id]);
+            if (missing.length > 0) {
+                const { clientId, token } = await tokens.getUserAuth();
+                const channelInfos = await getTwitchChannelsInfo(missing, clientId, token);
+                for (const info of channelInfos) {
+                    const notification = allNotifications.find(n => n.targetId === info.broadcaster_id);
+                    await recordStreamStatus(info.broadcaster_id, info.broadcaster_login || notification.targetChannel, {
+                        title: info.title || "",
+                        game: info.game_name || ""
+                    });
+                }
+            }
+            console.log(`Initialisierte Status-Cache für ${Object.keys(lastStreamStatus).length} überwachte Kanäle (${missing.length} neu abgefragt).`);
+        } catch (e) {
+            console.error("Fehler beim Initialisieren des Notifications-Caches:", e);
+        }
+    }
+
+    /**
+     * Stores what changed since the cached status and updates the cache. Returns the status before.
+     */
+    async function recordStreamStatus(targetId, targetChannel, status) {
+        const previous = lastStreamStatus[targetId];
+        lastStreamStatus[targetId] = { title: status.title, game: status.game };
+        for (const change of diffStatus(targetId, targetChannel, previous, status)) {
+            try {
+                await storage.streamChanges.append(change);
+            } catch (e) {
+                console.error("Fehler beim Speichern der Stream-Änderung:", e);
+            }
+        }
+        return previous;
+    }
+
+    let keepaliveTimeout = 10;
+    let keepaliveTimer = null;
+
+    function resetKeepaliveTimer() {
+        if (keepaliveTimer) clearTimeout(keepaliveTimer);
+        keepaliveTimer = setTimeout(() => {
+            console.warn("[EventSub] Keepalive timeout exceeded. Reconnecting...");
+            if (eventSubWs) {
+                eventSubWs.close();
+            }
+        }, (keepaliveTimeout + 3) * 1000);
+    }
+
+    /**
+     * Webhook subscriptions take an app access token, websocket ones need the user token.
+     */
+    function eventSubAuth() {
+        return eventSubTransport === 'webhook' ? tokens.getAppAuth() : tokens.getUserAuth();
+    }
+
+    const eventSub = createEventSubManager({
+        get storage() {
+            return storage;
+        },
+        async wanted() {
+            return [...notificationKeys(await storage.notifications.all()), ...channelEventKeys()];
+        },
+        helix: {
+            async list() {
+                const { clientId, token } = await eventSubAuth();
+                return listEventSubSubscriptions(clientId, token);
+            },
+            async create(type, version, targetId, transport) {
+                const { clientId, token } = await eventSubAuth();
+                const condition = channelEventOf(type) ? eventCondition(type, targetId, await getBotUserId(clientId, token)) : targetId;
+                return subscribeToEventSub(condition, transport, clientId, token, type, version);
+            },
+            async remove(id) {
+                const { clientId, token } = await eventSubAuth();
+                return deleteEventSubSubscription(id, clientId, token);
+            }
+        }
+    });
+
+    /**
+     * Why a channel event can't be subscribed for the broadcaster id, null when it can. See channelevents.js
+     * for who has to grant which scope, the bot's token only speaks for its own account.
+     */
+    function eventBlocker(event, broadcasterId, language) {
+        const { scope, grantedBy } = CHANNEL_EVENTS[event];
+        if (!scope) return null;
+        if (grantedBy === 'broadcaster' && broadcasterId !== (tokens.validation && tokens.validation.userId)) {
+            return replyText(language, 'eventOwnChannelOnly');
+        }
+        return tokens.hasScope(scope) ? null : replyText(language, 'eventScopeMissing', { scope });
+    }
+
+    /**
+     * Subscription keys of the raid/follow/sub/gift/cheer events of the joined channels that have them enabled.
+     * Events Twitch would refuse (see eventBlocker) are left out.
+     */
+    function channelEventKeys() {
+        const keys = [];
+        for (const name of monitoredChannels) {
+            const id = channelIds[name.toLowerCase()];
+            if (!id) continue;
+            const settings = getChannelSettings(name);
+            Object.keys(CHANNEL_EVENTS)
+                .filter(event => eventConfig(settings, event).enabled && !eventBlocker(event, id))
+                .forEach(event => keys.push(`${CHANNEL_EVENTS[event].subscription}:${id}`));
+        }
+        return keys;
+    }
+
+    /**
+     * Subscribes or unsubscribes a channel's events after its settings changed.
+     */
+    async function syncChannelEvents(channel) {
+        const id = channelIds[channel.replace('#', '').toLowerCase()];
+        if (!id) return;
+        const settings = getChannelSettings(channel);
+        for (const event of Object.keys(CHANNEL_EVENTS)) {
+            const type = CHANNEL_EVENTS[event].subscription;
+            try {
+                if (eventConfig(settings, event).enabled && !eventBlocker(event, id)) {
+                    await eventSub.ensure(type, id);
+                } else {
+                    await eventSub.release(type, id);
+                }
+            } catch (e) {
+                console.error(`[EventSub] Failed to update ${type} of ${channel}:`, e);
+            }
+        }
+    }
+
+    /**
+     * Reacts to a raid, follow, sub, gift or cheer in a joined channel: chat message, stars for the supporter, overlay event.
+     */
+    async function handleChannelEvent(name, event) {
+        const login = (event.broadcaster_user_login || event.to_broadcaster_user_login || '').toLowerCase();
+        if (!monitoredChannels.some(ch => ch.toLowerCase() === login)) return;
+
+        const channel = `#${login}`;
+        const result = describeEvent(name, event, getChannelSettings(channel));
+        if (!result.enabled) return;
+
+        let stars = 0;
+        if (result.supporter && result.stars > 0) {
+            const user = result.supporter;
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+            }
+            const change = await changeBalance(user, result.stars, { reason: 'reward', game: name, channel });
+            if (change.ok) stars = result.stars;
+            saveStars(user);
+        }
+
+        chatQueue.say(channel, stars > 0 ? `${result.message} +${formatPoints(stars)} Star` : result.message, 'system');
+        io.to(['all', channel]).emit('channel-event', { type: name, ...result.values, supporter: result.supporter, stars });
+    }
+
+    /**
+     * Placeholder values of a notification's template. status is the stream's title and game,
+     * previous what they were before a channel.update.
+     */
+    function templateValues(notification, status = {}, previous = status) {
+        return {
+            channel: notification.targetChannel,
+            title: status.title,
+            game: status.game,
+            oldTitle: previous.title,
+            oldGame: previous.game,
+            emote: getRandomEmote(notification.channel)
+        };
+    }
+
+    /**
+     * Posts a notification with the mentions of everyone who asked to be pinged.
+     */
+    function announce(notification, values) {
+        const message = renderTemplate(templateOf(notification), values);
+        appendMentions(message, notification.pings).forEach(m => chatQueue.say(notification.channel, m, 'system'));
+    }
+
+    /**
+     * Routes an EventSub event to the notifications of its subscription type.
+     */
+    async function handleEventSubNotification(event, subscriptionType = 'channel.update') {
+        try {
+            const channelEvent = channelEventOf(subscriptionType);
+            if (channelEvent) {
+                await handleChannelEvent(channelEvent, event);
+                return;
+            }
+
+            const targetId = event.broadcaster_user_id;
+            const notifications = (await storage.notifications.find({ targetId })).filter(n => subscriptionOf(n) === subscriptionType);
+
+            if (subscriptionType === 'channel.update') {
+                await handleChannelUpdate(event, notifications);
+            } else if (subscriptionType === 'stream.online') {
+                // Reruns and premieres also start a stream, only real live streams are announced
+                if (event.type && event.type !== 'live') return;
+                notifications.forEach(n => announce(n, templateValues(n, lastStreamStatus[targetId])));
+            } else if (subscriptionType === 'stream.offline') {
+                notifications.forEach(n => announce(n, templateValues(n, lastStreamStatus[targetId])));
+            } else {
+                console.warn(`[EventSub] Unhandled subscription type: ${subscriptionType}`);
+            }
+        } catch (e) {
+            console.error("[EventSub] Error handling notification event:", e);
+        }
+    }
+
+    async function handleChannelUpdate(event, allNotifications) {
+        const targetId = event.broadcaster_user_id;
+        const targetChannel = event.broadcaster_user_login;
+        const currentTitle = event.title || "";
+        const currentGame = event.category_name || "";
+
+        console.log(`[EventSub] Notification received for ${targetChannel} (${targetId}). Title: "${currentTitle}", Game: "${currentGame}"`);
+
+        // Every change is stored, announcements need a status to compare with
+        const previous = await recordStreamStatus(targetId, targetChannel, { title: currentTitle, game: currentGame });
+        if (!previous) return;
+
+        for (const notif of allNotifications) {
+            if (notif.type === 'title') {
+                if (currentTitle && currentTitle !== previous.title) {
+                    announce(notif, templateValues(notif, { title: currentTitle, game: currentGame }, previous));
+                }
+            } else if (notif.type === 'game') {
+                if (currentGame && currentGame !== previous.game) {
+                    announce(notif, templateValues(notif, { title: currentTitle, game: currentGame }, previous));
+                }
+            }
+        }
+    }
+
+    if (eventSubTransport === 'webhook' && env.EVENTSUB_SECRET) {
+        app.post('/eventsub', express.raw({ type: 'application/json' }), createEventSubWebhook({
+            secret: env.EVENTSUB_SECRET,
+            onNotification: (event, type) => handleEventSubNotification(event, type),
+            onRevocation: subscription => eventSub.handleRevocation(subscription)
+        }));
+    }
+
+    /**
+     * Subscribes through the webhook transport. Twitch verifies the callback right away, so the web server must be up.
+     */
+    async function startEventSubWebhook() {
+        if (!env.EVENTSUB_SECRET || !eventSubCallback) {
+            console.warn("[EventSub] Webhook braucht EVENTSUB_SECRET und EVENTSUB_CALLBACK_URL, Benachrichtigungen sind aus.");
+            return;
+        }
+        eventSub.setTransport({ method: 'webhook', callback: eventSubCallback, secret: env.EVENTSUB_SECRET });
+        try {
+            await eventSub.reconcile();
+        } catch (e) {
+            console.error("[EventSub] Error during reconcile:", e);
+        }
+    }
+
+    function connectTwitchEventSub(reconnectUrl = null) {
+        if (!WebSocketImpl) {
+            console.warn("[EventSub] Kein WebSocket verfügbar, Benachrichtigungen sind aus.");
+            return;
+        }
+        console.log(`[EventSub] Connecting to ${reconnectUrl || 'wss://eventsub.wss.twitch.tv/ws'}...`);
+        const ws = new WebSocketImpl(reconnectUrl || 'wss://eventsub.wss.twitch.tv/ws');
+
+        ws.onmessage = async (event) => {
+            resetKeepaliveTimer();
+
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (err) {
+                console.error("[EventSub] Failed to parse message JSON:", err);
+                return;
+            }
+
+            const messageType = data.metadata ? data.metadata.message_type : null;
+            if (!messageType) return;
+
+            if (messageType === 'session_welcome') {
+                const newSessionId = data.payload.session.id;
+                const keepaliveSeconds = data.payload.session.keepalive_timeout_seconds;
+                if (keepaliveSeconds) {
+                    keepaliveTimeout = keepaliveSeconds;
+                }
+                console.log(`[EventSub] Welcome received. Session ID: ${newSessionId}`);
+
+                if (reconnectUrl) {
+                    console.log("[EventSub] Reconnect successful. Closing old socket.");
+                    if (eventSubWs && eventSubWs !== ws) {
+                        eventSubWs.onclose = null;
+                        eventSubWs.close();
+                    }
+                    eventSubWs = ws;
+                    // Twitch moves the subscriptions over to the new session
+                    eventSub.setSession(newSessionId, { keep: true });
+                } else {
+                    eventSubWs = ws;
+                    eventSub.setSession(newSessionId);
+                    try {
+                        await eventSub.reconcile();
+                    } catch (e) {
+                        console.error("[EventSub] Error during reconcile:", e);
+                    }
+                }
+                eventSubReconnectDelay = 1000;
+            }
+
+            else if (messageType === 'session_keepalive') {
+                // keepalive received
+            }
+
+            else if (messageType === 'session_reconnect') {
+                const newReconnectUrl = data.payload.session.reconnect_url;
+                console.log(`[EventSub] Reconnect requested. Reconnect URL: ${newReconnectUrl}`);
+                connectTwitchEventSub(newReconnectUrl);
+            }
+
+            else if (messageType === 'notification') {
+                handleEventSubNotification(data.payload.event, data.metadata.subscription_type || data.payload.subscription.type);
+            }
+
+            else if (messageType === 'revocation') {
+                eventSub.handleRevocation(data.payload.subscription);
+            }
+        };
+
+        ws.onclose = (event) => {
+            console.warn(`[EventSub] Socket closed. Code: ${event.code}, Reason: ${event.reason}`);
+            if (keepaliveTimer) clearTimeout(keepaliveTimer);
+
+            if (ws === eventSubWs) {
+                eventSubWs = null;
+                eventSub.setSession('');
+                console.log(`[EventSub] Reconnecting in ${eventSubReconnectDelay}ms...`);
+                setTimeout(() => {
+                    eventSubReconnectDelay = Math.min(eventSubReconnectDelay * 2, 60000);
+                    connectTwitchEventSub();
+                }, eventSubReconnectDelay);
+            }
+        };
+
+        ws.onerror = (err) => {
+            console.error("[EventSub] Socket error:", err);
+            ws.close();
+        };
+    }
+
+    async function saveStars(specificUser = null) {
+        if (!storage) return;
+        try {
+            if (!specificUser) {
+                await storage.users.saveAll(userStars);
+            } else {
+                // Save just the one changed user for performance
+                await storage.users.save(specificUser, userStars[specificUser]);
+            }
+        } catch (e) {
+            console.error("Fehler beim Speichern der Stars:", e);
+        }
+    }
+
+    function recordLedger(user, delta, balance, { reason, game = null, channel = null }) {
+        const entry = ledger.createLedgerEntry({ user, delta, balance, reason, game, channel: channel || (userStars[user] && userStars[user].lastChannel) || null });
+        storage.ledger.append(entry).catch(e => console.error("Fehler beim Schreiben des Ledgers:", e));
+    }
+
+    /**
+     * Changes a balance atomically in storage and records it in the ledger. Every balance change goes through here.
+     * A debit fails (ok: false) if the stored balance is too low. The cached balance is always
+     * replaced with the stored one, so userStars never drifts from the database.
+     * meta: { reason, game, channel }, see ledger.js REASONS
+     * options: { stake } for a bet settled in the same step, the balance has to cover the stake and delta is the net result
+     */
+    async function changeBalance(user, delta, meta, options) {
+        const result = await storage.users.adjustBalance(user, delta, options);
+        if (userStars[user]) userStars[user].balance = result.balance;
+        if (result.ok && delta !== 0) recordLedger(user, delta, result.balance, meta);
+        return result;
+    }
+
+    /**
+     * Moves stars between two users in one step (a transaction in MongoDB).
+     */
+    async function transferStars(from, to, amount, channel) {
+        const result = await storage.users.transfer(from, to, amount);
+        if (userStars[from]) userStars[from].balance = result.fromBalance;
+        if (!result.ok) return result;
+
+        if (userStars[to]) userStars[to].balance = result.toBalance;
+        recordLedger(from, -amount, result.fromBalance, { reason: 'give', channel });
+        recordLedger(to, amount, result.toBalance, { reason: 'receive', channel });
+        return result;
+    }
+
+    // Combo State
+    let comboStates = {}; // format: { "#channel": { emote, users } }
+
+    // Time Checker State
+    let lastSchnapszahl = "";
+
+    function clearAllTimers() {
+        activeTimers.forEach(id => clearTimeout(id));
+        activeTimers = [];
+    }
+
+    function checkSchnapszahl() {
+        const now = new Date().toLocaleString("en-US", { timeZone: "Europe/Berlin" });
+        const berlinDate = new Date(now);
+        const hours = berlinDate.getHours();
+        const minutes = berlinDate.getMinutes();
+
+        // Check for "Schnapszahl" (11:11, 22:22, 00:00, 01:01, etc.)
+        if (hours === minutes) {
+            const pad = n => n < 10 ? '0' + n : n;
+            const timeString = `${pad(hours)}:${pad(minutes)}`;
+
+            if (lastSchnapszahl !== timeString) {
+                // Use active channels from the client
+                const channels = client.getChannels();
+                console.log(`Zeit-Check: ${timeString}. Sende an ${channels.length} Kanäle: ${channels.join(', ')}`);
+
+                channels.forEach(ch => {
+                    if (!getChannelSettings(ch).features.schnapszahl) return;
+
+                    let randomEmote = "wowii";
+                    const currentEmotes = channelEmotes[ch] || [];
+                    if (currentEmotes.length > 0) {
+                        randomEmote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                    }
+                    chatQueue.say(ch, `${randomEmote} ${timeString}`);
+                });
+                lastSchnapszahl = timeString;
+            }
+        }
+    }
+
+    // --- Reminder System ---
+    // IANA time zone of a user for reading and showing times, -timezone changes it
+    function userTimeZone(username) {
+        const data = userStars[username.toLowerCase()];
+        return (data && data.timezone) || DEFAULT_TIME_ZONE;
+    }
+
+    // Users who block reminders from source, see -reminders block
+    function reminderBlocklist(username) {
+        const data = userStars[username.toLowerCase()];
+        return (data && data.reminderBlocklist) || [];
+    }
+
+    /**
+     * Checks message, blocklists and the pending cap before reminders are stored. Replies and returns null
+     * if nothing may be stored, otherwise { message, targets, blocked } with the targets that accept them.
+     */
+    async function checkNewReminders(channel, tags, { message, targets, level }) {
+        let clean;
+        try {
+            clean = checkReminderMessage(message, { blockedWords: parseBlockedWords(env.REMINDER_BLOCKED_WORDS) });
+        } catch (e) {
+            chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+            return null;
+        }
+
+        const blocked = targets.filter(t => blocksReminders(reminderBlocklist(t), t, tags.username));
+        const allowed = targets.filter(t => !blocked.includes(t));
+        if (allowed.length === 0) {
+            chatQueue.say(channel, `/me @${tags.username} ${blocked.join(', ')} will keine Reminder von dir bekommen`);
+            return null;
+        }
+
+        if (!hasLevel(level, 'mod')) {
+            const pending = await storage.reminders.findBySource(tags.username);
+            if (pending.length + allowed.length > MAX_PENDING_PER_USER) {
+                chatQueue.say(channel, `/me @${tags.username} du hast schon ${pending.length} offene Reminder, mehr als ${MAX_PENDING_PER_USER} gehen nicht Nerd`);
+                return null;
+            }
+        }
+        return { message: clean, targets: allowed, blocked };
+    }
+
+    async function handleSelfReminder(channel, tags, allArgs, level) {
+        const timeZone = userTimeZone(tags.username);
+        const { delivery, args } = parseDelivery(allArgs);
+        let parsed;
+        try {
+            parsed = parseReminderTime(args, { timeZone });
+            checkDelivery(delivery, parsed);
+        } catch (e) {
+            chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+            return;
+        }
+        let dueAt = 0;
+        let reminderMsg = "";
+
+        if (!parsed) {
+            // Treat as text-only/on-message
+            let potentialMsg = args.join(' ');
+            if (potentialMsg.trim().length === 0) {
+                const currentEmotes = channelEmotes[channel] || [];
+                if (currentEmotes.length > 0) {
+                    potentialMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                } else {
+                    potentialMsg = "Erinnerung!";
+                }
+            }
+            dueAt = 0;
+            reminderMsg = potentialMsg;
+        } else {
+            dueAt = parsed.dueAt;
+            reminderMsg = parsed.message;
+
+            if (!reminderMsg || reminderMsg.trim() === "") {
+                const currentEmotes = channelEmotes[channel] || [];
+                if (currentEmotes.length > 0) {
+                    reminderMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                } else {
+                    reminderMsg = "Erinnerung!";
+                }
+            }
+        }
+
+        const checked = await checkNewReminders(channel, tags, { message: reminderMsg, targets: [tags.username], level });
+        if (!checked) return;
+        reminderMsg = checked.message;
+
+        const reminderData = {
+            targetUser: tags.username, // Display name
+            sourceUser: tags.username,
+            message: reminderMsg,
+            dueAt: dueAt,
+            recurrence: parsed ? parsed.recurrence : null,
+            timeZone,
+            delivery,
+            channel: channel,
+            shortId: nextReminderId(),
+            createdAt: Date.now()
+        };
+
+        await storage.reminders.create(reminderData);
+        reminderScheduler.schedule(reminderData.dueAt);
+
+        chatQueue.say(channel, `/me @${tags.username} Top ich erinnere dich${formatDelivery(delivery)} ${formatSchedule(reminderData, timeZone)} " ${reminderMsg} " (ID ${reminderData.shortId})`);
+    }
+
+    // Recurrences are wall clock times in the zone they were created in, single times are shown in timeZone
+    function formatSchedule(reminder, timeZone) {
+        return reminder.recurrence ? formatRecurrence(reminder.recurrence) : formatDueAt(reminder.dueAt, { timeZone });
+    }
+
+    // Remembers a delivered reminder so its target can snooze it
+    function rememberFiredReminder(reminder) {
+        firedReminders[reminder.targetUser.toLowerCase()] = { reminder, firedAt: Date.now() };
+    }
+
+    /**
+     * Sends a reminder as whisper or in channel: its own channel, or where the target just wrote
+     * for reminders without time. Whispers that fail are sent in chat instead.
+     */
+    async function deliverReminder(r, { channel = r.channel, mention = r.targetUser } = {}) {
+        const text = r.dueAt === 0
+            ? `bingi reminder von @${r.sourceUser}: ${r.message}`
+            : `bingi reminder von @${r.sourceUser} " ${r.message} "`;
+        rememberFiredReminder({ ...r, channel });
+
+        if (r.delivery === 'whisper') {
+            try {
+                await sendWhisper(r.targetUser, text);
+                return;
+            } catch (e) {
+                console.error(`Whisper an ${r.targetUser} fehlgeschlagen, sende im Chat:`, e.message);
+            }
+        }
+        chatQueue.say(channel, `/me @${mention} ${text}`, 'system');
+    }
+
+    async function getBotUserId(clientId, token) {
+        if (!botUserId) botUserId = await getTwitchUserId(env.TWITCH_USERNAME, clientId, token);
+        return botUserId;
+    }
+
+    async function sendWhisper(username, message) {
+        const { clientId, token } = await tokens.getUserAuth();
+        await getBotUserId(clientId, token);
+        const targetId = await getTwitchUserId(username.toLowerCase(), clientId, token);
+        if (!botUserId || !targetId) throw new Error(`User ${username} nicht gefunden`);
+        await helixWhisper(botUserId, targetId, message, clientId, token);
+    }
+
+    // Timed reminders, started with the bot. The owner id tells the locks of several instances apart.
+    const reminderScheduler = createReminderScheduler({
+        get storage() {
+            return storage;
+        },
+        owner: `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`,
+        deliver: r => deliverReminder(r),
+        nextDueAt(r, now) {
+            return r.recurrence ? followingRun(r.recurrence, r.dueAt, now, offsetFor(r.timeZone || DEFAULT_TIME_ZONE)) : null;
+        }
+    });
+
+    // Delivers everything that is due right now, the scheduler calls this on time by itself
+    function checkReminders() {
+        return reminderScheduler.runDue();
+    }
+
+    async function checkLoans() {
+        const now = Date.now();
+        for (const user in userStars) {
+            const data = userStars[user];
+            if (data.loanAmount > 0) {
+                // 1. Hourly Interest Logic
+                // If loan is active, check if 1 hour has passed since last interest application
+                // We use a small buffer or just strict check. 
+                // Initial lastInterestTime is set when loan is taken.
+                if (data.lastInterestTime && (now - data.lastInterestTime) >= 3600000) { // 3600000 = 1 Hour
+                    const interest = Math.ceil(data.loanAmount * 0.10); // 10% Interest
+                    data.loanAmount += interest;
+                    data.lastInterestTime = now; // Reset timer for next hour
+
+                    // Optional: Notify user about interest increase?
+                    // chatQueue.say(env.TWITCH_CHANNEL, `/me @${user} Dein Kredit ist um 10% gestiegen! Neuer Betrag: ${formatPoints(data.loanAmount)} Star`);
+                    saveStars(user);
+                }
+
+                // 2. Deadline Logic (6 Hours)
+                if (data.loanDueDate > 0 && now >= data.loanDueDate) {
+                    // Attempt Auto-Repay
+                    const canPay = Math.min(data.balance, data.loanAmount);
+                    if (canPay > 0) {
+                        const repaid = await changeBalance(user, -canPay, { reason: 'repay', channel: data.lastChannel });
+                        if (repaid.ok) data.loanAmount -= canPay;
+                    }
+
+                    if (data.loanAmount <= 0) {
+                        // Fully Paid
+                        data.loanAmount = 0;
+                        data.loanDueDate = 0;
+                        data.repaymentFailures = 0;
+                        // chatQueue.say(env.TWITCH_CHANNEL, `/me @${user} Kredit automatisch zurückgezahlt.`);
+                    } else {
+                        // Failed to pay after 6 hours
+                        const timeoutDuration = Math.ceil(data.loanAmount); // Seconds equal to debt
+
+
+                        // Resolving IDs for Helix Timeout
+                        // We need: broadcasterId (Channel), moderatorId (Bot), userId (Target)
+                        // We have: channel name (data.lastChannel), user name (user)
+
+                        if (data.lastChannel) {
+                            const channelName = data.lastChannel.replace('#', '').toLowerCase();
+                            const broadcasterId = channelIds[channelName];
+
+                            // We need to find the Target User ID. We might not have it cached.
+                            // We can try to fetch it.
+                            // We also need Bot ID (botUserId should be global, initialized in refreshEmotes)
+
+                            if (broadcasterId && botUserId) {
+                                tokens.getUserAuth().then(({ clientId, token }) => getTwitchUserId(user, clientId, token).then(targetId => {
+                                    if (targetId) {
+                                        helixTimeout(broadcasterId, botUserId, targetId, timeoutDuration, "Loan Default", clientId, token)
+                                            .then(() => {
+                                                console.log(`[Loan] Timed out ${user} for ${timeoutDuration}s`);
+                                                if (client.readyState() === 'OPEN') {
+                                                    chatQueue.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`, 'system');
+                                                }
+                                            })
+                                            .catch(err => {
+                                                console.error(`[Loan] Failed to timeout ${user}:`, err);
+                                                // Fallback to chat command
+                                                if (client.readyState() === 'OPEN') {
+                                                    chatQueue.say(data.lastChannel, `/timeout @${user} ${timeoutDuration} opfer mit kredit`, 'system');
+                                                    chatQueue.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`, 'system');
+                                                }
+                                            });
+                                    } else {
+                                        // Fallback
+                                        if (client.readyState() === 'OPEN') {
+                                            chatQueue.say(data.lastChannel, `/timeout @${user} ${timeoutDuration} opfer mit kredit`, 'system');
+                                            chatQueue.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`, 'system');
+                                        }
+                                    }
+                                })).catch(e => console.error(e));
+                            } else {
+                                // Fallback
+                                if (client.readyState() === 'OPEN') {
+                                    chatQueue.say(data.lastChannel, `/timeout @${user} ${timeoutDuration} opfer mit kredit`, 'system');
+                                    chatQueue.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`, 'system');
+                                }
+                            }
+                        }
+
+                        // Reset Debt (Time Served)
+                        data.loanAmount = 0;
+                        data.loanDueDate = 0;
+                        data.repaymentFailures = 0;
+                    }
+                    saveStars(user);
+                }
+            }
+        }
+    }
+    function getRandomEmote(channel, { all = false, fallback = "" } = {}) {
+        const emotes = (all ? allChannelEmotes : channelEmotes)[channel] || [];
+        if (emotes.length === 0) return fallback;
+        return emotes[Math.floor(Math.random() * emotes.length)];
+    }
+
+    /**
+     * Pays bet + win of a won zahl game. If that fails the game is put back, so the bet isn't lost and the next guess pays.
+     */
+    async function payOutGuessGame(user, game, channel, username) {
+        try {
+            await changeBalance(user, game.bet * 2, { reason: 'win', game: 'zahl', channel });
+            return true;
+        } catch (e) {
+            activeGuessGames[user] = game;
+            console.error("Fehler bei der Zahl-Auszahlung:", e);
+            chatQueue.say(channel, `/me @${username} Auszahlung fehlgeschlagen, dein Einsatz bleibt im Spiel. Rate gleich nochmal`);
+            return false;
+        }
+    }
+
+    async function doBlackjackStand(user, username, channel) {
+        const game = activeBlackjackGames[user];
+        if (!game) return;
+        delete activeBlackjackGames[user]; // Before awaiting, a second stand must not pay twice
+
+        let dVal = getHandValue(game.dHand);
+
+        // Dealer draws to 17
+        while (dVal < 17) {
+            game.dHand.push(game.deck.pop());
+            dVal = getHandValue(game.dHand);
+        }
+
+        const pVal = getHandValue(game.pHand);
+
+        let msg = `/me @${username} Stand. Du: [ ${formatHand(game.pHand)} ] (${pVal}) | Dealer: [ ${formatHand(game.dHand)} ] (${dVal}). `;
+
+        try {
+            if (dVal > 21 || pVal > dVal) {
+                await changeBalance(user, game.bet * 2, { reason: 'win', game: 'bj', channel });
+            } else if (pVal === dVal) {
+                await changeBalance(user, game.bet, { reason: 'refund', game: 'bj', channel });
+            }
+        } catch (e) {
+            // The bet is still in the game and the dealer is done drawing, the next stand pays the same
+            activeBlackjackGames[user] = game;
+            console.error("Fehler bei der Blackjack-Auszahlung:", e);
+            chatQueue.say(channel, `/me @${username} Auszahlung fehlgeschlagen, dein Einsatz bleibt im Spiel. Versuch es gleich nochmal mit ${getChannelSettings(channel).prefix}stand`);
+            return;
+        }
+
+        if (dVal > 21) {
+            // Dealer Bust
+            msg += `Dealer Bust! Du gewinnst ${formatPoints(game.bet)} Star. Balance: ${formatPoints(userStars[user].balance)} Star`;
+        } else if (pVal > dVal) {
+            // Win
+            msg += `Gewonnen! +${formatPoints(game.bet)} Star. Balance: ${formatPoints(userStars[user].balance)} Star`;
+        } else if (pVal === dVal) {
+            // Push
+            msg += `Unentschieden. Du behältst deinen Einsatz. Balance: ${formatPoints(userStars[user].balance)} Star`;
+        } else {
+            // Loss
+            msg += `Verloren. -${formatPoints(game.bet)} Star. Balance: ${formatPoints(userStars[user].balance)} Star`;
+        }
+
+        saveStars(user);
+        chatQueue.say(channel, msg);
+    }
+
+    // --- Emote Guessing Game ---
+
+    function scheduleEmoteHint(channel) {
+        const round = activeEmoteRounds[channel];
+        if (!round) return;
+
+        round.timer = setTimeout(() => {
+            if (activeEmoteRounds[channel] !== round) return;
+
+            if (emoteGame.revealNextHint(round)) {
+                chatQueue.say(channel, `/me Hmm Tipp: ${emoteGame.formatHintText(round)}`);
+                scheduleEmoteHint(channel);
+            } else {
+                endEmoteRound(channel, null);
+            }
+        }, emoteGame.HINT_INTERVAL_MS);
+    }
+
+    function startEmoteRound(channel) {
+        const round = emoteGame.createRound(channelEmotes[channel] || []);
+        if (!round) return null;
+
+        activeEmoteRounds[channel] = round;
+        chatQueue.say(channel, `/me wideSpeedNod Emote raten gestartet! Schreib das Emote in den Chat. ${emoteGame.formatHintText(round)}`);
+        scheduleEmoteHint(channel);
+        return round;
+    }
+
+    async function endEmoteRound(channel, winner) {
+        const round = activeEmoteRounds[channel];
+        if (!round) return;
+
+        if (round.timer) clearTimeout(round.timer);
+        delete activeEmoteRounds[channel];
+
+        let streak = emoteRoundStreaks[channel] || { user: null, count: 0, bestUser: null, best: 0 };
+        let reward = 0;
+
+        if (winner) {
+            streak.count = streak.user === winner ? streak.count + 1 : 1;
+            streak.user = winner;
+            if (streak.count > streak.best) {
+                streak.best = streak.count;
+                streak.bestUser = winner;
+            }
+
+            reward = emoteGame.calculateReward(round, streak.count);
+            if (!userStars[winner]) {
+                userStars[winner] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+            }
+            userStars[winner].lastChannel = channel;
+            await changeBalance(winner, reward, { reason: 'reward', game: 'raten', channel });
+            saveStars(winner);
+
+            let msg = `/me HeCrazy @${winner} hat es erraten! Das Emote war ${round.emote} +${formatPoints(reward)} Star (Balance: ${formatPoints(userStars[winner].balance)} Star)`;
+            if (streak.count > 1) msg += ` | Streak: ${streak.count}`;
+            chatQueue.say(channel, msg);
+        } else {
+            streak.user = null;
+            streak.count = 0;
+            chatQueue.say(channel, `/me ohno niemand hat es erraten. Das Emote war ${round.emote}`);
+        }
+        emoteRoundStreaks[channel] = streak;
+
+        if (!emoteRoundHistory[channel]) emoteRoundHistory[channel] = [];
+        emoteRoundHistory[channel].unshift({
+            emote: round.emote,
+            winner,
+            hints: round.revealed,
+            reward,
+            endedAt: Date.now()
+        });
+        emoteRoundHistory[channel] = emoteRoundHistory[channel].slice(0, 20);
+
+        try {
+            await storage.emoteRounds.save(channel, { history: emoteRoundHistory[channel], streak });
+        } catch (e) {
+            console.error("Fehler beim Speichern der Emote-Runden:", e);
+        }
+    }
+
+
+    /**
+     * Central Timeout Helper using Helix if possible
+     */
+
+
+    function scheduleStarReminder(username, delay, channel = null) {
+        if (delay < 0) delay = 0;
+        setTimeout(() => {
+            // Use provided channel, or stored lastChannel, or fallback to first channel in config
+            let targetChannel = channel;
+
+            if (!targetChannel && userStars[username] && userStars[username].lastChannel) {
+                targetChannel = userStars[username].lastChannel;
+            }
+
+            if (!targetChannel) {
+                targetChannel = env.TWITCH_CHANNEL.split(',')[0].trim();
+            }
+
+            if (targetChannel && !targetChannel.startsWith('#')) {
+                targetChannel = '#' + targetChannel;
+            }
+
+            if (client.readyState() === 'OPEN' && targetChannel) {
+                // Check if running on Render (Production)
+                if (env.RENDER) {
+                    chatQueue.say(targetChannel, `/me @${username} bingi hol deine Star ab mit ${getChannelSettings(targetChannel).prefix}star`, 'system');
+                } else {
+                    console.log(`[LOCAL] Would send reminder to ${targetChannel}: @${username} bingi hol deine Star ab...`);
+                }
+
+                if (userStars[username]) {
+                    userStars[username].reminded = true;
+                    saveStars(username);
+                }
+            }
+        }, delay);
+    }
+
+    function restoreStarReminders() {
+        // Only restore reminders if running on the server to avoid local spam at startup
+        if (!env.RENDER) {
+            console.log("Local Mode: Skipping automated star reminder restoration.");
+            return;
+        }
+
+        const now = Date.now();
+        const cooldown = 3600000;
+        let restoredCount = 0;
+
+        for (const user in userStars) {
+            // Migration: If reminded is undefined, assume true (don't spam old users) or false?
+            // Let's assume false if they are in cooldown?
+            const data = userStars[user];
+            if (data.reminded === true) continue;
+
+            // Logic:
+            // claimTime + cooldown = dueTime.
+            // If dueTime > now: wait (dueTime - now).
+            // If dueTime <= now: ping immediately!
+
+            const dueTime = (data.lastClaim || 0) + cooldown;
+            if (now < dueTime) {
+                // Still in cooldown, schedule future reminder
+                scheduleStarReminder(user, dueTime - now, data.lastChannel);
+                restoredCount++;
+            } else {
+                // Cooldown expired while offline, or never claimed
+                // If reminded is explicitly false or undefined (not true)
+                if (data.reminded !== true) {
+                    scheduleStarReminder(user, 1000, data.lastChannel); // Remind shortly
+                    restoredCount++;
+                }
+            }
+        }
+        if (restoredCount > 0) console.log(`Wiederhergestellt: ${restoredCount} Star-Reminders.`);
+    }
+
+    async function refreshEmotes() {
+        try {
+            // Use monitoredChannels instead of env
+            let channels = monitoredChannels.length > 0 ? monitoredChannels : env.TWITCH_CHANNEL.split(',').map(c => c.trim());
+
+            let clientId, token;
+            try {
+                ({ clientId, token } = await tokens.getUserAuth());
+            } catch (e) {
+                console.error(`Auth Error: ${e.message}`);
+                return;
+            }
+
+            channelEmotes = {}; // Reset
+            allChannelEmotes = {}; // Reset
+
+            for (const rawName of channels) {
+                // Normalize: Ensure we have clean name for API, and #name for Map key
+                const cleanName = rawName.replace(/^#/, '');
+                const mapKey = `#${cleanName.toLowerCase()}`;
+
+                console.log(`Lade Emotes für: ${cleanName} (7TV, BTTV, FFZ)...`);
+                const userId = await getTwitchUserId(cleanName, clientId, token);
+
+                if (userId) {
+                    channelIds[cleanName.toLowerCase()] = userId;
+
+                    const [seventv, bttv, ffz] = await Promise.all([
+                        get7TVEmotes(userId).catch(err => {
+                            console.error(`  [7TV] Fehler für ${cleanName}:`, err.message);
+                            return [];
+                        }),
+                        getBTTVEmotes(userId).catch(err => {
+                            console.error(`  [BTTV] Fehler für ${cleanName}:`, err.message);
+                            return [];
+                        }),
+                        getFFZEmotes(userId).catch(err => {
+                            console.error(`  [FFZ] Fehler für ${cleanName}:`, err.message);
+                            return [];
+                        })
+                    ]);
+
+                    const seventvNames = seventv.map(e => e.name);
+                    const bttvNames = bttv.map(e => e.code);
+                    const ffzNames = ffz.map(e => e.name);
+
+                    channelEmotes[mapKey] = seventvNames;
+                    allChannelEmotes[mapKey] = [...seventvNames, ...bttvNames, ...ffzNames];
+                    console.log(`  > Geladen für ${cleanName}: ${seventvNames.length} 7TV, ${bttvNames.length} BTTV, ${ffzNames.length} FFZ (Insgesamt: ${allChannelEmotes[mapKey].length})`);
+                } else {
+                    console.error(`Konnte Twitch User ID für ${cleanName} nicht finden.`);
+                }
+            }
+
+            // Get Bot's own User ID for Helix Moderation
+            if (!botUserId) {
+                botUserId = await getTwitchUserId(env.TWITCH_USERNAME, clientId, token);
+            }
+
+            console.log(`Erfolg! Emotes für ${Object.keys(channelEmotes).length} Kanäle geladen.`);
+        } catch (e) {
+            console.error('Fehler beim Laden der Emotes:', e);
+        }
+    }
+
+
+
+
+
+    async function initializeChannels() {
+        try {
+            const { clientId, token } = await tokens.getUserAuth();
+
+            // 1. Load Channels (channels.json is imported into MongoDB by openStorage)
+            let channelsConfig = [];
+            try {
+                channelsConfig = await storage.channels.all();
+            } catch (err) {
+                console.error("Fehler beim Laden der Channels:", err);
+            }
+
+            // 2. Validate and Update IDs/Usernames
+            monitoredChannels = [];
+
+            for (let i = 0; i < channelsConfig.length; i++) {
+                let ch = channelsConfig[i];
+                let userData = null;
+
+                // If ID missing, fetch it
+                if (!ch.id || ch.id === "0") {
+                    console.log(`Channel ${ch.username} hat keine ID. Suche...`);
+                    try {
+                        const userId = await getTwitchUserId(ch.username, clientId, token);
+                        if (userId) {
+                            ch.id = userId;
+                            channelIds[ch.username.toLowerCase()] = userId; // FORCE POPULATE
+                            console.log(`ID für ${ch.username} gefunden: ${userId}`);
+
+                            await storage.channels.upsert(ch.username, { id: userId });
+                        } else {
+                            console.error(`Konnte ID für ${ch.username} nicht finden.`);
+                            continue;
+                        }
+                    } catch (e) {
+                        console.error(`Fehler beim ID-Check für ${ch.username}:`, e);
+                    }
+                }
+
+                // Check for Rename
+                if (ch.id) {
+                    // POPULATE CACHE
+                    channelIds[ch.username.toLowerCase()] = ch.id;
+                    try {
+                        userData = await getTwitchUserById(ch.id, clientId, token);
+                        if (userData) {
+                            if (userData.login !== ch.username) {
+                                console.log(`RENAME DETECTED: ${ch.username} -> ${userData.login}`);
+                                // Update the stored channel matched by ID
+                                ch.username = userData.login;
+                                await storage.channels.updateById(ch.id, { username: ch.username });
+                            }
+                            monitoredChannels.push(ch.username);
+                            channelSettings[ch.username.toLowerCase()] = normalizeSettings(ch.settings);
+                        } else {
+                            console.warn(`User mit ID ${ch.id} nicht mehr gefunden.`);
+                            // Optional: Remove from DB?
+                        }
+                    } catch (e) {
+                        console.error(`Fehler beim Rename-Check für ID ${ch.id}:`, e);
+                        monitoredChannels.push(ch.username);
+                        channelSettings[ch.username.toLowerCase()] = normalizeSettings(ch.settings);
+                    }
+                }
+            }
+
+            // 3. Join Channels
+            if (monitoredChannels.length > 0) {
+                console.log(`Joine Channels: ${monitoredChannels.join(', ')}`);
+                for (const ch of monitoredChannels) {
+                    await client.join(ch).catch(e => console.error(`Konnte ${ch} nicht joinen:`, e));
+                }
+            }
+
+        } catch (e) {
+            console.error("Fehler bei initializeChannels:", e);
+        }
+    }
+
+    function getChannelSettings(channel) {
+        const name = channel.replace('#', '').toLowerCase();
+        if (!channelSettings[name]) {
+            channelSettings[name] = normalizeSettings();
+        }
+        return channelSettings[name];
+    }
+
+    async function saveChannelSettings(channel) {
+        const name = channel.replace('#', '').toLowerCase();
+        const settings = getChannelSettings(name);
+
+        try {
+            await storage.channels.upsert(name, { settings });
+        } catch (e) {
+            console.error(`Fehler beim Speichern der Settings für ${name}:`, e);
+        }
+    }
+
+    // Long command cooldowns (see cooldowns.js PERSIST_AFTER_MS) are stored so a restart does not reset them.
+    const commandCooldowns = createCooldownManager({ onPersist: saveCooldown });
+
+    async function saveCooldown(key, expiresAt) {
+        try {
+            await storage.cooldowns.set(key, expiresAt);
+        } catch (e) {
+            console.error("Fehler beim Speichern des Cooldowns:", e);
+        }
+    }
+
+    async function loadEmoteRounds() {
+        try {
+            for (const [channel, saved] of Object.entries(await storage.emoteRounds.all())) {
+                emoteRoundHistory[channel] = saved.history || [];
+                if (saved.streak) emoteRoundStreaks[channel] = saved.streak;
+            }
+        } catch (e) {
+            console.error("Fehler beim Laden der Emote-Runden:", e);
+        }
+    }
+
+    async function loadCooldowns() {
+        try {
+            commandCooldowns.load(await storage.cooldowns.active(Date.now()));
+        } catch (e) {
+            console.error("Fehler beim Laden der Cooldowns:", e);
+        }
+    }
+
+    // --- Commands ---
+    // Every command is registered here (or in a module under ./commands) and dispatched from the message handler.
+
+    const commands = createCommandRegistry();
+
+    async function getViewers(channel) {
+        try {
+            const pureChannelName = channel.replace('#', '').toLowerCase();
+            let targetId = channelIds[pureChannelName];
+
+            if (!targetId) {
+                // Try to get ID if not set
+                const { clientId, token } = await tokens.getUserAuth();
+                targetId = await getTwitchUserId(pureChannelName, clientId, token);
+                if (targetId) channelIds[pureChannelName] = targetId;
+            }
+
+            if (!targetId) {
+                console.error("Keine Channel ID gefunden.");
+                return [];
+            }
+
+            const response = await fetch(apiUrl('chatters', `/sandbox/chatters?channel=${targetId}`));
+
+            if (!response.ok) {
+                console.error('Failed to fetch viewers from NotedBot:', response.status);
+                return [];
+            }
+
+            const json = await response.json();
+
+            // Check if data is null or error is true
+            if (json.error || !json.data) {
+                console.warn('NotedBot API returned no data:', json.message);
+                return [];
+            }
+
+            const data = json.data;
+            let allViewers = [];
+
+            // Helper to extract logins from array of objects { login: "name" }
+            const extract = (arr) => (arr || []).map(u => u.login);
+
+            allViewers = allViewers.concat(extract(data.broadcasters));
+            allViewers = allViewers.concat(extract(data.chatbots)); // Include bots? Sure, why not
+            allViewers = allViewers.concat(extract(data.moderators));
+            allViewers = allViewers.concat(extract(data.vips));
+            allViewers = allViewers.concat(extract(data.staff));
+            allViewers = allViewers.concat(extract(data.viewers));
+
+            return allViewers;
+
+        } catch (e) {
+            console.error('Error fetching viewers:', e);
+            return [];
+        }
+    }
+
+    commands.register({
+        name: 'commands',
+        aliases: ['befehle'],
+        cooldown: { channel: 30 },
+        usage: 'commands',
+        description: 'Liste aller Commands',
+        handler: async ({ channel, prefix }) => {
+            const commandGroups = commands.list().map(c => [c.name, ...c.aliases]);
+
+            let header = "Nerd commands: ";
+            let currentMsg = header;
+
+            for (let i = 0; i < commandGroups.length; i++) {
+                let emote = "";
+                const currentEmotes = channelEmotes[channel] || [];
+                if (currentEmotes.length > 0) {
+                    emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                }
+
+                const bullet = emote ? emote + " " : "- ";
+
+                // Format the group: -cmd1, -cmd2, -cmd3
+                const group = commandGroups[i];
+                let groupStr = group.map(c => `${prefix}${c}`).join(', ');
+
+                const cmdEntry = `${bullet}${groupStr} `;
+
+                if (currentMsg.length + cmdEntry.length > 400) {
+                    chatQueue.say(channel, currentMsg.trim());
+                    currentMsg = cmdEntry;
+                } else {
+                    currentMsg += cmdEntry;
+                }
+            }
+
+            if (currentMsg.trim() !== "") {
+                chatQueue.say(channel, currentMsg.trim());
+            }
+        }
+    });
+
+    commands.register({
+        name: 'help',
+        aliases: ['hilfe'],
+        cooldown: { user: 5 },
+        usage: 'help <Command>',
+        description: 'Zeigt Nutzung und Beschreibung eines Commands',
+        handler: async ({ channel, tags, args, prefix, settings }) => {
+            if (!args[0]) {
+                chatQueue.say(channel, `/me @${tags.username} ${replyText(settings.language, 'helpUsage', { prefix })}`);
+                return;
+            }
+
+            const definition = commands.find(args[0].replace(prefix, ''));
+            if (!definition) {
+                chatQueue.say(channel, `/me @${tags.username} ${replyText(settings.language, 'unknownCommand', { command: args[0] })} Nerd`);
+                return;
+            }
+
+            chatQueue.say(channel, `/me @${tags.username} ${formatHelp(definition, prefix)}`);
+        }
+    });
+
+    registerFunCommands(commands, { chatQueue, getRandomEmote });
+
+    commands.register({
+        name: 'v',
+        usage: 'v',
+        description: '1 Sekunde Timeout für dich selbst',
+        handler: async ({ channel, tags }) => {
+            const senderId = tags['user-id'];
+            const channelName = channel.replace('#', '').toLowerCase();
+            const broadcasterId = channelIds[channelName];
+
+            // Ensure we have necessary IDs
+            if (broadcasterId && botUserId && senderId) {
+                try {
+                    const { clientId, token } = await tokens.getUserAuth();
+                    // Timeout for 1 second
+                    await helixTimeout(broadcasterId, botUserId, senderId, 1, "Timeout by -v command", clientId, token);
+                    console.log(`User ${tags.username} timed out for 1s in ${channel}`);
+                } catch (e) {
+                    console.error(`Failed to timeout user ${tags.username}:`, e);
+                }
+            } else {
+                console.warn("Cannot timeout: Missing IDs.", { broadcasterId, botUserId, senderId });
+            }
+        }
+    });
+
+    /**
+     * Deletes the EventSub subscription of a removed notification if no other channel still uses it.
+     */
+    async function releaseSubscription(type, targetId) {
+        try {
+            await eventSub.release(NOTIFY_TYPES[type].subscription, targetId);
+        } catch (e) {
+            console.error(`[EventSub] Failed to delete subscription for targetId ${targetId}:`, e);
+        }
+    }
+
+    /**
+     * -notify ping/unping adds or removes the sender from a notification's mentions, -notify pings lists them.
+     */
+    async function handleNotifyPing(channel, tags, action, args, prefix) {
+        const targetArg = args[0] ? args[0].toLowerCase().replace('@', '') : null;
+        const type = parseNotifyType(args[1]);
+        if (!targetArg || !type) {
+            chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}notify ${action} <TwitchChannel> <title|game|live|offline>`);
+            return;
+        }
+
+        const filter = { channel, targetChannel: targetArg, type };
+        const [notification] = await storage.notifications.find(filter);
+        if (!notification) {
+            chatQueue.say(channel, `/me @${tags.username} Keine aktive Benachrichtigung für ${NOTIFY_TYPES[type].label} von ${targetArg} gefunden.`);
+            return;
+        }
+
+        const pings = notification.pings || [];
+        const username = tags.username.toLowerCase();
+        const label = `${NOTIFY_TYPES[type].label} von ${targetArg}`;
+
+        if (action === 'pings') {
+            if (pings.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} Niemand wird bei ${label} gepingt.`);
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} Pings bei ${label}: ${pings.join(', ')}`);
+            }
+        } else if (action === 'ping') {
+            if (pings.includes(username)) {
+                chatQueue.say(channel, `/me @${tags.username} Du wirst bei ${label} schon gepingt.`);
+                return;
+            }
+            await storage.notifications.update(filter, { pings: [...pings, username] });
+            chatQueue.say(channel, `/me @${tags.username} Du wirst ab jetzt bei ${label} gepingt.`);
+        } else {
+            if (!pings.includes(username)) {
+                chatQueue.say(channel, `/me @${tags.username} Du wirst bei ${label} nicht gepingt.`);
+                return;
+            }
+            await storage.notifications.update(filter, { pings: pings.filter(p => p !== username) });
+            chatQueue.say(channel, `/me @${tags.username} Du wirst bei ${label} nicht mehr gepingt.`);
+        }
+    }
+
+    /**
+     * -notify template shows, sets or resets a notification's message, -notify preview renders it
+     * (or the given text) with the stream's current title and game without announcing anything.
+     */
+    async function handleNotifyTemplate(channel, tags, preview, args, prefix) {
+        const action = preview ? 'preview' : 'template';
+        const targetArg = args[0] ? args[0].toLowerCase().replace('@', '') : null;
+        const type = parseNotifyType(args[1]);
+        const text = args.slice(2).join(' ');
+        if (!targetArg || !type) {
+            chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}notify ${action} <TwitchChannel> <title|game|live|offline> [Text${preview ? '' : '|reset'}], Platzhalter: ${TEMPLATE_PLACEHOLDERS.map(p => `{${p}}`).join(' ')}`);
+            return;
+        }
+
+        const filter = { channel, targetChannel: targetArg, type };
+        const [notification] = await storage.notifications.find(filter);
+        if (!notification) {
+            chatQueue.say(channel, `/me @${tags.username} Keine aktive Benachrichtigung für ${NOTIFY_TYPES[type].label} von ${targetArg} gefunden.`);
+            return;
+        }
+
+        const reset = !preview && text.toLowerCase() === 'reset';
+        let template = null;
+        try {
+            if (text && !reset) template = checkTemplate(text);
+        } catch (e) {
+            chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+            return;
+        }
+
+        if (preview) {
+            const message = renderTemplate(template || templateOf(notification), templateValues(notification, lastStreamStatus[notification.targetId]));
+            chatQueue.say(channel, `/me @${tags.username} Vorschau: ${message}`);
+        } else if (!text) {
+            chatQueue.say(channel, `/me @${tags.username} Vorlage für ${NOTIFY_TYPES[type].label} von ${targetArg}${notification.template ? '' : ' (Standard)'}: ${templateOf(notification)}`);
+        } else {
+            await storage.notifications.update(filter, { template });
+            chatQueue.say(channel, `/me @${tags.username} Vorlage für ${NOTIFY_TYPES[type].label} von ${targetArg} ${template ? 'gespeichert' : 'zurückgesetzt'}.`);
+        }
+    }
+
+    commands.register({
+        name: 'notify',
+        usage: 'notify <title|game|live|offline> <TwitchChannel> | notify list | notify <ping|unping|pings> <TwitchChannel> <Typ> | notify <template|preview> <TwitchChannel> <Typ> [Text|reset]',
+        description: 'Benachrichtigung bei Titel- oder Kategorie-Änderungen, Streamstart oder Streamende',
+        handler: async ({ channel, tags, args, prefix }) => {
+            const typeArg = args[0] ? args[0].toLowerCase() : null;
+            const targetArg = args[1] ? args[1].toLowerCase().replace('@', '') : null;
+
+            if (typeArg === 'list') {
+                const list = await storage.notifications.find({ channel });
+
+                if (list.length === 0) {
+                    chatQueue.say(channel, `/me @${tags.username} Keine aktiven Benachrichtigungen für diesen Kanal.`);
+                } else {
+                    const msgParts = list.map(n => `${n.targetChannel} (${n.type}${n.pings && n.pings.length > 0 ? `, ${n.pings.length} Pings` : ''})`);
+                    chatQueue.say(channel, `/me @${tags.username} Aktive Benachrichtigungen: ${msgParts.join(', ')}`);
+                }
+            } else if (['ping', 'unping', 'pings'].includes(typeArg)) {
+                await handleNotifyPing(channel, tags, typeArg, args.slice(1), prefix);
+            } else if (['template', 'vorlage', 'preview', 'vorschau'].includes(typeArg)) {
+                await handleNotifyTemplate(channel, tags, ['preview', 'vorschau'].includes(typeArg), args.slice(1), prefix);
+            } else {
+                if (!typeArg || !targetArg) {
+                    chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}notify <title|game|live|offline> <TwitchChannel> oder ${prefix}notify list`);
+                } else {
+                    const type = parseNotifyType(typeArg);
+
+                    if (!type) {
+                        chatQueue.say(channel, `/me @${tags.username} Ungültiger Typ. Bitte 'title', 'game', 'live' oder 'offline' verwenden.`);
+                    } else {
+                        try {
+                            const { clientId, token } = await tokens.getUserAuth();
+                            const targetId = await getTwitchUserId(targetArg, clientId, token);
+
+                            if (!targetId) {
+                                chatQueue.say(channel, `/me @${tags.username} Konnte Twitch-Kanal ${targetArg} nicht finden.`);
+                            } else {
+                                const exists = await storage.notifications.remove({ channel, targetId, type });
+
+                                if (exists) {
+                                    await releaseSubscription(type, targetId);
+                                    chatQueue.say(channel, `/me @${tags.username} Benachrichtigung für ${NOTIFY_TYPES[type].label} von ${targetArg} deaktiviert.`);
+                                } else {
+                                    const newNotif = {
+                                        channel,
+                                        targetChannel: targetArg,
+                                        targetId,
+                                        type,
+                                        subscription: NOTIFY_TYPES[type].subscription,
+                                        pings: [],
+                                        createdAt: Date.now()
+                                    };
+
+                                    await storage.notifications.create(newNotif);
+
+                                    // Fetch initial status to populate cache
+                                    if (!lastStreamStatus[targetId]) {
+                                        try {
+                                            const info = await getTwitchChannelsInfo([targetId], clientId, token);
+                                            if (info && info.length > 0) {
+                                                await recordStreamStatus(targetId, targetArg, {
+                                                    title: info[0].title || "",
+                                                    game: info[0].game_name || ""
+                                                });
+                                            } else {
+                                                lastStreamStatus[targetId] = { title: "", game: "" };
+                                            }
+                                        } catch (err) {
+                                            console.error("Fehler beim Abrufen des initialen Status für neue Notification:", err);
+                                        }
+                                    }
+
+                                    // Register EventSub subscription in real-time
+                                    await eventSub.ensure(newNotif.subscription, targetId);
+
+                                    chatQueue.say(channel, `/me @${tags.username} Benachrichtigung für ${NOTIFY_TYPES[type].label} von ${targetArg} aktiviert!`);
+                                }
+                            }
+                        } catch (e) {
+                            console.error("Fehler im notify-Command:", e);
+                            chatQueue.say(channel, `/me @${tags.username} Fehler beim Einrichten der Benachrichtigung: ${e.message}`);
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    commands.register({
+        name: 'unnotify',
+        usage: 'unnotify <title|game|live|offline> <TwitchChannel>',
+        description: 'Entfernt eine Benachrichtigung',
+        handler: async ({ channel, tags, args, prefix }) => {
+            const typeArg = args[0] ? args[0].toLowerCase() : null;
+            const targetArg = args[1] ? args[1].toLowerCase().replace('@', '') : null;
+
+            if (!typeArg || !targetArg) {
+                chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}unnotify <title|game|live|offline> <TwitchChannel>`);
+            } else {
+                const type = parseNotifyType(typeArg);
+
+                if (!type) {
+                    chatQueue.say(channel, `/me @${tags.username} Ungültiger Typ. Bitte 'title', 'game', 'live' oder 'offline' verwenden.`);
+                } else {
+                    try {
+                        const { clientId, token } = await tokens.getUserAuth();
+                        const targetId = await getTwitchUserId(targetArg, clientId, token);
+
+                        if (!targetId) {
+                            chatQueue.say(channel, `/me @${tags.username} Konnte Twitch-Kanal ${targetArg} nicht finden.`);
+                        } else {
+                            const exists = await storage.notifications.remove({ channel, targetId, type });
+
+                            if (exists) {
+                                await releaseSubscription(type, targetId);
+                                chatQueue.say(channel, `/me @${tags.username} Benachrichtigung für ${NOTIFY_TYPES[type].label} von ${targetArg} deaktiviert.`);
+                            } else {
+                                chatQueue.say(channel, `/me @${tags.username} Keine aktive Benachrichtigung für ${NOTIFY_TYPES[type].label} von ${targetArg} gefunden.`);
+                            }
+                        }
+                    } catch (e) {
+                        console.error("Fehler im unnotify-Command:", e);
+                        chatQueue.say(channel, `/me @${tags.username} Fehler beim Entfernen der Benachrichtigung: ${e.message}`);
+                    }
+                }
+            }
+        }
+    });
+
+    /**
+     * -titlehistory and -gamehistory: the last stored changes of a channel's title or category.
+     */
+    async function handleStreamHistory(channel, tags, args, prefix, field, command) {
+        const targetArg = args[0] ? args[0].toLowerCase().replace('@', '') : null;
+        if (!targetArg) {
+            chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}${command} <TwitchChannel>`);
+            return;
+        }
+
+        try {
+            const { clientId, token } = await tokens.getUserAuth();
+            const targetId = await getTwitchUserId(targetArg, clientId, token);
+            if (!targetId) {
+                chatQueue.say(channel, `/me @${tags.username} Konnte Twitch-Kanal ${targetArg} nicht finden.`);
+                return;
+            }
+
+            const changes = await storage.streamChanges.find({ targetId, field }, 5);
+            if (changes.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} Keine ${FIELDS[field]}-Änderungen von ${targetArg} gespeichert.`);
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} ${FIELDS[field]} von ${targetArg}: ${formatChanges(changes)}`.slice(0, 480));
+            }
+        } catch (e) {
+            console.error(`Fehler im ${command}-Command:`, e);
+            chatQueue.say(channel, `/me @${tags.username} Fehler beim Laden der Historie: ${e.message}`);
+        }
+    }
+
+    commands.register({
+        name: 'titlehistory',
+        aliases: ['titelhistory', 'titles'],
+        cooldown: 5,
+        usage: 'titlehistory <TwitchChannel>',
+        description: 'Zeigt die letzten Titel eines Kanals',
+        handler: async ({ channel, tags, args, prefix }) => handleStreamHistory(channel, tags, args, prefix, 'title', 'titlehistory')
+    });
+
+    commands.register({
+        name: 'gamehistory',
+        aliases: ['kategoriehistory', 'games'],
+        cooldown: 5,
+        usage: 'gamehistory <TwitchChannel>',
+        description: 'Zeigt die letzten Kategorien eines Kanals',
+        handler: async ({ channel, tags, args, prefix }) => handleStreamHistory(channel, tags, args, prefix, 'game', 'gamehistory')
+    });
+
+    commands.register({
+        name: 'eventsub',
+        permission: 'mod',
+        usage: 'eventsub [sync]',
+        description: 'Zeigt den Status der EventSub-Subscriptions, sync gleicht sie mit den Benachrichtigungen ab',
+        handler: async ({ channel, tags, args }) => {
+            let status = eventSub.status();
+            if ((args[0] || '').toLowerCase() === 'sync') {
+                if (!status.connected) {
+                    chatQueue.say(channel, `/me @${tags.username} EventSub ist nicht verbunden.`);
+                    return;
+                }
+                try {
+                    status = await eventSub.reconcile();
+                } catch (e) {
+                    console.error("[EventSub] Error during reconcile:", e);
+                    chatQueue.say(channel, `/me @${tags.username} Abgleich fehlgeschlagen: ${e.message}`);
+                    return;
+                }
+            }
+            chatQueue.say(channel, `/me @${tags.username} ${formatEventSubStatus(status)}`);
+        }
+    });
+
+    commands.register({
+        name: 'tiktok',
+        aliases: ['tt'],
+        feature: 'tiktok',
+        cooldown: { user: 30 },
+        usage: 'tiktok <Link>',
+        description: 'Spielt ein Tiktok im Overlay ab',
+        handler: async ({ channel, tags, args }) => {
+            const tiktokState = getTiktokState(channel);
+            if (!args[0]) {
+                chatQueue.say(channel, `/me @${tags.username} du musst einen Tiktok Link mitschicken`);
+                return;
+            }
+            let url = args[0];
+            if (url.includes('tiktok.com')) {
+                try {
+                    const res = await fetch(apiUrl('tikwm', `/api/?url=${encodeURIComponent(url)}`));
+                    const json = await res.json();
+
+                    if (json.code === 0 && json.data) {
+                        const playUrl = json.data.play;
+                        let duration = json.data.duration || 60; // default 60s
+
+                        tiktokState.queue.push({ url: playUrl, user: tags.username, duration: duration });
+                        if (!tiktokState.playing) {
+                            playNextTiktok(channel);
+                        } else {
+                            chatQueue.say(channel, `/me @${tags.username} Tiktok zur Warteschlange hinzugefügt (Position: ${tiktokState.queue.length})`);
+                        }
+                    } else {
+                        chatQueue.say(channel, `/me @${tags.username} Konnte das Tiktok nicht laden (vielleicht privat?).`);
+                    }
+                } catch (e) {
+                    chatQueue.say(channel, `/me @${tags.username} Fehler beim Laden des Tiktoks.`);
+                }
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} Das ist kein gültiger Tiktok Link`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'stoptt',
+        permission: 'mod',
+        usage: 'stoptt',
+        description: 'Stoppt das aktuelle Tiktok',
+        handler: async ({ channel, tags }) => {
+            chatQueue.say(channel, `/me Tiktok Overlay gestoppt by ${tags.username}`);
+            skipTiktok(channel);
+        }
+    });
+
+    commands.register({
+        name: 'prefix',
+        permission: 'mod',
+        usage: 'prefix',
+        description: 'Ändert den Prefix für diesen Channel',
+        handler: async ({ channel, tags, prefix }) => {
+            prefixChangeUsers[channel] = tags.username;
+            chatQueue.say(channel, `Nerd was willst du als prefix? aktuell hast du: ${prefix}`);
+        }
+    });
+
+    commands.register({
+        name: 'settings',
+        aliases: ['einstellungen'],
+        permission: 'mod',
+        usage: 'settings [show|set <key> <wert>|enable <cmd>|disable <cmd>|reset]',
+        description: 'Channel-Einstellungen',
+        handler: async ({ channel, tags, args, prefix, settings }) => {
+            const sub = args[0] ? args[0].toLowerCase() : null;
+
+            try {
+                if (!sub || sub === 'show') {
+                    chatQueue.say(channel, `/me @${tags.username} ${formatSettings(settings)}`);
+                    return;
+                }
+
+                let changed = "";
+                if (sub === 'set') {
+                    const setArgs = args.slice(2);
+                    // cooldown/permission take a command name, store it under the canonical name
+                    const target = ['cooldown', 'permission', 'rolle'].includes((args[1] || '').toLowerCase()) ? commands.find((setArgs[0] || '').replace(prefix, '')) : null;
+                    if (target) setArgs[0] = target.name;
+                    changed = setSetting(settings, args[1], setArgs);
+                    const event = (args[1] || '').toLowerCase() === 'event' ? (setArgs[0] || '').toLowerCase() : null;
+                    const blocker = event && eventConfig(settings, event).enabled
+                        ? eventBlocker(event, channelIds[channel.replace('#', '').toLowerCase()], settings.language)
+                        : null;
+                    if (blocker) changed += ` (${replyText(settings.language, 'eventNotSubscribed', { reason: blocker })})`;
+                } else if (sub === 'enable' || sub === 'disable') {
+                    const definition = commands.find((args[1] || '').replace(prefix, ''));
+                    if (!definition) throw new Error(replyText(settings.language, 'unknownCommand', { command: args[1] || '' }));
+                    setCommandEnabled(settings, definition.name, sub === 'enable');
+                    changed = replyText(settings.language, sub === 'enable' ? 'commandEnabled' : 'commandDisabled', { command: prefix + definition.name });
+                } else if (sub === 'reset') {
+                    channelSettings[channel.replace('#', '').toLowerCase()] = normalizeSettings();
+                    changed = replyText(settings.language, 'settingsReset');
+                } else {
+                    chatQueue.say(channel, `/me @${tags.username} ${replyText(settings.language, 'settingsUsage', { prefix })}`);
+                    return;
+                }
+
+                await saveChannelSettings(channel);
+                chatQueue.say(channel, `/me wideSpeedNod @${tags.username} ${changed}`);
+                if (sub === 'reset' || (args[1] || '').toLowerCase() === 'event') await syncChannelEvents(channel);
+            } catch (e) {
+                chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'trust',
+        permission: 'mod',
+        usage: 'trust <User>',
+        description: 'Fügt einen User zur Trusted-Liste des Channels hinzu',
+        handler: async ({ channel, tags, args, prefix, settings }) => {
+            if (!args[0]) {
+                chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}trust <User>`);
+                return;
+            }
+
+            const target = args[0].toLowerCase().replace('@', '');
+            if (!setUserTrusted(settings, target, true)) {
+                chatQueue.say(channel, `/me @${tags.username} ${target} ist schon trusted`);
+                return;
+            }
+            await saveChannelSettings(channel);
+            chatQueue.say(channel, `/me wideSpeedNod @${tags.username} ${target} ist jetzt trusted`);
+        }
+    });
+
+    commands.register({
+        name: 'untrust',
+        permission: 'mod',
+        usage: 'untrust <User>',
+        description: 'Entfernt einen User von der Trusted-Liste des Channels',
+        handler: async ({ channel, tags, args, prefix, settings }) => {
+            if (!args[0]) {
+                chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}untrust <User>`);
+                return;
+            }
+
+            const target = args[0].toLowerCase().replace('@', '');
+            if (!setUserTrusted(settings, target, false)) {
+                chatQueue.say(channel, `/me @${tags.username} ${target} ist nicht trusted`);
+                return;
+            }
+            await saveChannelSettings(channel);
+            chatQueue.say(channel, `/me wideSpeedNod @${tags.username} ${target} ist nicht mehr trusted`);
+        }
+    });
+
+    commands.register({
+        name: 'trusted',
+        permission: 'mod',
+        usage: 'trusted',
+        description: 'Zeigt die Trusted-Liste des Channels',
+        handler: async ({ channel, tags, settings }) => {
+            if (settings.trustedUsers.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} Niemand ist trusted in diesem Channel.`);
+                return;
+            }
+            chatQueue.say(channel, `/me @${tags.username} Trusted: ${settings.trustedUsers.join(', ')}`);
+        }
+    });
+
+    commands.register({
+        name: 'stop',
+        usage: 'stop',
+        description: 'Stoppt Spam, Pyramiden und Copy',
+        handler: async ({ channel }) => {
+            clearAllTimers();
+            chatQueue.purge(channel);
+            delete copyTargetUsers[channel];
+            chatQueue.say(channel, "bob bin schon leise");
+        }
+    });
+
+    commands.register({
+        name: 'copy',
+        permission: 'mod',
+        usage: 'copy <User>',
+        description: 'Wiederholt alles was der User schreibt',
+        handler: async ({ channel, tags, args }) => {
+            if (!args[0]) {
+                chatQueue.say(channel, "ome5");
+                return;
+            }
+            const target = args[0].toLowerCase().replace('@', '');
+            copyTargetUsers[channel] = target;
+            chatQueue.say(channel, `/me ome5`);
+        }
+    });
+
+    commands.register({
+        name: 'afk',
+        usage: 'afk [Grund]',
+        description: 'Meldet dich AFK',
+        handler: async ({ channel, tags, args, sender, emote }) => {
+            const reason = args.join(' ');
+            const startTime = Date.now();
+            afkUsers[sender] = { startTime: startTime, reason: reason };
+
+            // Save Persistence
+            if (!userStars[sender]) {
+                userStars[sender] = { balance: 0, lastClaim: 0 };
+            }
+            userStars[sender].afkStartTime = startTime;
+            userStars[sender].afkReason = reason;
+            saveStars(sender);
+
+            let msg = `/me ${emote} @${tags.username} ist jetzt AFK bye`;
+            if (reason) msg += ` | ${reason}`;
+            chatQueue.say(channel, msg);
+        }
+    });
+
+    commands.register({
+        name: 'rafk',
+        usage: 'rafk',
+        description: 'Setzt deinen letzten AFK Status fort (5 Minuten lang möglich)',
+        handler: async ({ channel, tags, sender, emote }) => {
+            if (afkUsers[sender]) {
+                chatQueue.say(channel, `/me @${tags.username} du bist doch schon AFK bob`);
+                return;
+            }
+            if (lastAfkUsers[sender]) {
+                const now = Date.now();
+                const returnTime = lastAfkUsers[sender].returnTime || 0;
+
+                // 5 Minute Window (5 * 60 * 1000 ms)
+                if (now - returnTime > 300000) {
+                    chatQueue.say(channel, `/me @${tags.username} Nerd die 5 Minuten sind um, du musst dich neu AFK stellen haher`);
+                    delete lastAfkUsers[sender];
+                    return;
+                }
+
+                afkUsers[sender] = {
+                    startTime: lastAfkUsers[sender].startTime,
+                    reason: lastAfkUsers[sender].reason
+                };
+                const reason = afkUsers[sender].reason;
+                let msg = `/me ${emote} @${tags.username} ist wieder AFK bye`;
+                if (reason) msg += ` | ${reason}`;
+                chatQueue.say(channel, msg);
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} Nerd du warst vorher nicht AFK`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'join',
+        permission: 'mod',
+        usage: 'join [Channel]',
+        description: 'Bot joint einem Channel',
+        handler: async ({ channel, tags, args }) => {
+            // Allow specifying a channel, otherwise join the user's channel
+            let target = args[0] ? args[0].toLowerCase() : tags.username.toLowerCase();
+            if (target.startsWith('#')) target = target.slice(1);
+
+            try {
+                // 1. Fetch Key Info
+                const { clientId, token } = await tokens.getUserAuth();
+                // We need ID for DB
+                const userId = await getTwitchUserId(target, clientId, token);
+
+                if (!userId) {
+                    chatQueue.say(channel, `/me Konnte ID für ${target} nicht finden.`);
+                    return;
+                }
+
+                // 2. Perform Join first to ensure it works
+                await client.join(target);
+                chatQueue.say(channel, `/me Joined ${target}`);
+
+                // 3. PERSISTENCE
+                // Add to monitoredChannels list
+                if (!monitoredChannels.includes(target)) {
+                    monitoredChannels.push(target);
+                }
+
+                await storage.channels.upsert(target, { id: userId, joinedAt: Date.now() });
+                console.log(`[Storage] Channel ${target} gespeichert.`);
+
+                // Refresh Emotes for new channel
+                await refreshEmotes();
+            } catch (e) {
+                console.error("Join Error:", e);
+                chatQueue.say(channel, `/me Fehler beim Joinen: ${e.message}`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'refresh',
+        aliases: ['refreshemotes'],
+        permission: 'mod',
+        cooldown: { global: 60 },
+        usage: 'refresh',
+        description: 'Lädt die Emotes (7TV, BTTV, FFZ) neu',
+        handler: async ({ channel, tags }) => {
+            await refreshEmotes();
+            chatQueue.say(channel, `/me wideSpeedNod Emotes (7TV, BTTV, FFZ) wurden aktualisiert!`);
+        }
+    });
+
+    commands.register({
+        name: 'part',
+        aliases: ['leave'],
+        permission: 'mod',
+        usage: 'part [Channel]',
+        description: 'Bot verlässt einen Channel',
+        handler: async ({ channel, tags, args }) => {
+            let target = args[0] ? args[0].toLowerCase() : channel.replace('#', '').toLowerCase();
+            if (target.startsWith('#')) target = target.slice(1);
+
+            try {
+                // 1. Leave
+                await client.part(target);
+                if (channel.replace('#', '').toLowerCase() !== target) {
+                    chatQueue.say(channel, `/me Left ${target}`);
+                }
+
+                monitoredChannels = monitoredChannels.filter(c => c !== target);
+                delete channelSettings[target];
+
+                await storage.channels.remove(target);
+                console.log(`[Storage] Channel ${target} entfernt.`);
+            } catch (e) {
+                console.error("Part Error:", e);
+                chatQueue.say(channel, `/me Fehler beim Leaven: ${e.message}`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'spam',
+        cooldown: { user: 60, channel: 15 },
+        usage: 'spam <1-50> <Text>',
+        description: 'Spammt einen Text',
+        handler: async ({ channel, args }) => {
+            const count = parseInt(args[0]);
+            const textToSpam = args.slice(1).join(' ');
+
+            if (isNaN(count) || count < 1 || count > 50) {
+                chatQueue.say(channel, '/me Nerd es geht nur von 1-50');
+                return;
+            }
+
+            if (!textToSpam) {
+                chatQueue.say(channel, '/me bob was soll ich spammen');
+                return;
+            }
+
+            // The chat queue paces these, -stop purges whatever is still queued
+            for (let i = 0; i < count; i++) {
+                chatQueue.say(channel, textToSpam, 'bulk');
+            }
+        }
+    });
+
+    commands.register({
+        name: 'star',
+        usage: 'star',
+        description: 'Hol dir jede Stunde Stars',
+        handler: async ({ channel, tags }) => {
+            const user = tags.username.toLowerCase();
+            const now = Date.now();
+            const cooldown = 3600000; // 1 Hour
+
+            if (!userStars[user]) {
+                // First Time
+                userStars[user] = {
+                    balance: 0,
+                    lastClaim: 0,
+                    level: 0,
+                    investedStars: 0,
+                    nextLevelCost: 670,
+                    lastChannel: channel
+                };
+            }
+
+            const lastClaim = userStars[user].lastClaim;
+            if (now - lastClaim < cooldown) {
+                const minutesLeft = Math.ceil((cooldown - (now - lastClaim)) / 60000);
+                chatQueue.say(channel, `/me @${tags.username}, Nerd warte noch ${minutesLeft} minuten (balance: ${formatPoints(userStars[user].balance)} Star )`);
+                return;
+            }
+
+            // Calculate Reward
+            let reward = Math.floor(Math.random() * (677 - 67 + 1)) + 67;
+            let isFirst = false;
+
+            if (userStars[user].lastClaim === 0) {
+                isFirst = true;
+                reward += 676; // Bonus
+            }
+
+            userStars[user].lastChannel = channel; // Store last used channel
+            if (isFirst) {
+                await changeBalance(user, reward - 676, { reason: 'claim', channel });
+                await changeBalance(user, 676, { reason: 'bonus', channel });
+            } else {
+                await changeBalance(user, reward, { reason: 'claim', channel });
+            }
+            userStars[user].lastClaim = now;
+            userStars[user].reminded = false; // Reset reminder flag
+            saveStars(user);
+
+            if (isFirst) {
+                chatQueue.say(channel, `/me qq @${tags.username} da du das erste mal hier bist bekommst du ein bonus JUHU , (${formatPoints(reward - 676)} + 676 bonus) dein aktueller Star betrag ist ${formatPoints(userStars[user].balance)} Star`);
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} du hast ${formatPoints(reward)} Star bekommen Top total: ${formatPoints(userStars[user].balance)} Star `);
+            }
+
+            // Set Reminder
+            scheduleStarReminder(user, cooldown, channel);
+        }
+    });
+
+    commands.register({
+        name: 'kredit',
+        aliases: ['loan'],
+        usage: 'kredit',
+        description: 'Nimmt einen Kredit auf (6 Stunden, 10% Zinsen pro Stunde)',
+        handler: async ({ channel, tags }) => {
+            const user = tags.username.toLowerCase();
+            // Random amount between 67 and 676,767,676,767
+            const minCredit = 67;
+            const maxCredit = 676767676767;
+            const amount = Math.floor(Math.random() * (maxCredit - minCredit + 1)) + minCredit;
+
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, loanAmount: 0, loanDueDate: 0, repaymentFailures: 0 };
+            }
+
+            if (userStars[user].loanAmount > 0) {
+                chatQueue.say(channel, `/me @${tags.username} Du hast noch einen offenen Kredit von ${formatPoints(userStars[user].loanAmount)} Star`);
+                return;
+            }
+
+            // Grant Loan
+            const duration = 6 * 60 * 60 * 1000; // 6 Hours
+
+            userStars[user].lastChannel = channel;
+            await changeBalance(user, amount, { reason: 'loan', channel });
+            userStars[user].loanAmount = amount; // Start with principal. Interest added hourly.
+            userStars[user].loanDueDate = Date.now() + duration;
+            userStars[user].lastInterestTime = Date.now();
+            userStars[user].repaymentFailures = 0;
+
+            saveStars(user);
+            chatQueue.say(channel, `/me @${tags.username} Kredit von ${formatPoints(amount)} Star gewährt! Rückzahlung innerhalb von 6 Stunden. 10% Zinsen pro Stunde.`);
+        }
+    });
+
+    commands.register({
+        name: 'repay',
+        aliases: ['payback'],
+        usage: 'repay',
+        description: 'Zahlt deinen Kredit zurück',
+        handler: async ({ channel, tags }) => {
+            const user = tags.username.toLowerCase();
+
+            if (!userStars[user] || !userStars[user].loanAmount || userStars[user].loanAmount <= 0) {
+                chatQueue.say(channel, `/me @${tags.username} Du hast keine offenen Schulden.`);
+                return;
+            }
+
+            const debt = userStars[user].loanAmount;
+            const balance = userStars[user].balance;
+
+            // Allow partial repayment? No, typically full repayment or whatever they can pay.
+            // Let's just try to pay all.
+
+            if (balance >= debt) {
+                // Successful Repayment BUT Timeout Punishment
+                const repaid = await changeBalance(user, -debt, { reason: 'repay', channel });
+                if (!repaid.ok) {
+                    chatQueue.say(channel, `/me @${tags.username} Du hast nicht genug Star um ${formatPoints(debt)} Star zurückzuzahlen.`);
+                    return;
+                }
+                userStars[user].loanAmount = 0;
+                userStars[user].loanDueDate = 0;
+                userStars[user].repaymentFailures = 0;
+                saveStars(user);
+
+                const penaltyTimeout = 1200; // 20 Minutes
+
+                // Use Helix Timeout if possible
+                const channelName = channel.replace('#', '').toLowerCase();
+                const broadcasterId = channelIds[channelName];
+                const targetId = tags['user-id'];
+
+                if (broadcasterId && botUserId && targetId) {
+                    try {
+                        const { clientId, token } = await tokens.getUserAuth();
+                        await helixTimeout(broadcasterId, botUserId, targetId, penaltyTimeout, "Loan Repayment Penalty", clientId, token);
+                        chatQueue.say(channel, `/me @${tags.username} Kredit vollständig zurückgezahlt! Danke. Aber hier sind 20 Minuten Auszeit für dich haher`);
+                    } catch (err) {
+                        console.error("Helix Timeout failed:", err);
+                        // Fallback
+                        chatQueue.say(channel, `/timeout @${user} ${penaltyTimeout} kredit zurückgezahlt aber trotzdem`);
+                        chatQueue.say(channel, `/me @${tags.username} Kredit vollständig zurückgezahlt! Danke. Aber hier sind 20 Minuten Auszeit für dich haher`);
+                    }
+                } else {
+                    if (client.readyState() === 'OPEN') {
+                        chatQueue.say(channel, `/timeout @${user} ${penaltyTimeout} kredit zurückgezahlt aber trotzdem`);
+                        chatQueue.say(channel, `/me @${tags.username} Kredit vollständig zurückgezahlt! Danke. Aber hier sind 20 Minuten Auszeit für dich haher`);
+                    }
+                }
+            } else {
+                // Not enough money -> TIMEOUT TRAP!
+                // Random duration: 1 to 33 minutes (60s to 1980s)
+                const minSec = 60;
+                const maxSec = 33 * 60;
+                const timeoutDuration = Math.floor(Math.random() * (maxSec - minSec + 1)) + minSec;
+
+                const channelName = channel.replace('#', '').toLowerCase();
+                const broadcasterId = channelIds[channelName];
+                const targetId = tags['user-id'];
+
+                if (broadcasterId && botUserId && targetId) {
+                    try {
+                        const { clientId, token } = await tokens.getUserAuth();
+                        await helixTimeout(broadcasterId, botUserId, targetId, timeoutDuration, "Loan Trap Penalty", clientId, token);
+                        chatQueue.say(channel, `/me @${user} hat nicht genug Geld für die Rückzahlung und wurde für ${timeoutDuration} Sekunden timeoutet! Kredit läuft weiter.`);
+                    } catch (err) {
+                        console.error("Helix Timeout failed (Trap):", err);
+                        chatQueue.say(channel, `/timeout @${user} ${timeoutDuration} zu wenig geld opfer`);
+                        chatQueue.say(channel, `/me @${user} hat nicht genug Geld für die Rückzahlung und wurde für ${timeoutDuration} Sekunden timeoutet! Kredit läuft weiter.`);
+                    }
+                } else {
+                    if (client.readyState() === 'OPEN') {
+                        chatQueue.say(channel, `/timeout @${user} ${timeoutDuration} zu wenig geld opfer`);
+                        chatQueue.say(channel, `/me @${user} hat nicht genug Geld für die Rückzahlung und wurde für ${timeoutDuration} Sekunden timeoutet! Kredit läuft weiter.`);
+                    }
+                }
+            }
+        }
+    });
+
+    commands.register({
+        name: 'hug',
+        cooldown: 10,
+        usage: 'hug',
+        description: 'Umarmt einen zufälligen Viewer',
+        handler: async ({ channel, tags }) => {
+            let users = await getViewers(channel);
+
+            // Fallback to active chatters if API fails or returns empty
+            if (!users || users.length === 0) {
+                users = Array.from(activeChatUsers);
+            }
+
+            const otherUsers = users.filter(u => u.toLowerCase() !== tags.username.toLowerCase());
+
+            let targetUser = tags.username;
+            if (otherUsers.length > 0) {
+                targetUser = otherUsers[Math.floor(Math.random() * otherUsers.length)];
+            }
+
+            chatQueue.say(channel, `/me @${tags.username} umarmt @${targetUser} hugg`);
+        }
+    });
+
+    commands.register({
+        name: 'suche',
+        aliases: ['guess'],
+        cooldown: { user: 10, channel: 3 },
+        usage: 'suche <Tipps>',
+        description: 'Sucht passende Emotes, z.B. 14 2=c oder hat 7 Buchstaben',
+        handler: async ({ channel, args }) => {
+            const currentEmotes = channelEmotes[channel] || [];
+
+            if (currentEmotes.length === 0) {
+                // Try refresh if globally empty or just locally?
+                // Let's refresh if empty
+                await refreshEmotes();
+                if ((channelEmotes[channel] || []).length === 0) {
+                    chatQueue.say(channel, "eeeh lwk gibts hier keine emotes, guck mal ob du 7tv hast");
+                    return;
+                }
+            }
+
+            const activeEmotes = channelEmotes[channel] || [];
+            if (activeEmotes.length === 0) {
+                chatQueue.say(channel, "keine emotes gefunden für diesen channel");
+                return;
+            }
+
+            const hintText = args.join(' ');
+            if (!hintText.trim()) return;
+
+            const filters = parseHint(hintText);
+
+            if (filters.length === 0) {
+                chatQueue.say(channel, "peepoConfused ich verstehe nichts, try so '14 2=c' oder 'hat 7 buchstaben'");
+                return;
+            }
+
+            // Filter emotes
+            const matches = activeEmotes.filter(name => {
+                return filters.every(f => f(name));
+            });
+
+            if (!matches.length) {
+                chatQueue.say(channel, "lol hab nichts gefunden");
+            } else if (matches.length > 20) {
+                let chunk = [];
+                for (const emote of matches) {
+                    chunk.push(emote);
+                    if (chunk.length >= 25) {
+                        chatQueue.say(channel, `Nerd das kanns sein: ${chunk.join(' , ')}`);
+                        chunk = [];
+                    }
+                }
+                if (chunk.length > 0) {
+                    chatQueue.say(channel, `Nerd das kanns sein: ${chunk.join(' , ')}`);
+                }
+            } else {
+                chatQueue.say(channel, `Nerd das kanns sein: ${matches.join(" , ")}`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'raten',
+        aliases: ['emoteraten'],
+        feature: 'emotegame',
+        usage: 'raten [stop|history|streak]',
+        description: 'Emote raten, das Emote einfach in den Chat schreiben',
+        handler: async ({ channel, tags, args, level, settings }) => {
+            const sub = args[0] ? args[0].toLowerCase() : null;
+            const round = activeEmoteRounds[channel];
+
+            if (sub === 'stop') {
+                if (!hasLevel(level, 'mod')) {
+                    chatQueue.say(channel, formatDenial(tags.username, 'mod', settings.language));
+                    return;
+                }
+                if (!round) {
+                    chatQueue.say(channel, `/me @${tags.username} es läuft gerade keine Runde`);
+                    return;
+                }
+                endEmoteRound(channel, null);
+                return;
+            }
+
+            if (sub === 'history' || sub === 'verlauf') {
+                const history = (emoteRoundHistory[channel] || []).slice(0, 5);
+                if (history.length === 0) {
+                    chatQueue.say(channel, `/me @${tags.username} Noch keine Runden gespielt.`);
+                    return;
+                }
+                const entries = history.map(h => h.winner ? `${h.emote} (${h.winner}, ${h.hints} Tipps)` : `${h.emote} (niemand)`);
+                chatQueue.say(channel, `/me @${tags.username} Letzte Runden: ${entries.join(' | ')}`);
+                return;
+            }
+
+            if (sub === 'streak') {
+                const streak = emoteRoundStreaks[channel];
+                if (!streak || (!streak.count && !streak.best)) {
+                    chatQueue.say(channel, `/me @${tags.username} Noch keine Streak in diesem Channel.`);
+                    return;
+                }
+                let msg = `/me @${tags.username}`;
+                if (streak.count > 0) msg += ` Aktuelle Streak: ${streak.user} (${streak.count}) |`;
+                msg += ` Beste Streak: ${streak.bestUser} (${streak.best})`;
+                chatQueue.say(channel, msg);
+                return;
+            }
+
+            if (round) {
+                chatQueue.say(channel, `/me @${tags.username} es läuft schon eine Runde wideSpeedNod ${emoteGame.formatHintText(round)}`);
+                return;
+            }
+
+            if ((channelEmotes[channel] || []).length === 0) {
+                chatQueue.say(channel, "eeeh lwk gibts hier keine emotes, guck mal ob du 7tv hast");
+                return;
+            }
+
+            startEmoteRound(channel);
+        }
+    });
+
+    commands.register({
+        name: 'gamba',
+        cooldown: 5,
+        usage: 'gamba <Menge|all|half|%>',
+        description: 'Slot Machine',
+        handler: async ({ channel, tags, args, prefix }) => {
+            const user = tags.username.toLowerCase();
+            const amountStr = args[0];
+
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+            }
+            userStars[user].lastChannel = channel;
+
+            // Cooldown Check removed
+
+            const balance = userStars[user].balance;
+
+            if (!amountStr) {
+                chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}gamba <Menge> oder 'all'`);
+                return;
+            }
+
+            let betAmount = 0;
+            if (amountStr.toLowerCase() === 'all') {
+                betAmount = balance;
+            } else if (amountStr.toLowerCase() === 'half' || amountStr.toLowerCase() === 'hälfte') {
+                betAmount = Math.floor(balance / 2);
+            } else if (amountStr.endsWith('%')) {
+                const percentage = parseInt(amountStr.slice(0, -1));
+                if (!isNaN(percentage) && percentage > 0 && percentage <= 100) {
+                    betAmount = Math.ceil(balance * (percentage / 100));
+                }
+            } else {
+                betAmount = parseInt(amountStr);
+            }
+
+            if (isNaN(betAmount) || betAmount <= 0) {
+                chatQueue.say(channel, `/me @${tags.username} Ungültiger Einsatz bob `);
+                return;
+            }
+
+            if (betAmount > balance) {
+                chatQueue.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(balance)} Star`);
+                return;
+            }
+
+
+            const currentEmotes = channelEmotes[channel] || [];
+            if (currentEmotes.length < 3) {
+                chatQueue.say(channel, `/me @${tags.username} Um keine emotes für gamba`);
+                return;
+            }
+
+            // Game Logic
+            // 1% Jackpot (Triple)
+            // 67% Win (Double)
+            // 16% Near Miss (Loss)
+            // 16% Loss
+
+            const roll = Math.random() * 100; // 0 - 100
+            let resultSlots = [];
+            let outcome = ""; // win, jackpot, loss
+
+            // Pick a set of 3 distinct symbols for the reels to choose from
+            let reelSymbols = [];
+            while (reelSymbols.length < 3) {
+                const r = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                if (!reelSymbols.includes(r)) reelSymbols.push(r);
+            }
+
+            if (roll < 1) {
+                // Jackpot 1%
+                outcome = "jackpot";
+                const s = reelSymbols[0];
+                resultSlots = [s, s, s];
+            } else if (roll < 68) {
+                // Win 67% (1 to 68)
+                outcome = "win";
+                const s = reelSymbols[0];
+                resultSlots = [s, s, s];
+            } else if (roll < 84) {
+                // 16% (68 to 84) -> 2 Same
+                outcome = "loss"; // Near miss is a loss
+                // [A, A, B] shuffled
+                const s1 = reelSymbols[0];
+                const s2 = reelSymbols[1];
+                resultSlots = [s1, s1, s2];
+                resultSlots.sort(() => Math.random() - 0.5);
+            } else {
+                // 16% (84 to 100) -> 3 Diff
+                outcome = "loss";
+                resultSlots = reelSymbols;
+                resultSlots.sort(() => Math.random() - 0.5);
+            }
+
+            // Bet and payout are one atomic change of the net result (jackpot pays 3x, win 2x the bet),
+            // so a failed write can't take the bet without the win. The cached balance may be outdated.
+            const net = outcome === "jackpot" ? betAmount * 2 : outcome === "win" ? betAmount : -betAmount;
+            const result = await changeBalance(user, net, { reason: net > 0 ? 'win' : 'bet', game: 'gamba', channel }, { stake: betAmount });
+            if (!result.ok) {
+                chatQueue.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(result.balance)} Star`);
+                return;
+            }
+
+            if (outcome === "jackpot") {
+                saveStars(user);
+                chatQueue.say(channel, `/me [ ${resultSlots.join(' | ')} ] - @${tags.username} HeCrazy JACKPOT HeCrazy  VERDREIFACHT HeCrazy balance: ${formatPoints(userStars[user].balance)} Star`);
+            } else if (outcome === "win") {
+                saveStars(user);
+                chatQueue.say(channel, `/me [ ${resultSlots.join(' | ')} ] - @${tags.username} ALTA gewonnen, aktuelle balance: ${formatPoints(userStars[user].balance)} Star`);
+            } else {
+                saveStars(user);
+                chatQueue.say(channel, `/me [ ${resultSlots.join(' | ')} ] - @${tags.username} eww verloren, aktuelle balance: ${formatPoints(userStars[user].balance)} Star`);
+            }
+
+        }
+    });
+
+    commands.register({
+        name: 'zahl',
+        cooldown: 5,
+        usage: 'zahl <Menge>',
+        description: 'Gerade oder ungerade?',
+        handler: async ({ channel, tags, args, emote, prefix }) => {
+            const user = tags.username.toLowerCase();
+            const input = args[0]; // Can be amount (start) or choice (finish)
+
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+            }
+            userStars[user].lastChannel = channel;
+
+            // Scenario 1: User has an active game and is guessing
+            if (activeGuessGames[user]) {
+                if (!input) {
+                    chatQueue.say(channel, `/me stop @${tags.username} du hast ein spiel offen! Sag "ungerade" oder "gerade" wideSpeedNod`);
+                    return;
+                }
+
+                const choice = input.toLowerCase();
+                let betsOnOdd = false;
+                if (['ungerade', 'odd'].includes(choice)) {
+                    betsOnOdd = true;
+                } else if (['gerade', 'even'].includes(choice)) {
+                    betsOnOdd = false;
+                } else {
+                    chatQueue.say(channel, `/me @${tags.username} bitte "ungerade" oder "gerade" wählen ${emote}`);
+                    return;
+                }
+
+                const game = activeGuessGames[user];
+                delete activeGuessGames[user]; // Before awaiting, a second guess must not win twice
+                const isOdd = game.number % 2 !== 0;
+                const win = (betsOnOdd && isOdd) || (!betsOnOdd && !isOdd);
+
+                if (win) {
+                    if (!await payOutGuessGame(user, game, channel, tags.username)) return;
+                    saveStars(user);
+                    chatQueue.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - JUHU gewonnen! +${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[user].balance)} Star`);
+                } else {
+                    // Bet is already gone
+                    saveStars(user);
+                    chatQueue.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - ohno verloren. -${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[user].balance)} Star`);
+                }
+                return;
+            }
+
+            // Scenario 2: Start new game
+            if (!input) {
+                chatQueue.say(channel, `/me Nerd @${tags.username} Nutzung: ${prefix}zahl <Menge>`);
+                return;
+            }
+
+            const balance = userStars[user].balance;
+            let betAmount = 0;
+
+            if (input.toLowerCase() === 'all') {
+                betAmount = balance;
+            } else if (input.toLowerCase() === 'half' || input.toLowerCase() === 'hälfte') {
+                betAmount = Math.floor(balance / 2);
+            } else if (input.endsWith('%')) {
+                const percentage = parseInt(input.slice(0, -1));
+                if (!isNaN(percentage) && percentage > 0 && percentage <= 100) {
+                    betAmount = Math.ceil(balance * (percentage / 100));
+                }
+            } else {
+                betAmount = parseInt(input);
+            }
+
+            if (isNaN(betAmount) || betAmount <= 0) {
+                chatQueue.say(channel, `/me @${tags.username} Ungültiger Einsatz bob`);
+                return;
+            }
+
+            if (betAmount > balance) {
+                chatQueue.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(balance)} Star`);
+                return;
+            }
+
+            // Deduct bet immediately
+            const bet = await changeBalance(user, -betAmount, { reason: 'bet', game: 'zahl', channel });
+            if (!bet.ok) {
+                chatQueue.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(bet.balance)} Star`);
+                return;
+            }
+            saveStars(user);
+
+            // Store State
+            activeGuessGames[user] = {
+                number: Math.floor(Math.random() * 68),
+                bet: betAmount,
+                timestamp: Date.now()
+            };
+
+            chatQueue.say(channel, `/me @${tags.username} Spiel gestartet wideSpeedNod Einsatz: ${formatPoints(betAmount)} Star Ist die Zahl "gerade" oder "ungerade"? Hmm`);
+        }
+    });
+
+    commands.register({
+        name: 'bj',
+        aliases: ['blackjack'],
+        cooldown: 5,
+        usage: 'bj <Menge|all|half|%>',
+        description: 'Blackjack',
+        handler: async ({ channel, tags, args, prefix }) => {
+            const user = tags.username.toLowerCase();
+
+            if (activeBlackjackGames[user]) {
+                chatQueue.say(channel, `/me @${tags.username} du hast schon ein spiel offen ADHD schreib '${prefix}hit' oder '${prefix}stand' wideSpeedNod `);
+                return;
+            }
+
+            const amountStr = args[0];
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+            }
+            userStars[user].lastChannel = channel;
+            const balance = userStars[user].balance;
+
+            if (!amountStr) {
+                chatQueue.say(channel, `/me @${tags.username} Nerd Nutzung: ${prefix}bj <Menge> oder 'all'`);
+                return;
+            }
+
+            let betAmount = 0;
+            if (amountStr.toLowerCase() === 'all') {
+                betAmount = balance;
+            } else if (amountStr.toLowerCase() === 'half' || amountStr.toLowerCase() === 'hälfte') {
+                betAmount = Math.floor(balance / 2);
+            } else if (amountStr.endsWith('%')) {
+                const percentage = parseInt(amountStr.slice(0, -1));
+                if (!isNaN(percentage) && percentage > 0 && percentage <= 100) {
+                    betAmount = Math.ceil(balance * (percentage / 100));
+                }
+            } else {
+                betAmount = parseInt(amountStr);
+            }
+
+            if (isNaN(betAmount) || betAmount <= 0) {
+                chatQueue.say(channel, `/me @${tags.username} Ungültiger Einsatz bob `);
+                return;
+            }
+
+            if (betAmount > balance) {
+                chatQueue.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(balance)} Star`);
+                return;
+            }
+
+            const deck = getDeck();
+            const pHand = [deck.pop(), deck.pop()];
+            const dHand = [deck.pop(), deck.pop()];
+            const pVal = getHandValue(pHand);
+
+            // Check Natural Blackjack, it is settled in one step: a push keeps the bet, a win pays 1.5x
+            if (pVal === 21) {
+                const push = getHandValue(dHand) === 21;
+                const net = push ? 0 : Math.ceil(betAmount * 1.5);
+                const result = await changeBalance(user, net, { reason: 'win', game: 'bj', channel }, { stake: betAmount });
+                if (!result.ok) {
+                    chatQueue.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(result.balance)} Star`);
+                    return;
+                }
+                saveStars(user);
+                if (push) {
+                    chatQueue.say(channel, `/me wideSpeedNod @${tags.username} blackjack push du: [${formatHand(pHand)}] dealer: [${formatHand(dHand)}], balance: ${formatPoints(userStars[user].balance)} Star`);
+                } else {
+                    chatQueue.say(channel, `/me wideSpeedNod @${tags.username} BLACKJACK du: [${formatHand(pHand)}] dealer: [${formatHand(dHand)}], Gewinn: ${formatPoints(net)} balance: ${formatPoints(userStars[user].balance)} Star`);
+                }
+                return;
+            }
+
+            // Deduct bet, it stays in the game until stand pays it out
+            const bet = await changeBalance(user, -betAmount, { reason: 'bet', game: 'bj', channel });
+            if (!bet.ok) {
+                chatQueue.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(bet.balance)} Star`);
+                return;
+            }
+            saveStars(user);
+
+            activeBlackjackGames[user] = {
+                deck: deck,
+                pHand: pHand,
+                dHand: dHand,
+                bet: betAmount,
+                ts: Date.now()
+            };
+
+            chatQueue.say(channel, `/me wideSpeedNod @${tags.username} blackjack gestartet, einsatz: ${formatPoints(betAmount)}, deine hand: [ ${formatHand(pHand)} ] (${pVal}) | dealer: [ ${dHand[0].value}${dHand[0].suit} ? ] , hit oder stand? Hmmm `);
+        }
+    });
+
+    commands.register({
+        name: 'remindme',
+        usage: 'remindme [whisper|anywhere] [Zeit] [Text]',
+        description: 'Erinnert dich selbst (10m, morgen 9uhr, heute abend, next friday, tomorrow at 5pm)',
+        handler: async ({ channel, tags, args, level }) => {
+            await handleSelfReminder(channel, tags, args, level);
+        }
+    });
+
+    const MAX_REMINDER_TARGETS = 10;
+
+    commands.register({
+        name: 'remind',
+        usage: 'remind <User[,User2,...]> [whisper|anywhere] [Zeit] [Text] | remind edit <ID> [Zeit] [Text]',
+        description: 'Erinnert User, auch wiederholt (jeden tag 9uhr, every monday 18:00, alle 2h, cron 0 9 * * 1-5), per Whisper oder im nächsten Chat in dem sie schreiben',
+        handler: async ({ channel, tags, args, prefix, sender, level }) => {
+            const target = args[0];
+            if (!target) {
+                chatQueue.say(channel, `/me @${tags.username} ermm wen erinnern? Nerd Nutzung: ${prefix}remind User [Zeit] Text`);
+                return;
+            }
+
+            if (target.toLowerCase() === 'me') {
+                await handleSelfReminder(channel, tags, args.slice(1), level);
+                return;
+            }
+
+            if (target.toLowerCase() === 'edit') {
+                await editReminder(channel, tags, args.slice(1), { prefix, sender, level });
+                return;
+            }
+
+            const targets = [];
+            for (const name of target.split(',')) {
+                const clean = name.replace('@', '').trim();
+                const targetUser = clean.toLowerCase() === 'me' ? tags.username : clean;
+                if (targetUser && !targets.some(t => t.toLowerCase() === targetUser.toLowerCase())) targets.push(targetUser);
+            }
+            if (targets.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} ermm wen erinnern? Nerd Nutzung: ${prefix}remind User [Zeit] Text`);
+                return;
+            }
+            if (targets.length > MAX_REMINDER_TARGETS) {
+                chatQueue.say(channel, `/me @${tags.username} höchstens ${MAX_REMINDER_TARGETS} User auf einmal Nerd`);
+                return;
+            }
+
+            const { delivery, args: timeArgs } = parseDelivery(args.slice(1));
+            const timeZone = userTimeZone(tags.username);
+            let parsed;
+            try {
+                parsed = parseReminderTime(timeArgs, { timeZone });
+                checkDelivery(delivery, parsed);
+            } catch (e) {
+                chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+                return;
+            }
+            let dueAt = 0;
+            let reminderMsg = "";
+
+            if (!parsed) {
+                // No time found, treat everything after target as message
+                let potentialMsg = timeArgs.join(' ');
+
+                if (potentialMsg.trim().length === 0) {
+                    // Empty message -> Random Emote
+                    const currentEmotes = channelEmotes[channel] || [];
+                    if (currentEmotes.length > 0) {
+                        potentialMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                    } else {
+                        potentialMsg = "lass uns eine skybase bauen wideSpeedNod ";
+                    }
+                }
+
+                dueAt = 0; // On Message
+                reminderMsg = potentialMsg;
+            } else {
+                dueAt = parsed.dueAt;
+                reminderMsg = parsed.message;
+
+                if (!reminderMsg || reminderMsg.trim() === "") {
+                    const currentEmotes = channelEmotes[channel] || [];
+                    if (currentEmotes.length > 0) {
+                        reminderMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                    } else {
+                        reminderMsg = " wideSpeedNod ich öffne die augen und beginne den tag";
+                    }
+                }
+            }
+
+            const checked = await checkNewReminders(channel, tags, { message: reminderMsg, targets, level });
+            if (!checked) return;
+            reminderMsg = checked.message;
+
+            // One reminder per target, so each can be listed, edited and deleted on its own
+            const created = [];
+            for (const targetUser of checked.targets) {
+                const reminderData = {
+                    targetUser,
+                    sourceUser: tags.username,
+                    message: reminderMsg,
+                    dueAt: dueAt,
+                    recurrence: parsed ? parsed.recurrence : null,
+                    timeZone,
+                    delivery,
+                    channel: channel,
+                    shortId: nextReminderId(),
+                    createdAt: Date.now()
+                };
+                await storage.reminders.create(reminderData);
+                created.push(reminderData);
+            }
+            reminderScheduler.schedule(dueAt);
+
+            const ids = created.length === 1 ? `ID ${created[0].shortId}` : `IDs ${created.map(r => r.shortId).join(', ')}`;
+            const refused = checked.blocked.length > 0 ? ` | ${checked.blocked.join(', ')} will keine Reminder von dir` : '';
+            chatQueue.say(channel, `/me @${tags.username} Noted ich erinnere ${checked.targets.join(', ')}${formatDelivery(delivery)} ${formatSchedule(created[0], timeZone)} " ${reminderMsg} " (${ids})${refused}`);
+        }
+    });
+
+    // Creator, target and mods may change or delete a reminder
+    function canManageReminder(reminder, sender, level) {
+        return reminder.sourceUser.toLowerCase() === sender || reminder.targetUser.toLowerCase() === sender || hasLevel(level, 'mod');
+    }
+
+    async function findManagedReminder(channel, tags, idArg, { sender, level }) {
+        const shortId = (idArg || '').replace('#', '');
+        const reminder = shortId ? await storage.reminders.findByShortId(shortId) : null;
+        if (!reminder) {
+            chatQueue.say(channel, `/me @${tags.username} Reminder ${idArg || ''} gibt es nicht Nerd`);
+            return null;
+        }
+        if (!canManageReminder(reminder, sender, level)) {
+            chatQueue.say(channel, `/me @${tags.username} das ist nicht dein Reminder Nerd`);
+            return null;
+        }
+        return reminder;
+    }
+
+    // -remind edit <ID> [Zeit] [Text], changes only what is given
+    async function editReminder(channel, tags, args, { prefix, sender, level }) {
+        if (args.length < 2) {
+            chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}remind edit <ID> [Zeit] [Text]`);
+            return;
+        }
+
+        const reminder = await findManagedReminder(channel, tags, args[0], { sender, level });
+        if (!reminder) return;
+
+        const timeZone = userTimeZone(tags.username);
+        let parsed;
+        try {
+            parsed = parseReminderTime(args.slice(1), { timeZone });
+            checkDelivery(reminder.delivery, parsed);
+        } catch (e) {
+            chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+            return;
+        }
+        const fields = parsed
+            ? { dueAt: parsed.dueAt, recurrence: parsed.recurrence, timeZone, ...(parsed.message.trim() ? { message: parsed.message } : {}) }
+            : { message: args.slice(1).join(' ') };
+        if (fields.message !== undefined) {
+            try {
+                fields.message = checkReminderMessage(fields.message, { blockedWords: parseBlockedWords(env.REMINDER_BLOCKED_WORDS) });
+            } catch (e) {
+                chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+                return;
+            }
+        }
+
+        const updated = await storage.reminders.update(reminder.shortId, fields);
+        if (!updated) {
+            // Delivered in the meantime
+            chatQueue.say(channel, `/me @${tags.username} Reminder ${reminder.shortId} wurde schon gesendet`);
+            return;
+        }
+        reminderScheduler.schedule(updated.dueAt);
+        chatQueue.say(channel, `/me @${tags.username} Reminder ${updated.shortId} geändert: ${updated.targetUser} ${formatSchedule(updated, timeZone)} " ${updated.message} "`);
+    }
+
+    commands.register({
+        name: 'unremind',
+        aliases: ['delreminder'],
+        usage: 'unremind <ID>',
+        description: 'Löscht einen Reminder',
+        handler: async ({ channel, tags, args, prefix, sender, level }) => {
+            if (!args[0]) {
+                chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}unremind <ID> (IDs siehst du mit ${prefix}reminders)`);
+                return;
+            }
+
+            const reminder = await findManagedReminder(channel, tags, args[0], { sender, level });
+            if (!reminder) return;
+
+            if (await storage.reminders.remove(reminder.shortId)) {
+                chatQueue.say(channel, `/me @${tags.username} Reminder ${reminder.shortId} gelöscht " ${reminder.message} "`);
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} Reminder ${reminder.shortId} wurde schon gesendet`);
+            }
+        }
+    });
+
+    // How long after a reminder was delivered it can still be snoozed
+    const SNOOZE_WINDOW_MS = 30 * 60 * 1000;
+    const DEFAULT_SNOOZE_MS = 10 * 60 * 1000;
+
+    commands.register({
+        name: 'snooze',
+        usage: 'snooze [Zeit]',
+        description: 'Schiebt deinen gerade gesendeten Reminder auf (Standard 10 Minuten)',
+        handler: async ({ channel, tags, args, sender }) => {
+            const fired = firedReminders[sender];
+            if (!fired || Date.now() - fired.firedAt > SNOOZE_WINDOW_MS) {
+                chatQueue.say(channel, `/me @${tags.username} du hast gerade keinen Reminder zum snoozen`);
+                return;
+            }
+
+            const timeZone = userTimeZone(tags.username);
+            let parsed;
+            try {
+                parsed = parseTimeInput(args, { timeZone });
+            } catch (e) {
+                chatQueue.say(channel, `/me @${tags.username} ${e.message}`);
+                return;
+            }
+            const dueAt = parsed ? parsed.dueAt : Date.now() + DEFAULT_SNOOZE_MS;
+            const { reminder } = fired;
+            delete firedReminders[sender];
+
+            // A recurring reminder is already planned again, its snooze is a one-off copy with a new ID
+            const shortId = reminder.recurrence || !reminder.shortId ? nextReminderId() : reminder.shortId;
+            await storage.reminders.create({ ...reminder, dueAt, recurrence: null, shortId });
+            reminderScheduler.schedule(dueAt);
+            chatQueue.say(channel, `/me @${tags.username} Okay ich erinnere dich nochmal ${formatDueAt(dueAt, { timeZone })} " ${reminder.message} "`);
+        }
+    });
+
+    // Sends "title entry | entry | ..." split into messages below the chat limit
+    function sayReminderList(channel, title, entries) {
+        const baseMsg = `/me ${title}: `;
+        let currentMsg = baseMsg;
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = (i === 0 ? "" : " | ") + entries[i];
+            if (currentMsg.length + entry.length > 450) {
+                chatQueue.say(channel, currentMsg);
+                currentMsg = `/me ... ${entry}`;
+            } else {
+                currentMsg += entry;
+            }
+        }
+        if (currentMsg !== baseMsg) {
+            chatQueue.say(channel, currentMsg);
+        }
+    }
+
+    // -reminders block [User|all], -reminders unblock <User|all>
+    function updateReminderBlocklist(channel, tags, action, name) {
+        const user = tags.username.toLowerCase();
+        const blocklist = reminderBlocklist(user);
+
+        if (!name) {
+            const shown = blocklist.map(b => b === BLOCK_ALL ? 'alle' : b);
+            chatQueue.say(channel, `/me @${tags.username} ${shown.length > 0 ? `Du blockst Reminder von: ${shown.join(', ')}` : 'Du blockst keine Reminder'}`);
+            return;
+        }
+
+        const entry = ['all', 'alle', '*'].includes(name.toLowerCase()) ? BLOCK_ALL : name.replace('@', '').toLowerCase();
+        const updated = action === 'block'
+            ? [...new Set([...blocklist, entry])]
+            : blocklist.filter(b => b !== entry);
+
+        if (!userStars[user]) {
+            userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670 };
+        }
+        userStars[user].reminderBlocklist = updated;
+        saveStars(user);
+
+        const who = entry === BLOCK_ALL ? 'allen' : entry;
+        chatQueue.say(channel, `/me @${tags.username} ${action === 'block' ? `Du bekommst keine Reminder mehr von ${who}` : `Du bekommst wieder Reminder von ${who}`}`);
+    }
+
+    commands.register({
+        name: 'reminders',
+        aliases: ['listreminders', 'myreminders'],
+        usage: 'reminders [sent] | reminders block/unblock <User|all> | reminders @User [sent] (Mods)',
+        description: 'Zeigt deine oder gesendete Reminders, blockt Reminder von anderen',
+        handler: async ({ channel, tags, args, sender, level, settings }) => {
+            const first = (args[0] || '').toLowerCase();
+            if (['block', 'unblock'].includes(first)) {
+                updateReminderBlocklist(channel, tags, first, args[1]);
+                return;
+            }
+
+            // -reminders @user is for mods, everyone else only sees their own
+            let user = tags.username;
+            let rest = args;
+            if (first && !['sent', 'gesendet'].includes(first)) {
+                const name = args[0].replace('@', '');
+                if (name.toLowerCase() !== sender && !hasLevel(level, 'mod')) {
+                    chatQueue.say(channel, formatDenial(tags.username, 'mod', settings.language));
+                    return;
+                }
+                user = name;
+                rest = args.slice(1);
+            }
+            const sent = ['sent', 'gesendet'].includes((rest[0] || '').toLowerCase());
+            const own = user.toLowerCase() === sender;
+
+            const found = sent
+                ? (await storage.reminders.findBySource(user)).filter(r => r.targetUser.toLowerCase() !== user.toLowerCase())
+                : await storage.reminders.findByTarget(user);
+
+            if (found.length === 0) {
+                const none = sent ? 'keine gesendeten Reminders' : 'keine aktiven Reminders';
+                chatQueue.say(channel, `/me @${tags.username} ${own ? `Du hast ${none}.` : `${user} hat ${none}.`}`);
+                return;
+            }
+
+            const timeZone = userTimeZone(tags.username);
+            const entries = found.map(r => {
+                const id = r.shortId ? `[${r.shortId}] ` : "";
+                // Mods looking at someone else's reminders also see who sent them
+                const who = sent ? `an ${r.targetUser} ` : (!own ? `von ${r.sourceUser} ` : "");
+                return `${id}${who}${formatSchedule(r, timeZone)}: ${r.message}`;
+            });
+
+            const title = own
+                ? `@${tags.username} ${sent ? 'Deine gesendeten Reminders' : 'Deine Reminders'}`
+                : `@${tags.username} ${sent ? `Von ${user} gesendete Reminders` : `Reminders für ${user}`}`;
+            sayReminderList(channel, title, entries);
+        }
+    });
+
+    commands.register({
+        name: 'hit',
+        aliases: ['h'],
+        usage: 'hit',
+        description: 'Zieht eine Karte (Blackjack)',
+        handler: async ({ channel, tags }) => {
+            const user = tags.username.toLowerCase();
+            const game = activeBlackjackGames[user];
+            if (!game) return;
+
+            const card = game.deck.pop();
+            game.pHand.push(card);
+            const val = getHandValue(game.pHand);
+
+            if (val > 21) {
+                // Bust
+                chatQueue.say(channel, `/me @${tags.username} BUST ohno [ ${formatHand(game.pHand)} ] (${val}), du verlierst ${formatPoints(game.bet)} Star , balance: ${formatPoints(userStars[user].balance)} Star`);
+                delete activeBlackjackGames[user];
+            } else if (val === 21) {
+                // Auto-stand
+                await doBlackjackStand(user, tags.username, channel);
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} [ ${formatHand(game.pHand)} ] (${val}) | dealer: [ ${game.dHand[0].value}${game.dHand[0].suit} ? ] wideSpeedNod`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'stand',
+        aliases: ['s'],
+        usage: 'stand',
+        description: 'Beendet deinen Zug (Blackjack)',
+        handler: async ({ channel, tags }) => {
+            const user = tags.username.toLowerCase();
+            if (!activeBlackjackGames[user]) return;
+            await doBlackjackStand(user, tags.username, channel);
+        }
+    });
+
+    commands.register({
+        name: 'balance',
+        aliases: ['stars'],
+        usage: 'balance [User]',
+        description: 'Zeigt die Stars eines Users',
+        handler: async ({ channel, tags, args }) => {
+            const target = args[0] ? args[0].toLowerCase().replace('@', '') : tags.username.toLowerCase();
+
+            if (!userStars[target]) {
+                chatQueue.say(channel, `/me @${tags.username} der user ${target} hat keine Star Reacting`);
+            } else {
+                userStars[tags.username.toLowerCase()].lastChannel = channel; // Also update sender's channel
+                const data = userStars[target];
+                let msg = `/me @${tags.username} der user ${target} hat ${formatPoints(data.balance)} Star (lvl ${data.level || 0})`;
+
+                if (data.loanAmount > 0) {
+                    msg += ` | Offener Kredit: ${formatPoints(data.loanAmount)} Star`;
+                }
+
+                chatQueue.say(channel, msg);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'history',
+        aliases: ['verlauf'],
+        cooldown: 5,
+        usage: 'history [User]',
+        description: 'Die letzten Star-Buchungen',
+        handler: async ({ channel, tags, args }) => {
+            const target = args[0] ? args[0].toLowerCase().replace('@', '') : tags.username.toLowerCase();
+            const entries = await storage.ledger.find({ user: target }, 5);
+
+            if (entries.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} keine Buchungen für ${target} gefunden`);
+                return;
+            }
+            chatQueue.say(channel, `/me @${tags.username} letzte Buchungen von ${target}: ${ledger.formatHistory(entries, formatPoints)}`);
+        }
+    });
+
+    commands.register({
+        name: 'audit',
+        permission: 'mod',
+        usage: 'audit [User] | audit export [User]',
+        description: 'Zusammenfassung des Star-Ledgers der letzten 24h oder Export als CSV',
+        handler: async ({ channel, tags, args }) => {
+            if ((args[0] || '').toLowerCase() === 'export') {
+                const user = args[1] ? args[1].toLowerCase().replace('@', '') : null;
+                for (const [oldToken, info] of ledgerExports) {
+                    if (info.expiresAt < Date.now()) ledgerExports.delete(oldToken);
+                }
+                const token = crypto.randomBytes(16).toString('hex');
+                ledgerExports.set(token, { channel, user, expiresAt: Date.now() + LEDGER_EXPORT_TTL });
+                const baseUrl = env.RENDER_EXTERNAL_URL || `http://localhost:${server.address().port}`;
+                // The link shows the bookings of other users, so it never goes to the public chat
+                try {
+                    await sendWhisper(tags.username, `Ledger-Export von ${channel}${user ? ' für ' + user : ''} (neueste ${LEDGER_EXPORT_LIMIT} Buchungen, 10 min gültig, einmal nutzbar): ${baseUrl}/ledger.csv?token=${token}`);
+                    chatQueue.say(channel, `/me @${tags.username} Export-Link per Whisper geschickt`);
+                } catch (e) {
+                    ledgerExports.delete(token);
+                    console.error("Fehler beim Senden des Export-Links:", e);
+                    chatQueue.say(channel, `/me @${tags.username} Whisper fehlgeschlagen, kein Export-Link erstellt`);
+                }
+                return;
+            }
+
+            const user = args[0] ? args[0].toLowerCase().replace('@', '') : null;
+            const since = Date.now() - 24 * 60 * 60 * 1000;
+            // Without user only this channel, with user everything of that user
+            const entries = await storage.ledger.find(user ? { user, since } : { channel, since });
+
+            if (entries.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} keine Buchungen in den letzten 24h`);
+                return;
+            }
+
+            const totals = ledger.summarize(entries);
+            const sum = entries.reduce((acc, e) => acc + e.delta, 0);
+            const parts = Object.entries(totals)
+                .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+                .map(([key, total]) => `${total >= 0 ? '+' : '-'}${formatPoints(Math.abs(total))} ${key}`);
+            chatQueue.say(channel, `/me @${tags.username} Ledger 24h${user ? ' für ' + user : ''}: ${parts.join(' | ')} (${entries.length} Buchungen, Summe ${sum >= 0 ? '+' : '-'}${formatPoints(Math.abs(sum))})`);
+        }
+    });
+
+    commands.register({
+        name: 'level',
+        aliases: ['lvl'],
+        usage: 'level',
+        description: 'Zeigt dein Level',
+        handler: async ({ channel, tags }) => {
+            const user = tags.username.toLowerCase();
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+                saveStars(user);
+            }
+            const data = userStars[user];
+            const currentLevel = data.level || 0;
+            const nextCost = data.nextLevelCost || 670;
+            const stars = data.balance || 0;
+
+            chatQueue.say(channel, `/me @${tags.username} Aktuelles Level: ${currentLevel} | Nächstes Level kostet: ${formatPoints(nextCost)} Star | Deine Stars: ${formatPoints(stars)} Star`);
+        }
+    });
+
+    commands.register({
+        name: 'lastfm',
+        cooldown: 5,
+        usage: 'lastfm <Lastfm_User>',
+        description: 'Verknüpft deinen Last.fm Account',
+        handler: async ({ channel, tags, args, prefix }) => {
+            const user = tags.username.toLowerCase();
+            const lastfmUsername = args[0];
+
+            if (!lastfmUsername) {
+                chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}lastfm <Lastfm_User>`);
+                return;
+            }
+
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670 };
+            }
+
+            userStars[user].lastfm = lastfmUsername;
+            saveStars(user);
+            chatQueue.say(channel, `/me wideSpeedNod @${tags.username} Dein Last.fm Account (${lastfmUsername}) wurde verknüpft!`);
+        }
+    });
+
+    commands.register({
+        name: 'timezone',
+        aliases: ['tz', 'zeitzone'],
+        usage: 'timezone [Zone|reset]',
+        description: `Zeitzone für Reminder und Zeitangaben, z.B. America/New_York (Standard ${DEFAULT_TIME_ZONE})`,
+        handler: async ({ channel, tags, args }) => {
+            const user = tags.username.toLowerCase();
+
+            if (!args[0]) {
+                const timeZone = userTimeZone(user);
+                const time = formatDueAt(Date.now(), { timeZone });
+                chatQueue.say(channel, `/me @${tags.username} Deine Zeitzone ist ${timeZone} (gerade ${time.replace('um ', '')})`);
+                return;
+            }
+
+            const reset = ['reset', 'default', 'standard'].includes(args[0].toLowerCase());
+            const timeZone = reset ? DEFAULT_TIME_ZONE : normalizeTimeZone(args[0]);
+            if (!timeZone) {
+                chatQueue.say(channel, `/me @${tags.username} ${args[0]} kenne ich nicht Nerd Nutze IANA Namen wie Europe/Berlin oder America/New_York`);
+                return;
+            }
+
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670 };
+            }
+
+            userStars[user].timezone = reset ? "" : timeZone;
+            saveStars(user);
+            chatQueue.say(channel, `/me @${tags.username} Deine Zeitzone ist jetzt ${timeZone} wideSpeedNod`);
+        }
+    });
+
+    commands.register({
+        name: 'song',
+        cooldown: { user: 10, channel: 3 },
+        usage: 'song [Emote]',
+        description: 'Zeigt deinen aktuellen Song von Last.fm',
+        handler: async ({ channel, tags, args, emote, prefix }) => {
+            const sender = tags.username.toLowerCase();
+            const data = userStars[sender];
+
+            if (!data || !data.lastfm) {
+                chatQueue.say(channel, `/me @${tags.username} Du hast deinen Last.fm Account noch nicht verknüpft! Nutz ${prefix}lastfm <Nutzername>`);
+                return;
+            }
+
+            const apiKey = env.LASTFM_API_KEY;
+            if (!apiKey) {
+                chatQueue.say(channel, `/me @${tags.username} Last.fm API Key fehlt in der Konfiguration.`);
+                return;
+            }
+
+            try {
+                const info = await getNowPlayingWithPlaycount(data.lastfm, apiKey);
+                if (!info) {
+                    chatQueue.say(channel, `/me @${tags.username} Konnte keine aktuellen Songs für ${data.lastfm} finden.`);
+                    return;
+                }
+
+                // Use provided emote/text or fallback to random 7TV emote
+                const userEmote = args.join(' ').trim();
+                const suffix = userEmote || emote;
+
+                let msg = `/me `;
+                if (info.isNowPlaying) {
+                    msg += `${suffix} gerade läuft bei @${tags.username}: ${info.artist} - ${info.track}`;
+                } else {
+                    msg += `${suffix} zuletzt gehört von @${tags.username}: ${info.artist} - ${info.track}`;
+                }
+                msg += ` (Plays: ${info.playcount}) `;
+
+                chatQueue.say(channel, msg);
+            } catch (e) {
+                console.error("Last.fm Error:", e);
+                chatQueue.say(channel, `/me @${tags.username} Fehler beim Abrufen der Last.fm Daten: ${e.message}`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'give',
+        aliases: ['pay'],
+        cooldown: 5,
+        usage: 'give <User> <Menge|all>',
+        description: 'Gibt einem User Stars',
+        handler: async ({ channel, tags, args, prefix }) => {
+            const target = args[0];
+            const amountStr = args[1];
+
+            if (!target || !amountStr) {
+                chatQueue.say(channel, `/me @${tags.username} Nutzung: ${prefix}give <User> <Menge>`);
+                return;
+            }
+
+            const sender = tags.username.toLowerCase();
+            const receiver = target.toLowerCase().replace('@', '');
+
+            if (sender === receiver) {
+                chatQueue.say(channel, `/me @${tags.username} du kannst dir selbst nichts geben lol`);
+                return;
+            }
+
+            if (!userStars[sender]) {
+                userStars[sender] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+            }
+            userStars[sender].lastChannel = channel;
+
+            let amount = parseInt(amountStr);
+            if (amountStr.toLowerCase() === 'all') {
+                amount = userStars[sender].balance;
+            }
+
+            if (isNaN(amount) || amount <= 0) {
+                chatQueue.say(channel, `/me @${tags.username} joaa geht nicht`);
+                return;
+            }
+
+            if (userStars[sender].balance < amount) {
+                chatQueue.say(channel, `/me @${tags.username} du hast nicht genug Stars haher`);
+                return;
+            }
+
+            // Transfer
+            if (!userStars[receiver]) {
+                userStars[receiver] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670 };
+                await saveStars(receiver);
+            }
+
+            const transfer = await transferStars(sender, receiver, amount, channel);
+            if (!transfer.ok) {
+                chatQueue.say(channel, `/me @${tags.username} du hast nicht genug Stars haher`);
+                return;
+            }
+            saveStars(sender);
+            chatQueue.say(channel, `/me gib @${tags.username} hat @${receiver} ${formatPoints(amount)} Star gegeben`);
+        }
+    });
+
+    commands.register({
+        name: 'lb',
+        aliases: ['leaderboard'],
+        cooldown: { channel: 10 },
+        usage: 'lb',
+        description: 'Top 10 Levels',
+        handler: async ({ channel }) => {
+            // Convert to array and sort by Level only
+            const sortedUsers = Object.entries(userStars)
+                .map(([name, data]) => ({
+                    name,
+                    balance: data.balance,
+                    invested: data.investedStars || 0,
+                    level: data.level || 0,
+                    total: (data.balance || 0) + (data.investedStars || 0)
+                }))
+                .sort((a, b) => b.level - a.level);
+
+            const top10 = sortedUsers.slice(0, 10);
+            let msg = "Top 10 Levels: ";
+
+            for (let i = 0; i < 10; i++) {
+                const rank = i + 1;
+                if (i < top10.length) {
+                    const u = top10[i];
+                    // Random Emote
+                    let emote = "";
+                    const currentEmotes = channelEmotes[channel] || [];
+                    if (currentEmotes.length > 0) {
+                        emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                    }
+                    msg += `${rank}. ${u.name} (Level ${u.level}) ${emote} | `;
+                } else {
+                    // msg += `${rank}. (-) `;
+                }
+            }
+            if (msg.endsWith(' | ')) msg = msg.slice(0, -3);
+            chatQueue.say(channel, msg);
+        }
+    });
+
+    commands.register({
+        name: 'allstars',
+        aliases: ['listall'],
+        permission: 'mod',
+        cooldown: { channel: 30 },
+        usage: 'allstars',
+        description: 'Alle Star-Balances',
+        handler: async ({ channel, tags }) => {
+            const sortedUsers = Object.entries(userStars)
+                .map(([name, data]) => ({
+                    name,
+                    balance: data.balance,
+                    invested: data.investedStars || 0,
+                    level: data.level || 0,
+                    total: (data.balance || 0) + (data.investedStars || 0)
+                }))
+                .sort((a, b) => b.total - a.total);
+
+            if (sortedUsers.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} Niemand hat Stars.`);
+                return;
+            }
+
+            let currentMsg = "/me ";
+            sortedUsers.forEach((u, i) => {
+                let emote = "";
+                const currentEmotes = channelEmotes[channel] || [];
+                if (currentEmotes.length > 0) {
+                    emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                }
+                const isLast = i === sortedUsers.length - 1;
+                const entry = `${i + 1}. ${u.name} (Lvl ${u.level}): ${formatPoints(u.balance)} ${emote}${isLast ? "" : " | "}`;
+
+                if (currentMsg.length + entry.length > 400) {
+                    chatQueue.say(channel, currentMsg.trim());
+                    currentMsg = "/me " + entry;
+                } else {
+                    currentMsg += entry;
+                }
+            });
+
+            if (currentMsg.trim() !== "/me") {
+                chatQueue.say(channel, currentMsg.trim());
+            }
+        }
+    });
+
+    commands.register({
+        name: 'levelup',
+        usage: 'levelup',
+        description: 'Kauft das nächste Level',
+        handler: async ({ channel, tags }) => {
+            const user = tags.username.toLowerCase();
+            if (!userStars[user]) {
+                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
+            }
+            userStars[user].lastChannel = channel;
+
+            const data = userStars[user];
+            const cost = data.nextLevelCost || 670;
+
+            if (data.balance < cost) {
+                chatQueue.say(channel, `/me @${tags.username} Nerd du hast nicht genug Star für Level ${data.level + 1}. Kosten: ${formatPoints(cost)} Star (du hast ${formatPoints(data.balance)})`);
+                return;
+            }
+
+            // Pay and Level Up
+            const paid = await changeBalance(user, -cost, { reason: 'levelup', channel });
+            if (!paid.ok) {
+                chatQueue.say(channel, `/me @${tags.username} Nerd du hast nicht genug Star für Level ${data.level + 1}. Kosten: ${formatPoints(cost)} Star (du hast ${formatPoints(paid.balance)})`);
+                return;
+            }
+            data.level = (data.level || 0) + 1;
+            data.investedStars = (data.investedStars || 0) + cost;
+
+            // Calculate next cost: increase by 16.7% - 26.7%
+            const increaseRaw = (Math.random() * (26.7 - 16.7) + 16.7) / 100;
+            const nextCost = Math.ceil(cost * (1 + increaseRaw));
+            data.nextLevelCost = nextCost;
+
+            saveStars(user);
+            chatQueue.say(channel, `/me HeCrazy @${tags.username} JUHU Du bist jetzt Level ${data.level}! Nächstes Level kostet ${formatPoints(nextCost)} Star`);
+        }
+    });
+
+    commands.register({
+        name: 'tc',
+        aliases: ['topchatter'],
+        cooldown: { channel: 10 },
+        usage: 'tc',
+        description: 'Die heutigen Top Chatter',
+        handler: async ({ channel }) => {
+            let stats = [];
+            const today = new Date().toLocaleString("en-US", { timeZone: "Europe/Berlin" }).split(',')[0];
+
+            try {
+                const results = await storage.chatStats.top(today, 10);
+                stats = results.map(r => [r.username, r.count]);
+            } catch (e) {
+                console.error("Fehler beim Laden der Top-Chatter:", e);
+            }
+
+            if (stats.length === 0) {
+                chatQueue.say(channel, `/me Heute hat noch niemand geschrieben haher`);
+                return;
+            }
+
+            let msg = "Die heutigen Top chatter/in: ";
+            stats.forEach(([user, count], i) => {
+                let emote = "";
+                const currentEmotes = channelEmotes[channel] || [];
+                if (currentEmotes.length > 0) {
+                    emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+                }
+                msg += `${i + 1}. ${user}: ${count} ${emote} | `;
+            });
+
+            if (msg.endsWith(' | ')) msg = msg.slice(0, -3);
+            chatQueue.say(channel, msg);
+        }
+    });
+
+    commands.register({
+        name: 'rban',
+        aliases: ['randomban'],
+        cooldown: { channel: 30 },
+        usage: 'rban',
+        description: 'Bannt einen zufälligen Viewer für eine Sekunde',
+        handler: async ({ channel, tags }) => {
+            let users = await getViewers(channel);
+            if (!users || users.length === 0) {
+                users = Array.from(activeChatUsers);
+            }
+
+            const broadcaster = channel.replace('#', '').toLowerCase();
+            const botUsername = (env.TWITCH_USERNAME || '').toLowerCase();
+
+            const candidates = users.filter(u => {
+                const nameLower = u.toLowerCase();
+                return nameLower !== broadcaster && nameLower !== botUsername;
+            });
+
+            if (candidates.length === 0) {
+                chatQueue.say(channel, `/me @${tags.username} Konnte keine Chat-User finden zum Bannen.`);
+                commandCooldowns.reset('rban', 'channel', { channel }); // Nobody was banned, allow a retry
+                return;
+            }
+
+            const randomUser = candidates[Math.floor(Math.random() * candidates.length)];
+
+            chatQueue.say(channel, `o7 ${randomUser} wird gebannt`);
+            chatQueue.say(channel, `/ban ${randomUser}`);
+            setTimeout(() => {
+                chatQueue.say(channel, `/unban ${randomUser}`);
+            }, 1000);
+        }
+    });
+
+    async function handleMessage(channel, tags, message, self) {
+        // Ignore echoed messages.
+        if (self) return;
+
+        const settings = getChannelSettings(channel);
+        const prefix = settings.prefix;
+
+        const tiktokState = getTiktokState(channel);
+        if (tiktokState.playing && message.trim().toLowerCase() === 'voteskip') {
+            tiktokState.voteskipUsers.add(tags.username.toLowerCase());
+            if (tiktokState.voteskipUsers.size >= 3) {
+                chatQueue.say(channel, `/me 3 Voteskips erreicht! Tiktok wird gestoppt.`);
+                skipTiktok(channel);
+            } else {
+                chatQueue.say(channel, `/me @${tags.username} Voteskip gezählt! (${tiktokState.voteskipUsers.size}/3)`);
+            }
+            return;
+        }
+
+        const sender = tags.username.toLowerCase();
+
+        // --- Copy User Logic ---
+        if (settings.features.copy && copyTargetUsers[channel] && sender === copyTargetUsers[channel]) {
+            // Avoid infinite loops if the user sends the prefix
+            if (!message.startsWith(prefix)) {
+                chatQueue.say(channel, message, 'bulk');
+            }
+        }
+
+        activeChatUsers.add(tags.username);
+
+        // --- Check for On-Message Reminders (Zero Time) ---
+        try {
+            const pendingReminders = await storage.reminders.takePending(sender, channel);
+            for (const r of pendingReminders) {
+                await deliverReminder(r, { channel, mention: tags.username });
+            }
+        } catch (e) {
+            console.error("Fehler beim Checken der On-Message Reminders:", e);
+        }
+
+        // --- Message Counting (one entry per day, see tc) ---
+        const today = new Date().toLocaleString("en-US", { timeZone: "Europe/Berlin" }).split(',')[0];
+        try {
+            await storage.chatStats.increment(today, sender);
+        } catch (e) {
+            console.error("Fehler beim Speichern der Chat-Statistik:", e);
+        }
+
+        let emote = "";
+        // channelEmotes is keyed by lowercase #channelname usually? verify keys
+        // refreshEmotes uses: "#" + cleanName.toLowerCase()
+
+        const currentEmotes = channelEmotes[channel] || [];
+        if (currentEmotes.length > 0) {
+            emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
+        }
+
+        // --- Active Guess Game Logic (Check for answer without prefix) ---
+        if (activeGuessGames[sender]) {
+            const msgLower = message.trim().toLowerCase();
+            if (['ungerade', 'odd', 'gerade', 'even'].includes(msgLower)) {
+                const game = activeGuessGames[sender];
+                delete activeGuessGames[sender]; // Before awaiting, a second guess must not win twice
+                const choice = msgLower;
+
+                let betsOnOdd = false;
+                if (['ungerade', 'odd'].includes(choice)) {
+                    betsOnOdd = true;
+                }
+
+                const isOdd = game.number % 2 !== 0; // 0 is even
+                const win = (betsOnOdd && isOdd) || (!betsOnOdd && !isOdd);
+
+                if (win) {
+                    if (!await payOutGuessGame(sender, game, channel, tags.username)) return;
+                    saveStars(sender);
+                    chatQueue.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - Gewonnen JUHU +${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[sender].balance)} Star`);
+                } else {
+                    saveStars(sender);
+                    chatQueue.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - Verloren ohno -${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[sender].balance)} Star`);
+                }
+
+                return; // Stop processing this message
+            }
+        }
+
+        // --- Emote Guessing Game (Guesses are plain chat messages) ---
+        const activeRound = activeEmoteRounds[channel];
+        if (settings.features.emotegame && activeRound && emoteGame.isCorrectGuess(activeRound, message)) {
+            try {
+                await endEmoteRound(channel, sender);
+            } catch (e) {
+                console.error("Fehler beim Beenden der Emote-Runde:", e);
+            }
+            return;
+        }
+
+
+
+        // --- AFK Check ---
+        if (afkUsers[sender]) {
+            if (!message.startsWith(prefix + 'afk') && !message.startsWith(prefix + 'rafk')) { // Don't trigger on AFK or RAFK
+                const data = afkUsers[sender];
+                const startTime = typeof data === 'object' ? data.startTime : data;
+                const durationMs = Date.now() - startTime;
+
+                // Format duration
+                const seconds = Math.floor((durationMs / 1000) % 60);
+                const minutes = Math.floor((durationMs / (1000 * 60)) % 60);
+                const hours = Math.floor((durationMs / (1000 * 60 * 60)));
+
+                let timeString = "";
+                if (hours > 0) timeString += `${hours}h `;
+                if (minutes > 0) timeString += `${minutes}m `;
+                timeString += `${seconds}s`;
+
+                chatQueue.say(channel, `/me halo @${tags.username} ist nach ${timeString.trim()} wieder da ${emote}`);
+                lastAfkUsers[sender] = {
+                    startTime: startTime,
+                    reason: typeof data === 'object' ? data.reason : "",
+                    returnTime: Date.now()
+                };
+                delete afkUsers[sender];
+
+                // Clear Persistence
+                if (userStars[sender]) {
+                    userStars[sender].afkStartTime = 0;
+                    userStars[sender].afkReason = "";
+                    saveStars(sender);
+                }
+            }
+        }
+
+
+
+        // --- Emote Combo Logic ---
+        const msgContent = message.trim();
+        if (settings.features.combo && currentEmotes.includes(msgContent)) {
+            const combo = comboStates[channel];
+            if (combo && msgContent === combo.emote) {
+                combo.users.add(sender);
+                if (combo.users.size >= 3) {
+                    chatQueue.say(channel, msgContent);
+                    combo.users.clear(); // Reset to count next 3
+                }
+            } else {
+                comboStates[channel] = { emote: msgContent, users: new Set([sender]) };
+            }
+        }
+
+        // --- Special Mode: Waiting for new Prefix ---
+        if (prefixChangeUsers[channel]) {
+            // Only allow the user who started the change to finish it
+            if (tags.username !== prefixChangeUsers[channel]) return;
+
+            const newPrefix = message.trim().split(' ')[0]; // Take first word/character
+            delete prefixChangeUsers[channel];
+            try {
+                setSetting(settings, 'prefix', [newPrefix]);
+                await saveChannelSettings(channel);
+                chatQueue.say(channel, `wideSpeedNod neuer prefix: ${settings.prefix}`);
+            } catch (e) {
+                chatQueue.say(channel, "wideSpeedNod mit dem prefix gehts nicht");
+            }
+            return; // Don't process this message as a command
+        }
+
+        // --- Fortnite Dialog Script ---
+        if (settings.features.dialog && message.toLowerCase().includes('ey joel') && !self) {
+            const dialog = [
+                "ja bruder was los?",
+                "du spielst doch fortnite ne?",
+                "ja und jetzt?",
+                "ja.. du bist voll der opfer junge",
+                "was für opfer digga ich sag dir ganz ehrlich digga",
+                "das game an sich fortnite ist so geil digga aber einfach nur diese kleinen kinder digga",
+                "haben dieses game so kaputt gemacht digga neue map hier digga neue map da digga",
+                "sie wünschen sich alles digga und wenn ich mal 1v1 gegen die mache digga und die verkacken, die beleidigen, die beleidigen mich direkt als hs digga",
+                "oder generell sie swipen durch ihre tiktok digga fy und schreiben unter jedes video hs digga daraus besteht fortnite digga",
+                "digga sonst an sich fortnite ist so ein geiles prinzip digga",
+                "früher du hast gezockt es war alles wild digga keiner konnte was digga",
+                "früher du hast fun an fortnite gehabt digga und jetzt einfach bruder jetzt besteht dieses game aus irgendwelchen kindern digga die nur beleidigen weil sie verkacken digga das ist einfach fortnite digga ganz ehrlich an sich ich sag dir ganz ehrlich digga fortnite ist so ein wildes game bruder ich sag dir ganz ehrlich digga"
+            ];
+
+            // Send messages sequentially
+            for (let i = 0; i < dialog.length; i++) {
+                const id = setTimeout(() => {
+                    chatQueue.say(channel, dialog[i], 'bulk');
+                }, i * 2000);
+                activeTimers.push(id);
+            }
+            return;
+        }
+
+        // --- Baka Script ---
+        // --- Pyramids Script ---
+        const msgLower = message.trim().toLowerCase();
+
+        // Defined Triggers (Used for both Generic and oioioi variants)
+        const pyramidTriggers = [
+            /*
+            'affe', 'cassy', 'jean', 'timo', 'jona', 'janne', 'julia',
+            'knopers', 'ikki', 'kevin', 'sid', 'jasmin', 'sophia', 'noah',
+            'wydios', 'kerze', 'NotedBot', 'ente', 'noel', 'antonia'
+            */
+        ];
+
+        // 1. Special "oioioi baka" Pyramid (Trigger: "baka")
+        // Keeps legacy behavior where just "baka" triggers the oioioi pyramid
+        if (settings.features.pyramids && msgLower === 'baka' && !self) {
+            const dialog = [];
+            const maxLevel = 10;
+
+            // Build up
+            for (let i = 1; i <= maxLevel; i++) {
+                dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} baka`);
+            }
+            // Build down
+            for (let i = maxLevel - 1; i >= 1; i--) {
+                dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} baka`);
+            }
+
+            // Paced by the chat queue
+            dialog.forEach(line => chatQueue.say(channel, line, 'bulk'));
+            return;
+        }
+
+        // 2. "oioioi <text>" Pyramid (Trigger: "oioioi <anything>")
+        if (settings.features.pyramids && msgLower.startsWith('oioioi ') && !self) {
+            // Extract everything after "oioioi " from the original message to keep casing
+            // We assume the prefix length is roughly 7 chars (oioioi + space)
+            // Note: usage of substring based on index of first space might be safer if casing varies heavily for the prefix
+            const content = message.slice(7).trim();
+
+            if (content.length > 0) {
+                const dialog = [];
+                const maxLevel = 10;
+
+                // Build up
+                for (let i = 1; i <= maxLevel; i++) {
+                    dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} ${content}`);
+                }
+                // Build down
+                for (let i = maxLevel - 1; i >= 1; i--) {
+                    dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} ${content}`);
+                }
+
+                // Paced by the chat queue
+                dialog.forEach(line => chatQueue.say(channel, line, 'bulk'));
+                return;
+            }
+        }
+
+        // 3. Generic Name/Emote Pyramid (Trigger: "<name>")
+        const genericTrigger = pyramidTriggers.find(t => t.toLowerCase() === msgLower);
+
+        if (settings.features.pyramids && genericTrigger && !self) {
+            const dialog = [];
+            const maxLevel = 10;
+
+            // Build up
+            for (let i = 1; i <= maxLevel; i++) {
+                dialog.push(`/me ${Array(i).fill(genericTrigger).join(' ')}`);
+            }
+            // Build down
+            for (let i = maxLevel - 1; i >= 1; i--) {
+                dialog.push(`/me ${Array(i).fill(genericTrigger).join(' ')}`);
+            }
+
+            // Paced by the chat queue
+            dialog.forEach(line => chatQueue.say(channel, line, 'bulk'));
+            return;
+        }
+
+        if (message.startsWith(prefix)) {
+            const args = message.slice(prefix.length).trim().split(/\s+/);
+            const command = args.shift().toLowerCase(); // Remove prefix and get command
+
+            const definition = commands.find(command);
+            if (!definition) return;
+
+            const names = [definition.name, ...definition.aliases];
+            if (names.some(n => settings.disabledCommands.includes(n))) return;
+            if (definition.feature && !settings.features[definition.feature]) return;
+
+            const level = getUserLevel(tags, { owners: botOwners, trustedUsers: settings.trustedUsers });
+            const required = settings.permissions[definition.name] || definition.permission;
+            if (!hasLevel(level, required)) {
+                chatQueue.say(channel, formatDenial(tags.username, required, settings.language));
+                return;
+            }
+
+            const windows = mergeWindows(definition.cooldown, settings.cooldowns[definition.name]);
+            const cooldownTarget = { channel, user: sender };
+            const cooldown = commandCooldowns.check(definition.name, windows, cooldownTarget);
+            if (!cooldown.ok) {
+                // Only the first blocked attempt gets a reply, spamming the command stays silent
+                if (cooldown.notify && definition.cooldownReply) {
+                    chatQueue.say(channel, `/me @${tags.username} ${replyText(settings.language, 'cooldown', { seconds: Math.ceil(cooldown.remainingMs / 1000) })}`);
+                }
+                return;
+            }
+            commandCooldowns.hit(definition.name, windows, cooldownTarget);
+
+            try {
+                await definition.handler({ channel, tags, args, command, sender, emote, prefix, settings, level });
+            } catch (e) {
+                console.error(`Fehler im ${definition.name}-Command:`, e);
+            }
+        }
+    }
+
+    // tmi.js ignores the returned promise, a storage error must not end the process as an unhandled rejection
+    client.on('message', (channel, tags, message, self) => {
+        handleMessage(channel, tags, message, self).catch(e => console.error("Fehler beim Verarbeiten der Nachricht:", e));
+    });
+
+    let intervals = [];
+
+    /**
+     * Opens storage, starts the web server and the timers and connects to Twitch.
+     */
+    async function start() {
+        storage = options.storage || await openStorage({ mongoUri: env.MONGODB_URI, dataDir: options.dataDir || path.join(__dirname, '..') });
+        await loadStars();
+        await loadCooldowns();
+        await loadEmoteRounds();
+        await initLastReminderId();
+        restoreStarReminders();
+
+        // Render sets the PORT env variable automatically
+        const port = options.port ?? (env.PORT || 3000);
+        await new Promise(resolve => server.listen(port, resolve));
+        console.log(`Webserver für Render & Overlay läuft auf Port ${server.address().port}`);
+
+        await reminderScheduler.start();
+        intervals = [
+            setInterval(checkSchnapszahl, 5000),
+            setInterval(() => {
+                checkLoans().catch(e => console.error("Fehler beim Prüfen der Kredite:", e));
+            }, 60000)
+        ];
+
+        try {
+            await tokens.start();
+        } catch (e) {
+            console.error(`[Auth] ${e.message}`);
+        }
+
+        await client.connect();
+        await initializeChannels();
+        await refreshEmotes();
+        await initNotificationsCache();
+        // Twitch EventSub handles notifications in real-time, no polling needed.
+        if (eventSubTransport === 'webhook') {
+            await startEventSubWebhook();
+        } else {
+            connectTwitchEventSub();
+        }
+    }
+
+    /**
+     * Stops timers, EventSub and the web server, writes pending storage changes and disconnects from chat.
+     */
+    async function stop() {
+        intervals.forEach(id => clearInterval(id));
+        intervals = [];
+        reminderScheduler.stop();
+        tokens.stop();
+        clearAllTimers();
+        Object.values(tiktokStates).forEach(state => {
+            if (state.timeoutId) clearTimeout(state.timeoutId);
+        });
+        // Running emote rounds end without a result, their hint timers would keep the process alive
+        Object.values(activeEmoteRounds).forEach(round => {
+            if (round.timer) clearTimeout(round.timer);
+        });
+        activeEmoteRounds = {};
+        chatQueue.stop();
+
+        if (keepaliveTimer) clearTimeout(keepaliveTimer);
+        if (eventSubWs) {
+            eventSubWs.onclose = null;
+            eventSubWs.close();
+            eventSubWs = null;
+        }
+
+        await new Promise(resolve => io.close(() => resolve()));
+        if (storage) await storage.flush();
+        if (client.readyState() === 'OPEN') {
+            await client.disconnect().catch(e => console.error("Fehler beim Trennen:", e));
+        }
+    }
+
+    return {
+        client,
+        tokens,
+        chatQueue,
+        commands,
+        server,
+        io,
+        start,
+        stop,
+        handleMessage,
+        handleEventSubNotification,
+        eventSub,
+        checkReminders,
+        get storage() {
+            return storage;
+        }
+    };
+}
+
+module.exports = {
+    createBot,
+    getHandValue,
+    formatPoints
+};
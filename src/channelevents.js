@@ -0,0 +1,146 @@
+// Events of the bot's own channels (raids, follows, subs, gifts, cheers) from EventSub.
+// Each gets a chat message and stars for the supporter, both can be changed or the event turned
+// off per channel with -settings set event (see settings.js).
+// Follows are read as moderator, so the bot's token needs the scope and the bot must be mod there.
+// Subs, gifts and cheers need the broadcaster's own authorization, which the bot only has for the
+// channel of its own account. In other channels they are not subscribed.
+
+// Sub tiers as Twitch sends them, stars are multiplied by these
+const TIER_FACTORS = { 1000: 1, 2000: 2, 3000: 5 };
+
+function tierOf(event) {
+    return String(Math.round((parseInt(event.tier) || 1000) / 1000));
+}
+
+function tierFactor(event) {
+    return TIER_FACTORS[event.tier] || 1;
+}
+
+/**
+ * name -> EventSub subscription, the scope it needs (null for none) and who has to grant it (moderator or broadcaster),
+ * default message and stars, what the placeholders are filled with and who gets the stars.
+ * reward(event, base) turns the configured base into the reward.
+ */
+const CHANNEL_EVENTS = {
+    raid: {
+        subscription: 'channel.raid',
+        version: '1',
+        scope: null,
+        grantedBy: null,
+        message: 'PogChamp Raid von {user} mit {amount} Zuschauern!',
+        stars: 100,
+        supporter: event => event.from_broadcaster_user_login,
+        values: event => ({ user: event.from_broadcaster_user_name || event.from_broadcaster_user_login, amount: event.viewers }),
+        reward: (event, base) => base
+    },
+    follow: {
+        subscription: 'channel.follow',
+        version: '2',
+        scope: 'moderator:read:followers',
+        grantedBy: 'moderator',
+        message: '{user} folgt jetzt peepoHappy',
+        stars: 10,
+        supporter: event => event.user_login,
+        values: event => ({ user: event.user_name || event.user_login }),
+        reward: (event, base) => base
+    },
+    sub: {
+        subscription: 'channel.subscribe',
+        version: '1',
+        scope: 'channel:read:subscriptions',
+        grantedBy: 'broadcaster',
+        message: '{user} hat abonniert (Tier {tier}) peepoHappy',
+        stars: 100,
+        supporter: event => event.user_login,
+        values: event => ({ user: event.user_name || event.user_login, tier: tierOf(event) }),
+        reward: (event, base) => base * tierFactor(event)
+    },
+    gift: {
+        subscription: 'channel.subscription.gift',
+        version: '1',
+        scope: 'channel:read:subscriptions',
+        grantedBy: 'broadcaster',
+        message: '{user} verschenkt {amount} Subs peepoHappy',
+        stars: 50,
+        supporter: event => (event.is_anonymous ? null : event.user_login),
+        values: event => ({ user: event.is_anonymous ? 'Anonym' : event.user_name || event.user_login, amount: event.total, tier: tierOf(event) }),
+        reward: (event, base) => base * (event.total || 1) * tierFactor(event)
+    },
+    cheer: {
+        subscription: 'channel.cheer',
+        version: '1',
+        scope: 'bits:read',
+        grantedBy: 'broadcaster',
+        message: '{user} cheert {amount} Bits peepoHappy',
+        // per 100 bits
+        stars: 10,
+        supporter: event => (event.is_anonymous ? null : event.user_login),
+        values: event => ({ user: event.is_anonymous ? 'Anonym' : event.user_name || event.user_login, amount: event.bits }),
+        reward: (event, base) => Math.floor((event.bits || 0) / 100) * base
+    }
+};
+
+const EVENT_PLACEHOLDERS = ['user', 'amount', 'tier'];
+
+/**
+ * Channel event name of an EventSub subscription type, null for other types.
+ */
+function channelEventOf(subscriptionType) {
+    return Object.keys(CHANNEL_EVENTS).find(name => CHANNEL_EVENTS[name].subscription === subscriptionType) || null;
+}
+
+/**
+ * EventSub condition of a subscription for broadcasterId. Follows need a moderator, that is the bot.
+ */
+function eventCondition(subscriptionType, broadcasterId, botUserId) {
+    if (subscriptionType === 'channel.raid') return { to_broadcaster_user_id: broadcasterId };
+    if (subscriptionType === 'channel.follow') return { broadcaster_user_id: broadcasterId, moderator_user_id: botUserId };
+    return { broadcaster_user_id: broadcasterId };
+}
+
+/**
+ * Broadcaster a subscription or event belongs to, raids name the raided channel "to_broadcaster".
+ */
+function broadcasterOf(conditionOrEvent) {
+    return conditionOrEvent.broadcaster_user_id || conditionOrEvent.to_broadcaster_user_id;
+}
+
+/**
+ * Stored settings of an event merged over its defaults: { enabled, message, stars }.
+ */
+function eventConfig(settings, name) {
+    const stored = (settings && settings.events && settings.events[name]) || {};
+    return {
+        enabled: stored.enabled !== false,
+        message: stored.message || CHANNEL_EVENTS[name].message,
+        stars: Number.isInteger(stored.stars) ? stored.stars : CHANNEL_EVENTS[name].stars
+    };
+}
+
+/**
+ * Everything needed to react to an event: chat message, supporter login (null if anonymous) and stars.
+ */
+function describeEvent(name, event, settings) {
+    const spec = CHANNEL_EVENTS[name];
+    const config = eventConfig(settings, name);
+    const values = spec.values(event);
+    const message = config.message.replace(/\{(\w+)\}/g, (match, key) => (EVENT_PLACEHOLDERS.includes(key) ? String(values[key] ?? '') : match));
+    const supporter = spec.supporter(event);
+    return {
+        enabled: config.enabled,
+        message,
+        supporter: supporter ? supporter.toLowerCase() : null,
+        stars: supporter ? Math.max(0, spec.reward(event, config.stars)) : 0,
+        values
+    };
+}
+
+module.exports = {
+    CHANNEL_EVENTS,
+    EVENT_PLACEHOLDERS,
+    channelEventOf,
+    eventCondition,
+    broadcasterOf,
+    eventConfig,
+    describeEvent
+};
@@ -0,0 +1,157 @@
+// Twitch chat limits: 20 messages per 30 seconds, 100 if the bot is mod or broadcaster in the channel.
+const RATE_WINDOW_MS = 30 * 1000;
+const RATE_LIMIT = 20;
+const RATE_LIMIT_MOD = 100;
+
+// Without mod, Twitch drops messages sent faster than once per second in a channel.
+const CHANNEL_INTERVAL_MS = 1100;
+const CHANNEL_INTERVAL_MOD_MS = 50;
+
+// The same message twice within 30 seconds is rejected, an invisible tag character makes it unique.
+const DUPLICATE_WINDOW_MS = 30 * 1000;
+const DUPLICATE_SUFFIX = ' \u{E0000}';
+
+const MAX_QUEUE_PER_CHANNEL = 100;
+
+// Lower number is sent first. system: reminders, loans, notifications. bulk: spam, pyramids, dialogs.
+const PRIORITIES = { system: 0, normal: 1, bulk: 2 };
+
+/**
+ * Creates the outgoing chat queue.
+ * deps: { send(channel, message), isModerator(channel), isReady() }
+ */
+function createChatQueue({ send, isModerator = () => false, isReady = () => true }) {
+    const queues = new Map(); // "#channel" -> [{ message, priority, seq }]
+    const lastSent = new Map(); // "#channel" -> { raw, text, at }
+    let sentAt = []; // timestamps of every message in the current rate window
+    let seq = 0;
+    let timer = null;
+
+    function say(channel, message, priority = 'normal') {
+        if (!message) return false;
+        const rank = PRIORITIES[priority] ?? PRIORITIES.normal;
+        const queue = queues.get(channel) || [];
+
+        if (queue.length >= MAX_QUEUE_PER_CHANNEL && rank === PRIORITIES.bulk) {
+            return false;
+        }
+
+        queue.push({ message: String(message), priority: rank, seq: seq++ });
+        queues.set(channel, queue);
+        schedule(0);
+        return true;
+    }
+
+    /**
+     * Drops every queued message of a channel below system priority. Returns the number of dropped messages.
+     */
+    function purge(channel) {
+        const queue = queues.get(channel);
+        if (!queue) return 0;
+        const kept = queue.filter(item => item.priority === PRIORITIES.system);
+        queues.set(channel, kept);
+        return queue.length - kept.length;
+    }
+
+    function size(channel) {
+        if (channel) return (queues.get(channel) || []).length;
+        let total = 0;
+        for (const queue of queues.values()) total += queue.length;
+        return total;
+    }
+
+    function withDuplicateSuffix(channel, message, now) {
+        // Chat commands like /ban would break with a suffix, /me is fine
+        if (message.startsWith('/') && !message.startsWith('/me ')) return message;
+
+        const last = lastSent.get(channel);
+        if (!last || last.raw !== message || now - last.at > DUPLICATE_WINDOW_MS) return message;
+        return last.text === message ? message + DUPLICATE_SUFFIX : message;
+    }
+
+    /**
+     * Returns how long the channel still has to wait before its next message, 0 if it may send now.
+     */
+    function getWaitMs(channel, now) {
+        const mod = isModerator(channel);
+        const last = lastSent.get(channel);
+        const interval = mod ? CHANNEL_INTERVAL_MOD_MS : CHANNEL_INTERVAL_MS;
+        let wait = last ? Math.max(0, last.at + interval - now) : 0;
+
+        const limit = mod ? RATE_LIMIT_MOD : RATE_LIMIT;
+        if (sentAt.length >= limit) {
+            wait = Math.max(wait, sentAt[sentAt.length - limit] + RATE_WINDOW_MS - now);
+        }
+        return wait;
+    }
+
+    function pump() {
+        timer = null;
+        const now = Date.now();
+        sentAt = sentAt.filter(t => now - t < RATE_WINDOW_MS);
+
+        if (!isReady()) {
+            if (size() > 0) schedule(1000);
+            return;
+        }
+
+        // Pick the most important, oldest message of all channels that may send right now
+        let next = null;
+        let nextWait = Infinity;
+        for (const [channel, queue] of queues) {
+            if (queue.length === 0) continue;
+            const wait = getWaitMs(channel, now);
+            const head = queue.reduce((best, item) => (
+                item.priority < best.priority || (item.priority === best.priority && item.seq < best.seq) ? item : best
+            ));
+            if (wait > 0) {
+                nextWait = Math.min(nextWait, wait);
+                continue;
+            }
+            if (!next || head.priority < next.item.priority || (head.priority === next.item.priority && head.seq < next.item.seq)) {
+                next = { channel, item: head };
+            }
+        }
+
+        if (!next) {
+            if (nextWait !== Infinity) schedule(nextWait);
+            return;
+        }
+
+        const { channel, item } = next;
+        const queue = queues.get(channel);
+        queue.splice(queue.indexOf(item), 1);
+        if (queue.length === 0) queues.delete(channel);
+
+        const text = withDuplicateSuffix(channel, item.message, now);
+        lastSent.set(channel, { raw: item.message, text, at: now });
+        sentAt.push(now);
+
+        Promise.resolve()
+            .then(() => send(channel, text))
+            .catch(e => console.error(`Fehler beim Senden in ${channel}:`, e));
+
+        if (size() > 0) schedule(0);
+    }
+
+    function schedule(delay) {
+        if (timer) {
+            if (delay > 0) return;
+            clearTimeout(timer);
+        }
+        timer = setTimeout(pump, delay);
+    }
+
+    function stop() {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        queues.clear();
+    }
+
+    return { say, purge, size, stop };
+}
+
+module.exports = {
+    PRIORITIES,
+    createChatQueue
+};
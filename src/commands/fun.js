@@ -0,0 +1,94 @@
+/**
+ * Small stateless fun commands.
+ * deps: { chatQueue, getRandomEmote(channel, { all, fallback }) }
+ */
+function registerFunCommands(commands, { chatQueue, getRandomEmote }) {
+    commands.register({
+        name: 'ping',
+        usage: 'ping',
+        description: 'Prüft ob der Bot da ist',
+        handler: async ({ channel }) => {
+            chatQueue.say(channel, 'anwesend bin da');
+        }
+    });
+
+    commands.register({
+        name: 'pong',
+        usage: 'pong',
+        description: 'Prüft ob der Bot da ist',
+        handler: async ({ channel }) => {
+            chatQueue.say(channel, 'animeGirlPunchU bin da');
+        }
+    });
+
+    commands.register({
+        name: 'ich',
+        aliases: ['ichheute'],
+        usage: 'ich',
+        description: 'Zeigt welches Emote du heute bist',
+        handler: async ({ channel, tags }) => {
+            const randomEmote = getRandomEmote(channel, { all: true });
+            chatQueue.say(channel, `@${tags.username} das bist du heute: ${randomEmote}`);
+        }
+    });
+
+    commands.register({
+        name: 'random',
+        aliases: ['rmd'],
+        usage: 'random',
+        description: 'Zufälliges Emote aus dem Channel',
+        handler: async ({ channel }) => {
+            chatQueue.say(channel, getRandomEmote(channel, { all: true, fallback: "wowii" }));
+        }
+    });
+
+    commands.register({
+        name: 'frage',
+        cooldown: 3,
+        usage: 'frage <Frage>',
+        description: 'Beantwortet Ja/Nein Fragen',
+        handler: async ({ channel, args }) => {
+            const question = args.join(' ').toLowerCase();
+            const restrictedKeywords = ['tod', 'sterben', 'umbringen', 'selbstmord', 'doid', 'jenseits', 'beenden', 'ppDone', 'erhängen', 'erhänhen', 'existieren', 'leben'];
+            if (restrictedKeywords.some(w => question.includes(w))) {
+                const restrictedAnswers = [
+                    "/me stare", "/me nein stare", "/me nein", "/me nein sideeye", "/me sideeye", "/me stop", "/me nein stop"
+                ];
+                const response = restrictedAnswers[Math.floor(Math.random() * restrictedAnswers.length)];
+                chatQueue.say(channel, response);
+            } else {
+                const answers = [
+                    "/me Genau ja", "/me nope nein", "/me eeh vielleicht", "/me Skip frag später nochmal",
+                    "/me Genau auf jeden fall", "/me nope niemals", "/me eeh wahrscheinlich schon",
+                    "/me manidk ich glaube nicht", "/me manik definitiv", "/me haher träum weiter"
+                ];
+                const randomAnswer = answers[Math.floor(Math.random() * answers.length)];
+                chatQueue.say(channel, `${randomAnswer}`);
+            }
+        }
+    });
+
+    commands.register({
+        name: 'kok',
+        usage: 'kok',
+        description: 'Misst nach',
+        handler: async ({ channel, tags }) => {
+            const length = Math.floor(Math.random() * 167);
+            chatQueue.say(channel, `/me @${tags.username} kok länge beträgt ${length} cm Reacting`);
+        }
+    });
+
+    commands.register({
+        name: 'pussy',
+        usage: 'pussy',
+        description: 'Misst nach',
+        handler: async ({ channel, tags }) => {
+            const length = Math.floor(Math.random() * 167);
+            chatQueue.say(channel, `/me @${tags.username} Pussy länge beträgt -${length} cm Reacting`);
+        }
+    });
+}
+
+module.exports = {
+    registerFunCommands
+};
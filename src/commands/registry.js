@@ -0,0 +1,86 @@
+const { isValidLevel } = require('../permissions');
+const { normalizeWindows, formatWindows } = require('../cooldowns');
+
+/**
+ * Creates a command registry.
+ *
+ * A command definition looks like:
+ * {
+ *     name: 'gamba',                   // Canonical name
+ *     aliases: ['slots'],              // Additional names
+ *     permission: 'everyone',          // Minimum level, see permissions.js LEVELS
+ *     cooldown: { user: 5 },           // Seconds per scope (global, channel, user), a number means per user.
+ *                                      // Can be overridden per channel via settings.cooldowns
+ *     cooldownReply: true,             // Whether a blocked call gets a "warte noch" reply
+ *     feature: null,                   // Optional settings.features toggle that must be on
+ *     usage: 'gamba <Menge>',          // Without prefix
+ *     description: 'Slot machine',
+ *     handler: async (ctx) => {}       // ctx: { channel, tags, args, command, sender, emote, prefix, settings, level }
+ * }
+ */
+function createCommandRegistry() {
+    const commands = [];
+    const lookup = new Map();
+
+    function register(definition) {
+        if (!definition || !definition.name || typeof definition.handler !== 'function') {
+            throw new Error('Command braucht mindestens name und handler');
+        }
+
+        const command = {
+            aliases: [],
+            permission: 'everyone',
+            cooldownReply: true,
+            feature: null,
+            usage: definition.name,
+            description: '',
+            ...definition
+        };
+        command.cooldown = normalizeWindows(definition.cooldown);
+
+        if (!isValidLevel(command.permission)) {
+            throw new Error(`Unbekannte Rolle ${command.permission} für Command ${command.name}`);
+        }
+
+        const names = [command.name, ...command.aliases].map(n => n.toLowerCase());
+        for (const name of names) {
+            if (lookup.has(name)) {
+                throw new Error(`Command-Name ${name} ist bereits von ${lookup.get(name).name} belegt`);
+            }
+        }
+        names.forEach(name => lookup.set(name, command));
+        commands.push(command);
+        return command;
+    }
+
+    function find(name) {
+        if (!name) return null;
+        return lookup.get(name.toLowerCase()) || null;
+    }
+
+    function list() {
+        return [...commands];
+    }
+
+    return { register, find, list };
+}
+
+/**
+ * One-line help text for -help.
+ */
+function formatHelp(command, prefix) {
+    let text = `${prefix}${command.usage}`;
+    if (command.aliases.length > 0) {
+        text += ` (auch: ${command.aliases.map(a => prefix + a).join(', ')})`;
+    }
+    if (command.description) text += ` - ${command.description}`;
+    if (command.permission !== 'everyone') text += ` | Rolle: ${command.permission}`;
+    const cooldown = formatWindows(command.cooldown);
+    if (cooldown && Object.values(command.cooldown).some(s => s > 0)) text += ` | Cooldown: ${cooldown}`;
+    return text;
+}
+
+module.exports = {
+    createCommandRegistry,
+    formatHelp
+};
@@ -0,0 +1,119 @@
+// Windows at least this long are persisted so they survive a restart.
+const PERSIST_AFTER_MS = 5 * 60 * 1000;
+
+const SCOPES = ['global', 'channel', 'user'];
+
+/**
+ * Normalizes a cooldown declaration.
+ * A plain number is a per-user window in seconds, an object can set { global, channel, user } in seconds.
+ * An explicit 0 is kept so a channel override can switch off a declared window.
+ */
+function normalizeWindows(cooldown) {
+    if (!cooldown) return {};
+    if (typeof cooldown === 'number') return { user: cooldown };
+
+    const windows = {};
+    for (const scope of SCOPES) {
+        const seconds = Number(cooldown[scope]);
+        if (cooldown[scope] !== undefined && !isNaN(seconds) && seconds >= 0) windows[scope] = seconds;
+    }
+    return windows;
+}
+
+/**
+ * Merges a channel override (settings.cooldowns[command]) over the declared windows.
+ */
+function mergeWindows(declared, override) {
+    return { ...normalizeWindows(declared), ...normalizeWindows(override) };
+}
+
+function formatWindows(windows) {
+    return SCOPES.filter(s => windows[s] !== undefined).map(s => `${windows[s]}s ${s}`).join(', ');
+}
+
+function buildKey(command, scope, { channel, user }) {
+    if (scope === 'global') return `${command}|global`;
+    if (scope === 'channel') return `${command}|channel|${channel}`;
+    return `${command}|user|${user}`;
+}
+
+/**
+ * Creates an in-memory cooldown tracker.
+ * onPersist(key, expiresAt) is called for every window longer than PERSIST_AFTER_MS.
+ */
+function createCooldownManager({ onPersist = () => {} } = {}) {
+    const entries = new Map(); // key -> { expiresAt, notified }
+
+    function getActive(key, now) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Returns { ok: true } or { ok: false, remainingMs, notify } where notify is only true
+     * for the first blocked attempt in a window, so the "wait" reply is sent once.
+     */
+    function check(command, windows, target) {
+        const now = Date.now();
+        let blocking = null;
+
+        for (const scope of SCOPES) {
+            if (!windows[scope]) continue;
+            const entry = getActive(buildKey(command, scope, target), now);
+            if (entry && (!blocking || entry.expiresAt > blocking.expiresAt)) {
+                blocking = entry;
+            }
+        }
+
+        if (!blocking) return { ok: true };
+
+        const notify = !blocking.notified;
+        blocking.notified = true;
+        return { ok: false, remainingMs: blocking.expiresAt - now, notify };
+    }
+
+    function hit(command, windows, target) {
+        const now = Date.now();
+        for (const scope of SCOPES) {
+            if (!windows[scope]) continue;
+            const key = buildKey(command, scope, target);
+            const durationMs = windows[scope] * 1000;
+            entries.set(key, { expiresAt: now + durationMs, notified: false });
+            if (durationMs >= PERSIST_AFTER_MS) {
+                onPersist(key, now + durationMs);
+            }
+        }
+    }
+
+    function reset(command, scope, target) {
+        const key = buildKey(command, scope, target);
+        entries.delete(key);
+        return key;
+    }
+
+    /**
+     * Restores persisted windows, e.g. [{ key, expiresAt }].
+     */
+    function load(stored) {
+        const now = Date.now();
+        for (const { key, expiresAt } of stored) {
+            if (expiresAt > now) entries.set(key, { expiresAt, notified: false });
+        }
+    }
+
+    return { check, hit, reset, load };
+}
+
+module.exports = {
+    PERSIST_AFTER_MS,
+    SCOPES,
+    normalizeWindows,
+    mergeWindows,
+    formatWindows,
+    createCooldownManager
+};
@@ -0,0 +1,105 @@
+// Ordinal words as understood by parseHint (index 0 = first letter).
+const ORDINAL_WORDS = ['Erster', 'Zweiter', 'Dritter', 'Vierter', 'Fünfter', 'Sechster', 'Siebter', 'Achter', 'Neunter', 'Zehnter'];
+
+const HINT_INTERVAL_MS = 20000;
+const MAX_REWARD = 676;
+const MIN_REWARD = 67;
+const REWARD_STEP = 100;
+const STREAK_BONUS = 67;
+
+/**
+ * Builds the ordered list of letter hints for an emote name.
+ * Length is always known from the start, then first and last letter,
+ * then the remaining positions parseHint can express in random order.
+ */
+function buildHints(name) {
+    const hints = [];
+    const lower = name.toLowerCase();
+    const isHintChar = c => /^[a-z0-9]$/.test(c);
+    const used = new Set();
+
+    if (isHintChar(lower[0])) {
+        hints.push({ label: 'Erster', char: lower[0] });
+        used.add(0);
+    }
+    const lastIndex = lower.length - 1;
+    if (lastIndex > 0 && isHintChar(lower[lastIndex])) {
+        hints.push({ label: 'Letzter', char: lower[lastIndex] });
+        used.add(lastIndex);
+    }
+
+    const rest = [];
+    for (let i = 1; i < Math.min(lower.length, ORDINAL_WORDS.length); i++) {
+        if (!used.has(i) && isHintChar(lower[i])) {
+            rest.push({ label: ORDINAL_WORDS[i], char: lower[i] });
+            used.add(i);
+        }
+    }
+    const secondLast = lower.length - 2;
+    if (secondLast > 0 && !used.has(secondLast) && isHintChar(lower[secondLast])) {
+        rest.push({ label: 'Vorletzter', char: lower[secondLast] });
+    }
+    rest.sort(() => Math.random() - 0.5);
+
+    // Never reveal every letter, otherwise the last hint is the answer.
+    const maxHints = Math.max(1, lower.length - 2);
+    return hints.concat(rest).slice(0, maxHints);
+}
+
+/**
+ * Creates a new round for a random emote out of the given list.
+ */
+function createRound(emotes) {
+    if (!emotes || emotes.length === 0) return null;
+    const emote = emotes[Math.floor(Math.random() * emotes.length)];
+    return {
+        emote,
+        hints: buildHints(emote),
+        revealed: 0,
+        startedAt: Date.now(),
+        timer: null
+    };
+}
+
+/**
+ * Formats everything revealed so far as a sentence that parseHint (and therefore -suche) understands.
+ */
+function formatHintText(round) {
+    let text = `Das Emote hat ${round.emote.length} Buchstaben`;
+    const shown = round.hints.slice(0, round.revealed);
+    if (shown.length > 0) {
+        text += ` | Tips: ${shown.map(h => `${h.label} Buchstabe: ${h.char}`).join(', ')}`;
+    }
+    return text;
+}
+
+/**
+ * Reveals the next hint. Returns false when there is nothing left to reveal.
+ */
+function revealNextHint(round) {
+    if (round.revealed >= round.hints.length) return false;
+    round.revealed++;
+    return true;
+}
+
+function isCorrectGuess(round, message) {
+    return message.trim().toLowerCase() === round.emote.toLowerCase();
+}
+
+/**
+ * Reward for a correct guess: fewer revealed hints pay more, streaks add a bonus.
+ */
+function calculateReward(round, streak = 1) {
+    const base = Math.max(MIN_REWARD, MAX_REWARD - round.revealed * REWARD_STEP);
+    return base + Math.max(0, streak - 1) * STREAK_BONUS;
+}
+
+module.exports = {
+    HINT_INTERVAL_MS,
+    buildHints,
+    createRound,
+    formatHintText,
+    revealNextHint,
+    isCorrectGuess,
+    calculateReward
+};
@@ -0,0 +1,270 @@
+// Keeps the EventSub subscriptions at Twitch in line with the stored notifications.
+// Subscriptions are keyed "type:broadcasterId", one per key no matter how many channels want it.
+const { SUBSCRIPTION_VERSIONS, subscriptionOf } = require('./notifytypes');
+const { CHANNEL_EVENTS, channelEventOf, broadcasterOf } = require('./channelevents');
+
+// Our own cap, far below what Twitch allows, so a flood of -notify can't run into the API limits
+const MAX_SUBSCRIPTIONS = 100;
+
+// Helix requests running at the same time while reconciling
+const CONCURRENCY = 5;
+
+// Revocations kept for the status command
+const MAX_REVOKED = 10;
+
+function subscriptionKey(type, targetId) {
+    return `${type}:${targetId}`;
+}
+
+function subscriptionVersion(type) {
+    const event = channelEventOf(type);
+    return event ? CHANNEL_EVENTS[event].version : SUBSCRIPTION_VERSIONS[type];
+}
+
+/**
+ * Keys of the subscriptions the stored -notify notifications need.
+ */
+function notificationKeys(notifications) {
+    return notifications.map(n => subscriptionKey(subscriptionOf(n), n.targetId));
+}
+
+/**
+ * Runs fn for every item, at most limit at a time.
+ */
+async function runLimited(items, limit, fn) {
+    const queue = [...items];
+    const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+        while (queue.length > 0) await fn(queue.shift());
+    });
+    await Promise.all(workers);
+}
+
+/**
+ * Whether a subscription listed by Helix was made for this transport (same WebSocket session or webhook callback).
+ */
+function sameTransport(sub, transport) {
+    if (!sub.transport || sub.transport.method !== transport.method) return false;
+    if (transport.method === 'webhook') return sub.transport.callback === transport.callback;
+    return sub.transport.session_id === transport.session_id;
+}
+
+/**
+ * Creates the EventSub manager.
+ * deps: { storage, helix: { list(), create(type, version, targetId, transport), remove(id) }, wanted() }
+ * wanted resolves every key that should be subscribed, by default the ones of the stored notifications.
+ * transport is the Helix transport object, { method: 'websocket', session_id } or { method: 'webhook', callback, secret }.
+ * helix.list resolves { data, total, totalCost, maxTotalCost } (see listEventSubSubscriptions in 7tv.js),
+ * helix.create the created subscriptions. deps.storage is read on use like in the reminder scheduler.
+ */
+function createEventSubManager(deps) {
+    const { helix, maxSubscriptions = MAX_SUBSCRIPTIONS, concurrency = CONCURRENCY } = deps;
+    const subscriptions = new Map(); // key -> { id, type, targetId, cost }
+    const failed = new Map(); // key -> reason
+    const revoked = [];
+    const limits = { total: 0, totalCost: 0, maxTotalCost: 0 };
+    let transport = null;
+    let wanted = 0;
+    let lastReconcile = 0;
+    let running = Promise.resolve();
+
+    // Reconciling, subscribing and deleting must not overlap, otherwise a key can be created twice
+    function serial(fn) {
+        const run = running.then(fn, fn);
+        running = run.catch(() => {});
+        return run;
+    }
+
+    async function wantedKeys() {
+        if (deps.wanted) return new Set(await deps.wanted());
+        return new Set(notificationKeys(await deps.storage.notifications.all()));
+    }
+
+    async function create(key) {
+        if (subscriptions.has(key)) return;
+        if (subscriptions.size >= maxSubscriptions) {
+            failed.set(key, `Limit von ${maxSubscriptions} Subscriptions erreicht`);
+            return;
+        }
+        if (limits.maxTotalCost > 0 && limits.totalCost >= limits.maxTotalCost) {
+            failed.set(key, `Kostenlimit ${limits.maxTotalCost} erreicht`);
+            return;
+        }
+
+        const [type, targetId] = key.split(':');
+        try {
+            const created = await helix.create(type, subscriptionVersion(type), targetId, transport);
+            const sub = Array.isArray(created) ? created[0] : null;
+            const cost = sub && sub.cost ? sub.cost : 0;
+            subscriptions.set(key, { id: sub ? sub.id : null, type, targetId, cost });
+            failed.delete(key);
+            limits.total++;
+            limits.totalCost += cost;
+        } catch (e) {
+            console.error(`[EventSub] Failed to subscribe to ${key}:`, e.message);
+            failed.set(key, e.message);
+        }
+    }
+
+    async function remove(id, cost = 0) {
+        if (!id) return;
+        await helix.remove(id);
+        limits.total = Math.max(0, limits.total - 1);
+        limits.totalCost = Math.max(0, limits.totalCost - cost);
+    }
+
+    /**
+     * Lists the subscriptions at Twitch, deletes the ones nothing needs anymore (old sessions,
+     * removed notifications) and creates the missing ones.
+     */
+    function reconcile() {
+        return serial(async () => {
+            if (!transport) return status();
+
+            const keys = await wantedKeys();
+            const existing = await helix.list();
+            Object.assign(limits, { total: existing.total, totalCost: existing.totalCost, maxTotalCost: existing.maxTotalCost });
+            subscriptions.clear();
+            failed.clear();
+
+            const orphans = [];
+            for (const sub of existing.data) {
+                // Subscriptions of the other transport and webhooks of other callbacks are left alone,
+                // WebSocket subscriptions of old sessions are orphans
+                if (!sub.transport || sub.transport.method !== transport.method) continue;
+                if (transport.method === 'webhook' && !sameTransport(sub, transport)) continue;
+
+                const key = subscriptionKey(sub.type, broadcasterOf(sub.condition));
+                // A webhook is usable once Twitch got the challenge answer, which may still be on its way
+                const active = sub.status === 'enabled' || (transport.method === 'webhook' && sub.status === 'webhook_callback_verification_pending');
+                if (sameTransport(sub, transport) && active && keys.has(key) && !subscriptions.has(key)) {
+                    subscriptions.set(key, { id: sub.id, type: sub.type, targetId: broadcasterOf(sub.condition), cost: sub.cost || 0 });
+                } else {
+                    orphans.push(sub);
+                }
+            }
+
+            await runLimited(orphans, concurrency, async sub => {
+                try {
+                    await remove(sub.id, sub.cost);
+                } catch (e) {
+                    console.error(`[EventSub] Failed to delete subscription ${sub.id}:`, e.message);
+                }
+            });
+            await runLimited([...keys].filter(key => !subscriptions.has(key)), concurrency, create);
+
+            wanted = keys.size;
+            lastReconcile = Date.now();
+            console.log(`[EventSub] Reconciled: ${subscriptions.size}/${wanted} subscribed, ${orphans.length} orphaned deleted.`);
+            return status();
+        });
+    }
+
+    /**
+     * Subscribes to type for targetId unless that subscription exists already.
+     */
+    function ensure(type, targetId) {
+        return serial(async () => {
+            const key = subscriptionKey(type, targetId);
+            wanted = (await wantedKeys()).size;
+            if (!transport || subscriptions.has(key)) return;
+            await create(key);
+        });
+    }
+
+    /**
+     * Deletes the subscription once no notification needs it anymore. Resolves whether one was deleted.
+     */
+    function release(type, targetId) {
+        return serial(async () => {
+            const key = subscriptionKey(type, targetId);
+            const keys = await wantedKeys();
+            wanted = keys.size;
+            if (keys.has(key)) return false;
+
+            failed.delete(key);
+            const sub = subscriptions.get(key);
+            if (!sub) return false;
+            await remove(sub.id, sub.cost);
+            subscriptions.delete(key);
+            return true;
+        });
+    }
+
+    /**
+     * Handles a revocation message. Twitch does not send events for the subscription anymore.
+     */
+    function handleRevocation(sub) {
+        const key = subscriptionKey(sub.type, broadcasterOf(sub.condition));
+        const known = subscriptions.get(key);
+        subscriptions.delete(key);
+        if (known) {
+            limits.total = Math.max(0, limits.total - 1);
+            limits.totalCost = Math.max(0, limits.totalCost - known.cost);
+        }
+        revoked.unshift({ key, status: sub.status, at: Date.now() });
+        revoked.length = Math.min(revoked.length, MAX_REVOKED);
+        console.warn(`[EventSub] Subscription ${key} revoked: ${sub.status}`);
+    }
+
+    /**
+     * Sets the transport new subscriptions use, null while disconnected. A new transport starts
+     * without subscriptions, a WebSocket reconnect URL keeps them (pass keep).
+     */
+    function setTransport(next, { keep = false } = {}) {
+        transport = next || null;
+        if (!keep) subscriptions.clear();
+    }
+
+    function setSession(id, options) {
+        setTransport(id ? { method: 'websocket', session_id: id } : null, options);
+    }
+
+    function status() {
+        return {
+            connected: Boolean(transport),
+            transport: transport ? transport.method : null,
+            active: subscriptions.size,
+            wanted,
+            maxSubscriptions,
+            total: limits.total,
+            totalCost: limits.totalCost,
+            maxTotalCost: limits.maxTotalCost,
+            failed: [...failed].map(([key, reason]) => ({ key, reason })),
+            revoked: [...revoked],
+            lastReconcile
+        };
+    }
+
+    return {
+        reconcile,
+        ensure,
+        release,
+        handleRevocation,
+        setTransport,
+        setSession,
+        status,
+        has: (type, targetId) => subscriptions.has(subscriptionKey(type, targetId))
+    };
+}
+
+/**
+ * One chat line for the -eventsub command.
+ */
+function formatEventSubStatus(status, now = Date.now()) {
+    if (!status.connected) return 'EventSub ist nicht verbunden.';
+
+    const parts = [`${status.active}/${status.wanted} Subscriptions aktiv (max ${status.maxSubscriptions})`];
+    if (status.maxTotalCost > 0) parts.push(`Kosten ${status.totalCost}/${status.maxTotalCost}`);
+    if (status.failed.length > 0) parts.push(`fehlgeschlagen: ${status.failed.map(f => `${f.key} (${f.reason})`).join(', ')}`);
+    if (status.revoked.length > 0) parts.push(`widerrufen: ${status.revoked.map(r => `${r.key} (${r.status})`).join(', ')}`);
+    if (status.lastReconcile) parts.push(`letzter Abgleich vor ${Math.round((now - status.lastReconcile) / 60000)} Min.`);
+    return `EventSub (${status.transport}): ${parts.join(' | ')}`.slice(0, 450);
+}
+
+module.exports = {
+    MAX_SUBSCRIPTIONS,
+    subscriptionKey,
+    notificationKeys,
+    createEventSubManager,
+    formatEventSubStatus
+};
@@ -0,0 +1,99 @@
+// EventSub webhook transport: Twitch POSTs events to the bot's web server instead of a WebSocket.
+// Every message is signed with the secret given when subscribing, see
+// https://dev.twitch.tv/docs/eventsub/handling-webhook-events/
+const crypto = require('crypto');
+
+// Older messages are rejected as replays, Twitch recommends 10 minutes
+const MAX_MESSAGE_AGE_MS = 10 * 60 * 1000;
+
+const HEADER_ID = 'twitch-eventsub-message-id';
+const HEADER_TIMESTAMP = 'twitch-eventsub-message-timestamp';
+const HEADER_SIGNATURE = 'twitch-eventsub-message-signature';
+const HEADER_TYPE = 'twitch-eventsub-message-type';
+
+/**
+ * "sha256=<hex>" signature of a message, the same Twitch sends in Twitch-Eventsub-Message-Signature.
+ */
+function signMessage(secret, messageId, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(messageId + timestamp + body).digest('hex');
+}
+
+/**
+ * Whether the headers carry a valid signature for the raw body.
+ */
+function verifySignature(secret, headers, body) {
+    const messageId = headers[HEADER_ID];
+    const timestamp = headers[HEADER_TIMESTAMP];
+    const signature = headers[HEADER_SIGNATURE];
+    if (!messageId || !timestamp || !signature) return false;
+
+    const expected = Buffer.from(signMessage(secret, messageId, timestamp, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates the request handler for the webhook callback. It needs the raw body (express.raw).
+ * deps: { secret, onNotification(event, subscriptionType), onRevocation(subscription), now() }
+ * Twitch retries messages it got no 2xx for, a message ID that was handled already is only acknowledged.
+ */
+function createEventSubWebhook({ secret, onNotification, onRevocation = () => {}, now = Date.now }) {
+    const seen = new Map(); // format: { messageId: expiresAt }
+
+    function alreadySeen(messageId) {
+        const time = now();
+        for (const [id, expiresAt] of seen) {
+            if (expiresAt < time) seen.delete(id);
+        }
+        if (seen.has(messageId)) return true;
+        seen.set(messageId, time + MAX_MESSAGE_AGE_MS);
+        return false;
+    }
+
+    return (req, res) => {
+        const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+        if (!verifySignature(secret, req.headers, body)) {
+            res.status(403).send('Ungültige Signatur');
+            return;
+        }
+
+        const sentAt = Date.parse(req.headers[HEADER_TIMESTAMP]);
+        if (!(now() - sentAt <= MAX_MESSAGE_AGE_MS)) {
+            res.status(403).send('Nachricht zu alt');
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (e) {
+            res.status(400).send('Ungültiges JSON');
+            return;
+        }
+
+        const messageType = req.headers[HEADER_TYPE];
+        if (messageType === 'webhook_callback_verification') {
+            res.status(200).type('text/plain').send(payload.challenge);
+            return;
+        }
+
+        res.status(204).end();
+        if (alreadySeen(req.headers[HEADER_ID])) return;
+
+        if (messageType === 'notification') {
+            onNotification(payload.event, payload.subscription.type);
+        } else if (messageType === 'revocation') {
+            onRevocation(payload.subscription);
+        }
+    };
+}
+
+module.exports = {
+    HEADER_ID,
+    HEADER_TIMESTAMP,
+    HEADER_SIGNATURE,
+    HEADER_TYPE,
+    signMessage,
+    verifySignature,
+    createEventSubWebhook
+};
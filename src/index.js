@@ -1,3413 +1,17 @@
-require('dotenv').config();
-const tmi = require('tmi.js');
-const fs = require('fs');
 const path = require('path');
-const http = require('http'); // For Render Health Checks
-const https = require('https');
-const express = require('express');
-const { Server } = require('socket.io');
-const { getNowPlayingWithPlaycount } = require('./lastfm');
-const { getClientId, getTwitchUserId, getTwitchUserById, getTwitchChannelsInfo, get7TVEmotes, getBTTVEmotes, getFFZEmotes, parseHint, helixTimeout, subscribeToEventSub } = require('./7tv');
-// mongoose is loaded conditionally below to prevent local crashes
-
-// Configuration
-const client = new tmi.Client({
-    options: { debug: true, messagesLogLevel: 'info' },
-    connection: {
-        reconnect: true,
-        secure: true
-    },
-    identity: {
-        username: process.env.TWITCH_USERNAME,
-        password: process.env.TWITCH_OAUTH_TOKEN
-    },
-    channels: [] // Channels are now managed dynamically via channels.json
-});
-
-// --- Render Web Service Support ---
-// Render needs a port to be open to check if the app is alive.
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: '*' } });
-
-app.use(express.static(path.join(__dirname, '..', 'public')));
-
-app.get('/', (req, res) => {
-    res.send('Twitch Bot is alive!');
-});
-
-app.get('/overlay', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'overlay.html'));
-});
-
-// Render sets the PORT env variable automatically
-const port = process.env.PORT || 3000;
-server.listen(port, () => {
-    console.log(`Webserver für Render & Overlay läuft auf Port ${port}`);
-});
-
-// Global State
-let channelEmotes = {};
-let allChannelEmotes = {};
-let activeTimers = [];
-let currentPrefix = '-';
-let isChangingPrefix = false;
-let prefixChangeUser = null;
-let userStars = {};
-let activeChatUsers = new Set();
-let channelIds = {};
-let copyTargetUser = null;
-let useMongoDB = false;
-let botUserId = null;
-let activeTiktokPlaying = false;
-let tiktokVoteskipUsers = new Set();
-let tiktokTimeoutId = null;
-let tiktokQueue = [];
-let lastRandomBanTime = {};
-
-function playNextTiktok() {
-    if (tiktokQueue.length === 0) {
-        activeTiktokPlaying = false;
-        return;
-    }
-
-    activeTiktokPlaying = true;
-    tiktokVoteskipUsers.clear();
-
-    const nextVideo = tiktokQueue.shift();
-
-    io.emit('play-tiktok', { url: nextVideo.url, user: nextVideo.user, time: nextVideo.duration });
-    client.say(nextVideo.channel, `/me @${nextVideo.user} Reacting tiktok von @${nextVideo.user} wird abgespielt`);
-
-    if (tiktokTimeoutId) clearTimeout(tiktokTimeoutId);
-    tiktokTimeoutId = setTimeout(() => {
-        activeTiktokPlaying = false;
-        tiktokVoteskipUsers.clear();
-        tiktokTimeoutId = null;
-        playNextTiktok(); // play the next one
-    }, (nextVideo.duration + 2) * 1000);
-}
-
-let User;
-let ChatStat;
-let Channel;
-let Reminder;
-let Notification;
-let eventSubWs = null;
-let eventSubSessionId = '';
-let eventSubReconnectDelay = 1000;
-let subscribedTargetIds = new Set();
-// Connection to MongoDB
-let mongoConnectedPromise = Promise.resolve();
-
-if (process.env.MONGODB_URI) {
-    try {
-        const mongoose = require('mongoose');
-        const userSchema = new mongoose.Schema({
-            username: { type: String, required: true, unique: true },
-            balance: { type: Number, default: 0 },
-            lastClaim: { type: Number, default: 0 },
-            reminded: { type: Boolean, default: false },
-            level: { type: Number, default: 0 },
-            investedStars: { type: Number, default: 0 },
-            nextLevelCost: { type: Number, default: 670 },
-            lastChannel: { type: String },
-            loanAmount: { type: Number, default: 0 },
-            loanDueDate: { type: Number, default: 0 },
-            lastInterestTime: { type: Number, default: 0 },
-            repaymentFailures: { type: Number, default: 0 },
-            afkStartTime: { type: Number, default: 0 },
-            afkReason: { type: String, default: "" },
-            lastfm: { type: String, default: "" }
-        });
-
-        User = mongoose.model('User', userSchema);
-
-        const chatStatSchema = new mongoose.Schema({
-            date: { type: String, required: true }, // Format: MM/DD/YYYY from toLocaleString
-            username: { type: String, required: true },
-            count: { type: Number, default: 0 }
-        });
-        chatStatSchema.index({ date: 1, username: 1 }, { unique: true });
-        ChatStat = mongoose.model('ChatStat', chatStatSchema);
-
-        const channelSchema = new mongoose.Schema({
-            username: { type: String, required: true, unique: true },
-            id: { type: String, required: true },
-            joinedAt: { type: Date, default: Date.now }
-        });
-        Channel = mongoose.model('Channel', channelSchema);
-
-        const reminderSchema = new mongoose.Schema({
-            targetUser: { type: String, required: true },
-            sourceUser: { type: String, required: true },
-            message: { type: String, required: true },
-            dueAt: { type: Number, required: true },
-
-            channel: { type: String, required: true },
-            createdAt: { type: Number, default: Date.now }
-        });
-        Reminder = mongoose.model('Reminder', reminderSchema);
-
-        const notificationSchema = new mongoose.Schema({
-            channel: { type: String, required: true },
-            targetChannel: { type: String, required: true },
-            targetId: { type: String, required: true },
-            type: { type: String, required: true },
-            createdAt: { type: Number, default: Date.now }
-        });
-        Notification = mongoose.model('Notification', notificationSchema);
-
-        mongoConnectedPromise = mongoose.connect(process.env.MONGODB_URI)
-            .then(() => {
-                console.log("Verbunden mit MongoDB! (Permanente Speicherung aktiv)");
-                useMongoDB = true;
-                // Init Stars is called later or here? loadStars is async. 
-                // loadStars() writes to userStars. 
-                return loadStars();
-            })
-            .catch(err => {
-                console.error("MongoDB Verbindungsfehler:", err);
-                useMongoDB = false;
-            });
-    } catch (e) {
-        console.error("Mongoose konnte nicht geladen werden. MongoDB deaktiviert.");
-        useMongoDB = false;
-    }
-}
-
-let afkUsers = {};
-let lastAfkUsers = {};
-let activeBlackjackGames = {};
-let activeGuessGames = {};
-
-
-
-// Persistence
-const STARS_FILE = path.join(__dirname, '..', 'stars.json');
-const CHANNELS_FILE = path.join(__dirname, '..', 'channels.json');
-const REMINDERS_FILE = path.join(__dirname, '..', 'reminders.json');
-const NOTIFICATIONS_FILE = path.join(__dirname, '..', 'notifications.json');
-let monitoredChannels = [];
-let localReminders = []; // For non-mongo mode
-let localNotifications = [];
-let lastStreamStatus = {}; // format: { targetId: { title: "...", game: "..." } }
-// let lastReminderId = 0;
-
-async function initLastReminderId() {
-    try {
-        let maxId = 0;
-        if (useMongoDB) {
-            // Fetch all reminders to find max ID
-            // Since shortId is a string, we need to parse.
-            // But doing this in DB requires aggregation or fetching all.
-            // Given "Reminders" count is likely low (<1000), fetching fields is okay?
-            // Optimization: Fetch only shortId field.
-            const reminders = await Reminder.find({}, 'shortId');
-            if (reminders.length > 0) {
-                const ids = reminders.map(r => parseInt(r.shortId)).filter(n => !isNaN(n));
-                if (ids.length > 0) maxId = Math.max(...ids);
-            }
-        } else {
-            // Local mode
-            if (localReminders.length > 0) {
-                const ids = localReminders.map(r => parseInt(r.shortId)).filter(n => !isNaN(n));
-                if (ids.length > 0) maxId = Math.max(...ids);
-            }
-        }
-        lastReminderId = maxId;
-        console.log(`Initialisierte Reminder-ID Startwert: ${lastReminderId}`);
-    } catch (e) {
-        console.error("Fehler beim Initialisieren der Reminder-ID:", e);
-        lastReminderId = 0;
-    }
-}
-
-async function loadStars() {
-    if (useMongoDB) {
-        try {
-            const users = await User.find({});
-            userStars = {};
-            users.forEach(u => {
-                userStars[u.username] = {
-                    balance: u.balance,
-                    lastClaim: u.lastClaim,
-                    reminded: u.reminded,
-                    level: u.level || 0,
-                    investedStars: u.investedStars || 0,
-                    nextLevelCost: u.nextLevelCost || 670,
-                    lastChannel: u.lastChannel,
-                    loanAmount: u.loanAmount || 0,
-                    loanDueDate: u.loanDueDate || 0,
-                    lastInterestTime: u.lastInterestTime || 0,
-                    repaymentFailures: u.repaymentFailures || 0,
-                    afkStartTime: u.afkStartTime || 0,
-                    afkReason: u.afkReason || "",
-                    lastfm: u.lastfm || ""
-                };
-                // Restore AFK Status
-                if (u.afkStartTime > 0) {
-                    afkUsers[u.username] = { startTime: u.afkStartTime, reason: u.afkReason || "" };
-                }
-            });
-            console.log(`Stars aus MongoDB geladen: ${Object.keys(userStars).length} User.`);
-        } catch (e) {
-            console.error("Fehler beim Laden von MongoDB:", e);
-        }
-    } else {
-        try {
-            if (fs.existsSync(STARS_FILE)) {
-                const data = fs.readFileSync(STARS_FILE, 'utf8');
-                userStars = JSON.parse(data);
-                // Restore AFK Status from JSON
-                for (const [user, data] of Object.entries(userStars)) {
-                    if (data.afkStartTime > 0) {
-                        afkUsers[user] = { startTime: data.afkStartTime, reason: data.afkReason || "" };
-                    }
-                }
-                console.log(`Stars geladen: ${Object.keys(userStars).length} User.`);
-            }
-        } catch (e) {
-            console.error("Fehler beim Laden der Stars:", e);
-        }
-    }
-}
-
-async function loadReminders() {
-    if (useMongoDB) {
-        // No local cache needed, we query DB directly
-    } else {
-        try {
-            if (fs.existsSync(REMINDERS_FILE)) {
-                const data = fs.readFileSync(REMINDERS_FILE, 'utf8');
-                localReminders = JSON.parse(data);
-                console.log(`Reminders geladen: ${localReminders.length}`);
-            }
-        } catch (e) {
-            console.error("Fehler beim Laden der Reminders:", e);
-        }
-    }
-}
-
-async function saveLocalReminders() {
-    if (!useMongoDB) {
-        try {
-            fs.writeFileSync(REMINDERS_FILE, JSON.stringify(localReminders, null, 2));
-        } catch (e) {
-            console.error("Fehler beim Speichern der Reminders:", e);
-        }
-    }
-}
-
-async function loadNotifications() {
-    if (useMongoDB) {
-        // No local cache needed, we query DB directly
-    } else {
-        try {
-            if (fs.existsSync(NOTIFICATIONS_FILE)) {
-                const data = fs.readFileSync(NOTIFICATIONS_FILE, 'utf8');
-                localNotifications = JSON.parse(data);
-                console.log(`Notifications geladen: ${localNotifications.length}`);
-            }
-        } catch (e) {
-            console.error("Fehler beim Laden der Notifications:", e);
-        }
-    }
-}
-
-async function saveLocalNotifications() {
-    if (!useMongoDB) {
-        try {
-            fs.writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(localNotifications, null, 2));
-        } catch (e) {
-            console.error("Fehler beim Speichern der Notifications:", e);
-        }
-    }
-}
-
-async function initNotificationsCache() {
-    try {
-        let allNotifications = [];
-        if (useMongoDB) {
-            if (Notification) {
-                allNotifications = await Notification.find({});
-            }
-        } else {
-            allNotifications = localNotifications;
-        }
-
-        if (allNotifications.length === 0) return;
-
-        const uniqueTargetIds = [...new Set(allNotifications.map(n => n.targetId))];
-        const token = process.env.TWITCH_OAUTH_TOKEN;
-        const clientId = await getClientId(token);
-
-        const channelInfos = await getTwitchChannelsInfo(uniqueTargetIds, clientId, token);
-        channelInfos.forEach(info => {
-            lastStreamStatus[info.broadcaster_id] = {
-                title: info.title || "",
-                game: info.game_name || ""
-            };
-        });
-        console.log(`Initialisierte Status-Cache für ${Object.keys(lastStreamStatus).length} überwachte Kanäle.`);
-    } catch (e) {
-        console.error("Fehler beim Initialisieren des Notifications-Caches:", e);
-    }
-}
-
-let keepaliveTimeout = 10;
-let keepaliveTimer = null;
-
-function resetKeepaliveTimer() {
-    if (keepaliveTimer) clearTimeout(keepaliveTimer);
-    keepaliveTimer = setTimeout(() => {
-        console.warn("[EventSub] Keepalive timeout exceeded. Reconnecting...");
-        if (eventSubWs) {
-            eventSubWs.close();
-        }
-    }, (keepaliveTimeout + 3) * 1000);
-}
-
-async function subscribeAllEventSub() {
-    try {
-        if (!eventSubSessionId) {
-            console.warn("[EventSub] No EventSub Session ID available to subscribe.");
-            return;
-        }
-
-        let allNotifications = [];
-        if (useMongoDB) {
-            if (Notification) {
-                allNotifications = await Notification.find({});
-            }
-        } else {
-            allNotifications = localNotifications;
-        }
-
-        if (allNotifications.length === 0) {
-            console.log("[EventSub] No channels to subscribe to.");
-            return;
-        }
-
-        const uniqueTargetIds = [...new Set(allNotifications.map(n => n.targetId))];
-        const token = process.env.TWITCH_OAUTH_TOKEN;
-        const clientId = await getClientId(token);
-
-        console.log(`[EventSub] Starting subscriptions for ${uniqueTargetIds.length} channels...`);
-        subscribedTargetIds.clear();
-
-        for (const targetId of uniqueTargetIds) {
-            try {
-                await subscribeToEventSub(targetId, eventSubSessionId, clientId, token);
-                subscribedTargetIds.add(targetId);
-                console.log(`[EventSub] Subscribed successfully to targetId: ${targetId}`);
-            } catch (err) {
-                console.error(`[EventSub] Failed to subscribe to targetId ${targetId}:`, err);
-            }
-            await new Promise(r => setTimeout(r, 100));
-        }
-        console.log(`[EventSub] Subscribed to ${subscribedTargetIds.size}/${uniqueTargetIds.length} channels.`);
-    } catch (e) {
-        console.error("[EventSub] Error during subscribeAllEventSub:", e);
-    }
-}
-
-async function handleEventSubNotification(event) {
-    try {
-        const targetId = event.broadcaster_user_id;
-        const targetChannel = event.broadcaster_user_login;
-        const currentTitle = event.title || "";
-        const currentGame = event.category_name || "";
-
-        console.log(`[EventSub] Notification received for ${targetChannel} (${targetId}). Title: "${currentTitle}", Game: "${currentGame}"`);
-
-        let allNotifications = [];
-        if (useMongoDB) {
-            if (Notification) {
-                allNotifications = await Notification.find({ targetId });
-            }
-        } else {
-            allNotifications = localNotifications.filter(n => n.targetId === targetId);
-        }
-
-        if (allNotifications.length === 0) return;
-
-        const previous = lastStreamStatus[targetId];
-        if (!previous) {
-            lastStreamStatus[targetId] = {
-                title: currentTitle,
-                game: currentGame
-            };
-            return;
-        }
-
-        for (const notif of allNotifications) {
-            if (notif.type === 'title') {
-                if (currentTitle && currentTitle !== previous.title) {
-                    const msg = `wideSpeedNod ${notif.targetChannel} neuer titel: ${currentTitle}`;
-                    client.say(notif.channel, msg)
-                        .catch(err => console.error(`Fehler beim Senden der Titel-Benachrichtigung an ${notif.channel}:`, err));
-                }
-            } else if (notif.type === 'game') {
-                if (currentGame && currentGame !== previous.game) {
-                    const msg = `wideSpeedNod ${notif.targetChannel} spielt jetzt: ${currentGame}`;
-                    client.say(notif.channel, msg)
-                        .catch(err => console.error(`Fehler beim Senden der Game-Benachrichtigung an ${notif.channel}:`, err));
-                }
-            }
-        }
-
-        lastStreamStatus[targetId] = {
-            title: currentTitle,
-            game: currentGame
-        };
-    } catch (e) {
-        console.error("[EventSub] Error handling notification event:", e);
-    }
-}
-
-function connectTwitchEventSub(reconnectUrl = null) {
-    console.log(`[EventSub] Connecting to ${reconnectUrl || 'wss://eventsub.wss.twitch.tv/ws'}...`);
-    const ws = new WebSocket(reconnectUrl || 'wss://eventsub.wss.twitch.tv/ws');
-
-    ws.onmessage = async (event) => {
-        resetKeepaliveTimer();
-
-        let data;
-        try {
-            data = JSON.parse(event.data);
-        } catch (err) {
-            console.error("[EventSub] Failed to parse message JSON:", err);
-            return;
-        }
-
-        const messageType = data.metadata ? data.metadata.message_type : null;
-        if (!messageType) return;
-
-        if (messageType === 'session_welcome') {
-            const newSessionId = data.payload.session.id;
-            const keepaliveSeconds = data.payload.session.keepalive_timeout_seconds;
-            if (keepaliveSeconds) {
-                keepaliveTimeout = keepaliveSeconds;
-            }
-            console.log(`[EventSub] Welcome received. Session ID: ${newSessionId}`);
-
-            if (reconnectUrl) {
-                console.log("[EventSub] Reconnect successful. Closing old socket.");
-                if (eventSubWs && eventSubWs !== ws) {
-                    eventSubWs.onclose = null;
-                    eventSubWs.close();
-                }
-                eventSubWs = ws;
-                eventSubSessionId = newSessionId;
-            } else {
-                eventSubWs = ws;
-                eventSubSessionId = newSessionId;
-                await subscribeAllEventSub();
-            }
-            eventSubReconnectDelay = 1000;
-        }
-
-        else if (messageType === 'session_keepalive') {
-            // keepalive received
-        }
-
-        else if (messageType === 'session_reconnect') {
-            const newReconnectUrl = data.payload.session.reconnect_url;
-            console.log(`[EventSub] Reconnect requested. Reconnect URL: ${newReconnectUrl}`);
-            connectTwitchEventSub(newReconnectUrl);
-        }
-
-        else if (messageType === 'notification') {
-            handleEventSubNotification(data.payload.event);
-        }
-    };
-
-    ws.onclose = (event) => {
-        console.warn(`[EventSub] Socket closed. Code: ${event.code}, Reason: ${event.reason}`);
-        if (keepaliveTimer) clearTimeout(keepaliveTimer);
-
-        if (ws === eventSubWs) {
-            eventSubWs = null;
-            eventSubSessionId = '';
-            console.log(`[EventSub] Reconnecting in ${eventSubReconnectDelay}ms...`);
-            setTimeout(() => {
-                eventSubReconnectDelay = Math.min(eventSubReconnectDelay * 2, 60000);
-                connectTwitchEventSub();
-            }, eventSubReconnectDelay);
-        }
-    };
-
-    ws.onerror = (err) => {
-        console.error("[EventSub] Socket error:", err);
-        ws.close();
-    };
-}
-
-async function saveStars(specificUser = null) {
-    if (useMongoDB) {
-        try {
-            // If we want to save all (rarely used now)
-            if (!specificUser) {
-                for (const [username, data] of Object.entries(userStars)) {
-                    await User.findOneAndUpdate(
-                        { username },
-                        { ...data, username },
-                        { upsert: true, new: true }
-                    );
-                }
-            } else {
-                // Save just the one changed user for performance
-                await User.findOneAndUpdate(
-                    { username: specificUser },
-                    { ...userStars[specificUser], username: specificUser },
-                    { upsert: true, new: true }
-                );
-            }
-        } catch (e) {
-            console.error("Fehler beim Speichern in MongoDB:", e);
-        }
-    } else {
-        try {
-            fs.writeFileSync(STARS_FILE, JSON.stringify(userStars, null, 2));
-        } catch (e) {
-            console.error("Fehler beim Speichern der Stars:", e);
-        }
-    }
-}
-
-
-
-// Combo State
-let currentComboEmote = null;
-let currentComboUsers = new Set();
-let hasJoinedCombo = false;
-
-// Time Checker State
-let lastSchnapszahl = "";
-
-function clearAllTimers() {
-    activeTimers.forEach(id => clearTimeout(id));
-    activeTimers = [];
-}
-
-function checkSchnapszahl() {
-    const now = new Date().toLocaleString("en-US", { timeZone: "Europe/Berlin" });
-    const berlinDate = new Date(now);
-    const hours = berlinDate.getHours();
-    const minutes = berlinDate.getMinutes();
-
-    // Check for "Schnapszahl" (11:11, 22:22, 00:00, 01:01, etc.)
-    if (hours === minutes) {
-        const pad = n => n < 10 ? '0' + n : n;
-        const timeString = `${pad(hours)}:${pad(minutes)}`;
-
-        if (lastSchnapszahl !== timeString) {
-            // Use active channels from the client
-            const channels = client.getChannels();
-            console.log(`Zeit-Check: ${timeString}. Sende an ${channels.length} Kanäle: ${channels.join(', ')}`);
-
-            channels.forEach(ch => {
-                let randomEmote = "wowii";
-                const currentEmotes = channelEmotes[ch] || [];
-                if (currentEmotes.length > 0) {
-                    randomEmote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                }
-                client.say(ch, `${randomEmote} ${timeString}`)
-                    .catch(err => console.error(`Fehler beim Senden von Schnapszahl an ${ch}:`, err));
-            });
-            lastSchnapszahl = timeString;
-        }
-    }
-}
-
-
-
-// Check time every 5 seconds
-setInterval(checkSchnapszahl, 5000);
-
-// --- Reminder System ---
-
-// Helper: Get Berlin Offset (UTC+1 or UTC+2)
-function getBerlinOffset(date) {
-    const year = date.getUTCFullYear();
-
-    // DST Starts: Last Sunday in March at 01:00 UTC (02:00 CET -> 03:00 CEST)
-    const march31 = new Date(Date.UTC(year, 2, 31));
-    const dayMarch = march31.getUTCDay(); // 0=Sunday
-    const lastSundayMarch = 31 - dayMarch;
-    const startSummer = new Date(Date.UTC(year, 2, lastSundayMarch, 1));
-
-    // DST Ends: Last Sunday in October at 01:00 UTC (03:00 CEST -> 02:00 CET)
-    const oct31 = new Date(Date.UTC(year, 9, 31));
-    const dayOct = oct31.getUTCDay();
-    const lastSundayOct = 31 - dayOct;
-    const endSummer = new Date(Date.UTC(year, 9, lastSundayOct, 1));
-
-    if (date >= startSummer && date < endSummer) {
-        return 2 * 60 * 60 * 1000;
-    }
-    return 1 * 60 * 60 * 1000;
-}
-
-// Helper: Parse Duration / Date
-function parseTimeInput(args) {
-    let durationMs = 0;
-    let absoluteTime = null; // Will store UTC date representing Berlin Face Time
-    let index = 0;
-
-    // "Now" in Berlin Time (Face Value)
-    const now = new Date();
-    const offsetNow = getBerlinOffset(now);
-    const nowBerlin = new Date(now.getTime() + offsetNow);
-
-    // Regex Definitions
-    const regexDurationCombined = /^(\d+)(y|m|w|d|h|min|s)$/i;
-    const regexValue = /^(\d+)$/;
-    const regexUnit = /^(y|m|w|d|h|min|s)$/i;
-    const regexTime = /^(\d{1,2}):(\d{2})$/;
-    const regexDate = /^(\d{1,2})\.(\d{1,2})(?:\.(\d{2,4}))?$/;
-
-    // Iterate args to consume time parts
-    for (; index < args.length; index++) {
-        const token = args[index].toLowerCase();
-
-        // 1. Combined Duration (e.g. 10m)
-        const matchDur = token.match(regexDurationCombined);
-        if (matchDur) {
-            const val = parseInt(matchDur[1]);
-            const unit = matchDur[2];
-            durationMs += getUnitMs(val, unit);
-            continue;
-        }
-
-        // 2. Split Duration (e.g. 10 m)
-        if (regexValue.test(token) && args[index + 1] && regexUnit.test(args[index + 1])) {
-            const val = parseInt(token);
-            const unit = args[index + 1].toLowerCase();
-            durationMs += getUnitMs(val, unit);
-            index++; // Skip unit
-            continue;
-        }
-
-        // 3. Time (e.g. 11:40)
-        const matchTime = token.match(regexTime);
-        if (matchTime) {
-            const h = parseInt(matchTime[1]);
-            const m = parseInt(matchTime[2]);
-            if (!absoluteTime) absoluteTime = new Date(nowBerlin); // Copy Berlin Face Time
-            absoluteTime.setUTCHours(h, m, 0, 0); // Set Berlin Face Time
-
-            // Logic handled later
-            continue;
-        }
-
-        // 4. Date (e.g. 14.02 or 14.02.2024)
-        const matchDate = token.match(regexDate);
-        if (matchDate) {
-            const day = parseInt(matchDate[1]);
-            const month = parseInt(matchDate[2]) - 1; // 0-indexed
-            const yearStr = matchDate[3];
-            let year = nowBerlin.getUTCFullYear();
-            if (yearStr) {
-                if (yearStr.length === 2) year = 2000 + parseInt(yearStr);
-                else year = parseInt(yearStr);
-            }
-
-            if (!absoluteTime) absoluteTime = new Date(nowBerlin);
-            absoluteTime.setUTCDate(day);
-            absoluteTime.setUTCMonth(month);
-            absoluteTime.setUTCFullYear(year);
-            continue;
-        }
-
-        // 4.1 "uhr" Combined (e.g. 9uhr)
-        const matchUhr = token.match(/^(\d{1,2})uhr$/i);
-        if (matchUhr) {
-            const h = parseInt(matchUhr[1]);
-            if (!absoluteTime) absoluteTime = new Date(nowBerlin);
-            absoluteTime.setUTCHours(h, 0, 0, 0);
-            continue;
-        }
-
-        // 4.2 "uhr" Split (e.g. 9 uhr)
-        if (/^\d{1,2}$/.test(token) && args[index + 1] && /^uhr$/i.test(args[index + 1])) {
-            const h = parseInt(token);
-            if (!absoluteTime) absoluteTime = new Date(nowBerlin);
-            absoluteTime.setUTCHours(h, 0, 0, 0);
-            index++;
-            continue;
-        }
-
-        // 5. Fillers
-        if (['am', 'um', 'uhr', 'in'].includes(token)) continue;
-
-        // End of time part
-        break;
-    }
-
-    // Logic Resolution
-    let finalDueTime = 0;
-
-    if (absoluteTime) {
-        // absoluteTime holds the "Berlin Face Time" in UTC slots.
-        // Compare with nowBerlin (which also holds Berlin Face Time in UTC slots via getBerlinOffset addition trick, wait no)
-        // Let's align nowBerlin to be comparable:
-        // nowBerlin = now + offset. So .getUTCHours() returns Berlin hours. 
-        // Yes.
-
-        if (absoluteTime.getTime() < nowBerlin.getTime()) {
-            // Past time logic
-            // Check if same day first (ignoring time components for date compare)
-            const absDay = new Date(absoluteTime).setUTCHours(0, 0, 0, 0);
-            const nowDay = new Date(nowBerlin).setUTCHours(0, 0, 0, 0);
-
-            if (absDay === nowDay) {
-                // Passed time today -> Tomorrow
-                absoluteTime.setUTCDate(absoluteTime.getUTCDate() + 1);
-            } else if (absoluteTime < nowBerlin) {
-                // Past date -> Next Year (only if date wasn't explicit? assumed implicit)
-                // But we don't know if it was explicit.
-                // safe bet: next year if date is in past.
-                absoluteTime.setUTCFullYear(absoluteTime.getUTCFullYear() + 1);
-            }
-        }
-
-        // Convert Berlin Face Time back to Real UTC Timestamp
-        // RealUTC = BerlinFaceTime - Offset
-        // We need the offset for the TARGET date, not necessarily Now.
-        const targetOffset = getBerlinOffset(absoluteTime);
-        finalDueTime = absoluteTime.getTime() - targetOffset;
-
-    } else if (durationMs > 0) {
-        finalDueTime = now.getTime() + durationMs;
-    } else {
-        return null; // No valid time found
-    }
-
-    // Capture message
-    const msg = args.slice(index).join(' ');
-    // If msg empty, maybe reminder is just "Pong"?
-
-    return { dueAt: finalDueTime, message: msg };
-}
-
-function getUnitMs(val, unit) {
-    const s = 1000;
-    const m = 60 * s;
-    const h = 60 * m;
-    const d = 24 * h;
-    const w = 7 * d;
-
-    switch (unit) {
-        case 's': return val * s;
-        case 'min': return val * m;
-        case 'h': return val * h;
-        case 'd': return val * d;
-        case 'w': return val * w;
-        case 'mo': return val * d * 30; // Month
-        case 'm': return val * m; // Minute (User example: 10m wäsche)
-        case 'y': return val * d * 365; // Year
-        default: return 0;
-    }
-}
-
-async function handleSelfReminder(channel, tags, args) {
-    let parsed = parseTimeInput(args);
-    let dueAt = 0;
-    let reminderMsg = "";
-    // let shortId = "";
-
-    if (!parsed) {
-        // Treat as text-only/on-message
-        let potentialMsg = args.join(' ');
-        if (potentialMsg.trim().length === 0) {
-            const currentEmotes = channelEmotes[channel] || [];
-            if (currentEmotes.length > 0) {
-                potentialMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-            } else {
-                potentialMsg = "Erinnerung!";
-            }
-        }
-        dueAt = 0;
-        reminderMsg = potentialMsg;
-    } else {
-        dueAt = parsed.dueAt;
-        reminderMsg = parsed.message;
-
-        if (!reminderMsg || reminderMsg.trim() === "") {
-            const currentEmotes = channelEmotes[channel] || [];
-            if (currentEmotes.length > 0) {
-                reminderMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-            } else {
-                reminderMsg = "Erinnerung!";
-            }
-        }
-    }
-
-    if (dueAt > 0) {
-        // lastReminderId++;
-        // shortId removed
-    }
-
-    const sender = tags.username.toLowerCase();
-    const reminderData = {
-        targetUser: tags.username, // Display name
-        sourceUser: tags.username,
-        message: reminderMsg,
-        dueAt: dueAt,
-        channel: channel,
-        // shortId: shortId,
-        createdAt: Date.now()
-    };
-
-    if (useMongoDB) {
-        await Reminder.create(reminderData);
-    } else {
-        localReminders.push(reminderData);
-        saveLocalReminders();
-    }
-
-    if (dueAt > 0) {
-        // Confirm
-        const date = new Date(dueAt);
-        // Manual Format to Berlin Time (Robust against Missing ICU)
-        const offset = getBerlinOffset(date);
-        const berlinDate = new Date(date.getTime() + offset);
-
-        const pad = n => n < 10 ? '0' + n : n;
-        const timeStr = `${pad(berlinDate.getUTCHours())}:${pad(berlinDate.getUTCMinutes())}`;
-
-        const now = new Date();
-        const nowOffset = getBerlinOffset(now);
-        const nowBerlin = new Date(now.getTime() + nowOffset);
-
-        const isToday = berlinDate.getUTCDate() === nowBerlin.getUTCDate() &&
-            berlinDate.getUTCMonth() === nowBerlin.getUTCMonth() &&
-            berlinDate.getUTCFullYear() === nowBerlin.getUTCFullYear();
-
-        let timeDisplay = `um ${timeStr}`;
-        if (!isToday) {
-            const dateStr = `${pad(berlinDate.getUTCDate())}.${pad(berlinDate.getUTCMonth() + 1)}`;
-            timeDisplay = `am ${dateStr} um ${timeStr}`;
-        }
-
-        client.say(channel, `/me @${tags.username} Top ich erinnere dich ${timeDisplay} " ${reminderMsg} "`);
-    } else {
-        client.say(channel, `/me @${tags.username} Top ich erinnere dich beim nächsten schreiben " ${reminderMsg} "`);
-    }
-}
-
-async function checkReminders() {
-    const now = Date.now();
-    let due = [];
-
-    if (useMongoDB) {
-        try {
-            // Find and DELETE due reminders atomically-ish (find then delete)
-            // Or find, trigger, then delete.
-            const reminders = await Reminder.find({ dueAt: { $lte: now, $gt: 0 } });
-            if (reminders.length > 0) {
-                due = reminders;
-                const ids = reminders.map(r => r._id);
-                await Reminder.deleteMany({ _id: { $in: ids } });
-            }
-        } catch (e) {
-            console.error("Fehler beim Prüfen der Reminders (Mongo):", e);
-        }
-    } else {
-        // Local Filter
-        due = localReminders.filter(r => r.dueAt > 0 && r.dueAt <= now);
-        if (due.length > 0) {
-            localReminders = localReminders.filter(r => r.dueAt === 0 || r.dueAt > now);
-            saveLocalReminders();
-        }
-    }
-
-    if (due.length > 0) {
-        due.forEach(r => {
-            // Send
-            client.say(r.channel, `/me @${r.targetUser} bingi reminder von @${r.sourceUser} " ${r.message} "`);
-        });
-    }
-}
-
-// Check reminders every 10 seconds
-setInterval(checkReminders, 10000);
-
-
-function checkLoans() {
-    const now = Date.now();
-    for (const user in userStars) {
-        const data = userStars[user];
-        if (data.loanAmount > 0) {
-            // 1. Hourly Interest Logic
-            // If loan is active, check if 1 hour has passed since last interest application
-            // We use a small buffer or just strict check. 
-            // Initial lastInterestTime is set when loan is taken.
-            if (data.lastInterestTime && (now - data.lastInterestTime) >= 3600000) { // 3600000 = 1 Hour
-                const interest = Math.ceil(data.loanAmount * 0.10); // 10% Interest
-                data.loanAmount += interest;
-                data.lastInterestTime = now; // Reset timer for next hour
-
-                // Optional: Notify user about interest increase?
-                // client.say(process.env.TWITCH_CHANNEL, `/me @${user} Dein Kredit ist um 10% gestiegen! Neuer Betrag: ${formatPoints(data.loanAmount)} Star`);
-                saveStars(user);
-            }
-
-            // 2. Deadline Logic (6 Hours)
-            if (data.loanDueDate > 0 && now >= data.loanDueDate) {
-                // Attempt Auto-Repay
-                const canPay = Math.min(data.balance, data.loanAmount);
-                if (canPay > 0) {
-                    data.balance -= canPay;
-                    data.loanAmount -= canPay;
-                }
-
-                if (data.loanAmount <= 0) {
-                    // Fully Paid
-                    data.loanAmount = 0;
-                    data.loanDueDate = 0;
-                    data.repaymentFailures = 0;
-                    // client.say(process.env.TWITCH_CHANNEL, `/me @${user} Kredit automatisch zurückgezahlt.`);
-                } else {
-                    // Failed to pay after 6 hours
-                    const timeoutDuration = Math.ceil(data.loanAmount); // Seconds equal to debt
-
-
-                    // Resolving IDs for Helix Timeout
-                    // We need: broadcasterId (Channel), moderatorId (Bot), userId (Target)
-                    // We have: channel name (data.lastChannel), user name (user)
-
-                    if (data.lastChannel) {
-                        const channelName = data.lastChannel.replace('#', '').toLowerCase();
-                        const broadcasterId = channelIds[channelName];
-
-                        // We need to find the Target User ID. We might not have it cached.
-                        // We can try to fetch it.
-                        // We also need Bot ID (botUserId should be global, initialized in refreshEmotes)
-
-                        if (broadcasterId && botUserId) {
-                            // We need to be async here, checkLoans is not async but we can handle promise
-                            getTwitchUserId(user, null, process.env.TWITCH_OAUTH_TOKEN).then(targetId => {
-                                if (targetId) {
-                                    const token = process.env.TWITCH_OAUTH_TOKEN;
-                                    getClientId(token).then(clientId => {
-                                        helixTimeout(broadcasterId, botUserId, targetId, timeoutDuration, "Loan Default", clientId, token)
-                                            .then(() => {
-                                                console.log(`[Loan] Timed out ${user} for ${timeoutDuration}s`);
-                                                if (client.readyState() === 'OPEN') {
-                                                    client.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`);
-                                                }
-                                            })
-                                            .catch(err => {
-                                                console.error(`[Loan] Failed to timeout ${user}:`, err);
-                                                // Fallback to chat command
-                                                if (client.readyState() === 'OPEN') {
-                                                    client.say(data.lastChannel, `/timeout @${user} ${timeoutDuration} opfer mit kredit`);
-                                                    client.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`);
-                                                }
-                                            });
-                                    });
-                                } else {
-                                    // Fallback
-                                    if (client.readyState() === 'OPEN') {
-                                        client.say(data.lastChannel, `/timeout @${user} ${timeoutDuration} opfer mit kredit`);
-                                        client.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`);
-                                    }
-                                }
-                            }).catch(e => console.error(e));
-                        } else {
-                            // Fallback
-                            if (client.readyState() === 'OPEN') {
-                                client.say(data.lastChannel, `/timeout @${user} ${timeoutDuration} opfer mit kredit`);
-                                client.say(data.lastChannel, `/me @${user} die 6 Stunden sind um! Kredit nicht bezahlt -> ${timeoutDuration}s Timeout. Schulden beglichen.`);
-                            }
-                        }
-                    }
-
-                    // Reset Debt (Time Served)
-                    data.loanAmount = 0;
-                    data.loanDueDate = 0;
-                    data.repaymentFailures = 0;
-                }
-                saveStars(user);
-            }
-        }
-    }
-}
-
-// Check loans every 1 minute
-setInterval(checkLoans, 60000);
-
-
-function formatPoints(points) {
-    try {
-        if (typeof points !== 'number') {
-            return String(points);
-        }
-        return new Intl.NumberFormat("de-DE").format(points);
-    } catch (e) {
-        return String(points);
-    }
-}
-
-function getDeck() {
-    const suits = ['♠', '♥', '♦', '♣'];
-    const values = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-    let deck = [];
-    for (let s of suits) {
-        for (let v of values) {
-            deck.push({ value: v, suit: s });
-        }
-    }
-    return deck.sort(() => Math.random() - 0.5);
-}
-
-function getHandValue(hand) {
-    let value = 0;
-    let aces = 0;
-    for (let card of hand) {
-        if (['J', 'Q', 'K'].includes(card.value)) {
-            value += 10;
-        } else if (card.value === 'A') {
-            aces += 1;
-            value += 11;
-        } else {
-            value += parseInt(card.value);
-        }
-    }
-    while (value > 21 && aces > 0) {
-        value -= 10;
-        aces -= 1;
-    }
-    return value;
-}
-
-function formatHand(hand) {
-    return hand.map(c => `${c.value}${c.suit}`).join(' ');
-}
-
-function doBlackjackStand(user, username, channel) {
-    const game = activeBlackjackGames[user];
-    if (!game) return;
-
-    let dVal = getHandValue(game.dHand);
-
-    // Dealer draws to 17
-    while (dVal < 17) {
-        game.dHand.push(game.deck.pop());
-        dVal = getHandValue(game.dHand);
-    }
-
-    const pVal = getHandValue(game.pHand);
-
-    let msg = `/me @${username} Stand. Du: [ ${formatHand(game.pHand)} ] (${pVal}) | Dealer: [ ${formatHand(game.dHand)} ] (${dVal}). `;
-
-    if (dVal > 21) {
-        // Dealer Bust
-        const win = game.bet * 2;
-        userStars[user].balance += win;
-        msg += `Dealer Bust! Du gewinnst ${formatPoints(win - game.bet)} Star. Balance: ${formatPoints(userStars[user].balance)} Star`;
-    } else if (pVal > dVal) {
-        // Win
-        const win = game.bet * 2;
-        userStars[user].balance += win;
-        msg += `Gewonnen! +${formatPoints(win - game.bet)} Star. Balance: ${formatPoints(userStars[user].balance)} Star`;
-    } else if (pVal === dVal) {
-        // Push
-        userStars[user].balance += game.bet;
-        msg += `Unentschieden. Du behältst deinen Einsatz. Balance: ${formatPoints(userStars[user].balance)} Star`;
-    } else {
-        // Loss
-        msg += `Verloren. -${formatPoints(game.bet)} Star. Balance: ${formatPoints(userStars[user].balance)} Star`;
-    }
-
-    saveStars();
-    client.say(channel, msg);
-    delete activeBlackjackGames[user];
-}
-
-
-/**
- * Central Timeout Helper using Helix if possible
- */
-
-
-function scheduleStarReminder(username, delay, channel = null) {
-    if (delay < 0) delay = 0;
-    setTimeout(() => {
-        // Use provided channel, or stored lastChannel, or fallback to first channel in config
-        let targetChannel = channel;
-
-        if (!targetChannel && userStars[username] && userStars[username].lastChannel) {
-            targetChannel = userStars[username].lastChannel;
-        }
-
-        if (!targetChannel) {
-            targetChannel = process.env.TWITCH_CHANNEL.split(',')[0].trim();
-        }
-
-        if (targetChannel && !targetChannel.startsWith('#')) {
-            targetChannel = '#' + targetChannel;
-        }
-
-        if (client.readyState() === 'OPEN' && targetChannel) {
-            // Check if running on Render (Production)
-            if (process.env.RENDER) {
-                client.say(targetChannel, `/me @${username} bingi hol deine Star ab mit ${currentPrefix}star`);
-            } else {
-                console.log(`[LOCAL] Would send reminder to ${targetChannel}: @${username} bingi hol deine Star ab...`);
-            }
-
-            if (userStars[username]) {
-                userStars[username].reminded = true;
-                saveStars(username);
-            }
-        }
-    }, delay);
-}
-
-function restoreStarReminders() {
-    // Only restore reminders if running on the server to avoid local spam at startup
-    if (!process.env.RENDER) {
-        console.log("Local Mode: Skipping automated star reminder restoration.");
-        return;
-    }
-
-    const now = Date.now();
-    const cooldown = 3600000;
-    let restoredCount = 0;
-
-    for (const user in userStars) {
-        // Migration: If reminded is undefined, assume true (don't spam old users) or false?
-        // Let's assume false if they are in cooldown?
-        const data = userStars[user];
-        if (data.reminded === true) continue;
-
-        // Logic:
-        // claimTime + cooldown = dueTime.
-        // If dueTime > now: wait (dueTime - now).
-        // If dueTime <= now: ping immediately!
-
-        const dueTime = (data.lastClaim || 0) + cooldown;
-        if (now < dueTime) {
-            // Still in cooldown, schedule future reminder
-            scheduleStarReminder(user, dueTime - now, data.lastChannel);
-            restoredCount++;
-        } else {
-            // Cooldown expired while offline, or never claimed
-            // If reminded is explicitly false or undefined (not true)
-            if (data.reminded !== true) {
-                scheduleStarReminder(user, 1000, data.lastChannel); // Remind shortly
-                restoredCount++;
-            }
-        }
-    }
-    if (restoredCount > 0) console.log(`Wiederhergestellt: ${restoredCount} Star-Reminders.`);
-}
-
-async function refreshEmotes() {
-    try {
-        // Use monitoredChannels instead of env
-        let channels = monitoredChannels.length > 0 ? monitoredChannels : process.env.TWITCH_CHANNEL.split(',').map(c => c.trim());
-        const token = process.env.TWITCH_OAUTH_TOKEN;
-
-        let clientId;
-        try {
-            clientId = await getClientId(token);
-        } catch (e) {
-            console.error("Auth Error: Token ungültig? Bitte .env prüfen.");
-            return;
-        }
-
-        channelEmotes = {}; // Reset
-        allChannelEmotes = {}; // Reset
-
-        for (const rawName of channels) {
-            // Normalize: Ensure we have clean name for API, and #name for Map key
-            const cleanName = rawName.replace(/^#/, '');
-            const mapKey = `#${cleanName.toLowerCase()}`;
-
-            console.log(`Lade Emotes für: ${cleanName} (7TV, BTTV, FFZ)...`);
-            const userId = await getTwitchUserId(cleanName, clientId, token);
-
-            if (userId) {
-                channelIds[cleanName.toLowerCase()] = userId;
-                
-                const [seventv, bttv, ffz] = await Promise.all([
-                    get7TVEmotes(userId).catch(err => {
-                        console.error(`  [7TV] Fehler für ${cleanName}:`, err.message);
-                        return [];
-                    }),
-                    getBTTVEmotes(userId).catch(err => {
-                        console.error(`  [BTTV] Fehler für ${cleanName}:`, err.message);
-                        return [];
-                    }),
-                    getFFZEmotes(userId).catch(err => {
-                        console.error(`  [FFZ] Fehler für ${cleanName}:`, err.message);
-                        return [];
-                    })
-                ]);
-
-                const seventvNames = seventv.map(e => e.name);
-                const bttvNames = bttv.map(e => e.code);
-                const ffzNames = ffz.map(e => e.name);
-
-                channelEmotes[mapKey] = seventvNames;
-                allChannelEmotes[mapKey] = [...seventvNames, ...bttvNames, ...ffzNames];
-                console.log(`  > Geladen für ${cleanName}: ${seventvNames.length} 7TV, ${bttvNames.length} BTTV, ${ffzNames.length} FFZ (Insgesamt: ${allChannelEmotes[mapKey].length})`);
-            } else {
-                console.error(`Konnte Twitch User ID für ${cleanName} nicht finden.`);
-            }
-        }
-
-        // Get Bot's own User ID for Helix Moderation
-        if (!botUserId) {
-            botUserId = await getTwitchUserId(process.env.TWITCH_USERNAME, clientId, token);
-        }
-
-        console.log(`Erfolg! Emotes für ${Object.keys(channelEmotes).length} Kanäle geladen.`);
-    } catch (e) {
-        console.error('Fehler beim Laden der Emotes:', e);
-    }
-}
-
-
-
-
-
-async function initializeChannels() {
-    try {
-        const token = process.env.TWITCH_OAUTH_TOKEN;
-        const clientId = await getClientId(token);
-
-        let channelsConfig = [];
-
-        // 1. Load Channels (Support MongoDB Persistence)
-        if (useMongoDB) {
-            try {
-                let dbChannels = await Channel.find({});
-
-                // Sync: Check channels.json and add missing channels into MongoDB
-                if (fs.existsSync(CHANNELS_FILE)) {
-                    console.log("Synchronisiere channels.json mit MongoDB...");
-                    const fileData = fs.readFileSync(CHANNELS_FILE, 'utf8');
-                    const fileChannels = JSON.parse(fileData);
-                    let addedCount = 0;
-
-                    for (const fc of fileChannels) {
-                        try {
-                            const exists = dbChannels.find(d => d.username.toLowerCase() === fc.username.toLowerCase());
-                            if (!exists) {
-                                await Channel.create({
-                                    username: fc.username,
-                                    id: fc.id || "0" // Placeholder, will be fetched in validation loop
-                                });
-                                console.log(`Neu hinzugefügt: ${fc.username}`);
-                                addedCount++;
-                            }
-                        } catch (err) {
-                            console.error(`Fehler bei Sync von ${fc.username}:`, err);
-                        }
-                    }
-
-                    if (addedCount > 0) {
-                        // Reload DB
-                        dbChannels = await Channel.find({});
-                    }
-                }
-
-                channelsConfig = dbChannels.map(d => ({ username: d.username, id: d.id }));
-            } catch (err) {
-                console.error("Fehler beim Laden der Channels aus DB:", err);
-            }
-        }
-
-        // Fallback or Local Mode: Load from JSON if MongoDB failed or not used, AND list is empty
-        if ((!useMongoDB || channelsConfig.length === 0) && fs.existsSync(CHANNELS_FILE)) {
-            try {
-                const data = fs.readFileSync(CHANNELS_FILE, 'utf8');
-                channelsConfig = JSON.parse(data);
-            } catch (e) {
-                console.error("Fehler beim Lesen von channels.json:", e);
-            }
-        }
-
-        // 2. Validate and Update IDs/Usernames
-        let configChanged = false;
-        monitoredChannels = [];
-
-        for (let i = 0; i < channelsConfig.length; i++) {
-            let ch = channelsConfig[i];
-            let userData = null;
-
-            // If ID missing, fetch it
-            if (!ch.id || ch.id === "0") {
-                console.log(`Channel ${ch.username} hat keine ID. Suche...`);
-                try {
-                    const userId = await getTwitchUserId(ch.username, clientId, token);
-                    if (userId) {
-                        ch.id = userId;
-                        configChanged = true;
-                        channelIds[ch.username.toLowerCase()] = userId; // FORCE POPULATE
-                        console.log(`ID für ${ch.username} gefunden: ${userId}`);
-
-                        // Update in DB immediately if using Mongo
-                        if (useMongoDB) {
-                            await Channel.findOneAndUpdate({ username: ch.username }, { id: userId }, { upsert: true });
-                        }
-                    } else {
-                        console.error(`Konnte ID für ${ch.username} nicht finden.`);
-                        continue;
-                    }
-                } catch (e) {
-                    console.error(`Fehler beim ID-Check für ${ch.username}:`, e);
-                }
-            }
-
-            // Check for Rename
-            if (ch.id) {
-                // POPULATE CACHE
-                channelIds[ch.username.toLowerCase()] = ch.id;
-                try {
-                    userData = await getTwitchUserById(ch.id, clientId, token);
-                    if (userData) {
-                        if (userData.login !== ch.username) {
-                            console.log(`RENAME DETECTED: ${ch.username} -> ${userData.login}`);
-                            // Remove old name from DB if needed, basically update the document match by ID
-                            const oldName = ch.username;
-                            ch.username = userData.login;
-                            configChanged = true;
-
-                            if (useMongoDB) {
-                                // Update username where id matches
-                                await Channel.findOneAndUpdate({ id: ch.id }, { username: ch.username });
-                            }
-                        }
-                        monitoredChannels.push(ch.username);
-                    } else {
-                        console.warn(`User mit ID ${ch.id} nicht mehr gefunden.`);
-                        // Optional: Remove from DB?
-                    }
-                } catch (e) {
-                    console.error(`Fehler beim Rename-Check für ID ${ch.id}:`, e);
-                    monitoredChannels.push(ch.username);
-                }
-            }
-        }
-
-        // 3. Save updates to JSON (As backup or primary if not Mongo)
-        if (configChanged) {
-            fs.writeFileSync(CHANNELS_FILE, JSON.stringify(channelsConfig, null, 2));
-            console.log("channels.json wurde aktualisiert.");
-        }
-
-        // 4. Join Channels
-        if (monitoredChannels.length > 0) {
-            console.log(`Joine Channels: ${monitoredChannels.join(', ')}`);
-            for (const ch of monitoredChannels) {
-                await client.join(ch).catch(e => console.error(`Konnte ${ch} nicht joinen:`, e));
-            }
-        }
-
-    } catch (e) {
-        console.error("Fehler bei initializeChannels:", e);
-    }
+const envFile = path.resolve('.env');
+require('dotenv').config({ path: envFile });
+const { createBot } = require('./bot');
+
+// Everything lives in bot.js so tests can create a bot without connecting anywhere.
+const bot = createBot({ envFile });
+bot.start().catch(e => console.error("Fehler beim Starten des Bots:", e));
+
+// Render stops the bot with SIGTERM on deploys, the file storage still has to write what is pending
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+        bot.stop()
+            .catch(e => console.error("Fehler beim Beenden:", e))
+            .finally(() => process.exit(0));
+    });
 }
-
-mongoConnectedPromise.then(() => {
-    client.connect()
-        .then(async () => {
-            await initializeChannels();
-            await refreshEmotes();
-            await loadNotifications();
-            await initNotificationsCache();
-            // Start Twitch EventSub WebSocket client
-            connectTwitchEventSub();
-        })
-        .catch(console.error);
-});
-
-client.on('message', async (channel, tags, message, self) => {
-    // Ignore echoed messages.
-    if (self) return;
-
-    if (activeTiktokPlaying && message.trim().toLowerCase() === 'voteskip') {
-        tiktokVoteskipUsers.add(tags.username.toLowerCase());
-        if (tiktokVoteskipUsers.size >= 3) {
-            io.emit('stop-tiktok');
-            client.say(channel, `/me 3 Voteskips erreicht! Tiktok wird gestoppt.`);
-            activeTiktokPlaying = false;
-            tiktokVoteskipUsers.clear();
-            if (tiktokTimeoutId) {
-                clearTimeout(tiktokTimeoutId);
-                tiktokTimeoutId = null;
-            }
-            setTimeout(playNextTiktok, 1000);
-        } else {
-            client.say(channel, `/me @${tags.username} Voteskip gezählt! (${tiktokVoteskipUsers.size}/3)`);
-        }
-        return;
-    }
-
-    const sender = tags.username.toLowerCase();
-
-    // --- Copy User Logic ---
-    if (copyTargetUser && sender === copyTargetUser) {
-        // Avoid infinite loops if the user sends the prefix
-        if (!message.startsWith(currentPrefix)) {
-            client.say(channel, message);
-        }
-    }
-
-    activeChatUsers.add(tags.username);
-
-    // --- Check for On-Message Reminders (Zero Time) ---
-    if (useMongoDB) {
-        try {
-            const pendingReminders = await Reminder.find({ targetUser: { $regex: new RegExp('^' + sender + '$', 'i') }, dueAt: 0 });
-            if (pendingReminders.length > 0) {
-                pendingReminders.forEach(r => {
-                    client.say(channel, `/me @${tags.username} bingi reminder von @${r.sourceUser}: ${r.message}`);
-                });
-                await Reminder.deleteMany({ targetUser: { $regex: new RegExp('^' + sender + '$', 'i') }, dueAt: 0 });
-            }
-        } catch (e) {
-            console.error("Fehler beim Checken der On-Message Reminders:", e);
-        }
-    } else {
-        const toSend = localReminders.filter(r => r.dueAt === 0 && r.targetUser.toLowerCase() === sender);
-        if (toSend.length > 0) {
-            toSend.forEach(r => {
-                client.say(r.channel, `/me @${r.targetUser} bingi reminder von @${r.sourceUser}: ${r.message}`);
-            });
-            localReminders = localReminders.filter(r => !(r.dueAt === 0 && r.targetUser.toLowerCase() === sender));
-            saveLocalReminders();
-        }
-    }
-
-    // --- Message Counting & Daily Reset ---
-    const today = new Date().toLocaleString("en-US", { timeZone: "Europe/Berlin" }).split(',')[0];
-    if (useMongoDB && ChatStat) {
-        try {
-            await ChatStat.findOneAndUpdate(
-                { date: today, username: sender },
-                { $inc: { count: 1 } },
-                { upsert: true }
-            );
-        } catch (e) {
-            console.error("Fehler beim Speichern der Chat-Statistik:", e);
-        }
-    } else {
-        if (today !== lastResetDate) {
-            messageCounts = {};
-            lastResetDate = today;
-            console.log("Daily message counts reset.");
-        }
-        messageCounts[sender] = (messageCounts[sender] || 0) + 1;
-    }
-
-    let emote = "";
-    // channelEmotes is keyed by lowercase #channelname usually? verify keys
-    // refreshEmotes uses: "#" + cleanName.toLowerCase()
-
-    const currentEmotes = channelEmotes[channel] || [];
-    if (currentEmotes.length > 0) {
-        emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-    }
-
-    // --- Active Guess Game Logic (Check for answer without prefix) ---
-    if (activeGuessGames[sender]) {
-        const msgLower = message.trim().toLowerCase();
-        if (['ungerade', 'odd', 'gerade', 'even'].includes(msgLower)) {
-            const game = activeGuessGames[sender];
-            const choice = msgLower;
-
-            let betsOnOdd = false;
-            if (['ungerade', 'odd'].includes(choice)) {
-                betsOnOdd = true;
-            }
-
-            const isOdd = game.number % 2 !== 0; // 0 is even
-            const win = (betsOnOdd && isOdd) || (!betsOnOdd && !isOdd);
-
-            if (win) {
-                const winAmount = game.bet * 2;
-                userStars[sender].balance += winAmount;
-                saveStars();
-                client.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - Gewonnen JUHU +${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[sender].balance)} Star`);
-            } else {
-                saveStars();
-                client.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - Verloren ohno -${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[sender].balance)} Star`);
-            }
-
-            delete activeGuessGames[sender];
-            return; // Stop processing this message
-        }
-    }
-
-
-
-    // --- AFK Check ---
-    if (afkUsers[sender]) {
-        if (!message.startsWith(currentPrefix + 'afk') && !message.startsWith(currentPrefix + 'rafk')) { // Don't trigger on AFK or RAFK
-            const data = afkUsers[sender];
-            const startTime = typeof data === 'object' ? data.startTime : data;
-            const durationMs = Date.now() - startTime;
-
-            // Format duration
-            const seconds = Math.floor((durationMs / 1000) % 60);
-            const minutes = Math.floor((durationMs / (1000 * 60)) % 60);
-            const hours = Math.floor((durationMs / (1000 * 60 * 60)));
-
-            let timeString = "";
-            if (hours > 0) timeString += `${hours}h `;
-            if (minutes > 0) timeString += `${minutes}m `;
-            timeString += `${seconds}s`;
-
-            client.say(channel, `/me halo @${tags.username} ist nach ${timeString.trim()} wieder da ${emote}`);
-            lastAfkUsers[sender] = {
-                startTime: startTime,
-                reason: typeof data === 'object' ? data.reason : "",
-                returnTime: Date.now()
-            };
-            delete afkUsers[sender];
-
-            // Clear Persistence
-            if (userStars[sender]) {
-                userStars[sender].afkStartTime = 0;
-                userStars[sender].afkReason = "";
-                saveStars(sender);
-            }
-        }
-    }
-
-
-
-    // --- Emote Combo Logic ---
-    const msgContent = message.trim();
-    if (currentEmotes.includes(msgContent)) {
-        if (msgContent === currentComboEmote) {
-            currentComboUsers.add(sender);
-            if (currentComboUsers.size >= 3) {
-                client.say(channel, msgContent);
-                currentComboUsers.clear(); // Reset to count next 3
-            }
-        } else {
-            currentComboEmote = msgContent;
-            currentComboUsers = new Set([sender]);
-        }
-    }
-
-    // --- Special Mode: Waiting for new Prefix ---
-    if (isChangingPrefix) {
-        // Optional: Only allow the user who started the change to finish it
-        if (prefixChangeUser && tags.username !== prefixChangeUser) return;
-
-        const newPrefix = message.trim().split(' ')[0]; // Take first word/character
-        if (newPrefix) {
-            currentPrefix = newPrefix;
-            isChangingPrefix = false;
-            prefixChangeUser = null;
-            client.say(channel, `wideSpeedNod neuer prefix: ${currentPrefix}`);
-        } else {
-            client.say(channel, "wideSpeedNod mit dem prefix gehts nicht");
-            isChangingPrefix = false;
-            prefixChangeUser = null;
-        }
-        return; // Don't process this message as a command
-    }
-
-    // --- Fortnite Dialog Script ---
-    if (message.toLowerCase().includes('ey joel') && !self) {
-        const dialog = [
-            "ja bruder was los?",
-            "du spielst doch fortnite ne?",
-            "ja und jetzt?",
-            "ja.. du bist voll der opfer junge",
-            "was für opfer digga ich sag dir ganz ehrlich digga",
-            "das game an sich fortnite ist so geil digga aber einfach nur diese kleinen kinder digga",
-            "haben dieses game so kaputt gemacht digga neue map hier digga neue map da digga",
-            "sie wünschen sich alles digga und wenn ich mal 1v1 gegen die mache digga und die verkacken, die beleidigen, die beleidigen mich direkt als hs digga",
-            "oder generell sie swipen durch ihre tiktok digga fy und schreiben unter jedes video hs digga daraus besteht fortnite digga",
-            "digga sonst an sich fortnite ist so ein geiles prinzip digga",
-            "früher du hast gezockt es war alles wild digga keiner konnte was digga",
-            "früher du hast fun an fortnite gehabt digga und jetzt einfach bruder jetzt besteht dieses game aus irgendwelchen kindern digga die nur beleidigen weil sie verkacken digga das ist einfach fortnite digga ganz ehrlich an sich ich sag dir ganz ehrlich digga fortnite ist so ein wildes game bruder ich sag dir ganz ehrlich digga"
-        ];
-
-        // Send messages sequentially
-        for (let i = 0; i < dialog.length; i++) {
-            const id = setTimeout(() => {
-                client.say(channel, dialog[i]);
-            }, i * 2000);
-            activeTimers.push(id);
-        }
-        return;
-    }
-
-    // --- Baka Script ---
-    // --- Pyramids Script ---
-    const msgLower = message.trim().toLowerCase();
-
-    // Defined Triggers (Used for both Generic and oioioi variants)
-    const pyramidTriggers = [
-        /*
-        'affe', 'cassy', 'jean', 'timo', 'jona', 'janne', 'julia',
-        'knopers', 'ikki', 'kevin', 'sid', 'jasmin', 'sophia', 'noah',
-        'wydios', 'kerze', 'NotedBot', 'ente', 'noel', 'antonia'
-        */
-    ];
-
-    // 1. Special "oioioi baka" Pyramid (Trigger: "baka")
-    // Keeps legacy behavior where just "baka" triggers the oioioi pyramid
-    if (msgLower === 'baka' && !self) {
-        const dialog = [];
-        const maxLevel = 10;
-
-        // Build up
-        for (let i = 1; i <= maxLevel; i++) {
-            dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} baka`);
-        }
-        // Build down
-        for (let i = maxLevel - 1; i >= 1; i--) {
-            dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} baka`);
-        }
-
-        // Random delay between 50ms (original speed) and 150ms (slower speed)
-        const delay = Math.floor(Math.random() * (150 - 50 + 1)) + 50;
-
-        for (let i = 0; i < dialog.length; i++) {
-            const id = setTimeout(() => {
-                client.say(channel, dialog[i]);
-            }, i * delay);
-            activeTimers.push(id);
-        }
-        return;
-    }
-
-    // 2. "oioioi <text>" Pyramid (Trigger: "oioioi <anything>")
-    if (msgLower.startsWith('oioioi ') && !self) {
-        // Extract everything after "oioioi " from the original message to keep casing
-        // We assume the prefix length is roughly 7 chars (oioioi + space)
-        // Note: usage of substring based on index of first space might be safer if casing varies heavily for the prefix
-        const content = message.slice(7).trim();
-
-        if (content.length > 0) {
-            const dialog = [];
-            const maxLevel = 10;
-
-            // Build up
-            for (let i = 1; i <= maxLevel; i++) {
-                dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} ${content}`);
-            }
-            // Build down
-            for (let i = maxLevel - 1; i >= 1; i--) {
-                dialog.push(`/me ${Array(i).fill('oioioi').join(' ')} ${content}`);
-            }
-
-            // Random delay between 50ms (original speed) and 150ms (slower speed)
-            const delay = Math.floor(Math.random() * (150 - 50 + 1)) + 50;
-
-            for (let i = 0; i < dialog.length; i++) {
-                const id = setTimeout(() => {
-                    client.say(channel, dialog[i]);
-                }, i * delay);
-                activeTimers.push(id);
-            }
-            return;
-        }
-    }
-
-    // 3. Generic Name/Emote Pyramid (Trigger: "<name>")
-    const genericTrigger = pyramidTriggers.find(t => t.toLowerCase() === msgLower);
-
-    if (genericTrigger && !self) {
-        const dialog = [];
-        const maxLevel = 10;
-
-        // Build up
-        for (let i = 1; i <= maxLevel; i++) {
-            dialog.push(`/me ${Array(i).fill(genericTrigger).join(' ')}`);
-        }
-        // Build down
-        for (let i = maxLevel - 1; i >= 1; i--) {
-            dialog.push(`/me ${Array(i).fill(genericTrigger).join(' ')}`);
-        }
-
-        for (let i = 0; i < dialog.length; i++) {
-            const id = setTimeout(() => {
-                client.say(channel, dialog[i]);
-            }, i * 50); // 50ms delay
-            activeTimers.push(id);
-        }
-        return;
-    }
-
-    if (message.startsWith(currentPrefix)) {
-        const args = message.slice(currentPrefix.length).trim().split(/\s+/);
-        const command = args.shift().toLowerCase(); // Remove prefix and get command
-
-
-
-        if (command === 'commands' || command === 'befehle') {
-            const commandGroups = [
-                ['ping'],
-                ['notify', 'unnotify'],
-                ['prefix'],
-                ['frage'],
-                ['stop'],
-                ['afk'],
-                ['spam'],
-                ['star'],
-                ['hug'],
-                ['suche', 'guess'],
-                ['gamba'],
-                ['bj', 'blackjack'],
-                ['hit', 'h'],
-                ['stand', 's'],
-                ['balance', 'stars'],
-                ['give', 'pay'],
-                ['lb', 'leaderboard'],
-                ['allstars', 'listall'],
-                ['tc', 'topchatter'],
-                ['levelup', 'level', 'lvl'],
-                ['kok', 'pussy'],
-                ['zahl'],
-                ['kredit', 'repay', 'payback'],
-                ['remindme', 'remind', 'reminders'],
-                ['lastfm', 'song'],
-                ['tiktok', 'tt'],
-                ['stoptt'],
-                ['refresh', 'refreshemotes'],
-                ['commands', 'befehle'],
-                ['ich', 'ichheute'],
-                ['random', 'rmd'],
-                ['rban', 'randomban']
-            ];
-
-            let header = "Nerd commands: ";
-            let currentMsg = header;
-
-            for (let i = 0; i < commandGroups.length; i++) {
-                let emote = "";
-                const currentEmotes = channelEmotes[channel] || [];
-                if (currentEmotes.length > 0) {
-                    emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                }
-
-                const prefix = emote ? emote + " " : "- ";
-
-                // Format the group: !cmd1, !cmd2, !cmd3
-                const group = commandGroups[i];
-                let groupStr = group.map(c => `${currentPrefix}${c}`).join(', ');
-
-                const cmdEntry = `${prefix}${groupStr} `;
-
-                if (currentMsg.length + cmdEntry.length > 400) {
-                    client.say(channel, currentMsg.trim());
-                    currentMsg = cmdEntry;
-                } else {
-                    currentMsg += cmdEntry;
-                }
-            }
-
-            if (currentMsg.trim() !== "") {
-                client.say(channel, currentMsg.trim());
-            }
-        }
-
-        if (command === 'ping') {
-            client.say(channel, 'anwesend bin da');
-        }
-
-        if (command === 'ich' || command === 'ichheute') {
-            let randomEmote = "";
-            const currentEmotes = allChannelEmotes[channel] || [];
-            if (currentEmotes.length > 0) {
-                randomEmote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-            }
-            client.say(channel, `@${tags.username} das bist du heute: ${randomEmote}`);
-        }
-
-        if (command === 'random' || command === 'rmd') {
-            let randomEmote = "wowii";
-            const currentEmotes = allChannelEmotes[channel] || [];
-            if (currentEmotes.length > 0) {
-                randomEmote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-            }
-            client.say(channel, randomEmote);
-        }
-
-        if (command === 'v') {
-            const senderId = tags['user-id'];
-            const channelName = channel.replace('#', '').toLowerCase();
-            const broadcasterId = channelIds[channelName];
-
-            // Ensure we have necessary IDs
-            if (broadcasterId && botUserId && senderId) {
-                try {
-                    const token = process.env.TWITCH_OAUTH_TOKEN;
-                    const clientId = await getClientId(token);
-                    // Timeout for 1 second
-                    await helixTimeout(broadcasterId, botUserId, senderId, 1, "Timeout by -v command", clientId, token);
-                    console.log(`User ${tags.username} timed out for 1s in ${channel}`);
-                } catch (e) {
-                    console.error(`Failed to timeout user ${tags.username}:`, e);
-                }
-            } else {
-                console.warn("Cannot timeout: Missing IDs.", { broadcasterId, botUserId, senderId });
-            }
-        }
-
-        if (command === 'pong') {
-            client.say(channel, 'animeGirlPunchU bin da');
-        }
-
-        if (command === 'notify') {
-            const typeArg = args[0] ? args[0].toLowerCase() : null;
-            const targetArg = args[1] ? args[1].toLowerCase().replace('@', '') : null;
-
-            if (typeArg === 'list') {
-                let list = [];
-                if (useMongoDB) {
-                    list = await Notification.find({ channel });
-                } else {
-                    list = localNotifications.filter(n => n.channel === channel);
-                }
-
-                if (list.length === 0) {
-                    client.say(channel, `/me @${tags.username} Keine aktiven Benachrichtigungen für diesen Kanal.`);
-                } else {
-                    const msgParts = list.map(n => `${n.targetChannel} (${n.type})`);
-                    client.say(channel, `/me @${tags.username} Aktive Benachrichtigungen: ${msgParts.join(', ')}`);
-                }
-            } else {
-                if (!typeArg || !targetArg) {
-                    client.say(channel, `/me @${tags.username} Nutzung: ${currentPrefix}notify <title|game> <TwitchChannel> oder ${currentPrefix}notify list`);
-                } else {
-                    let type = null;
-                    if (['title', 'titel'].includes(typeArg)) {
-                        type = 'title';
-                    } else if (['game', 'category', 'kategorie', 'spiel'].includes(typeArg)) {
-                        type = 'game';
-                    }
-
-                    if (!type) {
-                        client.say(channel, `/me @${tags.username} Ungültiger Typ. Bitte 'title' oder 'game' verwenden.`);
-                    } else {
-                        try {
-                            const token = process.env.TWITCH_OAUTH_TOKEN;
-                            const clientId = await getClientId(token);
-                            const targetId = await getTwitchUserId(targetArg, clientId, token);
-
-                            if (!targetId) {
-                                client.say(channel, `/me @${tags.username} Konnte Twitch-Kanal ${targetArg} nicht finden.`);
-                            } else {
-                                let exists = false;
-                                if (useMongoDB) {
-                                    const found = await Notification.findOne({ channel, targetId, type });
-                                    if (found) {
-                                        await Notification.deleteOne({ _id: found._id });
-                                        exists = true;
-                                    }
-                                } else {
-                                    const index = localNotifications.findIndex(n => n.channel === channel && n.targetId === targetId && n.type === type);
-                                    if (index !== -1) {
-                                        localNotifications.splice(index, 1);
-                                        saveLocalNotifications();
-                                        exists = true;
-                                    }
-                                }
-
-                                if (exists) {
-                                    client.say(channel, `/me @${tags.username} Benachrichtigung für ${type === 'title' ? 'Titel' : 'Kategorie'}-Änderungen von ${targetArg} deaktiviert.`);
-                                } else {
-                                    const newNotif = {
-                                        channel,
-                                        targetChannel: targetArg,
-                                        targetId,
-                                        type,
-                                        createdAt: Date.now()
-                                    };
-
-                                    if (useMongoDB) {
-                                        await Notification.create(newNotif);
-                                    } else {
-                                        localNotifications.push(newNotif);
-                                        saveLocalNotifications();
-                                    }
-
-                                    // Fetch initial status to populate cache
-                                    if (!lastStreamStatus[targetId]) {
-                                        try {
-                                            const info = await getTwitchChannelsInfo([targetId], clientId, token);
-                                            if (info && info.length > 0) {
-                                                lastStreamStatus[targetId] = {
-                                                    title: info[0].title || "",
-                                                    game: info[0].game_name || ""
-                                                };
-                                            } else {
-                                                lastStreamStatus[targetId] = { title: "", game: "" };
-                                            }
-                                        } catch (err) {
-                                            console.error("Fehler beim Abrufen des initialen Status für neue Notification:", err);
-                                        }
-                                    }
-
-                                    // Register EventSub subscription in real-time
-                                    if (eventSubWs && eventSubSessionId && !subscribedTargetIds.has(targetId)) {
-                                        try {
-                                            await subscribeToEventSub(targetId, eventSubSessionId, clientId, token);
-                                            subscribedTargetIds.add(targetId);
-                                            console.log(`[EventSub] Subscribed in real-time to targetId: ${targetId}`);
-                                        } catch (err) {
-                                            console.error(`[EventSub] Real-time subscription failed for targetId ${targetId}:`, err);
-                                        }
-                                    }
-
-                                    client.say(channel, `/me @${tags.username} Benachrichtigung für ${type === 'title' ? 'Titel' : 'Kategorie'}-Änderungen von ${targetArg} aktiviert!`);
-                                }
-                            }
-                        } catch (e) {
-                            console.error("Fehler im notify-Command:", e);
-                            client.say(channel, `/me @${tags.username} Fehler beim Einrichten der Benachrichtigung: ${e.message}`);
-                        }
-                    }
-                }
-            }
-        }
-
-        if (command === 'unnotify') {
-            const typeArg = args[0] ? args[0].toLowerCase() : null;
-            const targetArg = args[1] ? args[1].toLowerCase().replace('@', '') : null;
-
-            if (!typeArg || !targetArg) {
-                client.say(channel, `/me @${tags.username} Nutzung: ${currentPrefix}unnotify <title|game> <TwitchChannel>`);
-            } else {
-                let type = null;
-                if (['title', 'titel'].includes(typeArg)) {
-                    type = 'title';
-                } else if (['game', 'category', 'kategorie', 'spiel'].includes(typeArg)) {
-                    type = 'game';
-                }
-
-                if (!type) {
-                    client.say(channel, `/me @${tags.username} Ungültiger Typ. Bitte 'title' oder 'game' verwenden.`);
-                } else {
-                    try {
-                        const token = process.env.TWITCH_OAUTH_TOKEN;
-                        const clientId = await getClientId(token);
-                        const targetId = await getTwitchUserId(targetArg, clientId, token);
-
-                        if (!targetId) {
-                            client.say(channel, `/me @${tags.username} Konnte Twitch-Kanal ${targetArg} nicht finden.`);
-                        } else {
-                            let exists = false;
-                            if (useMongoDB) {
-                                const found = await Notification.findOne({ channel, targetId, type });
-                                if (found) {
-                                    await Notification.deleteOne({ _id: found._id });
-                                    exists = true;
-                                }
-                            } else {
-                                const index = localNotifications.findIndex(n => n.channel === channel && n.targetId === targetId && n.type === type);
-                                if (index !== -1) {
-                                    localNotifications.splice(index, 1);
-                                    saveLocalNotifications();
-                                    exists = true;
-                                }
-                            }
-
-                            if (exists) {
-                                client.say(channel, `/me @${tags.username} Benachrichtigung für ${type === 'title' ? 'Titel' : 'Kategorie'}-Änderungen von ${targetArg} deaktiviert.`);
-                            } else {
-                                client.say(channel, `/me @${tags.username} Keine aktive Benachrichtigung für ${type === 'title' ? 'Titel' : 'Kategorie'}-Änderungen von ${targetArg} gefunden.`);
-                            }
-                        }
-                    } catch (e) {
-                        console.error("Fehler im unnotify-Command:", e);
-                        client.say(channel, `/me @${tags.username} Fehler beim Entfernen der Benachrichtigung: ${e.message}`);
-                    }
-                }
-            }
-        }
-
-        if (command === 'tiktok' || command === 'tt') {
-            if (!args[0]) {
-                client.say(channel, `/me @${tags.username} du musst einen Tiktok Link mitschicken`);
-                return;
-            }
-            let url = args[0];
-            if (url.includes('tiktok.com')) {
-                try {
-                    const apiUrl = `https://www.tikwm.com/api/?url=${encodeURIComponent(url)}`;
-                    const res = await fetch(apiUrl);
-                    const json = await res.json();
-
-                    if (json.code === 0 && json.data) {
-                        const playUrl = json.data.play;
-                        let duration = json.data.duration || 60; // default 60s
-
-                        if (!activeTiktokPlaying) {
-                            tiktokQueue.push({ url: playUrl, user: tags.username, duration: duration, channel: channel });
-                            playNextTiktok();
-                        } else {
-                            tiktokQueue.push({ url: playUrl, user: tags.username, duration: duration, channel: channel });
-                            client.say(channel, `/me @${tags.username} Tiktok zur Warteschlange hinzugefügt (Position: ${tiktokQueue.length})`);
-                        }
-                    } else {
-                        client.say(channel, `/me @${tags.username} Konnte das Tiktok nicht laden (vielleicht privat?).`);
-                    }
-                } catch (e) {
-                    client.say(channel, `/me @${tags.username} Fehler beim Laden des Tiktoks.`);
-                }
-            } else {
-                client.say(channel, `/me @${tags.username} Das ist kein gültiger Tiktok Link`);
-            }
-        }
-
-        if (command === 'stoptt') {
-            if (tags.username.toLowerCase() === 'ikkimeel') {
-                io.emit('stop-tiktok');
-                client.say(channel, `/me Tiktok Overlay gestoppt by ikkimeel`);
-                activeTiktokPlaying = false;
-                tiktokVoteskipUsers.clear();
-                if (tiktokTimeoutId) {
-                    clearTimeout(tiktokTimeoutId);
-                    tiktokTimeoutId = null;
-                }
-                setTimeout(playNextTiktok, 1000);
-            } else {
-                client.say(channel, `/me @${tags.username} nur ikkimeel darf das bob`);
-            }
-        }
-
-        if (command === 'prefix') {
-            isChangingPrefix = true;
-            prefixChangeUser = tags.username;
-            client.say(channel, `Nerd was willst du als prefix? aktuell hast du: ${currentPrefix}`);
-        }
-
-
-        if (command === 'frage') {
-            const question = args.join(' ').toLowerCase();
-            const restrictedKeywords = ['tod', 'sterben', 'umbringen', 'selbstmord', 'doid', 'jenseits', 'beenden', 'ppDone', 'erhängen', 'erhänhen', 'existieren', 'leben'];
-            if (restrictedKeywords.some(w => question.includes(w))) {
-                const restrictedAnswers = [
-                    "/me stare", "/me nein stare", "/me nein", "/me nein sideeye", "/me sideeye", "/me stop", "/me nein stop"
-                ];
-                const response = restrictedAnswers[Math.floor(Math.random() * restrictedAnswers.length)];
-                client.say(channel, response);
-            } else {
-                const answers = [
-                    "/me Genau ja", "/me nope nein", "/me eeh vielleicht", "/me Skip frag später nochmal",
-                    "/me Genau auf jeden fall", "/me nope niemals", "/me eeh wahrscheinlich schon",
-                    "/me manidk ich glaube nicht", "/me manik definitiv", "/me haher träum weiter"
-                ];
-                const randomAnswer = answers[Math.floor(Math.random() * answers.length)];
-                client.say(channel, `${randomAnswer}`);
-            }
-        }
-
-
-
-        if (command === 'stop') {
-            clearAllTimers();
-            copyTargetUser = null;
-            client.say(channel, "bob bin schon leise");
-        }
-
-        if (command === 'copy') {
-            const isMod = tags.mod || (tags.badges && tags.badges.broadcaster);
-            if (!isMod) return;
-
-            if (!args[0]) {
-                client.say(channel, "ome5");
-                return;
-            }
-            const target = args[0].toLowerCase().replace('@', '');
-            copyTargetUser = target;
-            client.say(channel, `/me ome5`);
-        }
-
-        if (command === 'afk') {
-            const reason = args.join(' ');
-            const startTime = Date.now();
-            afkUsers[sender] = { startTime: startTime, reason: reason };
-
-            // Save Persistence
-            if (!userStars[sender]) {
-                userStars[sender] = { balance: 0, lastClaim: 0 };
-            }
-            userStars[sender].afkStartTime = startTime;
-            userStars[sender].afkReason = reason;
-            saveStars(sender);
-
-            let msg = `/me ${emote} @${tags.username} ist jetzt AFK bye`;
-            if (reason) msg += ` | ${reason}`;
-            client.say(channel, msg);
-        }
-
-        if (command === 'rafk') {
-            if (afkUsers[sender]) {
-                client.say(channel, `/me @${tags.username} du bist doch schon AFK bob`);
-                return;
-            }
-            if (lastAfkUsers[sender]) {
-                const now = Date.now();
-                const returnTime = lastAfkUsers[sender].returnTime || 0;
-
-                // 5 Minute Window (5 * 60 * 1000 ms)
-                if (now - returnTime > 300000) {
-                    client.say(channel, `/me @${tags.username} Nerd die 5 Minuten sind um, du musst dich neu AFK stellen haher`);
-                    delete lastAfkUsers[sender];
-                    return;
-                }
-
-                afkUsers[sender] = {
-                    startTime: lastAfkUsers[sender].startTime,
-                    reason: lastAfkUsers[sender].reason
-                };
-                const reason = afkUsers[sender].reason;
-                let msg = `/me ${emote} @${tags.username} ist wieder AFK bye`;
-                if (reason) msg += ` | ${reason}`;
-                client.say(channel, msg);
-            } else {
-                client.say(channel, `/me @${tags.username} Nerd du warst vorher nicht AFK`);
-            }
-        }
-
-        if (command === 'join') {
-            const isMod = tags.mod || (tags.badges && tags.badges.broadcaster);
-            if (!isMod) return;
-
-            // Allow specifying a channel, otherwise join the user's channel
-            let target = args[0] ? args[0].toLowerCase() : tags.username.toLowerCase();
-            if (target.startsWith('#')) target = target.slice(1);
-
-            try {
-                // 1. Fetch Key Info
-                const token = process.env.TWITCH_OAUTH_TOKEN;
-                const clientId = await getClientId(token);
-                // We need ID for DB
-                const userId = await getTwitchUserId(target, clientId, token);
-
-                if (!userId) {
-                    client.say(channel, `/me Konnte ID für ${target} nicht finden.`);
-                    return;
-                }
-
-                // 2. Perform Join first to ensure it works
-                await client.join(target);
-                client.say(channel, `/me Joined ${target}`);
-
-                // 3. PERSISTENCE
-                // Add to monitoredChannels list
-                if (!monitoredChannels.includes(target)) {
-                    monitoredChannels.push(target);
-                }
-
-                // Save to MongoDB
-                if (useMongoDB) {
-                    await Channel.findOneAndUpdate(
-                        { username: target },
-                        { id: userId, joinedAt: new Date() },
-                        { upsert: true, new: true }
-                    );
-                    console.log(`[DB] Channel ${target} gespeichert.`);
-                }
-
-                // Save to JSON (Backup)
-                let storedChannels = [];
-                try {
-                    if (fs.existsSync(CHANNELS_FILE)) {
-                        storedChannels = JSON.parse(fs.readFileSync(CHANNELS_FILE, 'utf8'));
-                    }
-                } catch (e) { }
-
-                // Add if not exists
-                if (!storedChannels.find(c => c.username === target)) {
-                    storedChannels.push({ username: target, id: userId });
-                    fs.writeFileSync(CHANNELS_FILE, JSON.stringify(storedChannels, null, 2));
-                }
-
-                // Refresh Emotes for new channel
-                await refreshEmotes();
-            } catch (e) {
-                console.error("Join Error:", e);
-                client.say(channel, `/me Fehler beim Joinen: ${e.message}`);
-            }
-        }
-
-        if (command === 'refresh' || command === 'refreshemotes') {
-            const isMod = tags.mod || (tags.badges && tags.badges.broadcaster);
-            if (!isMod) return;
-
-            await refreshEmotes();
-            client.say(channel, `/me wideSpeedNod Emotes (7TV, BTTV, FFZ) wurden aktualisiert!`);
-        }
-
-        if (command === 'part' || command === 'leave') {
-            const isMod = tags.mod || (tags.badges && tags.badges.broadcaster);
-            if (!isMod) return;
-
-            let target = args[0] ? args[0].toLowerCase() : channel.replace('#', '').toLowerCase();
-            if (target.startsWith('#')) target = target.slice(1);
-
-            try {
-                // 1. Leave
-                await client.part(target);
-                if (channel.replace('#', '').toLowerCase() !== target) {
-                    client.say(channel, `/me Left ${target}`);
-                }
-
-                monitoredChannels = monitoredChannels.filter(c => c !== target);
-
-                // Remove from MongoDB
-                if (useMongoDB) {
-                    await Channel.deleteOne({ username: target });
-                    console.log(`[DB] Channel ${target} entfernt.`);
-                }
-
-                // Remove from JSON
-                if (fs.existsSync(CHANNELS_FILE)) {
-                    try {
-                        let storedChannels = JSON.parse(fs.readFileSync(CHANNELS_FILE, 'utf8'));
-                        const initLen = storedChannels.length;
-                        storedChannels = storedChannels.filter(c => c.username !== target);
-                        if (storedChannels.length !== initLen) {
-                            fs.writeFileSync(CHANNELS_FILE, JSON.stringify(storedChannels, null, 2));
-                        }
-                    } catch (e) {
-                        console.error("Fehler beim Update von channels.json:", e);
-                    }
-                }
-
-            } catch (e) {
-                console.error("Part Error:", e);
-                client.say(channel, `/me Fehler beim Leaven: ${e.message}`);
-            }
-        }
-
-
-
-
-        if (command === 'spam') {
-            const count = parseInt(args[0]);
-            const textToSpam = args.slice(1).join(' ');
-
-            if (isNaN(count) || count < 1 || count > 50) {
-                client.say(channel, '/me Nerd es geht nur von 1-50');
-                return;
-            }
-
-            if (!textToSpam) {
-                client.say(channel, '/me bob was soll ich spammen');
-                return;
-            }
-
-            for (let i = 0; i < count; i++) {
-                const id = setTimeout(() => {
-                    client.say(channel, textToSpam);
-                }, i * 10);
-                activeTimers.push(id);
-            }
-        }
-
-
-
-        if (command === 'star') {
-            const user = tags.username.toLowerCase();
-            const now = Date.now();
-            const cooldown = 3600000; // 1 Hour
-
-            if (!userStars[user]) {
-                // First Time
-                userStars[user] = {
-                    balance: 0,
-                    lastClaim: 0,
-                    level: 0,
-                    investedStars: 0,
-                    nextLevelCost: 670,
-                    lastChannel: channel
-                };
-            }
-
-            const lastClaim = userStars[user].lastClaim;
-            if (now - lastClaim < cooldown) {
-                const minutesLeft = Math.ceil((cooldown - (now - lastClaim)) / 60000);
-                client.say(channel, `/me @${tags.username}, Nerd warte noch ${minutesLeft} minuten (balance: ${formatPoints(userStars[user].balance)} Star )`);
-                return;
-            }
-
-            // Calculate Reward
-            let reward = Math.floor(Math.random() * (677 - 67 + 1)) + 67;
-            let isFirst = false;
-
-            if (userStars[user].lastClaim === 0) {
-                isFirst = true;
-                reward += 676; // Bonus
-            }
-
-            userStars[user].balance += reward;
-            userStars[user].lastClaim = now;
-            userStars[user].reminded = false; // Reset reminder flag
-            userStars[user].lastChannel = channel; // Store last used channel
-            saveStars(user);
-
-            if (isFirst) {
-                client.say(channel, `/me qq @${tags.username} da du das erste mal hier bist bekommst du ein bonus JUHU , (${formatPoints(reward - 676)} + 676 bonus) dein aktueller Star betrag ist ${formatPoints(userStars[user].balance)} Star`);
-            } else {
-                client.say(channel, `/me @${tags.username} du hast ${formatPoints(reward)} Star bekommen Top total: ${formatPoints(userStars[user].balance)} Star `);
-            }
-
-            // Set Reminder
-            scheduleStarReminder(user, cooldown, channel);
-        }
-
-        if (command === 'kredit' || command === 'loan') {
-            const user = tags.username.toLowerCase();
-            // Random amount between 67 and 676,767,676,767
-            const minCredit = 67;
-            const maxCredit = 676767676767;
-            const amount = Math.floor(Math.random() * (maxCredit - minCredit + 1)) + minCredit;
-
-            if (!userStars[user]) {
-                userStars[user] = { balance: 0, lastClaim: 0, loanAmount: 0, loanDueDate: 0, repaymentFailures: 0 };
-            }
-
-            if (userStars[user].loanAmount > 0) {
-                client.say(channel, `/me @${tags.username} Du hast noch einen offenen Kredit von ${formatPoints(userStars[user].loanAmount)} Star`);
-                return;
-            }
-
-            // Grant Loan
-            const duration = 6 * 60 * 60 * 1000; // 6 Hours
-
-            userStars[user].balance += amount;
-            userStars[user].loanAmount = amount; // Start with principal. Interest added hourly.
-            userStars[user].loanDueDate = Date.now() + duration;
-            userStars[user].lastInterestTime = Date.now();
-            userStars[user].repaymentFailures = 0;
-            userStars[user].lastChannel = channel;
-
-            saveStars(user);
-            client.say(channel, `/me @${tags.username} Kredit von ${formatPoints(amount)} Star gewährt! Rückzahlung innerhalb von 6 Stunden. 10% Zinsen pro Stunde.`);
-        }
-
-        if (command === 'repay' || command === 'payback') {
-            const user = tags.username.toLowerCase();
-
-            if (!userStars[user] || !userStars[user].loanAmount || userStars[user].loanAmount <= 0) {
-                client.say(channel, `/me @${tags.username} Du hast keine offenen Schulden.`);
-                return;
-            }
-
-            const debt = userStars[user].loanAmount;
-            const balance = userStars[user].balance;
-
-            // Allow partial repayment? No, typically full repayment or whatever they can pay.
-            // Let's just try to pay all.
-
-            if (balance >= debt) {
-                // Successful Repayment BUT Timeout Punishment
-                userStars[user].balance -= debt;
-                userStars[user].loanAmount = 0;
-                userStars[user].loanDueDate = 0;
-                userStars[user].repaymentFailures = 0;
-                saveStars(user);
-
-                const penaltyTimeout = 1200; // 20 Minutes
-
-                // Use Helix Timeout if possible
-                const channelName = channel.replace('#', '').toLowerCase();
-                const broadcasterId = channelIds[channelName];
-                const targetId = tags['user-id'];
-
-                if (broadcasterId && botUserId && targetId) {
-                    try {
-                        const token = process.env.TWITCH_OAUTH_TOKEN;
-                        const clientId = await getClientId(token);
-                        await helixTimeout(broadcasterId, botUserId, targetId, penaltyTimeout, "Loan Repayment Penalty", clientId, token);
-                        client.say(channel, `/me @${tags.username} Kredit vollständig zurückgezahlt! Danke. Aber hier sind 20 Minuten Auszeit für dich haher`);
-                    } catch (err) {
-                        console.error("Helix Timeout failed:", err);
-                        // Fallback
-                        client.say(channel, `/timeout @${user} ${penaltyTimeout} kredit zurückgezahlt aber trotzdem`);
-                        client.say(channel, `/me @${tags.username} Kredit vollständig zurückgezahlt! Danke. Aber hier sind 20 Minuten Auszeit für dich haher`);
-                    }
-                } else {
-                    if (client.readyState() === 'OPEN') {
-                        client.say(channel, `/timeout @${user} ${penaltyTimeout} kredit zurückgezahlt aber trotzdem`);
-                        client.say(channel, `/me @${tags.username} Kredit vollständig zurückgezahlt! Danke. Aber hier sind 20 Minuten Auszeit für dich haher`);
-                    }
-                }
-            } else {
-                // Not enough money -> TIMEOUT TRAP!
-                // Random duration: 1 to 33 minutes (60s to 1980s)
-                const minSec = 60;
-                const maxSec = 33 * 60;
-                const timeoutDuration = Math.floor(Math.random() * (maxSec - minSec + 1)) + minSec;
-
-                const channelName = channel.replace('#', '').toLowerCase();
-                const broadcasterId = channelIds[channelName];
-                const targetId = tags['user-id'];
-
-                if (broadcasterId && botUserId && targetId) {
-                    try {
-                        const token = process.env.TWITCH_OAUTH_TOKEN;
-                        const clientId = await getClientId(token);
-                        await helixTimeout(broadcasterId, botUserId, targetId, timeoutDuration, "Loan Trap Penalty", clientId, token);
-                        client.say(channel, `/me @${user} hat nicht genug Geld für die Rückzahlung und wurde für ${timeoutDuration} Sekunden timeoutet! Kredit läuft weiter.`);
-                    } catch (err) {
-                        console.error("Helix Timeout failed (Trap):", err);
-                        client.say(channel, `/timeout @${user} ${timeoutDuration} zu wenig geld opfer`);
-                        client.say(channel, `/me @${user} hat nicht genug Geld für die Rückzahlung und wurde für ${timeoutDuration} Sekunden timeoutet! Kredit läuft weiter.`);
-                    }
-                } else {
-                    if (client.readyState() === 'OPEN') {
-                        client.say(channel, `/timeout @${user} ${timeoutDuration} zu wenig geld opfer`);
-                        client.say(channel, `/me @${user} hat nicht genug Geld für die Rückzahlung und wurde für ${timeoutDuration} Sekunden timeoutet! Kredit läuft weiter.`);
-                    }
-                }
-            }
-        }
-
-        // Helper to get all current viewers via NotedBot API
-        async function getViewers() {
-            try {
-                const pureChannelName = channel.replace('#', '').toLowerCase();
-                let targetId = channelIds[pureChannelName];
-
-                if (!targetId) {
-                    // Try to get ID if not set
-                    const token = process.env.TWITCH_OAUTH_TOKEN;
-                    const clientId = await getClientId(token);
-                    targetId = await getTwitchUserId(pureChannelName, clientId, token);
-                    if (targetId) channelIds[pureChannelName] = targetId;
-                }
-
-                if (!targetId) {
-                    console.error("Keine Channel ID gefunden.");
-                    return [];
-                }
-
-                const response = await fetch(`https://api.wydios.de/sandbox/chatters?channel=${targetId}`);
-
-                if (!response.ok) {
-                    console.error('Failed to fetch viewers from NotedBot:', response.status);
-                    return [];
-                }
-
-                const json = await response.json();
-
-                // Check if data is null or error is true
-                if (json.error || !json.data) {
-                    console.warn('NotedBot API returned no data:', json.message);
-                    return [];
-                }
-
-                const data = json.data;
-                let allViewers = [];
-
-                // Helper to extract logins from array of objects { login: "name" }
-                const extract = (arr) => (arr || []).map(u => u.login);
-
-                allViewers = allViewers.concat(extract(data.broadcasters));
-                allViewers = allViewers.concat(extract(data.chatbots)); // Include bots? Sure, why not
-                allViewers = allViewers.concat(extract(data.moderators));
-                allViewers = allViewers.concat(extract(data.vips));
-                allViewers = allViewers.concat(extract(data.staff));
-                allViewers = allViewers.concat(extract(data.viewers));
-
-                return allViewers;
-
-            } catch (e) {
-                console.error('Error fetching viewers:', e);
-                return [];
-            }
-        }
-
-        if (command === 'hug') {
-            let users = await getViewers();
-
-            // Fallback to active chatters if API fails or returns empty
-            if (!users || users.length === 0) {
-                users = Array.from(activeChatUsers);
-            }
-
-            const otherUsers = users.filter(u => u.toLowerCase() !== tags.username.toLowerCase());
-
-            let targetUser = tags.username;
-            if (otherUsers.length > 0) {
-                targetUser = otherUsers[Math.floor(Math.random() * otherUsers.length)];
-            }
-
-            client.say(channel, `/me @${tags.username} umarmt @${targetUser} hugg`);
-        }
-
-        if (command === 'suche' || command === 'guess') {
-            const currentEmotes = channelEmotes[channel] || [];
-
-            if (currentEmotes.length === 0) {
-                // Try refresh if globally empty or just locally?
-                // Let's refresh if empty
-                await refreshEmotes();
-                if ((channelEmotes[channel] || []).length === 0) {
-                    client.say(channel, "eeeh lwk gibts hier keine emotes, guck mal ob du 7tv hast");
-                    return;
-                }
-            }
-
-            const activeEmotes = channelEmotes[channel] || [];
-            if (activeEmotes.length === 0) {
-                client.say(channel, "keine emotes gefunden für diesen channel");
-                return;
-            }
-
-            const hintText = args.join(' ');
-            if (!hintText.trim()) return;
-
-            const filters = parseHint(hintText);
-
-            if (filters.length === 0) {
-                client.say(channel, "peepoConfused ich verstehe nichts, try so '14 2=c' oder 'hat 7 buchstaben'");
-                return;
-            }
-
-            // Filter emotes
-            const matches = activeEmotes.filter(name => {
-                return filters.every(f => f(name));
-            });
-
-            if (!matches.length) {
-                client.say(channel, "lol hab nichts gefunden");
-            } else if (matches.length > 20) {
-                let chunk = [];
-                for (const emote of matches) {
-                    chunk.push(emote);
-                    if (chunk.length >= 25) {
-                        client.say(channel, `Nerd das kanns sein: ${chunk.join(' , ')}`);
-                        chunk = [];
-                    }
-                }
-                if (chunk.length > 0) {
-                    client.say(channel, `Nerd das kanns sein: ${chunk.join(' , ')}`);
-                }
-            } else {
-                client.say(channel, `Nerd das kanns sein: ${matches.join(" , ")}`);
-            }
-        }
-        if (command === 'gamba') {
-            const user = tags.username.toLowerCase();
-            const amountStr = args[0];
-
-            if (!userStars[user]) {
-                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
-            }
-            userStars[user].lastChannel = channel;
-
-            // Cooldown Check removed
-
-            const balance = userStars[user].balance;
-
-            if (!amountStr) {
-                client.say(channel, `/me @${tags.username} Nutzung: ${currentPrefix}gamba <Menge> oder 'all'`);
-                return;
-            }
-
-            let betAmount = 0;
-            if (amountStr.toLowerCase() === 'all') {
-                betAmount = balance;
-            } else if (amountStr.toLowerCase() === 'half' || amountStr.toLowerCase() === 'hälfte') {
-                betAmount = Math.floor(balance / 2);
-            } else if (amountStr.endsWith('%')) {
-                const percentage = parseInt(amountStr.slice(0, -1));
-                if (!isNaN(percentage) && percentage > 0 && percentage <= 100) {
-                    betAmount = Math.ceil(balance * (percentage / 100));
-                }
-            } else {
-                betAmount = parseInt(amountStr);
-            }
-
-            if (isNaN(betAmount) || betAmount <= 0) {
-                client.say(channel, `/me @${tags.username} Ungültiger Einsatz bob `);
-                return;
-            }
-
-            if (betAmount > balance) {
-                client.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(balance)} Star`);
-                return;
-            }
-
-
-            const currentEmotes = channelEmotes[channel] || [];
-            if (currentEmotes.length < 3) {
-                client.say(channel, `/me @${tags.username} Um keine emotes für gamba`);
-                return;
-            }
-
-            // Game Logic
-            // 1% Jackpot (Triple)
-            // 67% Win (Double)
-            // 16% Near Miss (Loss)
-            // 16% Loss
-
-            const roll = Math.random() * 100; // 0 - 100
-            let resultSlots = [];
-            let outcome = ""; // win, jackpot, loss
-
-            // Pick a set of 3 distinct symbols for the reels to choose from
-            let reelSymbols = [];
-            while (reelSymbols.length < 3) {
-                const r = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                if (!reelSymbols.includes(r)) reelSymbols.push(r);
-            }
-
-            if (roll < 1) {
-                // Jackpot 1%
-                outcome = "jackpot";
-                const s = reelSymbols[0];
-                resultSlots = [s, s, s];
-            } else if (roll < 68) {
-                // Win 67% (1 to 68)
-                outcome = "win";
-                const s = reelSymbols[0];
-                resultSlots = [s, s, s];
-            } else if (roll < 84) {
-                // 16% (68 to 84) -> 2 Same
-                outcome = "loss"; // Near miss is a loss
-                // [A, A, B] shuffled
-                const s1 = reelSymbols[0];
-                const s2 = reelSymbols[1];
-                resultSlots = [s1, s1, s2];
-                resultSlots.sort(() => Math.random() - 0.5);
-            } else {
-                // 16% (84 to 100) -> 3 Diff
-                outcome = "loss";
-                resultSlots = reelSymbols;
-                resultSlots.sort(() => Math.random() - 0.5);
-            }
-
-            if (outcome === "jackpot") {
-                const winAmount = betAmount * 3;
-                userStars[user].balance = balance - betAmount + winAmount;
-                saveStars();
-                client.say(channel, `/me [ ${resultSlots.join(' | ')} ] - @${tags.username} HeCrazy JACKPOT HeCrazy  VERDREIFACHT HeCrazy balance: ${formatPoints(userStars[user].balance)} Star`);
-            } else if (outcome === "win") {
-                const winAmount = betAmount * 2;
-                userStars[user].balance = balance - betAmount + winAmount;
-                saveStars();
-                client.say(channel, `/me [ ${resultSlots.join(' | ')} ] - @${tags.username} ALTA gewonnen, aktuelle balance: ${formatPoints(userStars[user].balance)} Star`);
-            } else {
-                userStars[user].balance = balance - betAmount;
-                saveStars();
-                client.say(channel, `/me [ ${resultSlots.join(' | ')} ] - @${tags.username} eww verloren, aktuelle balance: ${formatPoints(userStars[user].balance)} Star`);
-            }
-
-        }
-
-        if (command === 'zahl') {
-            const user = tags.username.toLowerCase();
-            const input = args[0]; // Can be amount (start) or choice (finish)
-
-            if (!userStars[user]) {
-                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
-            }
-            userStars[user].lastChannel = channel;
-
-            // Scenario 1: User has an active game and is guessing
-            if (activeGuessGames[user]) {
-                if (!input) {
-                    client.say(channel, `/me stop @${tags.username} du hast ein spiel offen! Sag "ungerade" oder "gerade" wideSpeedNod`);
-                    return;
-                }
-
-                const choice = input.toLowerCase();
-                let betsOnOdd = false;
-                if (['ungerade', 'odd'].includes(choice)) {
-                    betsOnOdd = true;
-                } else if (['gerade', 'even'].includes(choice)) {
-                    betsOnOdd = false;
-                } else {
-                    client.say(channel, `/me @${tags.username} bitte "ungerade" oder "gerade" wählen ${emote}`);
-                    return;
-                }
-
-                const game = activeGuessGames[user];
-                const isOdd = game.number % 2 !== 0;
-                const win = (betsOnOdd && isOdd) || (!betsOnOdd && !isOdd);
-
-                if (win) {
-                    const winAmount = game.bet * 2;
-                    userStars[user].balance += winAmount; // Refund bet + win
-                    // Note: We already deducted the bet when starting, so adding winAmount results in +bet profit.
-                    saveStars();
-                    client.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - JUHU gewonnen! +${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[user].balance)} Star`);
-                } else {
-                    // Bet is already gone
-                    saveStars();
-                    client.say(channel, `/me ${emote} @${tags.username} Zahl war ${game.number} - ohno verloren. -${formatPoints(game.bet)} Star Balance: ${formatPoints(userStars[user].balance)} Star`);
-                }
-
-                delete activeGuessGames[user];
-                return;
-            }
-
-            // Scenario 2: Start new game
-            if (!input) {
-                client.say(channel, `/me Nerd @${tags.username} Nutzung: ${currentPrefix}zahl <Menge>`);
-                return;
-            }
-
-            const balance = userStars[user].balance;
-            let betAmount = 0;
-
-            if (input.toLowerCase() === 'all') {
-                betAmount = balance;
-            } else if (input.toLowerCase() === 'half' || input.toLowerCase() === 'hälfte') {
-                betAmount = Math.floor(balance / 2);
-            } else if (input.endsWith('%')) {
-                const percentage = parseInt(input.slice(0, -1));
-                if (!isNaN(percentage) && percentage > 0 && percentage <= 100) {
-                    betAmount = Math.ceil(balance * (percentage / 100));
-                }
-            } else {
-                betAmount = parseInt(input);
-            }
-
-            if (isNaN(betAmount) || betAmount <= 0) {
-                client.say(channel, `/me @${tags.username} Ungültiger Einsatz bob`);
-                return;
-            }
-
-            if (betAmount > balance) {
-                client.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(balance)} Star`);
-                return;
-            }
-
-            // Deduct bet immediately
-            userStars[user].balance -= betAmount;
-            saveStars();
-
-            // Store State
-            activeGuessGames[user] = {
-                number: Math.floor(Math.random() * 68),
-                bet: betAmount,
-                timestamp: Date.now()
-            };
-
-            client.say(channel, `/me @${tags.username} Spiel gestartet wideSpeedNod Einsatz: ${formatPoints(betAmount)} Star Ist die Zahl "gerade" oder "ungerade"? Hmm`);
-        }
-
-        if (command === 'bj' || command === 'blackjack') {
-            const user = tags.username.toLowerCase();
-
-            if (activeBlackjackGames[user]) {
-                client.say(channel, `/me @${tags.username} du hast schon ein spiel offen ADHD schreib '${currentPrefix}hit' oder '${currentPrefix}stand' wideSpeedNod `);
-                return;
-            }
-
-            const amountStr = args[0];
-            if (!userStars[user]) {
-                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
-            }
-            userStars[user].lastChannel = channel;
-            const balance = userStars[user].balance;
-
-            if (!amountStr) {
-                client.say(channel, `/me @${tags.username} Nerd Nutzung: ${currentPrefix}bj <Menge> oder 'all'`);
-                return;
-            }
-
-            let betAmount = 0;
-            if (amountStr.toLowerCase() === 'all') {
-                betAmount = balance;
-            } else if (amountStr.toLowerCase() === 'half' || amountStr.toLowerCase() === 'hälfte') {
-                betAmount = Math.floor(balance / 2);
-            } else if (amountStr.endsWith('%')) {
-                const percentage = parseInt(amountStr.slice(0, -1));
-                if (!isNaN(percentage) && percentage > 0 && percentage <= 100) {
-                    betAmount = Math.ceil(balance * (percentage / 100));
-                }
-            } else {
-                betAmount = parseInt(amountStr);
-            }
-
-            if (isNaN(betAmount) || betAmount <= 0) {
-                client.say(channel, `/me @${tags.username} Ungültiger Einsatz bob `);
-                return;
-            }
-
-            if (betAmount > balance) {
-                client.say(channel, `/me @${tags.username} idiot du hast nur ${formatPoints(balance)} Star`);
-                return;
-            }
-
-            // Deduct bet
-            userStars[user].balance -= betAmount;
-            saveStars();
-
-            const deck = getDeck();
-            const pHand = [deck.pop(), deck.pop()];
-            const dHand = [deck.pop(), deck.pop()];
-
-            activeBlackjackGames[user] = {
-                deck: deck,
-                pHand: pHand,
-                dHand: dHand,
-                bet: betAmount,
-                ts: Date.now()
-            };
-
-            const pVal = getHandValue(pHand);
-
-            // Check Natural Blackjack
-            if (pVal === 21) {
-                const dVal = getHandValue(dHand);
-                if (dVal === 21) {
-                    // Push
-                    userStars[user].balance += betAmount;
-                    saveStars();
-                    client.say(channel, `/me wideSpeedNod @${tags.username} blackjack push du: [${formatHand(pHand)}] dealer: [${formatHand(dHand)}], balance: ${formatPoints(userStars[user].balance)} Star`);
-                } else {
-                    // Win 1.5x (Net win 1.5x, so return 2.5x bet)
-                    const win = Math.ceil(betAmount * 2.5);
-                    userStars[user].balance += win;
-                    saveStars();
-                    client.say(channel, `/me wideSpeedNod @${tags.username} BLACKJACK du: [${formatHand(pHand)}] dealer: [${formatHand(dHand)}], Gewinn: ${formatPoints(win - betAmount)} balance: ${formatPoints(userStars[user].balance)} Star`);
-                }
-                delete activeBlackjackGames[user];
-                return;
-            }
-
-            client.say(channel, `/me wideSpeedNod @${tags.username} blackjack gestartet, einsatz: ${formatPoints(betAmount)}, deine hand: [ ${formatHand(pHand)} ] (${pVal}) | dealer: [ ${dHand[0].value}${dHand[0].suit} ? ] , hit oder stand? Hmmm `);
-        }
-
-        if (command === 'remindme') {
-            await handleSelfReminder(channel, tags, args);
-        }
-
-        if (command === 'remind') {
-            const target = args[0];
-            if (!target) {
-                client.say(channel, `/me @${tags.username} ermm wen erinnern? Nerd Nutzung: ${currentPrefix}remind User [Zeit] Text`);
-                return;
-            }
-
-            if (target.toLowerCase() === 'me') {
-                await handleSelfReminder(channel, tags, args.slice(1));
-                return;
-            }
-
-            const timeArgs = args.slice(1);
-            let parsed = parseTimeInput(timeArgs);
-            let dueAt = 0;
-            let reminderMsg = "";
-
-            if (!parsed) {
-                // No time found, treat everything after target as message
-                let potentialMsg = timeArgs.join(' ');
-
-                if (potentialMsg.trim().length === 0) {
-                    // Empty message -> Random Emote
-                    const currentEmotes = channelEmotes[channel] || [];
-                    if (currentEmotes.length > 0) {
-                        potentialMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                    } else {
-                        potentialMsg = "lass uns eine skybase bauen wideSpeedNod ";
-                    }
-                }
-
-                dueAt = 0; // On Message
-                reminderMsg = potentialMsg;
-            } else {
-                dueAt = parsed.dueAt;
-                reminderMsg = parsed.message;
-
-                if (!reminderMsg || reminderMsg.trim() === "") {
-                    const currentEmotes = channelEmotes[channel] || [];
-                    if (currentEmotes.length > 0) {
-                        reminderMsg = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                    } else {
-                        reminderMsg = " wideSpeedNod ich öffne die augen und beginne den tag";
-                    }
-                }
-            }
-
-            const cleanTarget = target.replace('@', '');
-
-            // let shortId = "";
-            if (dueAt > 0) {
-                // lastReminderId++;
-                // shortId removed
-            }
-
-            const reminderData = {
-                targetUser: cleanTarget,
-                sourceUser: tags.username,
-                message: reminderMsg,
-                dueAt: dueAt,
-                channel: channel,
-                // shortId: shortId,
-                createdAt: Date.now()
-            };
-
-            if (useMongoDB) {
-                await Reminder.create(reminderData);
-            } else {
-                localReminders.push(reminderData);
-                saveLocalReminders();
-            }
-
-            if (dueAt > 0) {
-                const date = new Date(dueAt);
-                const timeOptions = { hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Berlin' };
-                const timeStr = date.toLocaleTimeString('de-DE', timeOptions);
-
-                const now = new Date();
-                const isToday = date.getDate() === now.getDate() && date.getMonth() === now.getMonth() && date.getFullYear() === now.getFullYear();
-
-                let timeDisplay = `um ${timeStr}`;
-                if (!isToday) {
-                    const dateStr = date.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', timeZone: 'Europe/Berlin' });
-                    timeDisplay = `am ${dateStr} um ${timeStr}`;
-                }
-
-                client.say(channel, `/me @${tags.username} Noted ich erinnere ${cleanTarget} ${timeDisplay} " ${reminderMsg} "`);
-            } else {
-                client.say(channel, `/me @${tags.username} Noted ich erinnere ${cleanTarget} beim nächsten schreiben " ${reminderMsg} "`);
-            }
-        }
-
-
-
-        if (command === 'reminders' || command === 'listreminders' || command === 'myreminders') {
-            let myReminders = [];
-            const userRegex = new RegExp('^' + tags.username + '$', 'i');
-
-            if (useMongoDB) {
-                myReminders = await Reminder.find({ targetUser: { $regex: userRegex } }).sort({ dueAt: 1 });
-            } else {
-                myReminders = localReminders.filter(r => r.targetUser.toLowerCase() === tags.username.toLowerCase())
-                    .sort((a, b) => a.dueAt - b.dueAt);
-            }
-
-            if (myReminders.length === 0) {
-                client.say(channel, `/me @${tags.username} Du hast keine aktiven Reminders.`);
-                return;
-            }
-
-            let msgList = [];
-            myReminders.forEach(r => {
-                let timeInfo = "";
-                if (r.dueAt === 0) {
-                    timeInfo = "Beim nächsten Schreiben";
-                } else {
-                    const d = new Date(r.dueAt);
-                    const tStr = d.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Berlin' });
-                    timeInfo = `${tStr}`; // Showing just time to save space, assuming today/tmrw context usually
-                    // Add Day if not today?
-                    const now = new Date();
-                    if (d.getDate() !== now.getDate()) {
-                        timeInfo = `${d.getDate()}.${d.getMonth() + 1}. ${tStr}`;
-                    }
-                }
-
-                msgList.push(`${timeInfo}: ${r.message}`);
-            });
-
-            const baseMsg = `/me @${tags.username} Deine Reminders: `;
-            let currentMsg = baseMsg;
-
-            for (let i = 0; i < msgList.length; i++) {
-                const entry = (i === 0 ? "" : " | ") + msgList[i];
-                if (currentMsg.length + entry.length > 450) {
-                    client.say(channel, currentMsg);
-                    currentMsg = `/me ... ${entry}`;
-                } else {
-                    currentMsg += entry;
-                }
-            }
-            if (currentMsg !== baseMsg) {
-                client.say(channel, currentMsg);
-            }
-        }
-
-        if (command === 'hit' || command === 'h') {
-            const user = tags.username.toLowerCase();
-            const game = activeBlackjackGames[user];
-            if (!game) return;
-
-            const card = game.deck.pop();
-            game.pHand.push(card);
-            const val = getHandValue(game.pHand);
-
-            if (val > 21) {
-                // Bust
-                client.say(channel, `/me @${tags.username} BUST ohno [ ${formatHand(game.pHand)} ] (${val}), du verlierst ${formatPoints(game.bet)} Star , balance: ${formatPoints(userStars[user].balance)} Star`);
-                delete activeBlackjackGames[user];
-            } else if (val === 21) {
-                // Auto-stand
-                doBlackjackStand(user, tags.username, channel);
-            } else {
-                client.say(channel, `/me @${tags.username} [ ${formatHand(game.pHand)} ] (${val}) | dealer: [ ${game.dHand[0].value}${game.dHand[0].suit} ? ] wideSpeedNod`);
-            }
-        }
-
-        if (command === 'stand' || command === 's') {
-            const user = tags.username.toLowerCase();
-            if (!activeBlackjackGames[user]) return;
-            doBlackjackStand(user, tags.username, channel);
-        }
-
-        if (command === 'balance' || command === 'stars') {
-            const target = args[0] ? args[0].toLowerCase().replace('@', '') : tags.username.toLowerCase();
-
-            if (!userStars[target]) {
-                client.say(channel, `/me @${tags.username} der user ${target} hat keine Star Reacting`);
-            } else {
-                userStars[tags.username.toLowerCase()].lastChannel = channel; // Also update sender's channel
-                const data = userStars[target];
-                let msg = `/me @${tags.username} der user ${target} hat ${formatPoints(data.balance)} Star (lvl ${data.level || 0})`;
-
-                if (data.loanAmount > 0) {
-                    msg += ` | Offener Kredit: ${formatPoints(data.loanAmount)} Star`;
-                }
-
-                client.say(channel, msg);
-            }
-        }
-
-        if (command === 'level' || command === 'lvl') {
-            const user = tags.username.toLowerCase();
-            if (!userStars[user]) {
-                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
-                saveStars(user);
-            }
-            const data = userStars[user];
-            const currentLevel = data.level || 0;
-            const nextCost = data.nextLevelCost || 670;
-            const stars = data.balance || 0;
-
-            client.say(channel, `/me @${tags.username} Aktuelles Level: ${currentLevel} | Nächstes Level kostet: ${formatPoints(nextCost)} Star | Deine Stars: ${formatPoints(stars)} Star`);
-        }
-
-        if (command === 'lastfm') {
-            const user = tags.username.toLowerCase();
-            const lastfmUsername = args[0];
-
-            if (!lastfmUsername) {
-                client.say(channel, `/me @${tags.username} Nutzung: ${currentPrefix}lastfm <Lastfm_User>`);
-                return;
-            }
-
-            if (!userStars[user]) {
-                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670 };
-            }
-
-            userStars[user].lastfm = lastfmUsername;
-            saveStars(user);
-            client.say(channel, `/me wideSpeedNod @${tags.username} Dein Last.fm Account (${lastfmUsername}) wurde verknüpft!`);
-        }
-
-        if (command === 'song') {
-            const sender = tags.username.toLowerCase();
-            const data = userStars[sender];
-
-            if (!data || !data.lastfm) {
-                client.say(channel, `/me @${tags.username} Du hast deinen Last.fm Account noch nicht verknüpft! Nutz ${currentPrefix}lastfm <Nutzername>`);
-                return;
-            }
-
-            const apiKey = process.env.LASTFM_API_KEY;
-            if (!apiKey) {
-                client.say(channel, `/me @${tags.username} Last.fm API Key fehlt in der Konfiguration.`);
-                return;
-            }
-
-            try {
-                const info = await getNowPlayingWithPlaycount(data.lastfm, apiKey);
-                if (!info) {
-                    client.say(channel, `/me @${tags.username} Konnte keine aktuellen Songs für ${data.lastfm} finden.`);
-                    return;
-                }
-
-                // Use provided emote/text or fallback to random 7TV emote
-                const userEmote = args.join(' ').trim();
-                const suffix = userEmote || emote;
-
-                let msg = `/me `;
-                if (info.isNowPlaying) {
-                    msg += `${suffix} gerade läuft bei @${tags.username}: ${info.artist} - ${info.track}`;
-                } else {
-                    msg += `${suffix} zuletzt gehört von @${tags.username}: ${info.artist} - ${info.track}`;
-                }
-                msg += ` (Plays: ${info.playcount}) `;
-
-                client.say(channel, msg);
-            } catch (e) {
-                console.error("Last.fm Error:", e);
-                client.say(channel, `/me @${tags.username} Fehler beim Abrufen der Last.fm Daten: ${e.message}`);
-            }
-        }
-        if (command === 'kok') {
-            const length = Math.floor(Math.random() * 167); // 0 to 30 cm
-            client.say(channel, `/me @${tags.username} kok länge beträgt ${length} cm Reacting`);
-        }
-
-        if (command === 'pussy') {
-            const length = Math.floor(Math.random() * 167); // 0 to 30 cm
-            client.say(channel, `/me @${tags.username} Pussy länge beträgt -${length} cm Reacting`);
-        }
-
-        if (command === 'give' || command === 'pay') {
-            const target = args[0];
-            const amountStr = args[1];
-
-            if (!target || !amountStr) {
-                client.say(channel, `/me @${tags.username} Nutzung: ${currentPrefix}give <User> <Menge>`);
-                return;
-            }
-
-            const sender = tags.username.toLowerCase();
-            const receiver = target.toLowerCase().replace('@', '');
-
-            if (sender === receiver) {
-                client.say(channel, `/me @${tags.username} du kannst dir selbst nichts geben lol`);
-                return;
-            }
-
-            if (!userStars[sender]) {
-                userStars[sender] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
-            }
-            userStars[sender].lastChannel = channel;
-
-            let amount = parseInt(amountStr);
-            if (amountStr.toLowerCase() === 'all') {
-                amount = userStars[sender].balance;
-            }
-
-            if (isNaN(amount) || amount <= 0) {
-                client.say(channel, `/me @${tags.username} joaa geht nicht`);
-                return;
-            }
-
-            if (userStars[sender].balance < amount) {
-                client.say(channel, `/me @${tags.username} du hast nicht genug Stars haher`);
-                return;
-            }
-
-            // Transfer
-            userStars[sender].balance -= amount;
-
-            if (!userStars[receiver]) {
-                userStars[receiver] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670 };
-            }
-            userStars[receiver].balance += amount;
-
-            saveStars();
-            saveStars();
-            client.say(channel, `/me gib @${tags.username} hat @${receiver} ${formatPoints(amount)} Star gegeben`);
-        }
-
-
-        if (command === 'lb' || command === 'leaderboard') {
-            // Convert to array and sort by Level only
-            const sortedUsers = Object.entries(userStars)
-                .map(([name, data]) => ({
-                    name,
-                    balance: data.balance,
-                    invested: data.investedStars || 0,
-                    level: data.level || 0,
-                    total: (data.balance || 0) + (data.investedStars || 0)
-                }))
-                .sort((a, b) => b.level - a.level);
-
-            const top10 = sortedUsers.slice(0, 10);
-            let msg = "Top 10 Levels: ";
-
-            for (let i = 0; i < 10; i++) {
-                const rank = i + 1;
-                if (i < top10.length) {
-                    const u = top10[i];
-                    // Random Emote
-                    let emote = "";
-                    const currentEmotes = channelEmotes[channel] || [];
-                    if (currentEmotes.length > 0) {
-                        emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                    }
-                    msg += `${rank}. ${u.name} (Level ${u.level}) ${emote} | `;
-                } else {
-                    // msg += `${rank}. (-) `;
-                }
-            }
-            if (msg.endsWith(' | ')) msg = msg.slice(0, -3);
-            client.say(channel, msg);
-        }
-
-        if (command === 'allstars' || command === 'listall') {
-            const isMod = tags.mod || (tags.badges && tags.badges.broadcaster === '1');
-            if (!isMod) {
-                client.say(channel, `/me @${tags.username} du hast nicht die nötige rolle Nerd`);
-                return;
-            }
-
-            const sortedUsers = Object.entries(userStars)
-                .map(([name, data]) => ({
-                    name,
-                    balance: data.balance,
-                    invested: data.investedStars || 0,
-                    level: data.level || 0,
-                    total: (data.balance || 0) + (data.investedStars || 0)
-                }))
-                .sort((a, b) => b.total - a.total);
-
-            if (sortedUsers.length === 0) {
-                client.say(channel, `/me @${tags.username} Niemand hat Stars.`);
-                return;
-            }
-
-            let currentMsg = "/me ";
-            sortedUsers.forEach((u, i) => {
-                let emote = "";
-                const currentEmotes = channelEmotes[channel] || [];
-                if (currentEmotes.length > 0) {
-                    emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                }
-                const isLast = i === sortedUsers.length - 1;
-                const entry = `${i + 1}. ${u.name} (Lvl ${u.level}): ${formatPoints(u.balance)} ${emote}${isLast ? "" : " | "}`;
-
-                if (currentMsg.length + entry.length > 400) {
-                    client.say(channel, currentMsg.trim());
-                    currentMsg = "/me " + entry;
-                } else {
-                    currentMsg += entry;
-                }
-            });
-
-            if (currentMsg.trim() !== "/me") {
-                client.say(channel, currentMsg.trim());
-            }
-        }
-
-
-
-        if (command === 'levelup') {
-            const user = tags.username.toLowerCase();
-            if (!userStars[user]) {
-                userStars[user] = { balance: 0, lastClaim: 0, level: 0, investedStars: 0, nextLevelCost: 670, lastChannel: channel };
-            }
-            userStars[user].lastChannel = channel;
-
-            const data = userStars[user];
-            const cost = data.nextLevelCost || 670;
-
-            if (data.balance < cost) {
-                client.say(channel, `/me @${tags.username} Nerd du hast nicht genug Star für Level ${data.level + 1}. Kosten: ${formatPoints(cost)} Star (du hast ${formatPoints(data.balance)})`);
-                return;
-            }
-
-            // Pay and Level Up
-            data.balance -= cost;
-            data.level = (data.level || 0) + 1;
-            data.investedStars = (data.investedStars || 0) + cost;
-
-            // Calculate next cost: increase by 16.7% - 26.7%
-            const increaseRaw = (Math.random() * (26.7 - 16.7) + 16.7) / 100;
-            const nextCost = Math.ceil(cost * (1 + increaseRaw));
-            data.nextLevelCost = nextCost;
-
-            saveStars();
-            client.say(channel, `/me HeCrazy @${tags.username} JUHU Du bist jetzt Level ${data.level}! Nächstes Level kostet ${formatPoints(nextCost)} Star`);
-        }
-
-        if (command === 'tc' || command === 'topchatter') {
-            let stats = [];
-            const today = new Date().toLocaleString("en-US", { timeZone: "Europe/Berlin" }).split(',')[0];
-
-            if (useMongoDB && ChatStat) {
-                try {
-                    const results = await ChatStat.find({ date: today }).sort({ count: -1 }).limit(10);
-                    stats = results.map(r => [r.username, r.count]);
-                } catch (e) {
-                    console.error("Fehler beim Laden der Top-Chatter:", e);
-                }
-            } else {
-                stats = Object.entries(messageCounts)
-                    .sort((a, b) => b[1] - a[1])
-                    .slice(0, 10);
-            }
-
-            if (stats.length === 0) {
-                client.say(channel, `/me Heute hat noch niemand geschrieben haher`);
-                return;
-            }
-
-            let msg = "Die heutigen Top chatter/in: ";
-            stats.forEach(([user, count], i) => {
-                let emote = "";
-                const currentEmotes = channelEmotes[channel] || [];
-                if (currentEmotes.length > 0) {
-                    emote = currentEmotes[Math.floor(Math.random() * currentEmotes.length)];
-                }
-                msg += `${i + 1}. ${user}: ${count} ${emote} | `;
-            });
-
-            if (msg.endsWith(' | ')) msg = msg.slice(0, -3);
-            client.say(channel, msg);
-        }
-
-        if (command === 'rban' || command === 'randomban') {
-            const now = Date.now();
-            const cooldown = 30000; // 30 seconds
-            const lastBanTime = lastRandomBanTime[channel] || 0;
-            if (now - lastBanTime < cooldown) {
-                const secondsLeft = Math.ceil((cooldown - (now - lastBanTime)) / 1000);
-                client.say(channel, `/me @${tags.username} warte noch ${secondsLeft} Sekunden.`);
-                return;
-            }
-
-            lastRandomBanTime[channel] = now;
-
-            let users = await getViewers();
-            if (!users || users.length === 0) {
-                users = Array.from(activeChatUsers);
-            }
-
-            const broadcaster = channel.replace('#', '').toLowerCase();
-            const botUsername = (process.env.TWITCH_USERNAME || '').toLowerCase();
-
-            const candidates = users.filter(u => {
-                const nameLower = u.toLowerCase();
-                return nameLower !== broadcaster && nameLower !== botUsername;
-            });
-
-            if (candidates.length === 0) {
-                client.say(channel, `/me @${tags.username} Konnte keine Chat-User finden zum Bannen.`);
-                lastRandomBanTime[channel] = 0; // Reset cooldown
-                return;
-            }
-
-            const randomUser = candidates[Math.floor(Math.random() * candidates.length)];
-
-            client.say(channel, `o7 ${randomUser} wird gebannt`);
-            client.say(channel, `/ban ${randomUser}`);
-            setTimeout(() => {
-                client.say(channel, `/unban ${randomUser}`);
-            }, 1000);
-        }
-    }
-});
-
-
-
-// Initial load
-loadStars();
-loadReminders();
-loadNotifications();
-restoreStarReminders();
-refreshEmotes();
-
-// Twitch EventSub WebSockets handles notifications in real-time, no polling needed.
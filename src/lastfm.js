@@ -1,13 +1,13 @@
-const https = require('https');
+const { apiUrl, apiGet } = require('./apihosts');
 
 /**
  * Fetches the currently playing track for a Last.fm user.
  */
 function getRecentTrack(username, apiKey) {
     return new Promise((resolve, reject) => {
-        const url = `https://ws.audioscrobbler.com/2.0/?method=user.getrecenttracks&user=${encodeURIComponent(username)}&api_key=${apiKey}&format=json&limit=1`;
+        const url = apiUrl('lastfm', `/2.0/?method=user.getrecenttracks&user=${encodeURIComponent(username)}&api_key=${apiKey}&format=json&limit=1`);
 
-        https.get(url, (res) => {
+        apiGet(url, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -39,9 +39,9 @@ function getRecentTrack(username, apiKey) {
  */
 function getTrackPlaycount(username, artist, trackName, apiKey) {
     return new Promise((resolve, reject) => {
-        const url = `https://ws.audioscrobbler.com/2.0/?method=track.getInfo&api_key=${apiKey}&artist=${encodeURIComponent(artist)}&track=${encodeURIComponent(trackName)}&username=${encodeURIComponent(username)}&format=json`;
+        const url = apiUrl('lastfm', `/2.0/?method=track.getInfo&api_key=${apiKey}&artist=${encodeURIComponent(artist)}&track=${encodeURIComponent(trackName)}&username=${encodeURIComponent(username)}&format=json`);
 
-        https.get(url, (res) => {
+        apiGet(url, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
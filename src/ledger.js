@@ -0,0 +1,65 @@
+// Reasons a balance can change. game is set for bets, wins and refunds of a game.
+const REASONS = ['claim', 'bonus', 'bet', 'win', 'refund', 'reward', 'loan', 'repay', 'default', 'give', 'receive', 'levelup'];
+
+/**
+ * Builds a ledger entry. balance is the balance after the change.
+ */
+function createLedgerEntry({ user, delta, balance, reason, game = null, channel = null, timestamp = Date.now() }) {
+    if (!user) throw new Error('Ledger-Eintrag braucht einen User');
+    if (!Number.isFinite(delta)) throw new Error(`Ungültiger Betrag für ${user}: ${delta}`);
+    if (!REASONS.includes(reason)) throw new Error(`Unbekannter Ledger-Grund: ${reason}`);
+
+    return { user: user.toLowerCase(), delta, balance, reason, game, channel, timestamp };
+}
+
+function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'gerade eben';
+    if (minutes < 60) return `vor ${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `vor ${hours}h`;
+    return `vor ${Math.floor(hours / 24)}d`;
+}
+
+/**
+ * One chat line for -history, entries newest first.
+ * formatPoints is passed in so amounts look the same as everywhere else.
+ */
+function formatHistory(entries, formatPoints = String, now = Date.now()) {
+    return entries.map(e => {
+        const sign = e.delta >= 0 ? '+' : '-';
+        const label = e.game ? `${e.reason} ${e.game}` : e.reason;
+        return `${sign}${formatPoints(Math.abs(e.delta))} (${label}, ${formatAge(now - e.timestamp)})`;
+    }).join(' | ');
+}
+
+/**
+ * Sums deltas per reason (and game), e.g. { 'bet gamba': -500, claim: 1200 }.
+ */
+function summarize(entries) {
+    const totals = {};
+    for (const e of entries) {
+        const key = e.game ? `${e.reason} ${e.game}` : e.reason;
+        totals[key] = (totals[key] || 0) + e.delta;
+    }
+    return totals;
+}
+
+function toCsv(entries) {
+    const columns = ['timestamp', 'user', 'delta', 'balance', 'reason', 'game', 'channel'];
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(e => columns.map(c => escape(c === 'timestamp' ? new Date(e.timestamp).toISOString() : e[c])).join(','));
+    return [columns.join(','), ...rows].join('\n');
+}
+
+module.exports = {
+    REASONS,
+    createLedgerEntry,
+    formatAge,
+    formatHistory,
+    summarize,
+    toCsv
+};
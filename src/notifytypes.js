@@ -0,0 +1,120 @@
+// Notification types of -notify and the EventSub subscription behind each.
+// A notification stores its type and subscription, title and game share one channel.update subscription.
+// Its message comes from the type's template unless the notification has its own (-notify template).
+
+const NOTIFY_TYPES = {
+    title: {
+        subscription: 'channel.update',
+        label: 'Titel-Änderungen',
+        aliases: ['title', 'titel'],
+        template: 'wideSpeedNod {channel} neuer titel: {title}'
+    },
+    game: {
+        subscription: 'channel.update',
+        label: 'Kategorie-Änderungen',
+        aliases: ['game', 'category', 'kategorie', 'spiel'],
+        template: 'wideSpeedNod {channel} spielt jetzt: {game}'
+    },
+    live: {
+        subscription: 'stream.online',
+        label: 'Streamstart',
+        aliases: ['live', 'online', 'start'],
+        template: 'wideSpeedNod {channel} ist jetzt live: {title}'
+    },
+    offline: {
+        subscription: 'stream.offline',
+        label: 'Streamende',
+        aliases: ['offline', 'ende', 'end'],
+        template: '{channel} ist jetzt offline Sadge'
+    }
+};
+
+const TEMPLATE_PLACEHOLDERS = ['channel', 'title', 'game', 'oldTitle', 'oldGame', 'emote'];
+const MAX_TEMPLATE_LENGTH = 300;
+
+// Twitch rejects longer chat messages
+const MAX_CHAT_LENGTH = 500;
+
+const SUBSCRIPTION_VERSIONS = {
+    'channel.update': '2',
+    'stream.online': '1',
+    'stream.offline': '1'
+};
+
+/**
+ * "titel" -> "title", null for unknown types.
+ */
+function parseNotifyType(arg) {
+    const value = (arg || '').toLowerCase();
+    return Object.keys(NOTIFY_TYPES).find(type => NOTIFY_TYPES[type].aliases.includes(value)) || null;
+}
+
+/**
+ * EventSub subscription type of a stored notification. Older records have no subscription field.
+ */
+function subscriptionOf(notification) {
+    if (notification.subscription) return notification.subscription;
+    const type = NOTIFY_TYPES[notification.type];
+    return type ? type.subscription : 'channel.update';
+}
+
+/**
+ * Returns the template text with whitespace collapsed. Throws with a German message if it may not be stored.
+ */
+function checkTemplate(text) {
+    const template = (text || '').replace(/\s+/g, ' ').trim();
+    if (!template) throw new Error('Die Vorlage ist leer');
+    if (template.length > MAX_TEMPLATE_LENGTH) throw new Error(`Vorlagen dürfen höchstens ${MAX_TEMPLATE_LENGTH} Zeichen lang sein`);
+    if (/^[/.]/.test(template)) throw new Error('Vorlagen dürfen nicht mit / oder . anfangen');
+
+    const unknown = [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]).find(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+    if (unknown) throw new Error(`Unbekannter Platzhalter {${unknown}}, erlaubt: ${TEMPLATE_PLACEHOLDERS.map(p => `{${p}}`).join(' ')}`);
+    return template;
+}
+
+function templateOf(notification) {
+    if (notification.template) return notification.template;
+    const type = NOTIFY_TYPES[notification.type];
+    return type ? type.template : '';
+}
+
+/**
+ * Fills in {placeholders}. Separators left at the end by empty values ("live: ") are dropped.
+ */
+function renderTemplate(template, values) {
+    return template
+        .replace(/\{(\w+)\}/g, (match, name) => (TEMPLATE_PLACEHOLDERS.includes(name) ? values[name] || '' : match))
+        .replace(/ {2,}/g, ' ')
+        .replace(/[\s:,]+$/, '')
+        .trim();
+}
+
+/**
+ * Appends "@user" mentions to a notification. Mentions that do not fit go into follow-up messages.
+ */
+function appendMentions(message, usernames = [], limit = MAX_CHAT_LENGTH) {
+    const messages = [message];
+    for (const username of usernames) {
+        const mention = `@${username}`;
+        const last = messages[messages.length - 1];
+        if (last.length + 1 + mention.length <= limit) {
+            messages[messages.length - 1] = `${last} ${mention}`;
+        } else {
+            messages.push(mention);
+        }
+    }
+    return messages;
+}
+
+module.exports = {
+    NOTIFY_TYPES,
+    MAX_CHAT_LENGTH,
+    SUBSCRIPTION_VERSIONS,
+    TEMPLATE_PLACEHOLDERS,
+    parseNotifyType,
+    subscriptionOf,
+    checkTemplate,
+    templateOf,
+    renderTemplate,
+    appendMentions
+};
@@ -0,0 +1,52 @@
+const { replyText } = require('./replies');
+
+// Ordered from lowest to highest. A user with a level passes every check for the levels below it.
+const LEVELS = ['everyone', 'sub', 'vip', 'trusted', 'mod', 'broadcaster', 'owner'];
+
+/**
+ * Determines the highest permission level of a chatter.
+ * owners: bot owner usernames (BOT_OWNERS), trustedUsers: the channel's trusted list.
+ */
+function getUserLevel(tags, { owners = [], trustedUsers = [] } = {}) {
+    const username = (tags.username || '').toLowerCase();
+    const badges = tags.badges || {};
+
+    if (owners.includes(username)) return 'owner';
+    if (badges.broadcaster) return 'broadcaster';
+    if (tags.mod || badges.moderator) return 'mod';
+    if (trustedUsers.includes(username)) return 'trusted';
+    if (tags.vip || badges.vip) return 'vip';
+    if (tags.subscriber || badges.subscriber || badges.founder) return 'sub';
+    return 'everyone';
+}
+
+function hasLevel(level, required) {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(required || 'everyone');
+}
+
+function isValidLevel(level) {
+    return LEVELS.includes(level);
+}
+
+/**
+ * The reply every command uses when a chatter is missing the required level, in the channel's language.
+ */
+function formatDenial(username, required, language) {
+    return `/me @${username} ${replyText(language, 'denied', { level: required })}`;
+}
+
+/**
+ * Parses the comma separated BOT_OWNERS env variable.
+ */
+function parseOwners(value) {
+    return (value || '').split(',').map(u => u.trim().toLowerCase().replace('@', '')).filter(Boolean);
+}
+
+module.exports = {
+    LEVELS,
+    getUserLevel,
+    hasLevel,
+    isValidLevel,
+    formatDenial,
+    parseOwners
+};
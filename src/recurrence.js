@@ -0,0 +1,259 @@
+const { WEEKDAYS, parseClock } = require('./timeparse');
+
+// Recurring reminders. A recurrence is stored on the reminder as a plain object:
+// { type: 'interval', everyMs } | { type: 'daily', hour, minute } | { type: 'weekly', weekday, hour, minute } | { type: 'cron', expression }
+// Times are wall clock times, getOffset(date) returns the UTC offset in ms of the reminder's time zone.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Shorter intervals would flood the chat
+const MIN_INTERVAL_MS = 5 * MINUTE;
+
+const WEEKDAY_NAMES = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+
+// "montags", "mondays"
+const WEEKDAY_ADVERBS = {
+    sonntags: 0, sundays: 0,
+    montags: 1, mondays: 1,
+    dienstags: 2, tuesdays: 2,
+    mittwochs: 3, wednesdays: 3,
+    donnerstags: 4, thursdays: 4,
+    freitags: 5, fridays: 5,
+    samstags: 6, saturdays: 6
+};
+
+const INTERVAL_UNITS = {
+    m: MINUTE, min: MINUTE, minute: MINUTE, minuten: MINUTE, minutes: MINUTE,
+    h: HOUR, std: HOUR, stunde: HOUR, stunden: HOUR, hour: HOUR, hours: HOUR,
+    d: DAY, tag: DAY, tage: DAY, day: DAY, days: DAY,
+    w: WEEK, woche: WEEK, wochen: WEEK, week: WEEK, weeks: WEEK
+};
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'Minute', min: 0, max: 59 },
+    { name: 'Stunde', min: 0, max: 23 },
+    { name: 'Tag', min: 1, max: 31 },
+    { name: 'Monat', min: 1, max: 12 },
+    { name: 'Wochentag', min: 0, max: 7 }
+];
+
+/**
+ * "2h", "30min" or "2 stunden" at tokens[index]. Returns { everyMs, length } or null.
+ */
+function parseInterval(tokens, index) {
+    const combined = (tokens[index] || '').match(/^(\d+)([a-z]+)$/);
+    if (combined && INTERVAL_UNITS[combined[2]]) {
+        return { everyMs: parseInt(combined[1]) * INTERVAL_UNITS[combined[2]], length: 1 };
+    }
+    if (/^\d+$/.test(tokens[index] || '') && INTERVAL_UNITS[tokens[index + 1]]) {
+        return { everyMs: parseInt(tokens[index]) * INTERVAL_UNITS[tokens[index + 1]], length: 2 };
+    }
+    return null;
+}
+
+/**
+ * Parses one cron field into the set of allowed values.
+ */
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Ungültiges Cron-Feld (${name}): ${text}`);
+
+        const from = match[1] === '*' ? min : parseInt(match[2]);
+        const to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : from));
+        const step = match[4] ? parseInt(match[4]) : 1;
+        if (from < min || to > max || from > to || step < 1) throw new Error(`Ungültiges Cron-Feld (${name}): ${text}`);
+
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parses "minute hour day month weekday" (e.g. "0 9 * * 1-5"). Throws on invalid expressions.
+ */
+function parseCron(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error('Cron braucht 5 Felder: Minute Stunde Tag Monat Wochentag');
+
+    const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+    return {
+        minutes, hours, days, months, weekdays,
+        // Like cron: if both day fields are restricted, either one matching is enough
+        anyDay: fields[2] === '*' || fields[4] === '*'
+    };
+}
+
+/**
+ * Reads a recurrence from the start of args. Returns { recurrence, message } or null if args
+ * don't start with one. Throws with a German message if they do but are incomplete.
+ */
+function parseRecurrence(args) {
+    const tokens = args.map(a => a.toLowerCase());
+    const first = tokens[0];
+    const rest = from => args.slice(from).join(' ');
+
+    const withClock = (index, build) => {
+        const clock = parseClock(tokens, index);
+        if (!clock) throw new Error('Uhrzeit fehlt, z.B. jeden tag 9uhr oder every monday 18:00');
+        return { recurrence: build(clock), message: rest(index + clock.length) };
+    };
+    const daily = index => withClock(index, ({ hour, minute }) => ({ type: 'daily', hour, minute }));
+    const weekly = (weekday, index) => withClock(index, ({ hour, minute }) => ({ type: 'weekly', weekday, hour, minute }));
+    const interval = (everyMs, index) => {
+        if (everyMs < MIN_INTERVAL_MS) throw new Error('Höchstens alle 5 Minuten');
+        return { recurrence: { type: 'interval', everyMs }, message: rest(index) };
+    };
+
+    if (first === 'cron') {
+        const expression = args.slice(1, 6).join(' ');
+        parseCron(expression);
+        const recurrence = { type: 'cron', expression };
+        if (shortestCronGap(recurrence, Date.now()) < MIN_INTERVAL_MS) throw new Error('Höchstens alle 5 Minuten');
+        return { recurrence, message: rest(6) };
+    }
+    if (['stündlich', 'hourly'].includes(first)) return interval(HOUR, 1);
+    if (['täglich', 'daily'].includes(first)) return daily(1);
+    if (WEEKDAY_ADVERBS[first] !== undefined) return weekly(WEEKDAY_ADVERBS[first], 1);
+
+    if (['jeden', 'jede', 'alle', 'every'].includes(first)) {
+        const second = tokens[1];
+        if (['tag', 'day'].includes(second)) return daily(2);
+        if (['stunde', 'hour'].includes(second)) return interval(HOUR, 2);
+        if (WEEKDAYS[second] !== undefined) return weekly(WEEKDAYS[second], 2);
+
+        const every = parseInterval(tokens, 1);
+        if (every) return interval(every.everyMs, 1 + every.length);
+    }
+    return null;
+}
+
+// Wall clock time as a Date whose UTC fields show the local time (like parseTimeInput)
+function toLocal(time, getOffset) {
+    return new Date(time + getOffset(new Date(time)));
+}
+
+function toUtc(local, getOffset) {
+    return local.getTime() - getOffset(local);
+}
+
+/**
+ * First run of a recurrence strictly after the timestamp after.
+ */
+function nextRun(recurrence, after, getOffset) {
+    if (recurrence.type === 'interval') return after + recurrence.everyMs;
+
+    const local = toLocal(after, getOffset);
+
+    if (recurrence.type === 'daily' || recurrence.type === 'weekly') {
+        const candidate = new Date(local);
+        candidate.setUTCHours(recurrence.hour, recurrence.minute, 0, 0);
+        if (recurrence.type === 'weekly') {
+            candidate.setUTCDate(candidate.getUTCDate() + (recurrence.weekday - candidate.getUTCDay() + 7) % 7);
+        }
+        while (toUtc(candidate, getOffset) <= after) {
+            candidate.setUTCDate(candidate.getUTCDate() + (recurrence.type === 'weekly' ? 7 : 1));
+        }
+        return toUtc(candidate, getOffset);
+    }
+
+    if (recurrence.type === 'cron') {
+        const cron = parseCron(recurrence.expression);
+        const candidate = new Date(local);
+        candidate.setUTCSeconds(0, 0);
+        candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+        // Skips whole months, days and hours that can't match, so this ends within a few thousand steps
+        const limit = after + 5 * 366 * DAY;
+        while (candidate.getTime() < limit) {
+            if (!cron.months.has(candidate.getUTCMonth() + 1)) {
+                candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+                candidate.setUTCHours(0, 0);
+                continue;
+            }
+            const dayMatches = cron.days.has(candidate.getUTCDate());
+            const weekdayMatches = cron.weekdays.has(candidate.getUTCDay());
+            if (cron.anyDay ? !(dayMatches && weekdayMatches) : !(dayMatches || weekdayMatches)) {
+                candidate.setUTCDate(candidate.getUTCDate() + 1);
+                candidate.setUTCHours(0, 0);
+                continue;
+            }
+            if (!cron.hours.has(candidate.getUTCHours())) {
+                candidate.setUTCHours(candidate.getUTCHours() + 1, 0);
+                continue;
+            }
+            if (!cron.minutes.has(candidate.getUTCMinutes())) {
+                candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+                continue;
+            }
+            const run = toUtc(candidate, getOffset);
+            if (run > after) return run;
+            candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+        }
+        throw new Error(`Cron ${recurrence.expression} läuft nie`);
+    }
+
+    throw new Error(`Unbekannte Wiederholung: ${recurrence.type}`);
+}
+
+/**
+ * Next run after a run that was due at dueAt. Runs missed while the bot was offline are skipped.
+ */
+function followingRun(recurrence, dueAt, now, getOffset) {
+    if (recurrence.type === 'interval') {
+        const missed = Math.max(0, Math.floor((now - dueAt) / recurrence.everyMs));
+        return dueAt + (missed + 1) * recurrence.everyMs;
+    }
+    return nextRun(recurrence, Math.max(dueAt, now), getOffset);
+}
+
+// Runs of a cron expression compared by shortestCronGap, enough to reach the second minute of every hour and day pattern
+const CRON_GAP_RUNS = 60;
+
+/**
+ * Smallest time between consecutive runs of a cron recurrence among its next runs after from (in UTC).
+ */
+function shortestCronGap(recurrence, from) {
+    const utc = () => 0;
+    let previous = nextRun(recurrence, from, utc);
+    let shortest = Infinity;
+    for (let i = 1; i < CRON_GAP_RUNS && shortest >= MIN_INTERVAL_MS; i++) {
+        const run = followingRun(recurrence, previous, previous, utc);
+        shortest = Math.min(shortest, run - previous);
+        previous = run;
+    }
+    return shortest;
+}
+
+function formatInterval(ms) {
+    for (const [unit, size] of [['w', WEEK], ['d', DAY], ['h', HOUR]]) {
+        if (ms % size === 0) return `${ms / size}${unit}`;
+    }
+    return `${Math.round(ms / MINUTE)}min`;
+}
+
+function formatRecurrence(recurrence) {
+    const pad = n => n < 10 ? '0' + n : n;
+    switch (recurrence.type) {
+        case 'interval': return `alle ${formatInterval(recurrence.everyMs)}`;
+        case 'daily': return `jeden Tag um ${pad(recurrence.hour)}:${pad(recurrence.minute)}`;
+        case 'weekly': return `jeden ${WEEKDAY_NAMES[recurrence.weekday]} um ${pad(recurrence.hour)}:${pad(recurrence.minute)}`;
+        case 'cron': return `cron ${recurrence.expression}`;
+        default: return recurrence.type;
+    }
+}
+
+module.exports = {
+    MIN_INTERVAL_MS,
+    parseRecurrence,
+    parseCron,
+    nextRun,
+    followingRun,
+    formatRecurrence
+};
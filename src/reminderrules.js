@@ -0,0 +1,51 @@
+// Rules for reminders created in chat, checked before anything is stored.
+
+const MAX_MESSAGE_LENGTH = 300;
+
+// Reminders one user may have waiting at the same time (mods are not limited)
+const MAX_PENDING_PER_USER = 20;
+
+// Twitch chat commands like /ban or .timeout, and links
+const COMMAND_PATTERN = /^[/.]/;
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|de|tv|gg|ly|io|me|xyz|ru)\b/i;
+
+// Stored in a blocklist to refuse reminders from everyone
+const BLOCK_ALL = '*';
+
+/**
+ * Reads a comma separated word list (REMINDER_BLOCKED_WORDS).
+ */
+function parseBlockedWords(value) {
+    return (value || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Returns the message without control characters. Throws with a German message if it may not be stored.
+ */
+function checkReminderMessage(message, { blockedWords = [] } = {}) {
+    const clean = message.replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+    if (clean.length > MAX_MESSAGE_LENGTH) throw new Error(`Reminder dürfen höchstens ${MAX_MESSAGE_LENGTH} Zeichen lang sein`);
+    if (COMMAND_PATTERN.test(clean)) throw new Error('Reminder dürfen nicht mit / oder . anfangen');
+    if (LINK_PATTERN.test(clean)) throw new Error('Links sind in Remindern nicht erlaubt');
+
+    const lower = clean.toLowerCase();
+    if (blockedWords.some(word => lower.includes(word))) throw new Error('Der Reminder enthält ein gesperrtes Wort');
+    return clean;
+}
+
+/**
+ * Whether a user with this blocklist refuses reminders from source. Reminders to yourself always work.
+ */
+function blocksReminders(blocklist, target, source) {
+    if (!blocklist || target.toLowerCase() === source.toLowerCase()) return false;
+    return blocklist.includes(BLOCK_ALL) || blocklist.includes(source.toLowerCase());
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    MAX_PENDING_PER_USER,
+    BLOCK_ALL,
+    parseBlockedWords,
+    checkReminderMessage,
+    blocksReminders
+};
@@ -0,0 +1,79 @@
+// Replies of the command framework and -settings in the channel's language (settings.language).
+// The commands themselves still answer in German.
+const LANGUAGES = ['de', 'en'];
+
+const REPLIES = {
+    de: {
+        denied: 'du hast nicht die nötige rolle Nerd (benötigt: {level})',
+        cooldown: 'warte noch {seconds} Sekunden.',
+        helpUsage: 'Nutzung: {prefix}help <Command> | Alle Commands: {prefix}commands',
+        unknownCommand: 'Den Command {command} gibt es nicht',
+        settingsUsage: 'Nutzung: {prefix}settings [show|set <key> <wert>|enable <cmd>|disable <cmd>|reset]',
+        commandEnabled: '{command} aktiviert',
+        commandDisabled: '{command} deaktiviert',
+        settingsReset: 'alles auf Standard zurückgesetzt',
+        settingsSummary: 'prefix: {prefix} | sprache: {language} | deaktiviert: {disabled} | trusted: {trusted} | cooldowns: {cooldowns} | rollen: {permissions} | features: {features} | events: {events}',
+        prefixLength: 'Prefix muss 1-3 Zeichen lang sein',
+        languageInvalid: 'Sprache muss {languages} sein',
+        cooldownUsage: 'Nutzung: cooldown <command> <sekunden|default> [user|channel]',
+        permissionUsage: 'Nutzung: permission <command> <rolle|default>',
+        levelInvalid: 'Rolle muss eine von {levels} sein',
+        featureUnknown: 'Unbekanntes Feature. Verfügbar: {features}',
+        featureUsage: 'Nutzung: feature <name> <on|off>',
+        eventUnknown: 'Unbekanntes Event. Verfügbar: {events}',
+        eventStars: 'Stars müssen zwischen 0 und 100000 liegen',
+        eventMessageLength: 'Die Nachricht muss 1-300 Zeichen lang sein',
+        eventMessageStart: 'Die Nachricht darf nicht mit / oder . anfangen',
+        eventScopeMissing: 'dem Bot-Token fehlt der Scope {scope}',
+        eventOwnChannelOnly: 'geht nur im Channel des Bot-Accounts, Twitch braucht dafür die Freigabe des Streamers',
+        eventNotSubscribed: '{reason}, das Event wird nicht abonniert',
+        eventUsage: 'Nutzung: event <name> <on|off|stars <anzahl>|message <text>|default>, Platzhalter: {user} {amount} {tier}',
+        settingUnknown: 'Unbekannte Einstellung. Verfügbar: prefix, language, cooldown, permission, feature, event',
+        commandMissing: 'Welcher Command?',
+        commandProtected: '{command} kann nicht deaktiviert werden'
+    },
+    en: {
+        denied: 'you don\'t have the required role Nerd (needed: {level})',
+        cooldown: 'wait {seconds} more seconds.',
+        helpUsage: 'Usage: {prefix}help <command> | All commands: {prefix}commands',
+        unknownCommand: 'There is no command {command}',
+        settingsUsage: 'Usage: {prefix}settings [show|set <key> <value>|enable <cmd>|disable <cmd>|reset]',
+        commandEnabled: '{command} enabled',
+        commandDisabled: '{command} disabled',
+        settingsReset: 'everything reset to the defaults',
+        settingsSummary: 'prefix: {prefix} | language: {language} | disabled: {disabled} | trusted: {trusted} | cooldowns: {cooldowns} | roles: {permissions} | features: {features} | events: {events}',
+        prefixLength: 'The prefix must be 1-3 characters long',
+        languageInvalid: 'The language must be {languages}',
+        cooldownUsage: 'Usage: cooldown <command> <seconds|default> [user|channel]',
+        permissionUsage: 'Usage: permission <command> <role|default>',
+        levelInvalid: 'The role must be one of {levels}',
+        featureUnknown: 'Unknown feature. Available: {features}',
+        featureUsage: 'Usage: feature <name> <on|off>',
+        eventUnknown: 'Unknown event. Available: {events}',
+        eventStars: 'Stars must be between 0 and 100000',
+        eventMessageLength: 'The message must be 1-300 characters long',
+        eventMessageStart: 'The message must not start with / or .',
+        eventScopeMissing: 'the bot token lacks the scope {scope}',
+        eventOwnChannelOnly: 'only works in the channel of the bot account, Twitch needs the streamer to authorize it',
+        eventNotSubscribed: '{reason}, the event is not subscribed',
+        eventUsage: 'Usage: event <name> <on|off|stars <amount>|message <text>|default>, placeholders: {user} {amount} {tier}',
+        settingUnknown: 'Unknown setting. Available: prefix, language, cooldown, permission, feature, event',
+        commandMissing: 'Which command?',
+        commandProtected: '{command} can\'t be disabled'
+    }
+};
+
+/**
+ * Reply key in the given language (German if unknown), {name} placeholders filled from values.
+ * Placeholders without a value stay as they are, the event usage shows them literally.
+ */
+function replyText(language, key, values = {}) {
+    const template = (REPLIES[language] || REPLIES.de)[key] || REPLIES.de[key];
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+}
+
+module.exports = {
+    LANGUAGES,
+    REPLIES,
+    replyText
+};
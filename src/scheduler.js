@@ -0,0 +1,181 @@
+// Fires timed reminders on time. Due times sit in a min-heap with one timer for the earliest,
+// delivery goes through storage.reminders.claimDue so each reminder is sent by exactly one instance.
+
+// Longer setTimeout delays overflow and fire immediately
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// A claim that was not completed within this time (crash during delivery) can be claimed again
+const LOCK_MS = 60 * 1000;
+
+// Reminders created by other instances only show up in storage, they are picked up this often
+const RESYNC_MS = 60 * 1000;
+
+/**
+ * Min-heap of timestamps.
+ */
+function createTimeHeap() {
+    const items = [];
+
+    function push(time) {
+        items.push(time);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent] <= items[i]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    function pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left] < items[smallest]) smallest = left;
+                if (right < items.length && items[right] < items[smallest]) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    return {
+        push,
+        pop,
+        peek: () => items[0],
+        clear: () => { items.length = 0; },
+        get size() {
+            return items.length;
+        }
+    };
+}
+
+/**
+ * Creates the reminder scheduler.
+ * deps: { storage, owner, deliver(reminder) (may be async), nextDueAt(reminder, now) }
+ * nextDueAt returns the next run of a recurring reminder or null if it is done.
+ * deps.storage is read on use, so it may be a getter for storage that is opened later.
+ */
+function createReminderScheduler(deps) {
+    const { owner, deliver, nextDueAt = () => null, lockMs = LOCK_MS, resyncMs = RESYNC_MS } = deps;
+    const heap = createTimeHeap();
+    let timer = null;
+    let resyncTimer = null;
+    let running = Promise.resolve();
+    let stopped = true;
+
+    // Edited or deleted reminders leave their old time in the heap, firing it just claims nothing
+    function schedule(dueAt) {
+        if (stopped || !(dueAt > 0)) return;
+        heap.push(dueAt);
+        arm();
+    }
+
+    function arm() {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        if (stopped || heap.size === 0) return;
+
+        const delay = Math.min(Math.max(0, heap.peek() - Date.now()), MAX_TIMER_MS);
+        timer = setTimeout(fire, delay);
+    }
+
+    function fire() {
+        timer = null;
+        const now = Date.now();
+        while (heap.size > 0 && heap.peek() <= now) heap.pop();
+        runDue().finally(arm);
+    }
+
+    /**
+     * Claims and delivers every due reminder. Runs one at a time.
+     */
+    function runDue() {
+        running = running.then(deliverDue, deliverDue);
+        return running;
+    }
+
+    async function deliverDue() {
+        const now = Date.now();
+        let claimed = [];
+        try {
+            claimed = await deps.storage.reminders.claimDue(now, { owner, lockMs });
+        } catch (e) {
+            console.error("Fehler beim Prüfen der Reminders:", e);
+            return;
+        }
+
+        for (const claim of claimed) {
+            const reminder = { ...claim };
+            delete reminder.lockedBy;
+            delete reminder.lockedUntil;
+
+            try {
+                await deliver(reminder);
+                // Recurring reminders stay with their next run and keep their ID
+                const next = nextDueAt(reminder, now);
+                const done = await deps.storage.reminders.complete(claim.lockedBy, next ? { dueAt: next } : null, claim.version || 0);
+                if (done && next) schedule(next);
+                if (!done) {
+                    // Edited while it was delivered (-remind edit), it runs again at its new time
+                    const edited = await deps.storage.reminders.findByShortId(reminder.shortId);
+                    if (edited) schedule(edited.dueAt);
+                }
+            } catch (e) {
+                console.error(`Fehler beim Senden von Reminder ${reminder.shortId}:`, e);
+            }
+        }
+    }
+
+    /**
+     * Rebuilds the heap from storage.
+     */
+    async function load() {
+        const reminders = await deps.storage.reminders.all();
+        heap.clear();
+        reminders.forEach(r => {
+            if (r.dueAt > 0) heap.push(r.dueAt);
+        });
+        arm();
+    }
+
+    async function start() {
+        stopped = false;
+        await load();
+        resyncTimer = setInterval(() => {
+            load().catch(e => console.error("Fehler beim Laden der Reminders:", e));
+        }, resyncMs);
+    }
+
+    function stop() {
+        stopped = true;
+        if (timer) clearTimeout(timer);
+        if (resyncTimer) clearInterval(resyncTimer);
+        timer = null;
+        resyncTimer = null;
+        heap.clear();
+    }
+
+    return {
+        start,
+        stop,
+        schedule,
+        runDue,
+        get size() {
+            return heap.size;
+        }
+    };
+}
+
+module.exports = {
+    createTimeHeap,
+    createReminderScheduler
+};
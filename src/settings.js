@@ -0,0 +1,210 @@
+const { LEVELS, isValidLevel } = require('./permissions');
+const { normalizeWindows, formatWindows } = require('./cooldowns');
+const { CHANNEL_EVENTS, eventConfig } = require('./channelevents');
+const { LANGUAGES, replyText } = require('./replies');
+
+/**
+ * Default settings for a joined channel.
+ * Stored per channel on the Channel model (MongoDB) and in channels.json.
+ */
+const DEFAULT_SETTINGS = {
+    prefix: '-',
+    language: 'de', // language of the command and settings replies, see replies.js
+    disabledCommands: [],
+    trustedUsers: [],
+    cooldowns: {}, // format: { command: { global, channel, user } } in seconds, overrides what a command declares
+    permissions: {}, // format: { command: level }, overrides the level a command declares
+    events: {}, // format: { raid: { enabled, message, stars } }, overrides the defaults of channelevents.js
+    features: {
+        copy: true,
+        combo: true,
+        pyramids: true,
+        dialog: true,
+        schnapszahl: true,
+        tiktok: true,
+        emotegame: true
+    }
+};
+
+// Commands that must stay usable, otherwise a channel could lock itself out.
+const PROTECTED_COMMANDS = ['settings', 'einstellungen'];
+
+function parseToggle(value) {
+    const v = (value || '').toLowerCase();
+    if (['on', 'an', 'true', '1', 'ja'].includes(v)) return true;
+    if (['off', 'aus', 'false', '0', 'nein'].includes(v)) return false;
+    return null;
+}
+
+/**
+ * Merges stored settings over the defaults so missing keys never break older records.
+ */
+function normalizeSettings(raw) {
+    const stored = raw || {};
+    return {
+        prefix: typeof stored.prefix === 'string' && stored.prefix ? stored.prefix : DEFAULT_SETTINGS.prefix,
+        language: LANGUAGES.includes(stored.language) ? stored.language : DEFAULT_SETTINGS.language,
+        disabledCommands: Array.isArray(stored.disabledCommands) ? [...stored.disabledCommands] : [],
+        trustedUsers: Array.isArray(stored.trustedUsers) ? [...stored.trustedUsers] : [],
+        cooldowns: Object.fromEntries(Object.entries(stored.cooldowns || {}).map(([k, v]) => [k, normalizeWindows(v)])),
+        permissions: { ...(stored.permissions || {}) },
+        events: Object.fromEntries(Object.entries(stored.events || {}).filter(([name]) => CHANNEL_EVENTS[name]).map(([k, v]) => [k, { ...v }])),
+        features: { ...DEFAULT_SETTINGS.features, ...(stored.features || {}) }
+    };
+}
+
+/**
+ * Applies a "-settings set <key> ..." change. Throws with a chat-ready message on invalid input.
+ */
+function setSetting(settings, key, args) {
+    const text = (name, values) => replyText(settings.language, name, values);
+    switch ((key || '').toLowerCase()) {
+        case 'prefix': {
+            const prefix = args[0];
+            if (!prefix || prefix.length > 3) throw new Error(text('prefixLength'));
+            settings.prefix = prefix;
+            return `prefix = ${prefix}`;
+        }
+        case 'language':
+        case 'sprache': {
+            const language = (args[0] || '').toLowerCase();
+            if (!LANGUAGES.includes(language)) throw new Error(text('languageInvalid', { languages: LANGUAGES.join('/') }));
+            settings.language = language;
+            return `language = ${language}`;
+        }
+        case 'cooldown': {
+            const command = (args[0] || '').toLowerCase();
+            const seconds = parseInt(args[1]);
+            const scope = (args[2] || 'user').toLowerCase();
+            if (command && args[1] === 'default') {
+                delete settings.cooldowns[command];
+                return `cooldown ${command} = default`;
+            }
+            if (!command || isNaN(seconds) || seconds < 0 || !['user', 'channel'].includes(scope)) {
+                throw new Error(text('cooldownUsage'));
+            }
+            // 0 is stored as well, it switches the declared window of that scope off
+            settings.cooldowns[command] = { ...(settings.cooldowns[command] || {}), [scope]: seconds };
+            return `cooldown ${command} = ${seconds}s ${scope}`;
+        }
+        case 'permission':
+        case 'rolle': {
+            const command = (args[0] || '').toLowerCase();
+            const level = (args[1] || '').toLowerCase();
+            if (!command) throw new Error(text('permissionUsage'));
+            if (level === 'default') {
+                delete settings.permissions[command];
+                return `permission ${command} = default`;
+            }
+            if (!isValidLevel(level)) throw new Error(text('levelInvalid', { levels: LEVELS.join(', ') }));
+            settings.permissions[command] = level;
+            return `permission ${command} = ${level}`;
+        }
+        case 'feature': {
+            const feature = (args[0] || '').toLowerCase();
+            const value = parseToggle(args[1]);
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS.features, feature)) {
+                throw new Error(text('featureUnknown', { features: Object.keys(DEFAULT_SETTINGS.features).join(', ') }));
+            }
+            if (value === null) throw new Error(text('featureUsage'));
+            settings.features[feature] = value;
+            return `${feature} = ${value ? 'on' : 'off'}`;
+        }
+        case 'event': {
+            const name = (args[0] || '').toLowerCase();
+            const option = (args[1] || '').toLowerCase();
+            if (!CHANNEL_EVENTS[name]) throw new Error(text('eventUnknown', { events: Object.keys(CHANNEL_EVENTS).join(', ') }));
+
+            if (option === 'default') {
+                delete settings.events[name];
+                return `event ${name} = default`;
+            }
+            const event = { ...(settings.events[name] || {}) };
+            const toggle = parseToggle(option);
+            if (toggle !== null) {
+                event.enabled = toggle;
+                settings.events[name] = event;
+                return `event ${name} = ${toggle ? 'on' : 'off'}`;
+            }
+            if (option === 'stars') {
+                const stars = parseInt(args[2]);
+                if (isNaN(stars) || stars < 0 || stars > 100000) throw new Error(text('eventStars'));
+                event.stars = stars;
+                settings.events[name] = event;
+                return `event ${name} stars = ${stars}`;
+            }
+            if (option === 'message' || option === 'nachricht') {
+                const message = args.slice(2).join(' ').trim();
+                if (!message || message.length > 300) throw new Error(text('eventMessageLength'));
+                if (/^[/.]/.test(message)) throw new Error(text('eventMessageStart'));
+                event.message = message;
+                settings.events[name] = event;
+                return `event ${name} message = ${message}`;
+            }
+            throw new Error(text('eventUsage'));
+        }
+        default:
+            throw new Error(text('settingUnknown'));
+    }
+}
+
+/**
+ * Enables or disables a command for the channel.
+ */
+function setCommandEnabled(settings, command, enabled) {
+    const name = (command || '').toLowerCase();
+    if (!name) throw new Error(replyText(settings.language, 'commandMissing'));
+    if (PROTECTED_COMMANDS.includes(name)) throw new Error(replyText(settings.language, 'commandProtected', { command: name }));
+
+    settings.disabledCommands = settings.disabledCommands.filter(c => c !== name);
+    if (!enabled) settings.disabledCommands.push(name);
+}
+
+/**
+ * Adds or removes a user from the channel's trusted list. Returns false if nothing changed.
+ */
+function setUserTrusted(settings, username, trusted) {
+    const name = (username || '').toLowerCase().replace('@', '');
+    if (!name) throw new Error('Welcher User?');
+
+    const isTrusted = settings.trustedUsers.includes(name);
+    if (trusted === isTrusted) return false;
+
+    if (trusted) {
+        settings.trustedUsers.push(name);
+    } else {
+        settings.trustedUsers = settings.trustedUsers.filter(u => u !== name);
+    }
+    return true;
+}
+
+/**
+ * Short one-line summary for chat.
+ */
+function formatSettings(settings) {
+    const features = Object.entries(settings.features).map(([k, v]) => `${k}:${v ? 'on' : 'off'}`).join(' ');
+    const cooldowns = Object.entries(settings.cooldowns).map(([k, v]) => `${k}:${formatWindows(v)}`).join(' ') || '-';
+    const permissions = Object.entries(settings.permissions).map(([k, v]) => `${k}:${v}`).join(' ') || '-';
+    const disabled = settings.disabledCommands.join(', ') || '-';
+    const events = Object.keys(CHANNEL_EVENTS).map(name => `${name}:${eventConfig(settings, name).enabled ? 'on' : 'off'}`).join(' ');
+    return replyText(settings.language, 'settingsSummary', {
+        prefix: settings.prefix,
+        language: settings.language,
+        disabled,
+        trusted: settings.trustedUsers.length,
+        cooldowns,
+        permissions,
+        features,
+        events
+    });
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    setSetting,
+    setCommandEnabled,
+    setUserTrusted,
+    formatSettings,
+    parseToggle
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+
+// One JSON file per collection, kept compatible with the files the bot always wrote.
+const FILES = {
+    users: 'stars.json',
+    reminders: 'reminders.json',
+    notifications: 'notifications.json',
+    channels: 'channels.json',
+    chatStats: 'chatstats.json',
+    cooldowns: 'cooldowns.json',
+    ledger: 'ledger.jsonl',
+    streamChanges: 'streamchanges.json',
+    emoteRounds: 'emoterounds.json'
+};
+
+// Append-only collections are kept as JSON Lines, a write only appends the entries added since the last one
+const APPEND_ONLY = ['ledger'];
+// The ledger was a single JSON array before, it is read once and moved over on the first write
+const LEGACY_FILES = { ledger: 'ledger.json' };
+
+function readJson(file) {
+    try {
+        if (fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    } catch (e) {
+        console.error(`Fehler beim Lesen von ${path.basename(file)}:`, e);
+    }
+    return undefined;
+}
+
+/**
+ * Entries of a JSON Lines file. A line cut off by a crash during an append is skipped
+ * and ended, so the next append starts on a line of its own.
+ */
+function readJsonLines(file) {
+    if (!fs.existsSync(file)) return undefined;
+    const entries = [];
+    try {
+        const content = fs.readFileSync(file, 'utf8');
+        if (content && !content.endsWith('\n')) fs.appendFileSync(file, '\n');
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                console.error(`Kaputte Zeile in ${path.basename(file)} übersprungen:`, line);
+            }
+        }
+    } catch (e) {
+        console.error(`Fehler beim Lesen von ${path.basename(file)}:`, e);
+        return undefined;
+    }
+    return entries;
+}
+
+// Writes of a collection within this time are batched into one write of its file
+const WRITE_DELAY_MS = 1000;
+
+/**
+ * JSON file storage for running without MongoDB. Everything lives in memory, a changed
+ * collection is written back WRITE_DELAY_MS after its first change. flush() writes
+ * everything still pending, the bot calls it on stop.
+ */
+function createFileStorage(dir, { writeDelayMs = WRITE_DELAY_MS } = {}) {
+    const initial = {};
+    const written = {}; // append-only collection -> entries already in its file
+    for (const [collection, name] of Object.entries(FILES)) {
+        if (APPEND_ONLY.includes(collection)) {
+            const stored = readJsonLines(path.join(dir, name));
+            const legacy = stored === undefined ? readJson(path.join(dir, LEGACY_FILES[collection])) : undefined;
+            initial[collection] = stored || (Array.isArray(legacy) ? legacy : []);
+            written[collection] = stored ? stored.length : 0;
+            continue;
+        }
+        const stored = readJson(path.join(dir, name));
+        if (stored !== undefined) initial[collection] = stored;
+    }
+
+    const pending = new Map(); // collection -> timer
+
+    function write(collection) {
+        clearTimeout(pending.get(collection));
+        pending.delete(collection);
+        try {
+            if (APPEND_ONLY.includes(collection)) {
+                const added = storage.data[collection].slice(written[collection]);
+                if (added.length === 0) return;
+                fs.appendFileSync(path.join(dir, FILES[collection]), added.map(e => JSON.stringify(e) + '\n').join(''));
+                written[collection] += added.length;
+                return;
+            }
+            fs.writeFileSync(path.join(dir, FILES[collection]), JSON.stringify(storage.data[collection], null, 2));
+        } catch (e) {
+            console.error(`Fehler beim Speichern von ${FILES[collection]}:`, e);
+        }
+    }
+
+    const storage = createMemoryStorage(initial, {
+        onChange: (collection) => {
+            if (pending.has(collection)) return;
+            const timer = setTimeout(() => write(collection), writeDelayMs);
+            // A pending write must not keep the process alive, stop() flushes it
+            if (timer.unref) timer.unref();
+            pending.set(collection, timer);
+        }
+    });
+    storage.type = 'file';
+    storage.flush = async () => {
+        [...pending.keys()].forEach(write);
+    };
+    return storage;
+}
+
+module.exports = {
+    FILES,
+    readJson,
+    createFileStorage
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createFileStorage, readJson, FILES } = require('./file');
+const { createMongoStorage } = require('./mongo');
+
+/**
+ * Adds channels from channels.json that are missing in MongoDB, so a channel list
+ * maintained as file survives the switch to MongoDB.
+ */
+async function importChannelsFile(storage, dir) {
+    const fileChannels = readJson(path.join(dir, FILES.channels));
+    if (!Array.isArray(fileChannels)) return;
+
+    console.log("Synchronisiere channels.json mit MongoDB...");
+    const existing = await storage.channels.all();
+    for (const fc of fileChannels) {
+        if (existing.some(c => c.username.toLowerCase() === fc.username.toLowerCase())) continue;
+        try {
+            await storage.channels.upsert(fc.username, { id: fc.id || "0", settings: fc.settings || {} });
+            console.log(`Neu hinzugefügt: ${fc.username}`);
+        } catch (err) {
+            console.error(`Fehler bei Sync von ${fc.username}:`, err);
+        }
+    }
+}
+
+/**
+ * Opens MongoDB if mongoUri is set and reachable, otherwise the JSON files in dataDir.
+ */
+async function openStorage({ mongoUri, dataDir }) {
+    if (mongoUri) {
+        try {
+            const storage = await createMongoStorage(mongoUri);
+            console.log("Verbunden mit MongoDB! (Permanente Speicherung aktiv)");
+            await importChannelsFile(storage, dataDir);
+            return storage;
+        } catch (err) {
+            console.error("MongoDB Verbindungsfehler:", err);
+        }
+    }
+
+    console.log("Speichere in JSON-Dateien.");
+    return createFileStorage(dataDir);
+}
+
+module.exports = {
+    openStorage,
+    createMemoryStorage,
+    createFileStorage,
+    createMongoStorage
+};
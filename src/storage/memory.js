@@ -0,0 +1,329 @@
+// Reminder deliveries that don't wait for the target to write in the reminder's channel
+const ANY_CHANNEL_DELIVERIES = ['whisper', 'anywhere'];
+
+/**
+ * In-memory storage. Used directly by tests and as the base of the file storage.
+ *
+ * data has the same shape as the JSON files:
+ * { users: { username: {...} }, reminders: [], notifications: [], channels: [], chatStats: { date: { username: count } },
+ *   cooldowns: { key: expiresAt }, ledger: [], streamChanges: [], emoteRounds: { channel: { history: [], streak: {} } } }
+ * onChange(collection) is called after every write.
+ */
+function createMemoryStorage(initial = {}, { onChange = () => {} } = {}) {
+    const data = {
+        users: {},
+        reminders: [],
+        notifications: [],
+        channels: [],
+        chatStats: {},
+        cooldowns: {},
+        ledger: [],
+        streamChanges: [],
+        emoteRounds: {},
+        ...clone(initial)
+    };
+    let claims = 0;
+
+    function matches(doc, filter) {
+        return Object.entries(filter).every(([key, value]) => value === undefined || doc[key] === value);
+    }
+
+    function sameUser(a, b) {
+        return (a || '').toLowerCase() === (b || '').toLowerCase();
+    }
+
+    /**
+     * Removes and returns all entries of a collection matching predicate.
+     */
+    function take(collection, predicate) {
+        const taken = data[collection].filter(predicate);
+        if (taken.length > 0) {
+            data[collection] = data[collection].filter(doc => !predicate(doc));
+            onChange(collection);
+        }
+        return clone(taken);
+    }
+
+    /**
+     * Applies delta unless the balance would drop below min or is below stake. Returns { ok, balance }.
+     */
+    function applyBalance(username, delta, min, stake = 0) {
+        const user = data.users[username];
+        const balance = user ? user.balance || 0 : 0;
+        if ((delta < 0 && balance + delta < min) || balance < stake) return { ok: false, balance };
+        if (!user) {
+            data.users[username] = { balance: 0 };
+        }
+        data.users[username].balance = balance + delta;
+        return { ok: true, balance: balance + delta };
+    }
+
+    // balance is never written by save, it only changes through adjustBalance and transfer
+    const users = {
+        async all() {
+            return clone(data.users);
+        },
+        async get(username) {
+            return clone(data.users[username] || null);
+        },
+        async save(username, user) {
+            const existing = data.users[username];
+            data.users[username] = { ...clone(user), balance: existing ? existing.balance : user.balance || 0 };
+            onChange('users');
+        },
+        async saveAll(allUsers) {
+            for (const [username, user] of Object.entries(allUsers)) {
+                const existing = data.users[username];
+                data.users[username] = { ...clone(user), balance: existing ? existing.balance : user.balance || 0 };
+            }
+            onChange('users');
+        },
+        async adjustBalance(username, delta, { min = 0, stake = 0 } = {}) {
+            const result = applyBalance(username, delta, min, stake);
+            if (result.ok) onChange('users');
+            return result;
+        },
+        // Moves amount from one user to another, all or nothing
+        async transfer(from, to, amount) {
+            const debit = applyBalance(from, -amount, 0);
+            if (!debit.ok) return { ok: false, fromBalance: debit.balance };
+            const credit = applyBalance(to, amount, 0);
+            onChange('users');
+            return { ok: true, fromBalance: debit.balance, toBalance: credit.balance };
+        }
+    };
+
+    const reminders = {
+        async all() {
+            return clone(data.reminders);
+        },
+        async create(reminder) {
+            data.reminders.push(clone(reminder));
+            onChange('reminders');
+            return clone(reminder);
+        },
+        async findByTarget(username) {
+            return clone(data.reminders.filter(r => sameUser(r.targetUser, username)).sort((a, b) => a.dueAt - b.dueAt));
+        },
+        async findBySource(username) {
+            return clone(data.reminders.filter(r => sameUser(r.sourceUser, username)).sort((a, b) => a.dueAt - b.dueAt));
+        },
+        async findByShortId(shortId) {
+            return clone(data.reminders.find(r => r.shortId === shortId) || null);
+        },
+        // Returns the updated reminder, null if there is none with that id. version counts the edits.
+        async update(shortId, fields) {
+            const reminder = data.reminders.find(r => r.shortId === shortId);
+            if (!reminder) return null;
+            Object.assign(reminder, clone(fields), { version: (reminder.version || 0) + 1 });
+            onChange('reminders');
+            return clone(reminder);
+        },
+        async remove(shortId) {
+            return take('reminders', r => r.shortId === shortId).length > 0;
+        },
+        // Locks due reminders for owner and returns them, see scheduler.js. Locks older than lockMs are taken over.
+        async claimDue(now, { owner, lockMs }) {
+            const claimed = data.reminders.filter(r => r.dueAt > 0 && r.dueAt <= now && !(r.lockedUntil > now));
+            claimed.forEach(r => {
+                r.lockedBy = `${owner}#${++claims}`;
+                r.lockedUntil = now + lockMs;
+            });
+            if (claimed.length > 0) onChange('reminders');
+            return clone(claimed);
+        },
+        // Deletes a claimed reminder after delivery, or unlocks it with fields (its next run).
+        // If it was edited since the claim (version differs) it is only unlocked and false returned.
+        async complete(lock, fields = null, version = undefined) {
+            const reminder = data.reminders.find(r => r.lockedBy === lock);
+            if (!reminder) return false;
+            if (version !== undefined && (reminder.version || 0) !== version) {
+                Object.assign(reminder, { lockedBy: null, lockedUntil: 0 });
+                onChange('reminders');
+                return false;
+            }
+            if (fields) {
+                Object.assign(reminder, clone(fields), { lockedBy: null, lockedUntil: 0 });
+                onChange('reminders');
+                return true;
+            }
+            return take('reminders', r => r === reminder).length > 0;
+        },
+        // Reminders for the next message of a user (dueAt 0) in channel. Whispers and
+        // reminders for any channel are taken everywhere.
+        async takePending(username, channel) {
+            return take('reminders', r => r.dueAt === 0 && sameUser(r.targetUser, username) &&
+                (channel === undefined || r.channel === channel || ANY_CHANNEL_DELIVERIES.includes(r.delivery)));
+        }
+    };
+
+    const notifications = {
+        async all() {
+            return clone(data.notifications);
+        },
+        async find(filter = {}) {
+            return clone(data.notifications.filter(n => matches(n, filter)));
+        },
+        async create(notification) {
+            data.notifications.push(clone(notification));
+            onChange('notifications');
+            return clone(notification);
+        },
+        // Updates the first match, returns it or null
+        async update(filter, fields) {
+            const notification = data.notifications.find(n => matches(n, filter));
+            if (!notification) return null;
+            Object.assign(notification, clone(fields));
+            onChange('notifications');
+            return clone(notification);
+        },
+        // Removes the first match, returns whether something was removed
+        async remove(filter) {
+            const index = data.notifications.findIndex(n => matches(n, filter));
+            if (index === -1) return false;
+            data.notifications.splice(index, 1);
+            onChange('notifications');
+            return true;
+        }
+    };
+
+    const channels = {
+        async all() {
+            return clone(data.channels);
+        },
+        async upsert(username, fields) {
+            const entry = data.channels.find(c => sameUser(c.username, username));
+            if (entry) {
+                Object.assign(entry, clone(fields));
+            } else {
+                data.channels.push({ username, id: '0', settings: {}, ...clone(fields) });
+            }
+            onChange('channels');
+        },
+        async updateById(id, fields) {
+            const entry = data.channels.find(c => c.id === id);
+            if (!entry) return;
+            Object.assign(entry, clone(fields));
+            onChange('channels');
+        },
+        async remove(username) {
+            const before = data.channels.length;
+            data.channels = data.channels.filter(c => !sameUser(c.username, username));
+            if (data.channels.length !== before) onChange('channels');
+        }
+    };
+
+    const chatStats = {
+        async increment(date, username) {
+            const day = data.chatStats[date] || (data.chatStats[date] = {});
+            day[username] = (day[username] || 0) + 1;
+            onChange('chatStats');
+        },
+        async top(date, limit) {
+            return Object.entries(data.chatStats[date] || {})
+                .map(([username, count]) => ({ username, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, limit);
+        }
+    };
+
+    const cooldowns = {
+        async set(key, expiresAt) {
+            data.cooldowns[key] = expiresAt;
+            onChange('cooldowns');
+        },
+        // Drops expired entries and returns the rest as [{ key, expiresAt }]
+        async active(now) {
+            const entries = Object.entries(data.cooldowns);
+            const active = entries.filter(([, expiresAt]) => expiresAt > now);
+            if (active.length !== entries.length) {
+                data.cooldowns = Object.fromEntries(active);
+                onChange('cooldowns');
+            }
+            return active.map(([key, expiresAt]) => ({ key, expiresAt }));
+        }
+    };
+
+    // Append-only, entries are never changed or removed
+    const ledger = {
+        async append(entry) {
+            data.ledger.push(clone(entry));
+            onChange('ledger');
+        },
+        // Newest first. filter: { user, channel, since }
+        async find({ user, channel, since = 0 } = {}, limit = Infinity) {
+            const found = [];
+            for (let i = data.ledger.length - 1; i >= 0 && found.length < limit; i--) {
+                const e = data.ledger[i];
+                if (user && e.user !== user) continue;
+                if (channel && e.channel !== channel) continue;
+                if (e.timestamp < since) continue;
+                found.push(e);
+            }
+            return clone(found);
+        }
+    };
+
+    // Observed title/game changes of notified channels, append-only like the ledger
+    const streamChanges = {
+        async append(change) {
+            data.streamChanges.push(clone(change));
+            onChange('streamChanges');
+        },
+        // Newest first. filter: { targetId, field }
+        async find({ targetId, field } = {}, limit = Infinity) {
+            const found = [];
+            for (let i = data.streamChanges.length - 1; i >= 0 && found.length < limit; i--) {
+                const c = data.streamChanges[i];
+                if (targetId && c.targetId !== targetId) continue;
+                if (field && c.field !== field) continue;
+                found.push(c);
+            }
+            return clone(found);
+        },
+        // The newest change of every target and field
+        async latest() {
+            const newest = {};
+            for (const c of data.streamChanges) {
+                const key = `${c.targetId}:${c.field}`;
+                if (!newest[key] || newest[key].timestamp <= c.timestamp) newest[key] = c;
+            }
+            return clone(Object.values(newest));
+        }
+    };
+
+    // Emote guessing rounds per channel: the last rounds (newest first) and the streak
+    const emoteRounds = {
+        async all() {
+            return clone(data.emoteRounds);
+        },
+        async save(channel, { history, streak }) {
+            data.emoteRounds[channel] = clone({ history, streak });
+            onChange('emoteRounds');
+        }
+    };
+
+    return {
+        type: 'memory',
+        data,
+        // Nothing is buffered, the file storage replaces this
+        async flush() {},
+        users,
+        reminders,
+        notifications,
+        channels,
+        chatStats,
+        cooldowns,
+        ledger,
+        streamChanges,
+        emoteRounds
+    };
+}
+
+function clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    createMemoryStorage
+};
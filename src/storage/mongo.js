@@ -0,0 +1,423 @@
+const { LANGUAGES } = require('../replies');
+
+/**
+ * Case-insensitive exact match of a username, names are stored as typed. They come from chat, so "(" or ".*" are literal.
+ */
+function userRegex(username) {
+    return new RegExp('^' + String(username).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$', 'i');
+}
+
+/**
+ * MongoDB storage. Same interface as memory.js, documents are returned as plain objects.
+ */
+async function createMongoStorage(uri) {
+    const mongoose = require('mongoose');
+
+    const userSchema = new mongoose.Schema({
+        username: { type: String, required: true, unique: true },
+        balance: { type: Number, default: 0 },
+        lastClaim: { type: Number, default: 0 },
+        reminded: { type: Boolean, default: false },
+        level: { type: Number, default: 0 },
+        investedStars: { type: Number, default: 0 },
+        nextLevelCost: { type: Number, default: 670 },
+        lastChannel: { type: String },
+        loanAmount: { type: Number, default: 0 },
+        loanDueDate: { type: Number, default: 0 },
+        lastInterestTime: { type: Number, default: 0 },
+        repaymentFailures: { type: Number, default: 0 },
+        afkStartTime: { type: Number, default: 0 },
+        afkReason: { type: String, default: "" },
+        lastfm: { type: String, default: "" },
+        timezone: { type: String, default: "" }, // IANA name, empty for the default
+        reminderBlocklist: { type: [String], default: [] } // usernames or "*" for everyone
+    });
+    const User = mongoose.model('User', userSchema);
+
+    const chatStatSchema = new mongoose.Schema({
+        date: { type: String, required: true }, // Format: MM/DD/YYYY from toLocaleString
+        username: { type: String, required: true },
+        count: { type: Number, default: 0 }
+    });
+    chatStatSchema.index({ date: 1, username: 1 }, { unique: true });
+    const ChatStat = mongoose.model('ChatStat', chatStatSchema);
+
+    // See settings.js DEFAULT_SETTINGS, only the fields with a fixed set of values are declared
+    const channelSettingsSchema = new mongoose.Schema({
+        language: { type: String, enum: LANGUAGES, default: 'de' }
+    }, { _id: false, strict: false, minimize: false });
+
+    const channelSchema = new mongoose.Schema({
+        username: { type: String, required: true, unique: true },
+        id: { type: String, required: true },
+        joinedAt: { type: Date, default: Date.now },
+        settings: { type: channelSettingsSchema, default: {} }
+    });
+    const Channel = mongoose.model('Channel', channelSchema);
+
+    const reminderSchema = new mongoose.Schema({
+        targetUser: { type: String, required: true },
+        sourceUser: { type: String, required: true },
+        message: { type: String, required: true },
+        dueAt: { type: Number, required: true },
+        shortId: { type: String, index: true },
+        recurrence: { type: mongoose.Schema.Types.Mixed, default: null }, // see recurrence.js
+        timeZone: { type: String, default: null }, // zone of the creator, recurrences run in it
+        delivery: { type: String, default: 'chat' }, // chat, whisper or anywhere
+        lockedBy: { type: String, default: null }, // claim of the instance delivering it, see scheduler.js
+        lockedUntil: { type: Number, default: 0 },
+        version: { type: Number, default: 0 }, // counts edits, see complete
+        channel: { type: String, required: true },
+        createdAt: { type: Number, default: Date.now }
+    });
+    const Reminder = mongoose.model('Reminder', reminderSchema);
+
+    const notificationSchema = new mongoose.Schema({
+        channel: { type: String, required: true },
+        targetChannel: { type: String, required: true },
+        targetId: { type: String, required: true },
+        type: { type: String, required: true },
+        subscription: { type: String },
+        pings: { type: [String], default: [] },
+        template: { type: String, default: null },
+        createdAt: { type: Number, default: Date.now }
+    });
+    const Notification = mongoose.model('Notification', notificationSchema);
+
+    const cooldownSchema = new mongoose.Schema({
+        key: { type: String, required: true, unique: true }, // command|scope|target
+        expiresAt: { type: Number, required: true }
+    });
+    const Cooldown = mongoose.model('Cooldown', cooldownSchema);
+
+    const ledgerSchema = new mongoose.Schema({
+        user: { type: String, required: true },
+        delta: { type: Number, required: true },
+        balance: { type: Number },
+        reason: { type: String, required: true },
+        game: { type: String, default: null },
+        channel: { type: String, default: null },
+        timestamp: { type: Number, required: true }
+    });
+    ledgerSchema.index({ user: 1, timestamp: -1 });
+    const LedgerEntry = mongoose.model('LedgerEntry', ledgerSchema);
+
+    const streamChangeSchema = new mongoose.Schema({
+        targetId: { type: String, required: true },
+        targetChannel: { type: String },
+        field: { type: String, required: true },
+        value: { type: String, default: '' },
+        previous: { type: String, default: null },
+        timestamp: { type: Number, required: true }
+    });
+    streamChangeSchema.index({ targetId: 1, field: 1, timestamp: -1 });
+    const StreamChange = mongoose.model('StreamChange', streamChangeSchema);
+
+    const emoteRoundSchema = new mongoose.Schema({
+        channel: { type: String, required: true, unique: true },
+        history: { type: [mongoose.Schema.Types.Mixed], default: [] }, // newest first, see endEmoteRound
+        streak: { type: mongoose.Schema.Types.Mixed, default: null }
+    });
+    const EmoteRound = mongoose.model('EmoteRound', emoteRoundSchema);
+
+    await mongoose.connect(uri);
+
+    function plain(doc) {
+        const object = doc.toObject();
+        delete object._id;
+        delete object.__v;
+        return object;
+    }
+
+    /**
+     * Deletes and returns matching reminders. findOneAndDelete is atomic, so with several
+     * instances every reminder is returned by only one of them.
+     */
+    async function takeReminders(query) {
+        const taken = [];
+        let found;
+        while ((found = await Reminder.findOneAndDelete(query))) {
+            taken.push(plain(found));
+        }
+        return taken;
+    }
+
+    const users = {
+        async all() {
+            const found = await User.find({});
+            const result = {};
+            found.forEach(u => {
+                const { username, ...data } = plain(u);
+                result[username] = data;
+            });
+            return result;
+        },
+        async get(username) {
+            const found = await User.findOne({ username });
+            return found ? plain(found) : null;
+        },
+        // balance is only set when the user is created, afterwards it only changes through $inc
+        async save(username, user) {
+            const { balance, ...fields } = user;
+            await User.findOneAndUpdate(
+                { username },
+                { $set: { ...fields, username }, $setOnInsert: { balance: balance || 0 } },
+                { upsert: true }
+            );
+        },
+        async saveAll(allUsers) {
+            for (const [username, user] of Object.entries(allUsers)) {
+                await users.save(username, user);
+            }
+        },
+        /**
+         * Atomic $inc. A debit only matches while balance + delta >= min, so two
+         * instances can never spend the same stars. With stake the balance must be at
+         * least that before the change, for a bet settled in the same step. Returns { ok, balance }.
+         */
+        async adjustBalance(username, delta, { min = 0, stake = 0 } = {}) {
+            const updated = delta < 0 || stake > 0
+                ? await User.findOneAndUpdate({ username, balance: { $gte: Math.max(delta < 0 ? min - delta : min, stake) } }, { $inc: { balance: delta } }, { new: true })
+                : await User.findOneAndUpdate({ username }, { $inc: { balance: delta } }, { new: true, upsert: true });
+            if (updated) return { ok: true, balance: updated.balance };
+
+            const current = await User.findOne({ username });
+            return { ok: false, balance: current ? current.balance : 0 };
+        },
+        async transfer(from, to, amount) {
+            const session = await mongoose.startSession();
+            try {
+                let result;
+                await session.withTransaction(async () => {
+                    result = await transferWithin(from, to, amount, session);
+                    if (!result.ok) await session.abortTransaction();
+                });
+                return result;
+            } catch (e) {
+                // Standalone servers have no transactions, fall back to debit + credit with refund
+                if (e.code !== 20 && !/replica set|Transaction numbers/i.test(e.message)) throw e;
+                return transferWithoutSession(from, to, amount);
+            } finally {
+                await session.endSession();
+            }
+        }
+    };
+
+    async function transferWithin(from, to, amount, session) {
+        const debit = await User.findOneAndUpdate({ username: from, balance: { $gte: amount } }, { $inc: { balance: -amount } }, { new: true, session });
+        if (!debit) {
+            const current = await User.findOne({ username: from }).session(session);
+            return { ok: false, fromBalance: current ? current.balance : 0 };
+        }
+        const credit = await User.findOneAndUpdate({ username: to }, { $inc: { balance: amount } }, { new: true, upsert: true, session });
+        return { ok: true, fromBalance: debit.balance, toBalance: credit.balance };
+    }
+
+    async function transferWithoutSession(from, to, amount) {
+        const debit = await users.adjustBalance(from, -amount);
+        if (!debit.ok) return { ok: false, fromBalance: debit.balance };
+        try {
+            const credit = await users.adjustBalance(to, amount);
+            return { ok: true, fromBalance: debit.balance, toBalance: credit.balance };
+        } catch (e) {
+            await users.adjustBalance(from, amount);
+            throw e;
+        }
+    }
+
+    const reminders = {
+        async all() {
+            return (await Reminder.find({})).map(plain);
+        },
+        async create(reminder) {
+            return plain(await Reminder.create(reminder));
+        },
+        async findByTarget(username) {
+            return (await Reminder.find({ targetUser: { $regex: userRegex(username) } }).sort({ dueAt: 1 })).map(plain);
+        },
+        async findBySource(username) {
+            return (await Reminder.find({ sourceUser: { $regex: userRegex(username) } }).sort({ dueAt: 1 })).map(plain);
+        },
+        async findByShortId(shortId) {
+            const found = await Reminder.findOne({ shortId });
+            return found ? plain(found) : null;
+        },
+        async update(shortId, fields) {
+            const updated = await Reminder.findOneAndUpdate({ shortId }, { $set: fields, $inc: { version: 1 } }, { new: true });
+            return updated ? plain(updated) : null;
+        },
+        async remove(shortId) {
+            const result = await Reminder.deleteOne({ shortId });
+            return result.deletedCount > 0;
+        },
+        async claimDue(now, { owner, lockMs }) {
+            const claimed = [];
+            let found;
+            // One atomic update per reminder, an instance only gets what it locked itself
+            while ((found = await Reminder.findOneAndUpdate(
+                { dueAt: { $lte: now, $gt: 0 }, lockedUntil: { $not: { $gt: now } } },
+                { $set: { lockedBy: `${owner}#${new mongoose.Types.ObjectId()}`, lockedUntil: now + lockMs } },
+                { new: true, sort: { dueAt: 1 } }
+            ))) {
+                claimed.push(plain(found));
+            }
+            return claimed;
+        },
+        async complete(lock, fields = null, version = undefined) {
+            const query = { lockedBy: lock };
+            // Reminders from before versions have none, that is version 0
+            if (version !== undefined) query.version = version === 0 ? { $in: [0, null] } : version;
+            const done = fields
+                ? (await Reminder.updateOne(query, { $set: { ...fields, lockedBy: null, lockedUntil: 0 } })).matchedCount > 0
+                : (await Reminder.deleteOne(query)).deletedCount > 0;
+            if (!done && version !== undefined) {
+                // Edited during delivery, the edit stays
+                await Reminder.updateOne({ lockedBy: lock }, { $set: { lockedBy: null, lockedUntil: 0 } });
+            }
+            return done;
+        },
+        async takePending(username, channel) {
+            const query = { targetUser: { $regex: userRegex(username) }, dueAt: 0 };
+            if (channel !== undefined) query.$or = [{ channel }, { delivery: { $in: ['whisper', 'anywhere'] } }];
+            return takeReminders(query);
+        }
+    };
+
+    function withoutUndefined(filter) {
+        return Object.fromEntries(Object.entries(filter).filter(([, v]) => v !== undefined));
+    }
+
+    const notifications = {
+        async all() {
+            return (await Notification.find({})).map(plain);
+        },
+        async find(filter = {}) {
+            return (await Notification.find(withoutUndefined(filter))).map(plain);
+        },
+        async create(notification) {
+            return plain(await Notification.create(notification));
+        },
+        async update(filter, fields) {
+            const updated = await Notification.findOneAndUpdate(withoutUndefined(filter), { $set: fields }, { new: true });
+            return updated ? plain(updated) : null;
+        },
+        async remove(filter) {
+            const found = await Notification.findOne(withoutUndefined(filter));
+            if (!found) return false;
+            await Notification.deleteOne({ _id: found._id });
+            return true;
+        }
+    };
+
+    const channels = {
+        async all() {
+            // lean, the undeclared settings fields are not readable on the subdocument
+            return (await Channel.find({}).lean()).map(d => ({ username: d.username, id: d.id, settings: d.settings || {} }));
+        },
+        async upsert(username, fields) {
+            // id is required, "0" is replaced by the real one in initializeChannels
+            const update = { $set: fields };
+            if (fields.id === undefined) update.$setOnInsert = { id: '0' };
+            await Channel.findOneAndUpdate({ username }, update, { upsert: true });
+        },
+        async updateById(id, fields) {
+            await Channel.findOneAndUpdate({ id }, fields);
+        },
+        async remove(username) {
+            await Channel.deleteOne({ username });
+        }
+    };
+
+    const chatStats = {
+        async increment(date, username) {
+            await ChatStat.findOneAndUpdate({ date, username }, { $inc: { count: 1 } }, { upsert: true });
+        },
+        async top(date, limit) {
+            const results = await ChatStat.find({ date }).sort({ count: -1 }).limit(limit);
+            return results.map(r => ({ username: r.username, count: r.count }));
+        }
+    };
+
+    const cooldowns = {
+        async set(key, expiresAt) {
+            await Cooldown.findOneAndUpdate({ key }, { expiresAt }, { upsert: true });
+        },
+        async active(now) {
+            await Cooldown.deleteMany({ expiresAt: { $lte: now } });
+            return (await Cooldown.find({})).map(c => ({ key: c.key, expiresAt: c.expiresAt }));
+        }
+    };
+
+    const ledger = {
+        async append(entry) {
+            await LedgerEntry.create(entry);
+        },
+        async find({ user, channel, since = 0 } = {}, limit = Infinity) {
+            const query = { timestamp: { $gte: since } };
+            if (user) query.user = user;
+            if (channel) query.channel = channel;
+            let cursor = LedgerEntry.find(query).sort({ timestamp: -1, _id: -1 });
+            if (Number.isFinite(limit)) cursor = cursor.limit(limit);
+            return (await cursor).map(plain);
+        }
+    };
+
+    const streamChanges = {
+        async append(change) {
+            await StreamChange.create(change);
+        },
+        async find({ targetId, field } = {}, limit = Infinity) {
+            const query = {};
+            if (targetId) query.targetId = targetId;
+            if (field) query.field = field;
+            let cursor = StreamChange.find(query).sort({ timestamp: -1, _id: -1 });
+            if (Number.isFinite(limit)) cursor = cursor.limit(limit);
+            return (await cursor).map(plain);
+        },
+        async latest() {
+            const groups = await StreamChange.aggregate([
+                { $sort: { timestamp: -1, _id: -1 } },
+                { $group: { _id: { targetId: '$targetId', field: '$field' }, change: { $first: '$$ROOT' } } }
+            ]);
+            return groups.map(g => {
+                const change = { ...g.change };
+                delete change._id;
+                delete change.__v;
+                return change;
+            });
+        }
+    };
+
+    const emoteRounds = {
+        async all() {
+            const result = {};
+            (await EmoteRound.find({})).forEach(d => {
+                result[d.channel] = { history: d.history || [], streak: d.streak };
+            });
+            return result;
+        },
+        async save(channel, { history, streak }) {
+            await EmoteRound.findOneAndUpdate({ channel }, { $set: { history, streak } }, { upsert: true });
+        }
+    };
+
+    return {
+        type: 'mongo',
+        // Every write goes to MongoDB right away
+        async flush() {},
+        users,
+        reminders,
+        notifications,
+        channels,
+        chatStats,
+        cooldowns,
+        ledger,
+        streamChanges,
+        emoteRounds
+    };
+}
+
+module.exports = {
+    userRegex,
+    createMongoStorage
+};
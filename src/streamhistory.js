@@ -0,0 +1,52 @@
+// Title and category changes of channels with -notify, kept in storage.streamChanges.
+// A change is { targetId, targetChannel, field: 'title' | 'game', value, previous, timestamp },
+// the first observation of a channel has previous null.
+const { formatAge } = require('./ledger');
+
+const FIELDS = {
+    title: 'Titel',
+    game: 'Kategorie'
+};
+
+/**
+ * Changes between the cached status and the current one. Without a cached status every field counts.
+ */
+function diffStatus(targetId, targetChannel, previous, current, timestamp = Date.now()) {
+    return Object.keys(FIELDS)
+        .filter(field => !previous || (current[field] || '') !== (previous[field] || ''))
+        .map(field => ({
+            targetId,
+            targetChannel,
+            field,
+            value: current[field] || '',
+            previous: previous ? previous[field] || '' : null,
+            timestamp
+        }));
+}
+
+/**
+ * Rebuilds the status cache ({ targetId: { title, game } }) from the newest change of every field.
+ */
+function statusFromChanges(changes) {
+    const status = {};
+    for (const change of changes) {
+        if (!FIELDS[change.field]) continue;
+        if (!status[change.targetId]) status[change.targetId] = { title: '', game: '' };
+        status[change.targetId][change.field] = change.value;
+    }
+    return status;
+}
+
+/**
+ * One chat line for -titlehistory / -gamehistory, changes newest first.
+ */
+function formatChanges(changes, now = Date.now()) {
+    return changes.map(c => `"${c.value || '-'}" (${formatAge(now - c.timestamp)})`).join(' | ');
+}
+
+module.exports = {
+    FIELDS,
+    diffStatus,
+    statusFromChanges,
+    formatChanges
+};
@@ -0,0 +1,323 @@
+// Time expressions for reminders and other scheduling commands, German and English:
+// "10m", "in 2 stunden", "morgen 9uhr", "übermorgen", "freitag 18:00", "heute abend",
+// "next friday", "tomorrow at 5pm", "24.12 18:00", ...
+// Clock times and days are read in the user's IANA time zone, Europe/Berlin by default.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const UNITS = {
+    s: SECOND, sek: SECOND, sekunde: SECOND, sekunden: SECOND, sec: SECOND, second: SECOND, seconds: SECOND,
+    m: MINUTE, min: MINUTE, mins: MINUTE, minute: MINUTE, minuten: MINUTE, minutes: MINUTE,
+    h: HOUR, std: HOUR, stunde: HOUR, stunden: HOUR, hour: HOUR, hours: HOUR, hr: HOUR, hrs: HOUR,
+    d: DAY, tag: DAY, tage: DAY, tagen: DAY, day: DAY, days: DAY,
+    w: 7 * DAY, woche: 7 * DAY, wochen: 7 * DAY, week: 7 * DAY, weeks: 7 * DAY,
+    mo: 30 * DAY, monat: 30 * DAY, monate: 30 * DAY, monaten: 30 * DAY, month: 30 * DAY, months: 30 * DAY,
+    y: 365 * DAY, jahr: 365 * DAY, jahre: 365 * DAY, jahren: 365 * DAY, year: 365 * DAY, years: 365 * DAY
+};
+
+// "eine stunde", "an hour"
+const ONE = ['ein', 'eine', 'einer', 'einem', 'einen', 'a', 'an'];
+
+const WEEKDAYS = {
+    sonntag: 0, sunday: 0,
+    montag: 1, monday: 1,
+    dienstag: 2, tuesday: 2,
+    mittwoch: 3, wednesday: 3,
+    donnerstag: 4, thursday: 4,
+    freitag: 5, friday: 5,
+    samstag: 6, saturday: 6
+};
+
+const DAY_WORDS = {
+    heute: 0, today: 0, tonight: 0,
+    morgen: 1, tomorrow: 1,
+    übermorgen: 2
+};
+
+// Default clock time of a part of the day, "tonight" also means today
+const DAY_PARTS = {
+    früh: 9, morgens: 9, morning: 9,
+    vormittag: 10, vormittags: 10,
+    mittag: 12, mittags: 12, noon: 12,
+    nachmittag: 15, nachmittags: 15, afternoon: 15,
+    abend: 20, abends: 20, evening: 20, tonight: 20,
+    nacht: 22, nachts: 22, night: 22
+};
+
+// Words that only lead into the next time expression ("um 9", "at 5pm", "in 2h", "next friday")
+const FILLERS = ['am', 'um', 'at', 'on', 'in', 'ab', 'gegen', 'next', 'nächsten', 'nächste', 'kommenden', 'kommende', 'this', 'diesen', 'diese', 'und', 'and'];
+
+const DEFAULT_TIME_ZONE = 'Europe/Berlin';
+
+const formatters = {};
+
+function formatterFor(timeZone) {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone, hour12: false,
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+    }
+    return formatters[timeZone];
+}
+
+/**
+ * Canonical name of an IANA time zone ("europe/berlin" -> "Europe/Berlin"), null if unknown.
+ */
+function normalizeTimeZone(timeZone) {
+    if (!timeZone) return null;
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * UTC offset in ms of timeZone at date, DST included.
+ */
+function getZoneOffset(timeZone, date) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(date)) parts[type] = parseInt(value);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * getOffset(date) function for a time zone, as used by parseTimeInput and recurrence.js.
+ */
+function offsetFor(timeZone = DEFAULT_TIME_ZONE) {
+    return date => getZoneOffset(timeZone, date);
+}
+
+/**
+ * Reads a clock time at tokens[index]: "18:00", "9uhr", "9 uhr", "5pm", "5:30pm", "5 pm",
+ * or a bare hour after "um"/"at" ("um 9"). Returns { hour, minute, length } or null.
+ * Throws if it is clearly meant as a time but out of range ("25uhr", "13pm").
+ */
+function parseClock(tokens, index) {
+    let i = index;
+    const lead = ['um', 'at', 'gegen'].includes(tokens[i]);
+    if (lead) i++;
+    const token = tokens[i] || '';
+    const next = tokens[i + 1];
+    let match;
+    let hour;
+    let minute = 0;
+    let length = 1;
+
+    if ((match = token.match(/^(\d{1,2}):(\d{2})(am|pm)?$/))) {
+        hour = toHour(parseInt(match[1]), match[3]);
+        minute = parseInt(match[2]);
+    } else if ((match = token.match(/^(\d{1,2})uhr$/))) {
+        hour = parseInt(match[1]);
+    } else if ((match = token.match(/^(\d{1,2})(am|pm)$/))) {
+        hour = toHour(parseInt(match[1]), match[2]);
+    } else if (/^\d{1,2}$/.test(token) && ['uhr', 'am', 'pm'].includes(next)) {
+        hour = toHour(parseInt(token), next === 'uhr' ? null : next);
+        length = 2;
+    } else if (lead && /^\d{1,2}$/.test(token) && parseInt(token) <= 23) {
+        // "um 30 leute" is not a time
+        hour = parseInt(token);
+    } else {
+        return null;
+    }
+
+    if (hour > 23 || minute > 59) throw new Error(`Ungültige Uhrzeit: ${token}`);
+    return { hour, minute, length: i - index + length };
+}
+
+function toHour(hour, meridiem) {
+    if (!meridiem) return hour;
+    if (hour < 1 || hour > 12) return 24; // out of range
+    return hour % 12 + (meridiem === 'pm' ? 12 : 0);
+}
+
+/**
+ * "10m", "10 min", "2 stunden", "eine stunde" at tokens[index]. Returns { ms, length } or null.
+ */
+function parseDuration(tokens, index) {
+    const token = tokens[index] || '';
+    const combined = token.match(/^(\d+)([a-zäöü]+)$/);
+    if (combined && UNITS[combined[2]]) {
+        return { ms: parseInt(combined[1]) * UNITS[combined[2]], length: 1 };
+    }
+    const count = /^\d+$/.test(token) ? parseInt(token) : (ONE.includes(token) ? 1 : null);
+    if (count !== null && UNITS[tokens[index + 1]]) {
+        return { ms: count * UNITS[tokens[index + 1]], length: 2 };
+    }
+    return null;
+}
+
+/**
+ * "14.02", "14.02.", "14.02.2025" or "14.02.25". Returns { day, month, year } (year may be null).
+ */
+function parseDate(token) {
+    const match = (token || '').match(/^(\d{1,2})\.(\d{1,2})\.?(?:(\d{2}|\d{4}))?$/);
+    if (!match) return null;
+    const day = parseInt(match[1]);
+    const month = parseInt(match[2]);
+    if (day < 1 || day > 31 || month < 1 || month > 12) return null;
+    let year = null;
+    if (match[3]) year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+    return { day, month, year };
+}
+
+/**
+ * Reads one time element at tokens[index] into state. Returns how many tokens it used, 0 if none.
+ */
+function readElement(tokens, index, state) {
+    const token = tokens[index];
+
+    const clock = parseClock(tokens, index);
+    if (clock) {
+        state.clock = clock;
+        return clock.length;
+    }
+
+    const duration = parseDuration(tokens, index);
+    if (duration) {
+        state.durationMs += duration.ms;
+        return duration.length;
+    }
+
+    const date = parseDate(token);
+    if (date) {
+        state.date = date;
+        return 1;
+    }
+
+    // "heute morgen" is this morning, not tomorrow
+    if (token === 'morgen' && state.dayOffset === 0) {
+        state.dayPart = DAY_PARTS.morgens;
+        return 1;
+    }
+    // "morgen früh" is tomorrow morning, a lone "morgens" a part of the day
+    if (DAY_WORDS[token] !== undefined) {
+        state.dayOffset = DAY_WORDS[token];
+        if (DAY_PARTS[token] !== undefined) state.dayPart = DAY_PARTS[token];
+        return 1;
+    }
+    if (token === 'day' && tokens[index + 1] === 'after' && tokens[index + 2] === 'tomorrow') {
+        state.dayOffset = 2;
+        return 3;
+    }
+    if (WEEKDAYS[token] !== undefined) {
+        state.weekday = WEEKDAYS[token];
+        return 1;
+    }
+    if (DAY_PARTS[token] !== undefined) {
+        state.dayPart = DAY_PARTS[token];
+        return 1;
+    }
+    // "in the evening", "at night"
+    if (['the'].includes(token) && DAY_PARTS[tokens[index + 1]] !== undefined) {
+        state.dayPart = DAY_PARTS[tokens[index + 1]];
+        return 2;
+    }
+
+    // Fillers only count if a time follows, "in der küche" stays part of the message
+    if (FILLERS.includes(token)) {
+        const used = readElement(tokens, index + 1, state);
+        return used > 0 ? used + 1 : 0;
+    }
+    return 0;
+}
+
+/**
+ * Parses the time at the start of args. Returns { dueAt, message } with the rest of args as
+ * message, or null if args don't start with a time. Throws on invalid clock times and on
+ * times that are not in the future.
+ * options: { now, timeZone } (timeZone defaults to Berlin)
+ */
+function parseTimeInput(args, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const getOffset = offsetFor(timeZone);
+    const tokens = args.map(a => a.toLowerCase());
+    const state = { durationMs: 0, clock: null, date: null, dayOffset: null, weekday: null, dayPart: null };
+
+    let index = 0;
+    while (index < tokens.length) {
+        const used = readElement(tokens, index, state);
+        if (used === 0) break;
+        index += used;
+    }
+
+    const message = args.slice(index).join(' ');
+    const hasDay = state.date || state.dayOffset !== null || state.weekday !== null;
+
+    if (!hasDay && !state.clock && state.dayPart === null) {
+        if (state.durationMs > 0) return { dueAt: now.getTime() + state.durationMs, message };
+        return null;
+    }
+
+    // Wall clock time in the UTC fields of a Date
+    const nowLocal = new Date(now.getTime() + getOffset(now));
+    const target = new Date(nowLocal);
+
+    if (state.date) {
+        target.setUTCFullYear(state.date.year || nowLocal.getUTCFullYear(), state.date.month - 1, state.date.day);
+    } else if (state.dayOffset !== null) {
+        target.setUTCDate(target.getUTCDate() + state.dayOffset);
+    } else if (state.weekday !== null) {
+        // A weekday is always the next one, "freitag" on a friday is in a week
+        target.setUTCDate(target.getUTCDate() + ((state.weekday - target.getUTCDay() + 7) % 7 || 7));
+    }
+
+    if (state.clock) {
+        let hour = state.clock.hour;
+        // "heute abend um 8" is 20:00
+        if (state.dayPart !== null && state.dayPart >= 15 && hour < 12) hour += 12;
+        target.setUTCHours(hour, state.clock.minute, 0, 0);
+    } else if (state.dayPart !== null) {
+        target.setUTCHours(state.dayPart, 0, 0, 0);
+    }
+
+    if (target.getTime() <= nowLocal.getTime()) {
+        if (!hasDay) {
+            // Passed time today -> Tomorrow
+            target.setUTCDate(target.getUTCDate() + 1);
+        } else if (state.date && !state.date.year) {
+            // Passed date without year -> Next year
+            target.setUTCFullYear(target.getUTCFullYear() + 1);
+        }
+    }
+    // "heute" alone would be due right away, "heute 9uhr" at noon or "14.02.2020" never
+    if (target.getTime() <= nowLocal.getTime()) {
+        if (!state.clock && state.dayPart === null && !state.date) throw new Error('Uhrzeit fehlt, z.B. heute 18uhr');
+        throw new Error('Der Zeitpunkt liegt in der Vergangenheit');
+    }
+
+    // Convert the wall clock time back with the offset of the target date, not of now
+    return { dueAt: target.getTime() - getOffset(target), message };
+}
+
+/**
+ * "um 14:30" for today, "am 24.12 um 18:00" otherwise, in timeZone.
+ * "beim nächsten schreiben" for dueAt 0 (on the next message).
+ */
+function formatDueAt(dueAt, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+    if (dueAt === 0) return "beim nächsten schreiben";
+
+    const getOffset = offsetFor(timeZone);
+    const local = new Date(dueAt + getOffset(new Date(dueAt)));
+    const nowLocal = new Date(now.getTime() + getOffset(now));
+
+    const pad = n => n < 10 ? '0' + n : n;
+    const timeStr = `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}`;
+    if (local.toISOString().slice(0, 10) === nowLocal.toISOString().slice(0, 10)) return `um ${timeStr}`;
+    return `am ${pad(local.getUTCDate())}.${pad(local.getUTCMonth() + 1)} um ${timeStr}`;
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    WEEKDAYS,
+    normalizeTimeZone,
+    getZoneOffset,
+    offsetFor,
+    parseClock,
+    parseTimeInput,
+    formatDueAt
+};
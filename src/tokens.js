@@ -0,0 +1,215 @@
+// Twitch OAuth tokens: the bot's user token (chat and most Helix calls) and an app access token.
+// Validation results are cached, Twitch asks apps to validate at least once an hour
+// (https://dev.twitch.tv/docs/authentication/validate-tokens/).
+const fs = require('fs');
+const dotenv = require('dotenv');
+const { validateToken, refreshUserToken, getAppAccessToken } = require('./7tv');
+
+const VALIDATE_MS = 60 * 60 * 1000;
+
+// Tokens this close to expiring are renewed before use
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Scopes the user token needs -> what does not work without them
+const REQUIRED_SCOPES = {
+    'chat:read': 'Chat lesen',
+    'chat:edit': 'Chat schreiben',
+    'moderator:manage:banned_users': 'Timeouts',
+    'user:manage:whispers': 'Whisper-Reminder'
+};
+
+function stripPrefix(token) {
+    return token && token.startsWith('oauth:') ? token.substring(6) : token || '';
+}
+
+/**
+ * Creates the token manager.
+ * deps: { accessToken, refreshToken, clientId, clientSecret, onRefresh({ accessToken, refreshToken }) }
+ * Refreshing and app tokens need the client secret. onRefresh gets new user tokens, e.g. to store them.
+ * auth, requiredScopes, validateMs and now can be replaced in tests.
+ */
+function createTokenManager(deps) {
+    const {
+        clientSecret = '',
+        onRefresh = () => {},
+        auth = { validate: validateToken, refresh: refreshUserToken, appToken: getAppAccessToken },
+        requiredScopes = REQUIRED_SCOPES,
+        validateMs = VALIDATE_MS,
+        now = Date.now
+    } = deps;
+    let accessToken = stripPrefix(deps.accessToken);
+    let refreshToken = deps.refreshToken || '';
+    let validation = null; // { clientId, login, userId, scopes, expiresAt, checkedAt }
+    let validating = null;
+    let app = null; // { token, expiresAt }
+    let timer = null;
+
+    function canRefresh() {
+        return Boolean(refreshToken && clientSecret && (deps.clientId || validation));
+    }
+
+    async function refresh() {
+        const clientId = deps.clientId || validation.clientId;
+        const result = await auth.refresh(refreshToken, clientId, clientSecret);
+        accessToken = result.access_token;
+        refreshToken = result.refresh_token || refreshToken;
+        validation = null;
+        console.log("[Auth] User-Token erneuert.");
+        await onRefresh({ accessToken, refreshToken });
+    }
+
+    // Refreshes at most once, a new token that is about to expire as well is used as it is
+    async function check(mayRefresh = true) {
+        let info;
+        try {
+            info = await auth.validate(accessToken);
+        } catch (e) {
+            if (e.status !== 401 || !mayRefresh || !canRefresh()) {
+                throw new Error(e.status === 401 ? 'Twitch-Token ungültig oder abgelaufen, bitte TWITCH_OAUTH_TOKEN erneuern' : e.message);
+            }
+            await refresh();
+            return check(false);
+        }
+
+        validation = {
+            clientId: info.client_id,
+            login: info.login,
+            userId: info.user_id,
+            scopes: info.scopes || [],
+            // expires_in 0 means the token does not expire
+            expiresAt: info.expires_in ? now() + info.expires_in * 1000 : 0,
+            checkedAt: now()
+        };
+
+        if (mayRefresh && validation.expiresAt && validation.expiresAt - now() < EXPIRY_MARGIN_MS && canRefresh()) {
+            await refresh();
+            return check(false);
+        }
+        return validation;
+    }
+
+    /**
+     * Cached validation, checked again after validateMs or when force is set. Concurrent callers share one request.
+     */
+    function validate({ force = false } = {}) {
+        const fresh = validation && now() - validation.checkedAt < validateMs
+            && (!validation.expiresAt || validation.expiresAt - now() > EXPIRY_MARGIN_MS || !canRefresh());
+        if (fresh && !force) return Promise.resolve(validation);
+        if (!validating) {
+            validating = check().finally(() => {
+                validating = null;
+            });
+        }
+        return validating;
+    }
+
+    /**
+     * Client ID and user token for Helix calls.
+     */
+    async function getUserAuth() {
+        const { clientId } = await validate();
+        return { clientId, token: accessToken };
+    }
+
+    /**
+     * Client ID and app access token, for endpoints that take one (EventSub webhooks).
+     * Without a client secret the user token is returned instead.
+     */
+    async function getAppAuth() {
+        const clientId = deps.clientId || (await validate()).clientId;
+        if (!clientSecret) return { clientId, token: accessToken };
+
+        if (!app || app.expiresAt - now() < EXPIRY_MARGIN_MS) {
+            const result = await auth.appToken(clientId, clientSecret);
+            app = { token: result.access_token, expiresAt: now() + (result.expires_in || 0) * 1000 };
+        }
+        return { clientId, token: app.token };
+    }
+
+    /**
+     * Required scopes the user token lacks, as [{ scope, feature }].
+     */
+    function missingScopes() {
+        const scopes = validation ? validation.scopes : [];
+        return Object.entries(requiredScopes)
+            .filter(([scope]) => !scopes.includes(scope))
+            .map(([scope, feature]) => ({ scope, feature }));
+    }
+
+    /**
+     * Whether the last validation reported scope for the user token.
+     */
+    function hasScope(scope) {
+        return Boolean(validation && validation.scopes.includes(scope));
+    }
+
+    /**
+     * Validates once, reports missing scopes and re-validates every validateMs.
+     */
+    async function start() {
+        await validate({ force: true });
+        const missing = missingScopes();
+        if (missing.length > 0) {
+            console.warn(`[Auth] Fehlende Scopes: ${missing.map(m => `${m.scope} (${m.feature})`).join(', ')}`);
+        } else {
+            console.log(`[Auth] Token für ${validation.login} gültig, alle Scopes vorhanden.`);
+        }
+
+        timer = setInterval(() => {
+            validate({ force: true }).catch(e => console.error("[Auth] Token-Prüfung fehlgeschlagen:", e.message));
+        }, validateMs);
+        return missing;
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        start,
+        stop,
+        validate,
+        getUserAuth,
+        getAppAuth,
+        missingScopes,
+        hasScope,
+        // tmi.js asks for the password on every (re)connect, so a refreshed token is picked up
+        chatPassword: () => `oauth:${accessToken}`,
+        get validation() {
+            return validation;
+        }
+    };
+}
+
+/**
+ * Writes refreshed tokens back to the .env file, if the replaced refresh token came from it.
+ * Returns false if the file does not hold previousRefreshToken, e.g. because the tokens are set
+ * in the environment of the host.
+ */
+function saveTokensToEnvFile(file, previousRefreshToken, { accessToken, refreshToken }) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        return false;
+    }
+    const stored = dotenv.parse(content);
+    if (!previousRefreshToken || stored.TWITCH_REFRESH_TOKEN !== previousRefreshToken) return false;
+
+    const values = { TWITCH_REFRESH_TOKEN: refreshToken };
+    if (stored.TWITCH_OAUTH_TOKEN !== undefined) {
+        values.TWITCH_OAUTH_TOKEN = stored.TWITCH_OAUTH_TOKEN.startsWith('oauth:') ? `oauth:${accessToken}` : accessToken;
+    }
+    for (const [key, value] of Object.entries(values)) {
+        content = content.replace(new RegExp(`^(\\s*(?:export\\s+)?${key}\\s*=).*$`, 'm'), `$1${value}`);
+    }
+    fs.writeFileSync(file, content);
+    return true;
+}
+
+module.exports = {
+    REQUIRED_SCOPES,
+    createTokenManager,
+    saveTokensToEnvFile
+};
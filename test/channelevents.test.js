@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, CHANNEL } = require('./helpers/testbot');
+const { describeEvent, eventCondition, channelEventOf } = require('../src/channelevents');
+const { normalizeSettings, setSetting } = require('../src/settings');
+
+test('describeEvent fills the message and scales the stars', () => {
+    const settings = normalizeSettings();
+    const sub = describeEvent('sub', { user_login: 'Kim', user_name: 'Kim', tier: '3000' }, settings);
+    assert.deepStrictEqual([sub.message, sub.supporter, sub.stars], ['Kim hat abonniert (Tier 3) peepoHappy', 'kim', 500]);
+
+    const cheer = describeEvent('cheer', { user_login: 'kim', user_name: 'kim', bits: 250 }, settings);
+    assert.strictEqual(cheer.stars, 20);
+
+    const anonymous = describeEvent('gift', { is_anonymous: true, user_login: null, total: 5, tier: '1000' }, settings);
+    assert.deepStrictEqual([anonymous.message, anonymous.supporter, anonymous.stars], ['Anonym verschenkt 5 Subs peepoHappy', null, 0]);
+});
+
+test('event settings change message, stars and enabled', () => {
+    const settings = normalizeSettings();
+    assert.strictEqual(describeEvent('raid', { from_broadcaster_user_login: 'kim' }, settings).enabled, true);
+    setSetting(settings, 'event', ['raid', 'message', '{user}', 'raidet', 'mit', '{amount}']);
+    setSetting(settings, 'event', ['raid', 'stars', '250']);
+    setSetting(settings, 'event', ['follow', 'off']);
+
+    const raid = describeEvent('raid', { from_broadcaster_user_login: 'kim', from_broadcaster_user_name: 'Kim', viewers: 12 }, settings);
+    assert.deepStrictEqual([raid.enabled, raid.message, raid.stars], [true, 'Kim raidet mit 12', 250]);
+    assert.strictEqual(describeEvent('follow', { user_login: 'kim' }, settings).enabled, false);
+
+    setSetting(settings, 'event', ['raid', 'default']);
+    assert.deepStrictEqual(Object.keys(normalizeSettings(settings).events), ['follow']);
+    assert.throws(() => setSetting(settings, 'event', ['hype', 'on']), /Unbekanntes Event/);
+    assert.throws(() => setSetting(settings, 'event', ['raid', 'message', '/ban', 'x']), /nicht mit/);
+});
+
+test('conditions follow the event type', () => {
+    assert.deepStrictEqual(eventCondition('channel.raid', '100', '1'), { to_broadcaster_user_id: '100' });
+    assert.deepStrictEqual(eventCondition('channel.follow', '100', '1'), { broadcaster_user_id: '100', moderator_user_id: '1' });
+    assert.deepStrictEqual(eventCondition('channel.cheer', '100', '1'), { broadcaster_user_id: '100' });
+    assert.strictEqual(channelEventOf('channel.subscription.gift'), 'gift');
+    assert.strictEqual(channelEventOf('channel.update'), null);
+});
+
+test('channel events in joined channels', async (t) => {
+    const ctx = await startTestBot();
+    t.after(() => ctx.stop());
+    const overlay = [];
+    ctx.bot.io.to = rooms => ({ emit: (name, data) => overlay.push({ rooms, name, data }) });
+
+    await t.test('a raid is announced, rewarded and sent to the overlay', async () => {
+        const posted = ctx.client.waitFor('Raid von');
+        await ctx.bot.handleEventSubNotification({
+            from_broadcaster_user_login: 'kim', from_broadcaster_user_name: 'Kim',
+            to_broadcaster_user_id: '100', to_broadcaster_user_login: 'test', viewers: 42
+        }, 'channel.raid');
+        assert.strictEqual(await posted, 'PogChamp Raid von Kim mit 42 Zuschauern! +100 Star');
+
+        assert.strictEqual((await ctx.storage.users.get('kim')).balance, 100);
+        const [entry] = await ctx.storage.ledger.find({ user: 'kim' });
+        assert.deepStrictEqual([entry.reason, entry.game, entry.channel], ['reward', 'raid', CHANNEL]);
+        assert.deepStrictEqual(overlay, [{ rooms: ['all', CHANNEL], name: 'channel-event', data: { type: 'raid', user: 'Kim', amount: 42, supporter: 'kim', stars: 100 } }]);
+    });
+
+    await t.test('disabled events and other channels are ignored', async () => {
+        await ctx.chat('mod', '-settings set event follow off', { mod: true });
+        await ctx.client.waitFor('event follow = off');
+        const before = ctx.client.said.length;
+
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '100', broadcaster_user_login: 'test', user_login: 'kim' }, 'channel.follow');
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '999', broadcaster_user_login: 'elsewhere', user_login: 'kim', bits: 500 }, 'channel.cheer');
+        assert.strictEqual(ctx.client.said.length, before);
+        assert.strictEqual((await ctx.storage.users.get('kim')).balance, 100);
+    });
+
+    await t.test('turning on an event Twitch would refuse says why', async () => {
+        await ctx.chat('mod', '-settings set event follow on', { mod: true });
+        assert.match(await ctx.client.waitFor('event follow = on'), /fehlt der Scope moderator:read:followers, das Event wird nicht abonniert\)$/);
+
+        await ctx.chat('mod', '-settings set event sub on', { mod: true });
+        assert.match(await ctx.client.waitFor('event sub = on'), /geht nur im Channel des Bot-Accounts/);
+    });
+});
+
+test('broadcaster events are only subscribed in the channel of the bot account', async (t) => {
+    const scopes = ['moderator:read:followers', 'channel:read:subscriptions', 'bits:read'];
+    const ctx = await startTestBot({
+        env: { EVENTSUB_TRANSPORT: 'webhook', EVENTSUB_SECRET: 'test-secret-1234', EVENTSUB_CALLBACK_URL: 'https://bot.example/eventsub' },
+        data: {
+            channels: [
+                { username: 'test', id: '100', settings: { events: { cheer: { enabled: false } } } },
+                { username: 'bot', id: '1', settings: {} }
+            ]
+        },
+        routes: {
+            'GET /oauth2/validate': () => ({ client_id: 'stub-client', login: 'bot', user_id: '1', scopes }),
+            'GET /helix/eventsub/subscriptions': () => ({ data: [], total: 0, total_cost: 0, max_total_cost: 10000, pagination: {} }),
+            'POST /helix/eventsub/subscriptions': (req, url, body) => ({
+                status: 202,
+                json: { data: [{ id: body.type, type: body.type, status: 'webhook_callback_verification_pending', cost: 0, condition: body.condition, transport: body.transport }] }
+            })
+        }
+    });
+    t.after(() => ctx.stop());
+
+    const created = ctx.api.requests.filter(r => r.method === 'POST' && r.path === '/helix/eventsub/subscriptions');
+    const typesOf = id => created.filter(r => (r.body.condition.broadcaster_user_id || r.body.condition.to_broadcaster_user_id) === id).map(r => r.body.type).sort();
+    assert.deepStrictEqual(typesOf('100'), ['channel.follow', 'channel.raid']);
+    assert.deepStrictEqual(typesOf('1'), ['channel.cheer', 'channel.follow', 'channel.raid', 'channel.subscribe', 'channel.subscription.gift']);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChatQueue } = require('../src/chatqueue');
+
+// send runs in a promise callback after the pump
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function startQueue(t, { mod = false } = {}) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const sent = [];
+    const queue = createChatQueue({ send: (channel, message) => sent.push(message), isModerator: () => mod });
+    t.after(() => queue.stop());
+    return { queue, sent };
+}
+
+async function advance(t, ms) {
+    t.mock.timers.tick(ms);
+    await settle();
+}
+
+test('system messages are sent before normal and bulk ones', async (t) => {
+    const { queue, sent } = startQueue(t, { mod: true });
+    queue.say('#test', 'pyramide', 'bulk');
+    queue.say('#test', 'antwort');
+    queue.say('#test', 'reminder', 'system');
+    queue.say('#test', 'noch eine antwort');
+
+    for (let i = 0; i < 4; i++) await advance(t, 50);
+    assert.deepStrictEqual(sent, ['reminder', 'antwort', 'noch eine antwort', 'pyramide']);
+});
+
+test('without mod a channel sends once per interval and 20 messages per 30 seconds', async (t) => {
+    const { queue, sent } = startQueue(t);
+    for (let i = 1; i <= 21; i++) queue.say('#test', `nachricht ${i}`);
+
+    await advance(t, 0);
+    assert.strictEqual(sent.length, 1);
+    await advance(t, 1000);
+    assert.strictEqual(sent.length, 1);
+    await advance(t, 100);
+    assert.strictEqual(sent.length, 2);
+
+    for (let i = 0; i < 25; i++) await advance(t, 1100);
+    assert.strictEqual(sent.length, 20);
+    assert.strictEqual(queue.size('#test'), 1);
+
+    await advance(t, 30000 - 26 * 1100);
+    assert.strictEqual(sent.length, 21);
+});
+
+test('repeats within 30 seconds get the invisible suffix, chat commands never do', async (t) => {
+    const { queue, sent } = startQueue(t, { mod: true });
+    ['/me hallo', '/me hallo', '/me hallo', '/timeout @kim 10', '/timeout @kim 10'].forEach(m => queue.say('#test', m));
+    for (let i = 0; i < 5; i++) await advance(t, 50);
+    assert.deepStrictEqual(sent, ['/me hallo', '/me hallo \u{E0000}', '/me hallo', '/timeout @kim 10', '/timeout @kim 10']);
+
+    queue.say('#test', '/me tschüss');
+    await advance(t, 50);
+    await advance(t, 31000);
+    queue.say('#test', '/me tschüss');
+    await advance(t, 0);
+    assert.deepStrictEqual(sent.slice(5), ['/me tschüss', '/me tschüss']);
+});
+
+test('purge drops everything but system messages of a channel', async (t) => {
+    const { queue, sent } = startQueue(t);
+    queue.say('#test', 'erste');
+    await advance(t, 0);
+    ['spam 1', 'spam 2'].forEach(m => queue.say('#test', m, 'bulk'));
+    queue.say('#test', 'antwort');
+    queue.say('#test', 'reminder', 'system');
+    queue.say('#other', 'andere');
+
+    assert.strictEqual(queue.purge('#test'), 3);
+    assert.strictEqual(queue.size('#test'), 1);
+    assert.strictEqual(queue.purge('#leer'), 0);
+
+    for (let i = 0; i < 3; i++) await advance(t, 1100);
+    assert.deepStrictEqual(sent.sort(), ['andere', 'erste', 'reminder']);
+});
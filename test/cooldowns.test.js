@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot } = require('./helpers/testbot');
+const { normalizeWindows, mergeWindows, createCooldownManager, PERSIST_AFTER_MS } = require('../src/cooldowns');
+
+const alice = { channel: '#test', user: 'alice' };
+const bob = { channel: '#test', user: 'bob' };
+const elsewhere = { channel: '#other', user: 'alice' };
+
+test('cooldown declarations and channel overrides', () => {
+    assert.deepStrictEqual(normalizeWindows(5), { user: 5 });
+    assert.deepStrictEqual(normalizeWindows({ global: 60, channel: 'x', user: -1 }), { global: 60 });
+    assert.deepStrictEqual(mergeWindows({ user: 60, channel: 15 }, { user: 0 }), { user: 0, channel: 15 });
+});
+
+test('each scope blocks its own targets until the window ends', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cooldowns = createCooldownManager();
+
+    cooldowns.hit('gamba', { user: 10 }, alice);
+    assert.strictEqual(cooldowns.check('gamba', { user: 10 }, alice).ok, false);
+    assert.strictEqual(cooldowns.check('gamba', { user: 10 }, bob).ok, true);
+    assert.strictEqual(cooldowns.check('slots', { user: 10 }, alice).ok, true);
+
+    cooldowns.hit('duel', { channel: 30 }, alice);
+    assert.strictEqual(cooldowns.check('duel', { channel: 30 }, bob).ok, false);
+    assert.strictEqual(cooldowns.check('duel', { channel: 30 }, elsewhere).ok, true);
+
+    cooldowns.hit('rain', { global: 60 }, alice);
+    assert.strictEqual(cooldowns.check('rain', { global: 60 }, elsewhere).ok, false);
+    // A window switched off by an override does not block
+    assert.strictEqual(cooldowns.check('rain', { global: 0 }, elsewhere).ok, true);
+
+    t.mock.timers.tick(10 * 1000);
+    assert.strictEqual(cooldowns.check('gamba', { user: 10 }, alice).ok, true);
+    assert.strictEqual(cooldowns.check('duel', { channel: 30 }, bob).ok, false);
+    t.mock.timers.tick(50 * 1000);
+    assert.strictEqual(cooldowns.check('rain', { global: 60 }, elsewhere).ok, true);
+});
+
+test('the longest blocking window counts and only the first blocked call is notified', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cooldowns = createCooldownManager();
+    const windows = { user: 60, channel: 15 };
+
+    cooldowns.hit('gamba', windows, alice);
+    t.mock.timers.tick(5000);
+    assert.deepStrictEqual(cooldowns.check('gamba', windows, alice), { ok: false, remainingMs: 55000, notify: true });
+    assert.deepStrictEqual(cooldowns.check('gamba', windows, alice), { ok: false, remainingMs: 55000, notify: false });
+    assert.deepStrictEqual(cooldowns.check('gamba', windows, bob), { ok: false, remainingMs: 10000, notify: true });
+
+    // The channel window still blocks alice, and bob already got the reply for it
+    cooldowns.reset('gamba', 'user', alice);
+    assert.strictEqual(cooldowns.check('gamba', windows, alice).notify, false);
+});
+
+test('long windows are persisted and restored', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const persisted = [];
+    const cooldowns = createCooldownManager({ onPersist: (key, expiresAt) => persisted.push({ key, expiresAt }) });
+
+    cooldowns.hit('bonus', { user: 60, global: PERSIST_AFTER_MS / 1000 }, alice);
+    assert.deepStrictEqual(persisted, [{ key: 'bonus|global', expiresAt: PERSIST_AFTER_MS }]);
+
+    const restored = createCooldownManager();
+    restored.load([...persisted, { key: 'bonus|user|bob', expiresAt: 0 }]);
+    assert.strictEqual(restored.check('bonus', { global: 300 }, bob).ok, false);
+    assert.strictEqual(restored.check('bonus', { user: 60 }, bob).ok, true);
+});
+
+test('command cooldowns in chat', async (t) => {
+    const ctx = await startTestBot();
+    t.after(() => ctx.stop());
+
+    await ctx.chat('mod', '-settings set cooldown help 600 user', { mod: true });
+    await ctx.client.waitFor('cooldown help = 600s user');
+
+    await ctx.chat('alice', '-help help');
+    const blocked = ctx.client.waitFor('warte noch');
+    await ctx.chat('alice', '-help help');
+    assert.strictEqual(await blocked, '/me @alice warte noch 600 Sekunden.');
+    await ctx.chat('alice', '-help help');
+    const other = ctx.client.waitFor('@bob');
+    await ctx.chat('bob', '-help help');
+    await other;
+    assert.strictEqual(ctx.client.said.filter(m => m.message.includes('warte noch')).length, 1);
+
+    const [stored] = await ctx.storage.cooldowns.active(Date.now());
+    assert.strictEqual(stored.key, 'help|user|alice');
+
+    const restarted = await startTestBot({ data: { cooldowns: { [stored.key]: stored.expiresAt } } });
+    t.after(() => restarted.stop());
+    const blockedAfterRestart = restarted.client.waitFor('warte noch');
+    await restarted.chat('alice', '-help help');
+    assert.match(await blockedAfterRestart, /^\/me @alice warte noch \d+ Sekunden\.$/);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEventSubManager, formatEventSubStatus } = require('../src/eventsub');
+const { createMemoryStorage } = require('../src/storage');
+
+/**
+ * Helix stand-in keeping subscriptions in an array.
+ */
+function fakeHelix(existing = [], { maxTotalCost = 10 } = {}) {
+    const subs = [...existing];
+    const calls = [];
+    let nextId = 1;
+    return {
+        subs,
+        calls,
+        async list() {
+            calls.push('list');
+            return { data: [...subs], total: subs.length, totalCost: subs.reduce((sum, s) => sum + s.cost, 0), maxTotalCost };
+        },
+        async create(type, version, targetId, transport) {
+            calls.push(`create ${type}:${targetId}`);
+            const sub = { id: `new${nextId++}`, type, version, status: 'enabled', cost: 1, condition: { broadcaster_user_id: targetId }, transport };
+            subs.push(sub);
+            return [sub];
+        },
+        async remove(id) {
+            calls.push(`delete ${id}`);
+            subs.splice(subs.findIndex(s => s.id === id), 1);
+            return true;
+        }
+    };
+}
+
+function websocketSub(id, type, targetId, sessionId, status = 'enabled') {
+    return { id, type, status, cost: 1, condition: { broadcaster_user_id: targetId }, transport: { method: 'websocket', session_id: sessionId } };
+}
+
+function notification(type, targetId, channel = '#test') {
+    return { channel, targetChannel: `user${targetId}`, targetId, type };
+}
+
+test('reconcile creates missing and deletes orphaned subscriptions', async () => {
+    const storage = createMemoryStorage({
+        notifications: [notification('title', '1'), notification('game', '1', '#other'), notification('live', '2')]
+    });
+    const helix = fakeHelix([
+        websocketSub('keep', 'channel.update', '1', 's1'),
+        websocketSub('stale', 'stream.online', '2', 'old-session', 'websocket_disconnected'),
+        websocketSub('orphan', 'stream.offline', '3', 's1'),
+        { id: 'hook', type: 'channel.raid', status: 'enabled', cost: 1, condition: { broadcaster_user_id: '4' }, transport: { method: 'webhook' } }
+    ]);
+    const manager = createEventSubManager({ storage, helix });
+    manager.setSession('s1');
+
+    const status = await manager.reconcile();
+    assert.deepStrictEqual(helix.calls.filter(c => c !== 'list').sort(), ['create stream.online:2', 'delete orphan', 'delete stale']);
+    assert.deepStrictEqual(helix.subs.map(s => s.id).sort(), ['hook', 'keep', 'new1']);
+    assert.strictEqual(status.active, 2);
+    assert.strictEqual(status.wanted, 2);
+    assert.ok(status.lastReconcile > 0);
+});
+
+test('ensure subscribes once and release only deletes unused subscriptions', async () => {
+    const storage = createMemoryStorage({ notifications: [notification('title', '1')] });
+    const helix = fakeHelix();
+    const manager = createEventSubManager({ storage, helix });
+    manager.setSession('s1');
+    await manager.reconcile();
+
+    await storage.notifications.create(notification('game', '1', '#other'));
+    await manager.ensure('channel.update', '1');
+    assert.strictEqual(helix.calls.filter(c => c.startsWith('create')).length, 1);
+
+    await storage.notifications.remove({ type: 'title' });
+    assert.strictEqual(await manager.release('channel.update', '1'), false);
+    await storage.notifications.remove({ type: 'game' });
+    assert.strictEqual(await manager.release('channel.update', '1'), true);
+    assert.deepStrictEqual(helix.subs, []);
+    assert.strictEqual(manager.has('channel.update', '1'), false);
+});
+
+test('ensure does nothing without a session', async () => {
+    const storage = createMemoryStorage({ notifications: [notification('live', '1')] });
+    const helix = fakeHelix();
+    const manager = createEventSubManager({ storage, helix });
+    await manager.ensure('stream.online', '1');
+    assert.deepStrictEqual(helix.calls, []);
+    assert.strictEqual(formatEventSubStatus(manager.status()), 'EventSub ist nicht verbunden.');
+});
+
+test('the subscription and cost limits stop new subscriptions', async () => {
+    const storage = createMemoryStorage({ notifications: ['1', '2', '3'].map(id => notification('live', id)) });
+
+    const capped = createEventSubManager({ storage, helix: fakeHelix(), maxSubscriptions: 2, concurrency: 1 });
+    capped.setSession('s1');
+    const status = await capped.reconcile();
+    assert.strictEqual(status.active, 2);
+    assert.deepStrictEqual(status.failed, [{ key: 'stream.online:3', reason: 'Limit von 2 Subscriptions erreicht' }]);
+
+    const costly = createEventSubManager({ storage, helix: fakeHelix([], { maxTotalCost: 1 }), concurrency: 1 });
+    costly.setSession('s1');
+    const costStatus = await costly.reconcile();
+    assert.strictEqual(costStatus.active, 1);
+    assert.strictEqual(costStatus.failed.length, 2);
+    assert.match(costStatus.failed[0].reason, /Kostenlimit 1/);
+});
+
+test('revocations are dropped and shown in the status', async () => {
+    const storage = createMemoryStorage({ notifications: [notification('live', '1')] });
+    const manager = createEventSubManager({ storage, helix: fakeHelix() });
+    manager.setSession('s1');
+    await manager.reconcile();
+
+    manager.handleRevocation(websocketSub('new1', 'stream.online', '1', 's1', 'authorization_revoked'));
+    const status = manager.status();
+    assert.strictEqual(status.active, 0);
+    assert.deepStrictEqual(status.revoked.map(r => [r.key, r.status]), [['stream.online:1', 'authorization_revoked']]);
+    assert.match(formatEventSubStatus(status), /^EventSub \(websocket\): 0\/1 Subscriptions aktiv \(max 100\) \| Kosten 0\/10 \| widerrufen: stream\.online:1 \(authorization_revoked\)/);
+});
+
+test('revoked subscriptions free their place in the limits', async () => {
+    const storage = createMemoryStorage({ notifications: [notification('live', '1')] });
+    const helix = fakeHelix([], { maxTotalCost: 1 });
+    const manager = createEventSubManager({ storage, helix, maxSubscriptions: 1 });
+    manager.setSession('s1');
+    await manager.reconcile();
+    assert.deepStrictEqual([manager.status().total, manager.status().totalCost], [1, 1]);
+
+    manager.handleRevocation(websocketSub('new1', 'stream.online', '1', 's1', 'user_removed'));
+    assert.deepStrictEqual([manager.status().total, manager.status().totalCost], [0, 0]);
+
+    await storage.notifications.create(notification('live', '2'));
+    await manager.ensure('stream.online', '2');
+    const status = manager.status();
+    assert.deepStrictEqual([status.active, status.total, status.failed], [1, 1, []]);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, CHANNEL } = require('./helpers/testbot');
+const { createFakeEventSubSender } = require('./helpers/eventsubsender');
+const { signMessage, verifySignature } = require('../src/eventsubwebhook');
+
+const SECRET = 'test-secret-1234';
+const CALLBACK = 'https://bot.example/eventsub';
+
+test('verifySignature checks the HMAC of id, timestamp and body', () => {
+    const headers = {
+        'twitch-eventsub-message-id': 'abc',
+        'twitch-eventsub-message-timestamp': '2026-01-01T00:00:00Z',
+        'twitch-eventsub-message-signature': signMessage(SECRET, 'abc', '2026-01-01T00:00:00Z', '{}')
+    };
+    assert.strictEqual(verifySignature(SECRET, headers, '{}'), true);
+    assert.strictEqual(verifySignature(SECRET, headers, '{"x":1}'), false);
+    assert.strictEqual(verifySignature('other-secret', headers, '{}'), false);
+    assert.strictEqual(verifySignature(SECRET, { ...headers, 'twitch-eventsub-message-signature': 'sha256=00' }, '{}'), false);
+});
+
+test('eventsub webhook transport', async (t) => {
+    const ctx = await startTestBot({
+        users: { streamer: '200' },
+        env: { EVENTSUB_TRANSPORT: 'webhook', EVENTSUB_SECRET: SECRET, EVENTSUB_CALLBACK_URL: CALLBACK },
+        data: { notifications: [{ channel: CHANNEL, targetChannel: 'streamer', targetId: '200', type: 'live', subscription: 'stream.online', pings: [] }] },
+        routes: {
+            'GET /helix/eventsub/subscriptions': () => ({ data: [], total: 0, total_cost: 0, max_total_cost: 10000, pagination: {} }),
+            'POST /helix/eventsub/subscriptions': (req, url, body) => ({
+                status: 202,
+                json: { data: [{ id: 'hook1', type: body.type, status: 'webhook_callback_verification_pending', cost: 1, condition: body.condition, transport: { method: 'webhook', callback: body.transport.callback } }] }
+            })
+        }
+    });
+    t.after(() => ctx.stop());
+    const sender = createFakeEventSubSender({ url: `http://127.0.0.1:${ctx.bot.server.address().port}/eventsub`, secret: SECRET });
+
+    await t.test('subscribes with the webhook callback on start', async () => {
+        const created = ctx.api.requests.filter(r => r.method === 'POST' && r.path === '/helix/eventsub/subscriptions' && r.body.condition.broadcaster_user_id === '200');
+        assert.deepStrictEqual(created.map(r => r.body.transport), [{ method: 'webhook', callback: CALLBACK, secret: SECRET }]);
+        assert.strictEqual(ctx.bot.eventSub.has('stream.online', '200'), true);
+    });
+
+    await t.test('answers the callback verification with the challenge', async () => {
+        const res = await sender.challenge('stream.online', '200', 'pogchamp-kappa');
+        assert.deepStrictEqual(res, { status: 200, text: 'pogchamp-kappa' });
+    });
+
+    await t.test('rejects wrong signatures and old messages', async () => {
+        const event = { broadcaster_user_id: '200', broadcaster_user_login: 'streamer', type: 'live' };
+        const forged = await sender.notification('stream.online', event, { signature: 'sha256=' + '0'.repeat(64) });
+        assert.strictEqual(forged.status, 403);
+
+        const old = await sender.notification('stream.online', event, { timestamp: new Date(Date.now() - 11 * 60 * 1000).toISOString() });
+        assert.strictEqual(old.status, 403);
+        assert.strictEqual(ctx.client.said.length, 0);
+    });
+
+    await t.test('delivers notifications once per message id', async () => {
+        const event = { broadcaster_user_id: '200', broadcaster_user_login: 'streamer', type: 'live' };
+        const posted = ctx.client.waitFor('ist jetzt live');
+        const first = await sender.notification('stream.online', event, { messageId: 'msg-1' });
+        assert.strictEqual(first.status, 204);
+        assert.strictEqual(await posted, 'wideSpeedNod streamer ist jetzt live');
+
+        const retry = await sender.notification('stream.online', event, { messageId: 'msg-1' });
+        assert.strictEqual(retry.status, 204);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(ctx.client.said.filter(m => m.message.includes('ist jetzt live')).length, 1);
+    });
+
+    await t.test('revocations reach the manager', async () => {
+        const res = await sender.revocation('stream.online', '200', 'authorization_revoked');
+        assert.strictEqual(res.status, 204);
+        assert.strictEqual(ctx.bot.eventSub.has('stream.online', '200'), false);
+        assert.deepStrictEqual(ctx.bot.eventSub.status().revoked.map(r => r.status), ['authorization_revoked']);
+    });
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot } = require('./helpers/testbot');
+const { HINT_INTERVAL_MS } = require('../src/emotegame');
+
+const EMOTES = Array.from({ length: 20 }, (_, i) => `emote${i}`);
+
+// Math.random replacement that cycles through values (gamba needs distinct reel picks)
+function cycle(values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+async function balanceOf(storage, user) {
+    return (await storage.users.get(user)).balance;
+}
+
+test('gamba', async (t) => {
+    const ctx = await startTestBot({
+        emotes: EMOTES,
+        data: { users: { alice: { balance: 1000 }, bob: { balance: 1000 }, carol: { balance: 50 }, dave: { balance: 1000 } } }
+    });
+    t.after(() => ctx.stop());
+
+    await t.test('loads the 7TV emotes of the channel from the stub API', () => {
+        assert.ok(ctx.api.requests.some(r => r.path === '/v3/users/twitch/100'));
+    });
+
+    await t.test('a win doubles the bet in one booking', async (t) => {
+        t.mock.method(Math, 'random', cycle([0.1, 0.3, 0.5]));
+        const reply = ctx.client.waitFor('gewonnen');
+        await ctx.chat('alice', '-gamba 100');
+        assert.match(await reply, /@alice ALTA gewonnen, aktuelle balance: 1\.100 Star/);
+        assert.strictEqual(await balanceOf(ctx.storage, 'alice'), 1100);
+
+        const entries = await ctx.storage.ledger.find({ user: 'alice' });
+        assert.deepStrictEqual(entries.map(e => [e.reason, e.delta, e.balance]), [['win', 100, 1100]]);
+    });
+
+    await t.test('a failing write takes nothing', async (t) => {
+        t.mock.method(Math, 'random', cycle([0.1, 0.3, 0.5]));
+        t.mock.method(ctx.storage.users, 'adjustBalance', async () => {
+            throw new Error('disk full');
+        });
+        const errors = t.mock.method(console, 'error', () => {});
+        await ctx.chat('dave', '-gamba 100');
+        assert.ok(errors.mock.calls.some(c => c.arguments[0] === 'Fehler im gamba-Command:'));
+        t.mock.restoreAll();
+
+        assert.strictEqual(await balanceOf(ctx.storage, 'dave'), 1000);
+        assert.deepStrictEqual(await ctx.storage.ledger.find({ user: 'dave' }), []);
+    });
+
+    await t.test('a loss takes the bet', async (t) => {
+        t.mock.method(Math, 'random', cycle([0.85, 0.9, 0.95]));
+        const reply = ctx.client.waitFor('verloren');
+        await ctx.chat('bob', '-gamba half');
+        assert.match(await reply, /@bob eww verloren, aktuelle balance: 500 Star/);
+        assert.strictEqual(await balanceOf(ctx.storage, 'bob'), 500);
+    });
+
+    await t.test('a bet above the balance is refused', async () => {
+        const reply = ctx.client.waitFor('idiot');
+        await ctx.chat('carol', '-gamba 100');
+        assert.strictEqual(await reply, '/me @carol idiot du hast nur 50 Star');
+        assert.strictEqual(await balanceOf(ctx.storage, 'carol'), 50);
+    });
+});
+
+test('bj', async (t) => {
+    const ctx = await startTestBot({
+        emotes: EMOTES,
+        data: { users: { alice: { balance: 1000 }, carol: { balance: 50 } } }
+    });
+    t.after(() => ctx.stop());
+
+    await t.test('a game pays out at most once and matches the ledger', async () => {
+        const started = ctx.client.waitFor(m => /blackjack gestartet|BLACKJACK|blackjack push/.test(m));
+        await ctx.chat('alice', '-bj 100');
+        const message = await started;
+
+        if (message.includes('blackjack gestartet')) {
+            assert.strictEqual(await balanceOf(ctx.storage, 'alice'), 900);
+            assert.match(message, /einsatz: 100, deine hand: \[ .+ \] \(\d+\)/);
+
+            const result = ctx.client.waitFor('Stand.');
+            await ctx.chat('alice', '-stand');
+            await result;
+        }
+
+        const balance = await balanceOf(ctx.storage, 'alice');
+        assert.ok([900, 1000, 1100, 1150].includes(balance), `balance ${balance}`);
+
+        const entries = await ctx.storage.ledger.find({ user: 'alice' });
+        assert.strictEqual(1000 + entries.reduce((sum, e) => sum + e.delta, 0), balance);
+        assert.ok(entries.every(e => e.game === 'bj'));
+    });
+
+    await t.test('a bet above the balance is refused', async () => {
+        const reply = ctx.client.waitFor('idiot');
+        await ctx.chat('carol', '-bj 100');
+        assert.strictEqual(await reply, '/me @carol idiot du hast nur 50 Star');
+    });
+});
+
+test('emote rounds', async (t) => {
+    const ctx = await startTestBot({
+        emotes: ['Kappa'],
+        data: {
+            emoteRounds: {
+                '#test': {
+                    history: [{ emote: 'PogChamp', winner: 'alice', hints: 2, reward: 476, endedAt: 1 }],
+                    streak: { user: 'alice', count: 2, bestUser: 'alice', best: 2 }
+                }
+            }
+        }
+    });
+    t.after(() => ctx.stop());
+
+    await t.test('history and streak survive a restart', async () => {
+        const reply = ctx.client.waitFor('Letzte Runden');
+        await ctx.chat('bob', '-raten history');
+        assert.strictEqual(await reply, '/me @bob Letzte Runden: PogChamp (alice, 2 Tipps)');
+    });
+
+    await t.test('a won round is stored with the streak', async () => {
+        await ctx.chat('alice', '-raten');
+        await ctx.client.waitFor('Emote raten gestartet');
+        const won = ctx.client.waitFor('hat es erraten');
+        await ctx.chat('alice', 'Kappa');
+        assert.match(await won, /Streak: 3$/);
+
+        const { '#test': saved } = await ctx.storage.emoteRounds.all();
+        assert.deepStrictEqual(saved.history.map(h => h.emote), ['Kappa', 'PogChamp']);
+        assert.deepStrictEqual(saved.streak, { user: 'alice', count: 3, bestUser: 'alice', best: 3 });
+    });
+
+    await t.test('a failing balance write is logged instead of rejecting', async (t) => {
+        t.mock.method(ctx.storage.users, 'adjustBalance', async () => {
+            throw new Error('disk full');
+        });
+        const errors = t.mock.method(console, 'error', () => {});
+        const started = ctx.client.waitFor('Emote raten gestartet');
+        await ctx.chat('bob', '-raten');
+        await started;
+        await ctx.chat('bob', 'Kappa');
+        assert.ok(errors.mock.calls.some(c => c.arguments[0] === 'Fehler beim Beenden der Emote-Runde:'));
+    });
+});
+
+test('stop ends the hint timer of a running emote round', async (t) => {
+    const ctx = await startTestBot({ emotes: ['Kappa'] });
+    const timeouts = t.mock.method(global, 'setTimeout');
+    const cleared = t.mock.method(global, 'clearTimeout');
+
+    await ctx.chat('alice', '-raten');
+    await ctx.client.waitFor('Emote raten gestartet');
+    const hint = timeouts.mock.calls.find(c => c.arguments[1] === HINT_INTERVAL_MS).result;
+
+    await ctx.stop();
+    assert.ok(cleared.mock.calls.some(c => c.arguments[0] === hint));
+});
+
+test('audit export', async (t) => {
+    const ctx = await startTestBot({
+        users: { mod: '5' },
+        data: {
+            ledger: [
+                { user: 'alice', delta: 100, balance: 100, reason: 'claim', game: null, channel: '#test', timestamp: 1 },
+                { user: 'alice', delta: 50, balance: 150, reason: 'claim', game: null, channel: '#other', timestamp: 2 },
+                { user: 'bob', delta: 70, balance: 70, reason: 'claim', game: null, channel: '#other', timestamp: 3 }
+            ]
+        },
+        routes: { 'POST /helix/whispers': () => ({ status: 204 }) }
+    });
+    t.after(() => ctx.stop());
+
+    await t.test('the link is whispered and works once', async () => {
+        const reply = ctx.client.waitFor('Export-Link');
+        await ctx.chat('mod', '-audit export', { mod: true });
+        assert.strictEqual(await reply, '/me @mod Export-Link per Whisper geschickt');
+        assert.ok(ctx.client.said.every(m => !m.message.includes('ledger.csv')));
+
+        const whisper = ctx.api.requests.find(r => r.path === '/helix/whispers');
+        assert.strictEqual(whisper.query.to_user_id, '5');
+        const [link] = whisper.body.message.match(/http\S+/);
+        const url = link.replace(/^http:\/\/localhost/, 'http://127.0.0.1');
+
+        const first = await fetch(url);
+        assert.strictEqual(first.status, 200);
+        const rows = (await first.text()).split('\n').slice(1);
+        assert.deepStrictEqual(rows.map(row => row.split(',').slice(1, 3)), [['alice', '100']]);
+        assert.strictEqual((await fetch(url)).status, 403);
+    });
+});
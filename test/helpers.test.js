@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getHandValue } = require('../src/bot');
+const { parseHint } = require('../src/7tv');
+
+const card = value => ({ value, suit: '♠' });
+
+function matching(hint, names) {
+    const filters = parseHint(hint);
+    return names.filter(name => filters.every(f => f(name)));
+}
+
+test('getHandValue counts faces as 10 and aces as 11 or 1', () => {
+    assert.strictEqual(getHandValue([card('A'), card('K')]), 21);
+    assert.strictEqual(getHandValue([card('K'), card('Q'), card('5')]), 25);
+    assert.strictEqual(getHandValue([card('A'), card('5'), card('K')]), 16);
+    assert.strictEqual(getHandValue([card('A'), card('A'), card('9')]), 21);
+    assert.strictEqual(getHandValue([card('10'), card('7')]), 17);
+});
+
+test('parseHint short codes filter by length and position', () => {
+    const names = ['catJAM', 'catKISS', 'Clap', 'coolCat'];
+    assert.deepStrictEqual(matching('6', names), ['catJAM']);
+    assert.deepStrictEqual(matching('4=J', names), ['catJAM']);
+    assert.deepStrictEqual(matching('7 1=c', names), ['catKISS', 'coolCat']);
+    assert.deepStrictEqual(matching('2:o', names), ['coolCat']);
+    assert.deepStrictEqual(matching('3 a', names), ['Clap']);
+});
+
+test('parseHint reads the hint sentences of the emote game', () => {
+    const names = ['catJAM', 'catKISS', 'Clap', 'coolCat'];
+    assert.deepStrictEqual(matching('Das Emote hat 4 Buchstaben', names), ['Clap']);
+    assert.deepStrictEqual(matching('Tips: erster Buchstabe: c, letzter Buchstabe: s', names), ['catKISS']);
+    assert.deepStrictEqual(matching('Tips: vorletzter Buchstabe: a', names), ['catJAM', 'Clap', 'coolCat']);
+});
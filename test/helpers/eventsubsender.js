@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { HEADER_ID, HEADER_TIMESTAMP, HEADER_SIGNATURE, HEADER_TYPE, signMessage } = require('../../src/eventsubwebhook');
+
+/**
+ * Plays Twitch for the EventSub webhook: signs and POSTs messages to url.
+ * Every method resolves { status, text }. overrides: { messageId, timestamp, signature }.
+ */
+function createFakeEventSubSender({ url, secret }) {
+    async function send(messageType, payload, overrides = {}) {
+        const body = JSON.stringify(payload);
+        const messageId = overrides.messageId || crypto.randomUUID();
+        const timestamp = overrides.timestamp || new Date().toISOString();
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                [HEADER_ID]: messageId,
+                [HEADER_TIMESTAMP]: timestamp,
+                [HEADER_TYPE]: messageType,
+                [HEADER_SIGNATURE]: overrides.signature || signMessage(secret, messageId, timestamp, body)
+            },
+            body
+        });
+        return { status: res.status, text: await res.text() };
+    }
+
+    function subscription(type, broadcasterId, status = 'enabled') {
+        return { id: `sub-${type}-${broadcasterId}`, type, version: '1', status, condition: { broadcaster_user_id: broadcasterId }, transport: { method: 'webhook', callback: url } };
+    }
+
+    return {
+        send,
+        challenge: (type, broadcasterId, challenge) => send('webhook_callback_verification', {
+            subscription: subscription(type, broadcasterId, 'webhook_callback_verification_pending'),
+            challenge
+        }),
+        notification: (type, event, overrides) => send('notification', { subscription: subscription(type, event.broadcaster_user_id), event }, overrides),
+        revocation: (type, broadcasterId, status) => send('revocation', { subscription: subscription(type, broadcasterId, status) })
+    };
+}
+
+module.exports = {
+    createFakeEventSubSender
+};
@@ -0,0 +1,74 @@
+const EventEmitter = require('events');
+
+/**
+ * Stand-in for tmi.Client. Records everything the bot sends, the bot is mod in every
+ * joined channel unless mod is false (mod makes the chat queue send without the 1s pause).
+ */
+function createFakeClient({ mod = true } = {}) {
+    const client = new EventEmitter();
+    let open = false;
+    const channels = [];
+
+    client.said = []; // [{ channel, message }]
+    client.userstate = {};
+
+    client.connect = async () => {
+        open = true;
+    };
+    client.disconnect = async () => {
+        open = false;
+    };
+    client.readyState = () => (open ? 'OPEN' : 'CLOSED');
+    client.getChannels = () => [...channels];
+
+    client.join = async (channel) => {
+        const name = '#' + channel.replace('#', '').toLowerCase();
+        if (!channels.includes(name)) channels.push(name);
+        client.userstate[name] = { mod, badges: {} };
+    };
+    client.part = async (channel) => {
+        const name = '#' + channel.replace('#', '').toLowerCase();
+        channels.splice(channels.indexOf(name), 1);
+        delete client.userstate[name];
+    };
+
+    client.say = async (channel, message) => {
+        client.said.push({ channel, message });
+        client.emit('said', { channel, message });
+    };
+
+    /**
+     * Resolves with the first sent message (from now on) that matches, rejects after timeoutMs.
+     */
+    client.waitFor = (predicate, timeoutMs = 2000) => new Promise((resolve, reject) => {
+        const test = typeof predicate === 'function' ? predicate : (m => m.includes(predicate));
+        const timer = setTimeout(() => {
+            client.off('said', onSaid);
+            reject(new Error(`Keine passende Nachricht, gesendet: ${JSON.stringify(client.said.map(s => s.message))}`));
+        }, timeoutMs);
+        function onSaid({ message }) {
+            if (!test(message)) return;
+            clearTimeout(timer);
+            client.off('said', onSaid);
+            resolve(message);
+        }
+        client.on('said', onSaid);
+    });
+
+    return client;
+}
+
+/**
+ * tmi.js style tags for a chat message.
+ */
+function userTags(username, { mod = false, broadcaster = false, id = '1' } = {}) {
+    const badges = {};
+    if (mod) badges.moderator = '1';
+    if (broadcaster) badges.broadcaster = '1';
+    return { username, 'display-name': username, 'user-id': id, mod, badges };
+}
+
+module.exports = {
+    createFakeClient,
+    userTags
+};
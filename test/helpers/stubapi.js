@@ -0,0 +1,73 @@
+const http = require('http');
+const { DEFAULT_API_HOSTS } = require('../../src/apihosts');
+
+/**
+ * Local stand-in for Helix, 7TV, BTTV, FFZ, Last.fm and tikwm. The paths of these APIs
+ * don't overlap, so one server answers for all of them.
+ *
+ * routes: { 'GET /helix/users': (req, url, body) => response }, a response is a plain
+ * object (sent as JSON with status 200) or { status, json }. Unknown routes answer 404.
+ * Every request is recorded in requests as { method, path, query, body }, form bodies are
+ * parsed into an object like JSON ones.
+ */
+async function startStubApi(routes = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://stub');
+            const form = (req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded');
+            const body = !raw ? null : form ? Object.fromEntries(new URLSearchParams(raw)) : JSON.parse(raw);
+            requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+            const route = routes[`${req.method} ${url.pathname}`];
+            const response = route ? route(req, url, body) : { status: 404, json: { error: 'Not Found' } };
+            const { status, json } = response && response.status ? response : { status: 200, json: response };
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(json === undefined ? '' : JSON.stringify(json));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        routes,
+        requests,
+        // Overrides for setApiHosts / createBot({ apiHosts })
+        hosts: Object.fromEntries(Object.keys(DEFAULT_API_HOSTS).map(name => [name, base])),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Routes for a Twitch with the given users ({ login: id }) and 7TV emotes per channel id.
+ */
+function twitchRoutes({ users = {}, emotes = {}, channels = {} } = {}) {
+    const byId = Object.fromEntries(Object.entries(users).map(([login, id]) => [id, login]));
+    return {
+        'GET /oauth2/validate': () => ({ client_id: 'stub-client', login: 'bot', scopes: [] }),
+        'GET /helix/users': (req, url) => {
+            const login = url.searchParams.get('login');
+            const id = url.searchParams.get('id');
+            if (login && users[login.toLowerCase()]) return { data: [{ id: users[login.toLowerCase()], login: login.toLowerCase() }] };
+            if (id && byId[id]) return { data: [{ id, login: byId[id] }] };
+            return { data: [] };
+        },
+        'GET /helix/channels': (req, url) => ({
+            data: url.searchParams.getAll('broadcaster_id').map(id => ({ broadcaster_id: id, title: '', game_name: '', ...channels[id] }))
+        }),
+        'POST /helix/eventsub/subscriptions': () => ({ status: 202, json: { data: [] } }),
+        ...Object.fromEntries(Object.entries(emotes).map(([id, names]) => [
+            `GET /v3/users/twitch/${id}`, () => ({ emote_set: { emotes: names.map(name => ({ name })) } })
+        ])),
+        ...Object.fromEntries(Object.keys(emotes).map(id => [`GET /3/cached/users/twitch/${id}`, () => ({ channelEmotes: [], sharedEmotes: [] })])),
+        ...Object.fromEntries(Object.keys(emotes).map(id => [`GET /v1/room/id/${id}`, () => ({ sets: {} })]))
+    };
+}
+
+module.exports = {
+    startStubApi,
+    twitchRoutes
+};
@@ -0,0 +1,49 @@
+const { createBot } = require('../../src/bot');
+const { setApiHosts, DEFAULT_API_HOSTS } = require('../../src/apihosts');
+const { createMemoryStorage } = require('../../src/storage');
+const { createFakeClient, userTags } = require('./fakechat');
+const { startStubApi, twitchRoutes } = require('./stubapi');
+
+const CHANNEL = '#test';
+
+/**
+ * Starts a bot in #test with memory storage, a fake chat and the stub API.
+ * users: { login: id } known to the stub Helix, emotes: 7TV emote names of #test.
+ * data: initial storage data (see storage/memory.js), env: extra environment variables, envFile: see createBot.
+ */
+async function startTestBot({ users = {}, emotes = [], data = {}, routes = {}, env = {}, envFile } = {}) {
+    const knownUsers = { test: '100', bot: '1', ...users };
+    const api = await startStubApi({ ...twitchRoutes({ users: knownUsers, emotes: { [knownUsers.test]: emotes } }), ...routes });
+    const client = createFakeClient();
+    const storage = createMemoryStorage({ channels: [{ username: 'test', id: knownUsers.test, settings: {} }], ...data });
+
+    const bot = createBot({
+        client,
+        storage,
+        port: 0,
+        apiHosts: api.hosts,
+        WebSocket: null,
+        envFile,
+        env: { TWITCH_USERNAME: 'bot', TWITCH_OAUTH_TOKEN: 'oauth:test', TWITCH_CHANNEL: 'test', ...env }
+    });
+    await bot.start();
+
+    return {
+        bot,
+        client,
+        api,
+        storage,
+        /** Sends a chat message to #test and waits until the bot has handled it. */
+        chat: (username, message, tagOptions) => bot.handleMessage(CHANNEL, userTags(username, tagOptions), message, false),
+        async stop() {
+            await bot.stop();
+            await api.close();
+            setApiHosts(Object.fromEntries(Object.keys(DEFAULT_API_HOSTS).map(name => [name, null])));
+        }
+    };
+}
+
+module.exports = {
+    CHANNEL,
+    startTestBot
+};
@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, CHANNEL } = require('./helpers/testbot');
+const { appendMentions, checkTemplate, renderTemplate } = require('../src/notifytypes');
+
+test('notify', async (t) => {
+    const ctx = await startTestBot({ users: { streamer: '200' }, emotes: ['catJAM'] });
+    t.after(() => ctx.stop());
+
+    await t.test('resolves the channel through Helix and stores the notification', async () => {
+        const reply = ctx.client.waitFor('aktiviert');
+        await ctx.chat('alice', '-notify title @streamer');
+        assert.strictEqual(await reply, '/me @alice Benachrichtigung für Titel-Änderungen von streamer aktiviert!');
+
+        const stored = await ctx.storage.notifications.find({ channel: CHANNEL });
+        assert.deepStrictEqual(stored.map(n => [n.targetChannel, n.targetId, n.type]), [['streamer', '200', 'title']]);
+        assert.ok(ctx.api.requests.some(r => r.path === '/helix/users' && r.query.login === 'streamer'));
+    });
+
+    await t.test('posts a title change from EventSub', async () => {
+        const posted = ctx.client.waitFor('neuer titel');
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '200', broadcaster_user_login: 'streamer', title: 'just chatting', category_name: '' });
+        assert.strictEqual(await posted, 'wideSpeedNod streamer neuer titel: just chatting');
+    });
+
+    await t.test('list shows active notifications', async () => {
+        const reply = ctx.client.waitFor('Aktive Benachrichtigungen');
+        await ctx.chat('alice', '-notify list');
+        assert.strictEqual(await reply, '/me @alice Aktive Benachrichtigungen: streamer (title)');
+    });
+
+    await t.test('the same notify again turns it off', async () => {
+        const reply = ctx.client.waitFor('deaktiviert');
+        await ctx.chat('alice', '-notify titel streamer');
+        assert.strictEqual(await reply, '/me @alice Benachrichtigung für Titel-Änderungen von streamer deaktiviert.');
+        assert.deepStrictEqual(await ctx.storage.notifications.all(), []);
+    });
+
+    await t.test('unknown channels are reported', async () => {
+        const reply = ctx.client.waitFor('nicht finden');
+        await ctx.chat('alice', '-notify game nobody');
+        assert.strictEqual(await reply, '/me @alice Konnte Twitch-Kanal nobody nicht finden.');
+    });
+
+    await t.test('live and offline notifications use the stream subscriptions', async () => {
+        const reply = ctx.client.waitFor('Streamstart');
+        await ctx.chat('alice', '-notify live streamer');
+        assert.strictEqual(await reply, '/me @alice Benachrichtigung für Streamstart von streamer aktiviert!');
+
+        await ctx.chat('alice', '-notify offline streamer');
+        await ctx.client.waitFor('Streamende');
+        const stored = await ctx.storage.notifications.find({ channel: CHANNEL });
+        assert.deepStrictEqual(stored.map(n => [n.type, n.subscription]), [['live', 'stream.online'], ['offline', 'stream.offline']]);
+    });
+
+    await t.test('stream.online and stream.offline are routed to their notifications', async () => {
+        const live = ctx.client.waitFor('ist jetzt live');
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '200', broadcaster_user_login: 'streamer', type: 'live' }, 'stream.online');
+        assert.strictEqual(await live, 'wideSpeedNod streamer ist jetzt live: just chatting');
+
+        const offline = ctx.client.waitFor('offline');
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '200', broadcaster_user_login: 'streamer' }, 'stream.offline');
+        assert.strictEqual(await offline, 'streamer ist jetzt offline Sadge');
+    });
+
+    await t.test('ping adds the sender to the mentions of a notification', async () => {
+        const reply = ctx.client.waitFor('ab jetzt');
+        await ctx.chat('bob', '-notify ping streamer live');
+        assert.strictEqual(await reply, '/me @bob Du wirst ab jetzt bei Streamstart von streamer gepingt.');
+
+        await ctx.chat('carol', '-notify ping @streamer online');
+        await ctx.client.waitFor(m => m.startsWith('/me @carol'));
+
+        const list = ctx.client.waitFor('Pings bei');
+        await ctx.chat('alice', '-notify pings streamer live');
+        assert.strictEqual(await list, '/me @alice Pings bei Streamstart von streamer: bob, carol');
+
+        const live = ctx.client.waitFor('ist jetzt live');
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '200', broadcaster_user_login: 'streamer', type: 'live' }, 'stream.online');
+        assert.strictEqual(await live, 'wideSpeedNod streamer ist jetzt live: just chatting @bob @carol');
+    });
+
+    await t.test('unping removes the sender again', async () => {
+        const reply = ctx.client.waitFor('nicht mehr');
+        await ctx.chat('bob', '-notify unping streamer live');
+        assert.strictEqual(await reply, '/me @bob Du wirst bei Streamstart von streamer nicht mehr gepingt.');
+        const [notification] = await ctx.storage.notifications.find({ type: 'live' });
+        assert.deepStrictEqual(notification.pings, ['carol']);
+    });
+
+    await t.test('ping needs an existing notification', async () => {
+        const reply = ctx.client.waitFor('Keine aktive');
+        await ctx.chat('bob', '-notify ping streamer title');
+        assert.strictEqual(await reply, '/me @bob Keine aktive Benachrichtigung für Titel-Änderungen von streamer gefunden.');
+    });
+
+    await t.test('template shows the default and stores a custom one', async () => {
+        const shown = ctx.client.waitFor('(Standard)');
+        await ctx.chat('alice', '-notify template streamer live');
+        assert.strictEqual(await shown, '/me @alice Vorlage für Streamstart von streamer (Standard): wideSpeedNod {channel} ist jetzt live: {title}');
+
+        const saved = ctx.client.waitFor('gespeichert');
+        await ctx.chat('alice', '-notify template streamer live {emote} {channel} streamt {game} - {title}');
+        await saved;
+        const [notification] = await ctx.storage.notifications.find({ type: 'live' });
+        assert.strictEqual(notification.template, '{emote} {channel} streamt {game} - {title}');
+
+        const live = ctx.client.waitFor('streamt');
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '200', broadcaster_user_login: 'streamer', type: 'live' }, 'stream.online');
+        assert.strictEqual(await live, 'catJAM streamer streamt - just chatting @carol');
+    });
+
+    await t.test('preview renders without announcing and rejects unknown placeholders', async () => {
+        const preview = ctx.client.waitFor('Vorschau');
+        await ctx.chat('alice', '-notify preview streamer live {channel} war bei {title}');
+        assert.strictEqual(await preview, '/me @alice Vorschau: streamer war bei just chatting');
+
+        const invalid = ctx.client.waitFor('Unbekannter Platzhalter');
+        await ctx.chat('alice', '-notify template streamer live {viewers}');
+        assert.match(await invalid, /\{viewers\}/);
+        const [notification] = await ctx.storage.notifications.find({ type: 'live' });
+        assert.strictEqual(notification.template, '{emote} {channel} streamt {game} - {title}');
+    });
+
+    await t.test('template reset goes back to the default', async () => {
+        const reset = ctx.client.waitFor('zurückgesetzt');
+        await ctx.chat('alice', '-notify template streamer live reset');
+        await reset;
+        const [notification] = await ctx.storage.notifications.find({ type: 'live' });
+        assert.strictEqual(notification.template, null);
+    });
+
+    await t.test('a title change does not trigger live notifications', async () => {
+        const before = ctx.client.said.length;
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '200', broadcaster_user_login: 'streamer', title: 'new', category_name: '' });
+        assert.strictEqual(ctx.client.said.length, before);
+    });
+});
+
+test('notify keeps the EventSub subscriptions in sync', async (t) => {
+    const ctx = await startTestBot({
+        users: { streamer: '200' },
+        routes: {
+            'GET /helix/eventsub/subscriptions': () => ({ data: [], total: 0, total_cost: 0, max_total_cost: 10, pagination: {} }),
+            'POST /helix/eventsub/subscriptions': (req, url, body) => ({
+                status: 202,
+                json: { data: [{ id: `sub-${body.type}`, type: body.type, status: 'enabled', cost: 1, condition: body.condition, transport: body.transport }] }
+            }),
+            'DELETE /helix/eventsub/subscriptions': () => ({ status: 204 })
+        }
+    });
+    t.after(() => ctx.stop());
+    ctx.bot.eventSub.setSession('session1');
+    await ctx.bot.eventSub.reconcile();
+
+    await t.test('-notify subscribes right away', async () => {
+        await ctx.chat('alice', '-notify live streamer');
+        await ctx.client.waitFor('aktiviert');
+        const created = ctx.api.requests.filter(r => r.method === 'POST' && r.path === '/helix/eventsub/subscriptions' && r.body.condition.broadcaster_user_id === '200');
+        assert.deepStrictEqual(created.map(r => [r.body.type, r.body.condition.broadcaster_user_id, r.body.transport.session_id]), [['stream.online', '200', 'session1']]);
+    });
+
+    await t.test('-unnotify deletes the Helix subscription', async () => {
+        await ctx.chat('alice', '-unnotify live streamer');
+        await ctx.client.waitFor('deaktiviert');
+        const deleted = ctx.api.requests.filter(r => r.method === 'DELETE');
+        assert.deepStrictEqual(deleted.map(r => r.query.id), ['sub-stream.online']);
+        assert.strictEqual(ctx.bot.eventSub.has('stream.online', '200'), false);
+    });
+
+    await t.test('-eventsub shows the status to mods', async () => {
+        // The raid event of #test stays subscribed, the token of the stub has no scopes for the others
+        const reply = ctx.client.waitFor('EventSub (websocket):');
+        await ctx.chat('mod', '-eventsub', { mod: true });
+        assert.match(await reply, /^\/me @mod EventSub \(websocket\): 1\/1 Subscriptions aktiv \(max 100\) \| Kosten 1\/10/);
+    });
+});
+
+test('stream history', async (t) => {
+    const hour = 60 * 60 * 1000;
+    const ctx = await startTestBot({
+        users: { streamer: '200' },
+        data: {
+            notifications: [{ channel: CHANNEL, targetChannel: 'streamer', targetId: '200', type: 'title', subscription: 'channel.update', pings: [] }],
+            streamChanges: [
+                { targetId: '200', targetChannel: 'streamer', field: 'title', value: 'alter titel', previous: null, timestamp: Date.now() - 3 * hour },
+                { targetId: '200', targetChannel: 'streamer', field: 'game', value: 'Chess', previous: null, timestamp: Date.now() - 3 * hour },
+                { targetId: '200', targetChannel: 'streamer', field: 'title', value: 'gestern', previous: 'alter titel', timestamp: Date.now() - 2 * hour }
+            ]
+        }
+    });
+    t.after(() => ctx.stop());
+
+    await t.test('the status cache comes from storage instead of Helix', async () => {
+        assert.ok(!ctx.api.requests.some(r => r.path === '/helix/channels'));
+        const posted = ctx.client.waitFor('neuer titel');
+        await ctx.bot.handleEventSubNotification({ broadcaster_user_id: '200', broadcaster_user_login: 'streamer', title: 'heute', category_name: 'Chess' });
+        assert.strictEqual(await posted, 'wideSpeedNod streamer neuer titel: heute');
+    });
+
+    await t.test('only changed fields are stored', async () => {
+        const [newest] = await ctx.storage.streamChanges.find({ targetId: '200' }, 1);
+        assert.deepStrictEqual([newest.field, newest.value, newest.previous], ['title', 'heute', 'gestern']);
+        assert.strictEqual((await ctx.storage.streamChanges.find({ field: 'game' })).length, 1);
+    });
+
+    await t.test('-titlehistory and -gamehistory show the changes newest first', async () => {
+        const titles = ctx.client.waitFor('Titel von');
+        await ctx.chat('alice', '-titlehistory streamer');
+        assert.strictEqual(await titles, '/me @alice Titel von streamer: "heute" (gerade eben) | "gestern" (vor 2h) | "alter titel" (vor 3h)');
+
+        const games = ctx.client.waitFor('Kategorie von');
+        await ctx.chat('bob', '-gamehistory @streamer');
+        assert.strictEqual(await games, '/me @bob Kategorie von streamer: "Chess" (vor 3h)');
+    });
+});
+
+test('appendMentions splits mentions over several messages', () => {
+    assert.deepStrictEqual(appendMentions('live', []), ['live']);
+    assert.deepStrictEqual(appendMentions('live', ['a', 'b']), ['live @a @b']);
+
+    const users = Array.from({ length: 60 }, (_, i) => `user${String(i).padStart(2, '0')}`);
+    const messages = appendMentions('wideSpeedNod streamer ist jetzt live', users);
+    assert.strictEqual(messages.length, 2);
+    assert.ok(messages.every(m => m.length <= 500));
+    assert.strictEqual(messages.join(' ').split('@').length - 1, 60);
+    assert.ok(messages[1].startsWith('@user'));
+});
+
+test('renderTemplate fills placeholders and drops dangling separators', () => {
+    const values = { channel: 'streamer', title: '', game: 'Chess', oldGame: 'Just Chatting' };
+    assert.strictEqual(renderTemplate('{channel} ist live: {title}', values), 'streamer ist live');
+    assert.strictEqual(renderTemplate('{oldGame} -> {game}', values), 'Just Chatting -> Chess');
+    assert.strictEqual(checkTemplate('  {channel}   {emote} '), '{channel} {emote}');
+    assert.throws(() => checkTemplate('/ban {channel}'), /nicht mit/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot } = require('./helpers/testbot');
+const { getUserLevel, hasLevel, parseOwners } = require('../src/permissions');
+const { createCommandRegistry, formatHelp } = require('../src/commands/registry');
+
+test('the highest level of a chatter wins', () => {
+    const owners = parseOwners(' Boss, @Admin ,');
+    assert.deepStrictEqual(owners, ['boss', 'admin']);
+
+    assert.strictEqual(getUserLevel({ username: 'Boss', mod: true }, { owners }), 'owner');
+    assert.strictEqual(getUserLevel({ username: 'test', badges: { broadcaster: '1' } }, { owners }), 'broadcaster');
+    assert.strictEqual(getUserLevel({ username: 'kim', mod: true, badges: { vip: '1' } }, { trustedUsers: ['kim'] }), 'mod');
+    assert.strictEqual(getUserLevel({ username: 'kim', badges: { vip: '1' } }, { trustedUsers: ['kim'] }), 'trusted');
+    assert.strictEqual(getUserLevel({ username: 'kim', badges: { vip: '1', subscriber: '12' } }), 'vip');
+    assert.strictEqual(getUserLevel({ username: 'kim', badges: { founder: '0' } }), 'sub');
+    assert.strictEqual(getUserLevel({ username: 'kim', badges: null }), 'everyone');
+});
+
+test('a level passes every check below it', () => {
+    assert.ok(hasLevel('mod', 'trusted'));
+    assert.ok(hasLevel('mod', 'mod'));
+    assert.ok(hasLevel('everyone', undefined));
+    assert.strictEqual(hasLevel('vip', 'trusted'), false);
+    assert.strictEqual(hasLevel('broadcaster', 'owner'), false);
+});
+
+test('the registry resolves aliases and rejects clashes', () => {
+    const commands = createCommandRegistry();
+    const gamba = commands.register({ name: 'gamba', aliases: ['Slots'], cooldown: 5, usage: 'gamba <Menge>', description: 'Slots', handler: () => {} });
+
+    assert.strictEqual(commands.find('SLOTS'), gamba);
+    assert.strictEqual(commands.find('nope'), null);
+    assert.deepStrictEqual(gamba.cooldown, { user: 5 });
+    assert.throws(() => commands.register({ name: 'slots', handler: () => {} }), /bereits von gamba belegt/);
+    assert.throws(() => commands.register({ name: 'x', permission: 'admin', handler: () => {} }), /Unbekannte Rolle admin/);
+    assert.throws(() => commands.register({ name: 'y' }), /name und handler/);
+
+    commands.register({ name: 'ban', permission: 'mod', handler: () => {} });
+    assert.deepStrictEqual(commands.list().map(c => c.name), ['gamba', 'ban']);
+    assert.strictEqual(formatHelp(gamba, '!'), '!gamba <Menge> (auch: !Slots) - Slots | Cooldown: 5s user');
+    assert.strictEqual(formatHelp(commands.find('ban'), '-'), '-ban | Rolle: mod');
+});
+
+test('permission levels in chat', async (t) => {
+    const ctx = await startTestBot({ env: { BOT_OWNERS: 'boss' } });
+    t.after(() => ctx.stop());
+
+    await ctx.chat('test', '-settings set permission help trusted', { broadcaster: true });
+    await ctx.client.waitFor('permission help = trusted');
+
+    const denied = ctx.client.waitFor('nötige rolle');
+    await ctx.chat('alice', '-help help');
+    assert.strictEqual(await denied, '/me @alice du hast nicht die nötige rolle Nerd (benötigt: trusted)');
+
+    await ctx.chat('boss', '-trust alice');
+    await ctx.client.waitFor('alice ist jetzt trusted');
+    const allowed = ctx.client.waitFor('@alice -help');
+    await ctx.chat('alice', '-help help');
+    await allowed;
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecurrence, nextRun, followingRun, formatRecurrence } = require('../src/recurrence');
+
+const HOUR = 3600000;
+const summerTime = () => 2 * HOUR;
+// Saturday 15.06.2024, 12:00 local time
+const NOW = Date.UTC(2024, 5, 15, 10, 0);
+
+const parse = text => parseRecurrence(text.split(' '));
+
+test('parseRecurrence reads daily, weekly, interval and cron schedules', () => {
+    assert.deepStrictEqual(parse('jeden tag 9uhr zähne putzen'), { recurrence: { type: 'daily', hour: 9, minute: 0 }, message: 'zähne putzen' });
+    assert.deepStrictEqual(parse('täglich um 18:30 essen'), { recurrence: { type: 'daily', hour: 18, minute: 30 }, message: 'essen' });
+    assert.deepStrictEqual(parse('every monday 18:00 training'), { recurrence: { type: 'weekly', weekday: 1, hour: 18, minute: 0 }, message: 'training' });
+    assert.deepStrictEqual(parse('freitags 6pm feierabend'), { recurrence: { type: 'weekly', weekday: 5, hour: 18, minute: 0 }, message: 'feierabend' });
+    assert.deepStrictEqual(parse('alle 2h trinken'), { recurrence: { type: 'interval', everyMs: 2 * HOUR }, message: 'trinken' });
+    assert.deepStrictEqual(parse('every 30 minutes stretch'), { recurrence: { type: 'interval', everyMs: HOUR / 2 }, message: 'stretch' });
+    assert.deepStrictEqual(parse('cron 0 9 * * 1-5 standup'), { recurrence: { type: 'cron', expression: '0 9 * * 1-5' }, message: 'standup' });
+});
+
+test('parseRecurrence ignores single times and rejects incomplete schedules', () => {
+    assert.strictEqual(parse('10m wäsche'), null);
+    assert.strictEqual(parse('alle meine entchen'), null);
+    assert.throws(() => parse('jeden tag zähne'), /Uhrzeit fehlt/);
+    assert.throws(() => parse('alle 2min spam'), /alle 5 Minuten/);
+    assert.throws(() => parse('cron 61 * * * * x'), /Cron-Feld \(Minute\)/);
+    assert.throws(() => parse('cron 0 9 * x'), /Cron/);
+});
+
+test('parseRecurrence rejects cron expressions running more often than every 5 minutes', () => {
+    assert.throws(() => parse('cron * * * * * spam'), /alle 5 Minuten/);
+    assert.throws(() => parse('cron */2 9 * * * spam'), /alle 5 Minuten/);
+    assert.throws(() => parse('cron 0,30,32 9 * * 1 spam'), /alle 5 Minuten/);
+    assert.throws(() => parse('cron 1,58 8,9 * * * spam'), /alle 5 Minuten/, 'not across the hour either');
+    assert.strictEqual(parse('cron */5 * * * * ok').recurrence.expression, '*/5 * * * *');
+});
+
+test('nextRun finds the next wall clock time', () => {
+    const daily = { type: 'daily', hour: 9, minute: 0 };
+    assert.strictEqual(nextRun(daily, NOW, summerTime), Date.UTC(2024, 5, 16, 7, 0));
+    assert.strictEqual(nextRun({ type: 'daily', hour: 13, minute: 0 }, NOW, summerTime), Date.UTC(2024, 5, 15, 11, 0));
+    assert.strictEqual(nextRun({ type: 'weekly', weekday: 1, hour: 18, minute: 0 }, NOW, summerTime), Date.UTC(2024, 5, 17, 16, 0));
+    assert.strictEqual(nextRun({ type: 'weekly', weekday: 6, hour: 12, minute: 0 }, NOW, summerTime), Date.UTC(2024, 5, 22, 10, 0));
+    assert.strictEqual(nextRun({ type: 'interval', everyMs: 2 * HOUR }, NOW, summerTime), NOW + 2 * HOUR);
+});
+
+test('nextRun evaluates cron expressions', () => {
+    const cron = expression => ({ type: 'cron', expression });
+    assert.strictEqual(nextRun(cron('0 9 * * 1-5'), NOW, summerTime), Date.UTC(2024, 5, 17, 7, 0));
+    assert.strictEqual(nextRun(cron('*/15 * * * *'), NOW, summerTime), NOW + HOUR / 4);
+    assert.strictEqual(nextRun(cron('30 8 1 * *'), NOW, summerTime), Date.UTC(2024, 6, 1, 6, 30));
+    assert.strictEqual(nextRun(cron('0 0 1 1 *'), NOW, summerTime), Date.UTC(2024, 11, 31, 22, 0));
+    // Day of month or weekday when both are set
+    assert.strictEqual(nextRun(cron('0 12 20 * 0'), NOW, summerTime), Date.UTC(2024, 5, 16, 10, 0));
+});
+
+test('followingRun skips runs missed while offline', () => {
+    const every = { type: 'interval', everyMs: HOUR };
+    assert.strictEqual(followingRun(every, NOW, NOW + 1000, summerTime), NOW + HOUR);
+    assert.strictEqual(followingRun(every, NOW, NOW + 5.5 * HOUR, summerTime), NOW + 6 * HOUR);
+    assert.strictEqual(followingRun({ type: 'daily', hour: 12, minute: 0 }, NOW, NOW + 3 * 24 * HOUR, summerTime), NOW + 4 * 24 * HOUR);
+});
+
+test('formatRecurrence', () => {
+    assert.strictEqual(formatRecurrence({ type: 'daily', hour: 9, minute: 5 }), 'jeden Tag um 09:05');
+    assert.strictEqual(formatRecurrence({ type: 'weekly', weekday: 0, hour: 20, minute: 0 }), 'jeden Sonntag um 20:00');
+    assert.strictEqual(formatRecurrence({ type: 'interval', everyMs: 90 * 60000 }), 'alle 90min');
+    assert.strictEqual(formatRecurrence({ type: 'interval', everyMs: 2 * HOUR }), 'alle 2h');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_MESSAGE_LENGTH, BLOCK_ALL, parseBlockedWords, checkReminderMessage, blocksReminders } = require('../src/reminderrules');
+
+test('checkReminderMessage cleans and accepts normal messages', () => {
+    assert.strictEqual(checkReminderMessage('  wäsche aufhängen catJAM '), 'wäsche aufhängen catJAM');
+    assert.strictEqual(checkReminderMessage('tee\nkochen'), 'tee kochen');
+    assert.strictEqual(checkReminderMessage('z.B. um 5 essen'), 'z.B. um 5 essen');
+});
+
+test('checkReminderMessage refuses long messages, chat commands, links and blocked words', () => {
+    assert.throws(() => checkReminderMessage('a'.repeat(MAX_MESSAGE_LENGTH + 1)), /höchstens 300 Zeichen/);
+    assert.throws(() => checkReminderMessage('/ban someone'), /nicht mit \/ oder \./);
+    assert.throws(() => checkReminderMessage('.timeout someone 600'), /nicht mit \/ oder \./);
+    assert.throws(() => checkReminderMessage('schau mal https://example.org'), /Links/);
+    assert.throws(() => checkReminderMessage('free stuff on scam.ru'), /Links/);
+    assert.throws(() => checkReminderMessage('du bist ein Affe', { blockedWords: parseBlockedWords('affe, noob') }), /gesperrtes Wort/);
+});
+
+test('blocksReminders honours single users and everyone', () => {
+    assert.strictEqual(blocksReminders(['alice'], 'bob', 'Alice'), true);
+    assert.strictEqual(blocksReminders(['alice'], 'bob', 'carol'), false);
+    assert.strictEqual(blocksReminders([BLOCK_ALL], 'bob', 'carol'), true);
+    assert.strictEqual(blocksReminders([BLOCK_ALL], 'bob', 'bob'), false);
+    assert.strictEqual(blocksReminders(undefined, 'bob', 'carol'), false);
+});
@@ -0,0 +1,339 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, CHANNEL } = require('./helpers/testbot');
+const { userTags } = require('./helpers/fakechat');
+
+test('remind', async (t) => {
+    const ctx = await startTestBot();
+    t.after(() => ctx.stop());
+
+    await t.test('a reminder without time is sent on the next message of the target', async () => {
+        const confirm = ctx.client.waitFor('beim nächsten schreiben');
+        await ctx.chat('alice', '-remind @bob tee kochen');
+        assert.strictEqual(await confirm, '/me @alice Noted ich erinnere bob beim nächsten schreiben " tee kochen " (ID 1)');
+
+        const delivered = ctx.client.waitFor('bingi reminder');
+        await ctx.chat('bob', 'hallo');
+        assert.strictEqual(await delivered, '/me @bob bingi reminder von @alice: tee kochen');
+        assert.deepStrictEqual(await ctx.storage.reminders.all(), []);
+    });
+
+    await t.test('a timed reminder is stored with its due time', async () => {
+        const before = Date.now();
+        const confirm = ctx.client.waitFor('Noted ich erinnere carol um');
+        await ctx.chat('alice', '-remind carol 10m wäsche');
+        assert.match(await confirm, /" wäsche " \(ID 2\)$/);
+
+        const [reminder] = await ctx.storage.reminders.findByTarget('carol');
+        assert.strictEqual(reminder.message, 'wäsche');
+        assert.strictEqual(reminder.channel, CHANNEL);
+        assert.ok(reminder.dueAt >= before + 10 * 60000 && reminder.dueAt <= Date.now() + 10 * 60000);
+    });
+
+    await t.test('due reminders are delivered once', async () => {
+        await ctx.storage.reminders.create({ targetUser: 'dave', sourceUser: 'alice', message: 'pizza', dueAt: Date.now() - 1000, channel: CHANNEL, createdAt: Date.now() });
+
+        const delivered = ctx.client.waitFor('reminder von @alice " pizza "');
+        await ctx.bot.checkReminders();
+        assert.strictEqual(await delivered, '/me @dave bingi reminder von @alice " pizza "');
+
+        await ctx.bot.checkReminders();
+        assert.strictEqual((await ctx.storage.reminders.findByTarget('dave')).length, 0);
+    });
+
+    await t.test('remindme confirms with the time', async () => {
+        const confirm = ctx.client.waitFor('Top ich erinnere dich');
+        await ctx.chat('erin', '-remindme 5m stretchen');
+        assert.match(await confirm, /^\/me @erin Top ich erinnere dich (am \d{2}\.\d{2} )?um \d{2}:\d{2} " stretchen " \(ID 3\)$/);
+    });
+
+    await t.test('reminders lists the reminders of the user', async () => {
+        const list = ctx.client.waitFor('Deine Reminders');
+        await ctx.chat('carol', '-reminders');
+        assert.match(await list, /^\/me @carol Deine Reminders: \[2\] .*wäsche$/);
+    });
+
+    await t.test('edit changes time and text of a reminder', async () => {
+        const reply = ctx.client.waitFor('geändert');
+        await ctx.chat('alice', '-remind edit 2 1h wäsche aufhängen');
+        assert.match(await reply, /^\/me @alice Reminder 2 geändert: carol (am \d{2}\.\d{2} )?um \d{2}:\d{2} " wäsche aufhängen "$/);
+
+        const reminder = await ctx.storage.reminders.findByShortId('2');
+        assert.ok(Math.abs(reminder.dueAt - (Date.now() + 3600000)) < 5000);
+
+        const textOnly = ctx.client.waitFor('geändert');
+        await ctx.chat('alice', '-remind edit #2 nur text');
+        assert.match(await textOnly, /" nur text "$/);
+        assert.strictEqual((await ctx.storage.reminders.findByShortId('2')).dueAt, reminder.dueAt);
+    });
+
+    await t.test('only creator, target and mods can delete a reminder', async () => {
+        const denied = ctx.client.waitFor('nicht dein Reminder');
+        await ctx.chat('mallory', '-unremind 2');
+        await denied;
+
+        const missing = ctx.client.waitFor('gibt es nicht');
+        await ctx.chat('carol', '-unremind 99');
+        await missing;
+
+        const deleted = ctx.client.waitFor('gelöscht');
+        await ctx.chat('carol', '-unremind 2');
+        assert.strictEqual(await deleted, '/me @carol Reminder 2 gelöscht " nur text "');
+        assert.strictEqual(await ctx.storage.reminders.findByShortId('2'), null);
+    });
+
+    await t.test('snooze reschedules the reminder that just fired', async () => {
+        await ctx.storage.reminders.create({ targetUser: 'frank', sourceUser: 'frank', message: 'zähne', dueAt: Date.now() - 1000, channel: CHANNEL, shortId: '7', createdAt: Date.now() });
+        const delivered = ctx.client.waitFor('zähne');
+        await ctx.bot.checkReminders();
+        await delivered;
+
+        const snoozed = ctx.client.waitFor('nochmal');
+        await ctx.chat('frank', '-snooze 15m');
+        assert.match(await snoozed, /^\/me @frank Okay ich erinnere dich nochmal (am \d{2}\.\d{2} )?um \d{2}:\d{2} " zähne "$/);
+
+        const reminder = await ctx.storage.reminders.findByShortId('7');
+        assert.ok(Math.abs(reminder.dueAt - (Date.now() + 15 * 60000)) < 5000);
+
+        const nothing = ctx.client.waitFor('keinen Reminder zum snoozen');
+        await ctx.chat('frank', '-snooze');
+        await nothing;
+    });
+
+    await t.test('a recurring reminder is planned again after it fired', async () => {
+        const confirm = ctx.client.waitFor('jeden Tag um 09:00');
+        await ctx.chat('alice', '-remind gina jeden tag 9uhr gießen');
+        const [, id] = (await confirm).match(/^\/me @alice Noted ich erinnere gina jeden Tag um 09:00 " gießen " \(ID (\d+)\)$/);
+
+        const [stored] = await ctx.storage.reminders.findByTarget('gina');
+        assert.deepStrictEqual(stored.recurrence, { type: 'daily', hour: 9, minute: 0 });
+        assert.ok(stored.dueAt > Date.now() && stored.dueAt <= Date.now() + 24 * 3600000);
+
+        // Pretend it was due
+        await ctx.storage.reminders.update(id, { dueAt: Date.now() - 1000 });
+        const delivered = ctx.client.waitFor('gießen');
+        await ctx.bot.checkReminders();
+        await delivered;
+
+        const [again] = await ctx.storage.reminders.findByTarget('gina');
+        assert.strictEqual(again.shortId, id);
+        assert.ok(again.dueAt > Date.now());
+
+        const list = ctx.client.waitFor('Deine Reminders');
+        await ctx.chat('gina', '-reminders');
+        assert.strictEqual(await list, `/me @gina Deine Reminders: [${id}] jeden Tag um 09:00: gießen`);
+
+        const deleted = ctx.client.waitFor('gelöscht');
+        await ctx.chat('gina', `-unremind ${id}`);
+        await deleted;
+        assert.deepStrictEqual(await ctx.storage.reminders.findByTarget('gina'), []);
+    });
+
+    await t.test('an incomplete schedule is explained', async () => {
+        const reply = ctx.client.waitFor('Uhrzeit fehlt');
+        await ctx.chat('alice', '-remind gina jeden montag gym');
+        await reply;
+    });
+
+    await t.test('a timed reminder fires by itself when it is due', async () => {
+        const confirm = ctx.client.waitFor('Top ich erinnere dich');
+        await ctx.chat('ivan', '-remindme 1s ping');
+        await confirm;
+
+        const delivered = await ctx.client.waitFor('reminder von @ivan " ping "');
+        assert.strictEqual(delivered, '/me @ivan bingi reminder von @ivan " ping "');
+        assert.deepStrictEqual(await ctx.storage.reminders.findByTarget('ivan'), []);
+    });
+});
+
+test('timezone', async (t) => {
+    const ctx = await startTestBot();
+    t.after(() => ctx.stop());
+
+    await t.test('unknown zones are refused', async () => {
+        const reply = ctx.client.waitFor('kenne ich nicht');
+        await ctx.chat('hana', '-timezone Mars/Olympus');
+        await reply;
+        assert.strictEqual(await ctx.storage.users.get('hana'), null);
+    });
+
+    await t.test('clock times are read and shown in the user\'s zone', async () => {
+        const set = ctx.client.waitFor('Zeitzone ist jetzt');
+        await ctx.chat('hana', '-timezone america/new_york');
+        assert.strictEqual(await set, '/me @hana Deine Zeitzone ist jetzt America/New_York wideSpeedNod');
+        assert.strictEqual((await ctx.storage.users.get('hana')).timezone, 'America/New_York');
+
+        const confirm = ctx.client.waitFor('Top ich erinnere dich');
+        await ctx.chat('hana', '-remindme 14:30 call');
+        assert.match(await confirm, /^\/me @hana Top ich erinnere dich (am \d{2}\.\d{2} )?um 14:30 " call " \(ID 1\)$/);
+
+        const [reminder] = await ctx.storage.reminders.findByTarget('hana');
+        assert.strictEqual(reminder.timeZone, 'America/New_York');
+        const local = new Date(reminder.dueAt).toLocaleTimeString('en-GB', { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit' });
+        assert.strictEqual(local, '14:30');
+
+        const list = ctx.client.waitFor('Deine Reminders');
+        await ctx.chat('hana', '-reminders');
+        assert.match(await list, /\[1\] (am \d{2}\.\d{2} )?um 14:30: call$/);
+    });
+
+    await t.test('reset goes back to Berlin', async () => {
+        const reply = ctx.client.waitFor('Zeitzone ist jetzt');
+        await ctx.chat('hana', '-timezone reset');
+        assert.strictEqual(await reply, '/me @hana Deine Zeitzone ist jetzt Europe/Berlin wideSpeedNod');
+
+        const shown = ctx.client.waitFor('Deine Zeitzone ist Europe/Berlin');
+        await ctx.chat('hana', '-tz');
+        assert.match(await shown, /\(gerade \d{2}:\d{2}\)$/);
+    });
+});
+
+test('reminder delivery', async (t) => {
+    const ctx = await startTestBot({
+        users: { kim: '300' },
+        routes: { 'POST /helix/whispers': () => ({ status: 204 }) }
+    });
+    t.after(() => ctx.stop());
+    const chatIn = (channel, username, message) => ctx.bot.handleMessage(channel, userTags(username), message, false);
+
+    await t.test('several targets get one reminder each', async () => {
+        const confirm = ctx.client.waitFor('Noted ich erinnere');
+        await ctx.chat('alice', '-remind bob,@carol,Bob 10m stream');
+        assert.match(await confirm, /^\/me @alice Noted ich erinnere bob, carol um \d{2}:\d{2} " stream " \(IDs 1, 2\)$/);
+
+        const all = await ctx.storage.reminders.all();
+        assert.deepStrictEqual(all.map(r => [r.targetUser, r.shortId, r.message]), [['bob', '1', 'stream'], ['carol', '2', 'stream']]);
+        assert.strictEqual(all[0].dueAt, all[1].dueAt);
+    });
+
+    await t.test('a reminder without time waits for its channel', async () => {
+        await ctx.chat('alice', '-remind dora tee');
+        await chatIn('#other', 'dora', 'hallo');
+        assert.strictEqual((await ctx.storage.reminders.findByTarget('dora')).length, 1);
+
+        const delivered = ctx.client.waitFor('@dora bingi reminder');
+        await ctx.chat('dora', 'hallo');
+        assert.strictEqual(await delivered, '/me @dora bingi reminder von @alice: tee');
+    });
+
+    await t.test('anywhere delivers in the channel the target writes in', async () => {
+        const confirm = ctx.client.waitFor('in jedem Chat');
+        await ctx.chat('alice', '-remind emil anywhere kaffee');
+        assert.match(await confirm, /^\/me @alice Noted ich erinnere emil in jedem Chat beim nächsten schreiben " kaffee " \(ID \d+\)$/);
+
+        const delivered = ctx.client.waitFor('von @alice: kaffee');
+        await chatIn('#other', 'emil', 'hi');
+        assert.strictEqual(await delivered, '/me @emil bingi reminder von @alice: kaffee');
+        assert.strictEqual(ctx.client.said.at(-1).channel, '#other');
+    });
+
+    await t.test('anywhere is refused with a time', async () => {
+        const before = (await ctx.storage.reminders.all()).length;
+        const reply = ctx.client.waitFor('anywhere geht nur');
+        await ctx.chat('alice', '-remind emil anywhere 10m kaffee');
+        assert.strictEqual(await reply, '/me @alice anywhere geht nur ohne Zeit, der Reminder kommt beim nächsten schreiben');
+        assert.strictEqual((await ctx.storage.reminders.all()).length, before);
+    });
+
+    await t.test('whisper reminders go through Helix', async () => {
+        const confirm = ctx.client.waitFor('per Whisper');
+        await ctx.chat('alice', '-remind kim whisper 10m geheim');
+        const [, id] = (await confirm).match(/^\/me @alice Noted ich erinnere kim per Whisper um \d{2}:\d{2} " geheim " \(ID (\d+)\)$/);
+
+        await ctx.storage.reminders.update(id, { dueAt: Date.now() - 1000 });
+        const said = ctx.client.said.length;
+        await ctx.bot.checkReminders();
+
+        const whisper = ctx.api.requests.find(r => r.path === '/helix/whispers');
+        assert.deepStrictEqual(whisper.query, { from_user_id: '1', to_user_id: '300' });
+        assert.deepStrictEqual(whisper.body, { message: 'bingi reminder von @alice " geheim "' });
+        assert.strictEqual(ctx.client.said.length, said);
+        assert.deepStrictEqual(await ctx.storage.reminders.findByTarget('kim'), []);
+    });
+
+    await t.test('a failed whisper is sent in chat', async () => {
+        await ctx.chat('alice', '-remind nobody whisper 10m hallo');
+        const [reminder] = await ctx.storage.reminders.findByTarget('nobody');
+        await ctx.storage.reminders.update(reminder.shortId, { dueAt: Date.now() - 1000 });
+
+        const delivered = ctx.client.waitFor('@nobody bingi reminder');
+        await ctx.bot.checkReminders();
+        assert.strictEqual(await delivered, '/me @nobody bingi reminder von @alice " hallo "');
+    });
+});
+
+test('reminder management', async (t) => {
+    const ctx = await startTestBot();
+    t.after(() => ctx.stop());
+
+    await t.test('sent lists what you sent to others', async () => {
+        await ctx.chat('alice', '-remind bob,carol 10m stream');
+        await ctx.chat('alice', '-remindme 20m essen');
+
+        const list = ctx.client.waitFor('gesendeten Reminders');
+        await ctx.chat('alice', '-reminders sent');
+        assert.match(await list, /^\/me @alice Deine gesendeten Reminders: \[1\] an bob um \d{2}:\d{2}: stream \| \[2\] an carol um \d{2}:\d{2}: stream$/);
+    });
+
+    await t.test('only mods may list the reminders of others', async () => {
+        const denied = ctx.client.waitFor('nötige rolle');
+        await ctx.chat('bob', '-reminders @carol');
+        await denied;
+
+        const list = ctx.client.waitFor('Reminders für carol');
+        await ctx.chat('mia', '-reminders @carol', { mod: true });
+        assert.match(await list, /^\/me @mia Reminders für carol: \[2\] von alice um \d{2}:\d{2}: stream$/);
+
+        const sent = ctx.client.waitFor('Von alice gesendete');
+        await ctx.chat('mia', '-reminders alice sent', { mod: true });
+        assert.match(await sent, /\[1\] an bob .* \| \[2\] an carol /);
+    });
+
+    await t.test('users can block reminders from others', async () => {
+        const blocked = ctx.client.waitFor('keine Reminder mehr von alice');
+        await ctx.chat('dora', '-reminders block @alice');
+        await blocked;
+        assert.deepStrictEqual((await ctx.storage.users.get('dora')).reminderBlocklist, ['alice']);
+
+        const refused = ctx.client.waitFor('will keine Reminder von dir bekommen');
+        await ctx.chat('alice', '-remind dora 10m hallo');
+        assert.strictEqual(await refused, '/me @alice dora will keine Reminder von dir bekommen');
+        assert.deepStrictEqual(await ctx.storage.reminders.findByTarget('dora'), []);
+
+        const partly = ctx.client.waitFor('Noted ich erinnere emil');
+        await ctx.chat('alice', '-remind emil,dora 10m hallo');
+        assert.match(await partly, / \| dora will keine Reminder von dir$/);
+
+        await ctx.chat('dora', '-reminders block all');
+        const mine = ctx.client.waitFor('Top ich erinnere dich');
+        await ctx.chat('dora', '-remindme 10m selbst');
+        await mine;
+
+        const unblocked = ctx.client.waitFor('wieder Reminder von allen');
+        await ctx.chat('dora', '-reminders unblock all');
+        await unblocked;
+        const shown = ctx.client.waitFor('Du blockst Reminder von: alice');
+        await ctx.chat('dora', '-reminders block');
+        await shown;
+    });
+
+    await t.test('messages are filtered before they are stored', async () => {
+        const reply = ctx.client.waitFor('Links sind');
+        await ctx.chat('frank', '-remind gina 10m www.example.com');
+        await reply;
+        assert.deepStrictEqual(await ctx.storage.reminders.findByTarget('gina'), []);
+    });
+
+    await t.test('pending reminders per user are capped', async () => {
+        for (let i = 0; i < 20; i++) {
+            await ctx.storage.reminders.create({ targetUser: 'x', sourceUser: 'hugo', message: 'm', dueAt: Date.now() + 3600000, channel: CHANNEL, shortId: `h${i}` });
+        }
+        const reply = ctx.client.waitFor('offene Reminder');
+        await ctx.chat('hugo', '-remind gina 10m noch einer');
+        assert.strictEqual(await reply, '/me @hugo du hast schon 20 offene Reminder, mehr als 20 gehen nicht Nerd');
+
+        const mod = ctx.client.waitFor('Noted ich erinnere gina');
+        await ctx.chat('hugo', '-remind gina 10m noch einer', { mod: true });
+        await mod;
+    });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTimeHeap, createReminderScheduler } = require('../src/scheduler');
+const { createMemoryStorage } = require('../src/storage');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function reminder(shortId, dueAt, fields = {}) {
+    return { shortId, targetUser: 'alice', sourceUser: 'bob', message: `r${shortId}`, dueAt, channel: '#test', ...fields };
+}
+
+function startScheduler(t, storage, options = {}) {
+    const delivered = [];
+    const scheduler = createReminderScheduler({ storage, owner: options.owner || 'a', deliver: r => delivered.push(r), ...options });
+    t.after(() => scheduler.stop());
+    return { scheduler, delivered, started: scheduler.start() };
+}
+
+test('createTimeHeap pops the earliest time first', () => {
+    const heap = createTimeHeap();
+    [50, 10, 40, 30, 20, 10].forEach(time => heap.push(time));
+    const popped = [];
+    while (heap.size > 0) popped.push(heap.pop());
+    assert.deepStrictEqual(popped, [10, 10, 20, 30, 40, 50]);
+});
+
+test('reminders fire on time without polling', async (t) => {
+    const storage = createMemoryStorage({ reminders: [reminder('1', Date.now() + 80), reminder('2', Date.now() + 10 * 60000)] });
+    const { scheduler, delivered, started } = startScheduler(t, storage);
+    await started;
+
+    const created = Date.now();
+    await storage.reminders.create(reminder('3', created + 40));
+    scheduler.schedule(created + 40);
+
+    await sleep(150);
+    assert.deepStrictEqual(delivered.map(r => r.shortId), ['3', '1']);
+    assert.strictEqual(delivered[0].lockedBy, undefined);
+    assert.deepStrictEqual((await storage.reminders.all()).map(r => r.shortId), ['2']);
+});
+
+test('two instances deliver a reminder exactly once', async (t) => {
+    const storage = createMemoryStorage({ reminders: [reminder('1', Date.now() - 1000), reminder('2', Date.now() - 500)] });
+    const first = startScheduler(t, storage, { owner: 'first' });
+    const second = startScheduler(t, storage, { owner: 'second' });
+    await Promise.all([first.started, second.started]);
+    await Promise.all([first.scheduler.runDue(), second.scheduler.runDue()]);
+    await sleep(20);
+
+    const all = [...first.delivered, ...second.delivered].map(r => r.shortId).sort();
+    assert.deepStrictEqual(all, ['1', '2']);
+    assert.deepStrictEqual(await storage.reminders.all(), []);
+});
+
+test('claims are locked until they expire', async () => {
+    const now = Date.now();
+    const storage = createMemoryStorage({ reminders: [reminder('1', now - 1000)] });
+
+    const [claim] = await storage.reminders.claimDue(now, { owner: 'crashed', lockMs: 1000 });
+    assert.match(claim.lockedBy, /^crashed#/);
+    assert.deepStrictEqual(await storage.reminders.claimDue(now + 500, { owner: 'other', lockMs: 1000 }), []);
+
+    // The first instance died before completing, the lock runs out
+    const [retry] = await storage.reminders.claimDue(now + 1500, { owner: 'other', lockMs: 1000 });
+    assert.strictEqual(retry.shortId, '1');
+    assert.strictEqual(await storage.reminders.complete(claim.lockedBy), false);
+    assert.strictEqual(await storage.reminders.complete(retry.lockedBy), true);
+    assert.deepStrictEqual(await storage.reminders.all(), []);
+});
+
+test('recurring reminders are kept with their next run', async (t) => {
+    const dueAt = Date.now() - 1000;
+    const storage = createMemoryStorage({ reminders: [reminder('1', dueAt, { recurrence: { type: 'interval', everyMs: 3600000 } })] });
+    const { scheduler, delivered, started } = startScheduler(t, storage, {
+        nextDueAt: r => r.dueAt + r.recurrence.everyMs
+    });
+    await started;
+    await scheduler.runDue();
+    await sleep(20);
+
+    assert.strictEqual(delivered.length, 1);
+    const [kept] = await storage.reminders.all();
+    assert.strictEqual(kept.shortId, '1');
+    assert.strictEqual(kept.dueAt, dueAt + 3600000);
+    assert.strictEqual(kept.lockedBy, null);
+    assert.strictEqual(scheduler.size, 1);
+});
+
+test('a reminder edited during delivery is kept with the edit', async (t) => {
+    const storage = createMemoryStorage({ reminders: [reminder('1', Date.now() - 1000)] });
+    const later = Date.now() + 60 * 60000;
+    const { scheduler, delivered, started } = startScheduler(t, storage, {
+        // -remind edit while the claim is held
+        deliver: async r => {
+            delivered.push(r);
+            await storage.reminders.update('1', { dueAt: later, message: 'neu' });
+        }
+    });
+    await started;
+    await sleep(20);
+
+    const [kept] = await storage.reminders.all();
+    assert.deepStrictEqual([kept.dueAt, kept.message, kept.lockedBy, kept.version], [later, 'neu', null, 1]);
+    assert.strictEqual(delivered.length, 1);
+    assert.strictEqual(scheduler.size, 1);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestBot } = require('./helpers/testbot');
+const { normalizeSettings, setSetting, setCommandEnabled, formatSettings } = require('../src/settings');
+
+test('the language setting is stored and checked', () => {
+    const settings = normalizeSettings();
+    assert.strictEqual(settings.language, 'de');
+    assert.strictEqual(normalizeSettings({ language: 'fr' }).language, 'de');
+
+    assert.strictEqual(setSetting(settings, 'sprache', ['EN']), 'language = en');
+    assert.strictEqual(normalizeSettings(settings).language, 'en');
+    assert.throws(() => setSetting(settings, 'language', ['fr']), /^Error: The language must be de\/en$/);
+});
+
+test('settings replies follow the language', () => {
+    const settings = normalizeSettings({ language: 'en' });
+    assert.throws(() => setSetting(settings, 'prefix', ['toolong']), /^Error: The prefix must be 1-3 characters long$/);
+    assert.throws(() => setSetting(settings, 'event', ['raid', 'foo']), /placeholders: \{user\} \{amount\} \{tier\}$/);
+    assert.throws(() => setCommandEnabled(settings, 'settings', false), /^Error: settings can't be disabled$/);
+    assert.match(formatSettings(settings), /^prefix: - \| language: en \| disabled: - \| /);
+
+    settings.language = 'de';
+    assert.throws(() => setSetting(settings, 'nope', []), /^Error: Unbekannte Einstellung/);
+    assert.match(formatSettings(settings), /^prefix: - \| sprache: de \| deaktiviert: - \| /);
+});
+
+test('the bot answers in the channel language', async (t) => {
+    const ctx = await startTestBot();
+    t.after(() => ctx.stop());
+
+    const german = ctx.client.waitFor('nötige rolle');
+    await ctx.chat('alice', '-settings show');
+    assert.strictEqual(await german, '/me @alice du hast nicht die nötige rolle Nerd (benötigt: mod)');
+
+    await ctx.chat('mod', '-settings set language en', { mod: true });
+    await ctx.client.waitFor('language = en');
+    assert.strictEqual((await ctx.storage.channels.all())[0].settings.language, 'en');
+
+    const english = ctx.client.waitFor('required role');
+    await ctx.chat('alice', '-settings show');
+    assert.strictEqual(await english, '/me @alice you don\'t have the required role Nerd (needed: mod)');
+
+    const help = ctx.client.waitFor('There is no command');
+    await ctx.chat('alice', '-help nope');
+    assert.strictEqual(await help, '/me @alice There is no command nope Nerd');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage, createMemoryStorage } = require('../src/storage');
+const { userRegex } = require('../src/storage/mongo');
+
+function readFile(dir, name) {
+    return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+test('the file storage batches writes per collection', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = createFileStorage(dir, { writeDelayMs: 20 });
+
+    await storage.chatStats.increment('01/01/2026', 'alice');
+    await storage.chatStats.increment('01/01/2026', 'alice');
+    await storage.ledger.append({ user: 'alice', delta: 5, reason: 'claim', timestamp: 1 });
+    assert.strictEqual(fs.existsSync(path.join(dir, 'chatstats.json')), false);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(readFile(dir, 'chatstats.json'), { '01/01/2026': { alice: 2 } });
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'ledger.jsonl'), 'utf8'), '{"user":"alice","delta":5,"reason":"claim","timestamp":1}\n');
+
+    await storage.cooldowns.set('gamba|user|alice', 99);
+    await storage.flush();
+    assert.deepStrictEqual(readFile(dir, 'cooldowns.json'), { 'gamba|user|alice': 99 });
+    assert.deepStrictEqual(await createFileStorage(dir).cooldowns.active(0), [{ key: 'gamba|user|alice', expiresAt: 99 }]);
+});
+
+test('the ledger file only gets the new entries appended', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'ledger.json'), JSON.stringify([{ user: 'alice', delta: 5, timestamp: 1 }]));
+    const ledgerLines = () => fs.readFileSync(path.join(dir, 'ledger.jsonl'), 'utf8').split('\n').filter(l => l.endsWith('}')).map(l => JSON.parse(l));
+
+    // The old ledger.json is moved over with the first write
+    const storage = createFileStorage(dir);
+    await storage.ledger.append({ user: 'bob', delta: 3, timestamp: 2 });
+    await storage.flush();
+    assert.deepStrictEqual(ledgerLines().map(e => e.user), ['alice', 'bob']);
+
+    const reopened = createFileStorage(dir);
+    await reopened.ledger.append({ user: 'carl', delta: 1, timestamp: 3 });
+    await reopened.flush();
+    await reopened.flush();
+    assert.deepStrictEqual(ledgerLines().map(e => e.user), ['alice', 'bob', 'carl']);
+
+    // A line cut off while appending does not lose the rest
+    fs.appendFileSync(path.join(dir, 'ledger.jsonl'), '{"user":"da');
+    t.mock.method(console, 'error', () => {});
+    const repaired = createFileStorage(dir);
+    assert.deepStrictEqual((await repaired.ledger.find()).map(e => e.user), ['carl', 'bob', 'alice']);
+    await repaired.ledger.append({ user: 'eve', delta: 2, timestamp: 4 });
+    await repaired.flush();
+    assert.deepStrictEqual(ledgerLines().map(e => e.user), ['alice', 'bob', 'carl', 'eve']);
+});
+
+test('usernames from chat are matched literally in MongoDB queries', () => {
+    assert.ok(userRegex('Alice').test('alice'));
+    assert.strictEqual(userRegex('.*').test('alice'), false);
+    assert.ok(userRegex('a.(b').test('A.(B'));
+    assert.strictEqual(userRegex('a.(b').test('axxb'), false);
+});
+
+test('a stake has to be covered before a bet is settled', async () => {
+    const storage = createMemoryStorage({ users: { alice: { balance: 100 } } });
+    assert.deepStrictEqual(await storage.users.adjustBalance('alice', 200, { stake: 150 }), { ok: false, balance: 100 });
+    assert.deepStrictEqual(await storage.users.adjustBalance('alice', 100, { stake: 100 }), { ok: true, balance: 200 });
+    assert.deepStrictEqual(await storage.users.adjustBalance('alice', -150, { stake: 150 }), { ok: true, balance: 50 });
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTimeInput, getZoneOffset, normalizeTimeZone, formatDueAt } = require('../src/timeparse');
+
+// Saturday 15.06.2024, 12:00 in Berlin (summer time)
+const NOW = new Date(Date.UTC(2024, 5, 15, 10, 0));
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const parse = (text, options = {}) => parseTimeInput(text.split(' ').filter(Boolean), { now: NOW, ...options });
+const dueAt = text => parse(text).dueAt;
+
+test('getZoneOffset follows daylight saving time', () => {
+    const berlin = date => getZoneOffset('Europe/Berlin', date);
+    assert.strictEqual(berlin(new Date(Date.UTC(2024, 2, 31, 0, 59))), HOUR);
+    assert.strictEqual(berlin(new Date(Date.UTC(2024, 2, 31, 1, 0))), 2 * HOUR);
+    assert.strictEqual(berlin(new Date(Date.UTC(2024, 9, 27, 0, 59))), 2 * HOUR);
+    assert.strictEqual(berlin(new Date(Date.UTC(2024, 9, 27, 1, 0))), HOUR);
+    assert.strictEqual(getZoneOffset('America/New_York', NOW), -4 * HOUR);
+    assert.strictEqual(getZoneOffset('Asia/Kolkata', NOW), 5.5 * HOUR);
+});
+
+test('normalizeTimeZone accepts IANA names in any case', () => {
+    assert.strictEqual(normalizeTimeZone('europe/berlin'), 'Europe/Berlin');
+    assert.strictEqual(normalizeTimeZone('UTC'), 'UTC');
+    assert.strictEqual(normalizeTimeZone('Mars/Olympus'), null);
+    assert.strictEqual(normalizeTimeZone(''), null);
+});
+
+test('durations in german and english', () => {
+    const corpus = {
+        '10m': 10 * MINUTE,
+        '10 min': 10 * MINUTE,
+        'in 2 h': 2 * HOUR,
+        'in 2 stunden': 2 * HOUR,
+        'eine stunde': HOUR,
+        'an hour': HOUR,
+        'in 3 hours': 3 * HOUR,
+        '1h 30min': 90 * MINUTE,
+        '1 std und 30 minuten': 90 * MINUTE,
+        '45 sekunden': 45 * 1000,
+        '2d': 2 * 24 * HOUR,
+        '3 tage': 3 * 24 * HOUR,
+        '2 wochen': 14 * 24 * HOUR,
+        '1 week': 7 * 24 * HOUR,
+        '3mo': 90 * 24 * HOUR,
+        '2 monate': 60 * 24 * HOUR,
+        '1y': 365 * 24 * HOUR
+    };
+    for (const [text, ms] of Object.entries(corpus)) {
+        assert.strictEqual(dueAt(text), NOW.getTime() + ms, text);
+    }
+});
+
+test('the rest of the input is the message', () => {
+    assert.deepStrictEqual(parse('10m wäsche'), { dueAt: NOW.getTime() + 10 * MINUTE, message: 'wäsche' });
+    assert.deepStrictEqual(parse('in 2 h pizza holen'), { dueAt: NOW.getTime() + 2 * HOUR, message: 'pizza holen' });
+    assert.deepStrictEqual(parse('morgen ist party'), { dueAt: Date.UTC(2024, 5, 16, 10, 0), message: 'ist party' });
+    assert.deepStrictEqual(parse('at 5pm at the gym'), { dueAt: Date.UTC(2024, 5, 15, 15, 0), message: 'at the gym' });
+});
+
+test('clock times in Berlin time', () => {
+    const corpus = {
+        '14:30': Date.UTC(2024, 5, 15, 12, 30),
+        'um 18 uhr': Date.UTC(2024, 5, 15, 16, 0),
+        '18uhr': Date.UTC(2024, 5, 15, 16, 0),
+        'um 18': Date.UTC(2024, 5, 15, 16, 0),
+        '5pm': Date.UTC(2024, 5, 15, 15, 0),
+        '5 pm': Date.UTC(2024, 5, 15, 15, 0),
+        'at 5:30pm': Date.UTC(2024, 5, 15, 15, 30),
+        // Already passed today (12pm is right now)
+        '12pm': Date.UTC(2024, 5, 16, 10, 0),
+        '11:00': Date.UTC(2024, 5, 16, 9, 0),
+        '9uhr': Date.UTC(2024, 5, 16, 7, 0),
+        'at 9am': Date.UTC(2024, 5, 16, 7, 0),
+        '12am': Date.UTC(2024, 5, 15, 22, 0)
+    };
+    for (const [text, expected] of Object.entries(corpus)) {
+        assert.strictEqual(dueAt(text), expected, text);
+    }
+});
+
+test('relative days, weekdays and parts of the day', () => {
+    const corpus = {
+        'morgen': Date.UTC(2024, 5, 16, 10, 0),
+        'tomorrow': Date.UTC(2024, 5, 16, 10, 0),
+        'morgen 9uhr': Date.UTC(2024, 5, 16, 7, 0),
+        'morgen um 9': Date.UTC(2024, 5, 16, 7, 0),
+        'tomorrow at 5pm': Date.UTC(2024, 5, 16, 15, 0),
+        'morgen früh': Date.UTC(2024, 5, 16, 7, 0),
+        'tomorrow morning': Date.UTC(2024, 5, 16, 7, 0),
+        'übermorgen': Date.UTC(2024, 5, 17, 10, 0),
+        'day after tomorrow': Date.UTC(2024, 5, 17, 10, 0),
+        'heute abend': Date.UTC(2024, 5, 15, 18, 0),
+        'heute abend um 8': Date.UTC(2024, 5, 15, 18, 0),
+        'tonight': Date.UTC(2024, 5, 15, 18, 0),
+        'this evening': Date.UTC(2024, 5, 15, 18, 0),
+        'nachmittags': Date.UTC(2024, 5, 15, 13, 0),
+        'montag 18:00': Date.UTC(2024, 5, 17, 16, 0),
+        'am freitag': Date.UTC(2024, 5, 21, 10, 0),
+        'next friday': Date.UTC(2024, 5, 21, 10, 0),
+        'nächsten freitag um 8': Date.UTC(2024, 5, 21, 6, 0),
+        'on sunday at 6pm': Date.UTC(2024, 5, 16, 16, 0),
+        // A weekday is never today
+        'samstag': Date.UTC(2024, 5, 22, 10, 0)
+    };
+    for (const [text, expected] of Object.entries(corpus)) {
+        assert.strictEqual(dueAt(text), expected, text);
+    }
+});
+
+test('dates use the time zone of the date', () => {
+    assert.deepStrictEqual(parse('24.12 18:00 bescherung'), { dueAt: Date.UTC(2024, 11, 24, 17, 0), message: 'bescherung' });
+    assert.strictEqual(dueAt('am 01.03.2025 12:00'), Date.UTC(2025, 2, 1, 11, 0));
+    assert.strictEqual(dueAt('24.12. um 18 uhr'), Date.UTC(2024, 11, 24, 17, 0));
+    // Passed without year -> next year
+    assert.strictEqual(dueAt('01.03 12:00'), Date.UTC(2025, 2, 1, 11, 0));
+});
+
+test('timeZone changes how clock times are read', () => {
+    assert.strictEqual(parse('14:30', { timeZone: 'UTC' }).dueAt, Date.UTC(2024, 5, 15, 14, 30));
+    assert.strictEqual(parse('tomorrow at 9am', { timeZone: 'America/New_York' }).dueAt, Date.UTC(2024, 5, 16, 13, 0));
+    // 06:00 in New York, so 9am is still today
+    assert.strictEqual(parse('9am', { timeZone: 'America/New_York' }).dueAt, Date.UTC(2024, 5, 15, 13, 0));
+});
+
+test('formatDueAt shows the time in the given zone', () => {
+    assert.strictEqual(formatDueAt(0), 'beim nächsten schreiben');
+    assert.strictEqual(formatDueAt(Date.UTC(2024, 5, 15, 12, 30), { now: NOW }), 'um 14:30');
+    assert.strictEqual(formatDueAt(Date.UTC(2024, 5, 15, 12, 30), { now: NOW, timeZone: 'America/New_York' }), 'um 08:30');
+    assert.strictEqual(formatDueAt(Date.UTC(2024, 11, 24, 17, 0), { now: NOW }), 'am 24.12 um 18:00');
+    // Already the next day in Tokyo
+    assert.strictEqual(formatDueAt(Date.UTC(2024, 5, 15, 16, 0), { now: NOW, timeZone: 'Asia/Tokyo' }), 'am 16.06 um 01:00');
+});
+
+test('returns null without a time and keeps fillers in the message', () => {
+    assert.strictEqual(parse('hallo welt'), null);
+    assert.strictEqual(parseTimeInput([], { now: NOW }), null);
+    assert.strictEqual(parse('in der küche'), null);
+    assert.strictEqual(parse('um 30 leute'), null);
+    assert.strictEqual(parse('am besten'), null);
+});
+
+test('heute morgen is this morning', () => {
+    const early = new Date(Date.UTC(2024, 5, 15, 4, 0)); // 06:00 in Berlin
+    assert.deepStrictEqual(parse('heute morgen essen', { now: early }), { dueAt: Date.UTC(2024, 5, 15, 7, 0), message: 'essen' });
+    assert.strictEqual(parse('today morgen', { now: early }).dueAt, Date.UTC(2024, 5, 15, 7, 0));
+    assert.throws(() => parse('heute morgen essen'), /Vergangenheit/);
+});
+
+test('throws on times without a time of day or in the past', () => {
+    assert.throws(() => parse('heute ist party'), /Uhrzeit fehlt/);
+    assert.throws(() => parse('14.02.2020 x'), /Vergangenheit/);
+    assert.throws(() => parse('heute 9uhr'), /Vergangenheit/);
+    // Without a day a passed time is still tomorrow
+    assert.strictEqual(dueAt('9uhr'), Date.UTC(2024, 5, 16, 7, 0));
+});
+
+test('throws on invalid clock times', () => {
+    assert.throws(() => parse('25uhr'), /Ungültige Uhrzeit/);
+    assert.throws(() => parse('13pm'), /Ungültige Uhrzeit/);
+    assert.throws(() => parse('18:75'), /Ungültige Uhrzeit/);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestBot } = require('./helpers/testbot');
+const { createTokenManager, saveTokensToEnvFile, REQUIRED_SCOPES } = require('../src/tokens');
+
+/**
+ * Twitch auth stand-in: tokens in valid are accepted, refreshing hands out new-1, new-2, ...
+ */
+function fakeAuth(valid = ['good'], { scopes = Object.keys(REQUIRED_SCOPES), expiresIn = 3600 } = {}) {
+    const calls = [];
+    let refreshed = 0;
+    return {
+        calls,
+        async validate(token) {
+            calls.push(`validate ${token}`);
+            if (!valid.includes(token)) {
+                const err = new Error('Token validation failed: 401');
+                err.status = 401;
+                throw err;
+            }
+            return { client_id: 'cid', login: 'bot', user_id: '1', scopes, expires_in: expiresIn };
+        },
+        async refresh(refreshToken, clientId, clientSecret) {
+            calls.push(`refresh ${refreshToken} ${clientId} ${clientSecret}`);
+            const token = `new-${++refreshed}`;
+            valid.push(token);
+            return { access_token: token, refresh_token: `r-${refreshed}` };
+        },
+        async appToken(clientId) {
+            calls.push(`app ${clientId}`);
+            return { access_token: 'app', expires_in: 3600 };
+        }
+    };
+}
+
+test('validation is cached and shared by concurrent callers', async () => {
+    let time = 0;
+    const auth = fakeAuth();
+    const tokens = createTokenManager({ accessToken: 'oauth:good', auth, now: () => time });
+
+    const [a, b] = await Promise.all([tokens.getUserAuth(), tokens.getUserAuth()]);
+    assert.deepStrictEqual(a, { clientId: 'cid', token: 'good' });
+    assert.deepStrictEqual(b, a);
+    await tokens.validate();
+    assert.deepStrictEqual(auth.calls, ['validate good']);
+
+    time += 60 * 60 * 1000;
+    await tokens.validate();
+    assert.strictEqual(auth.calls.length, 2);
+});
+
+test('an expired user token is refreshed with the refresh token', async () => {
+    const auth = fakeAuth([]);
+    const refreshed = [];
+    const tokens = createTokenManager({
+        accessToken: 'old', refreshToken: 'r-0', clientId: 'cid', clientSecret: 'secret', auth,
+        onRefresh: result => refreshed.push(result)
+    });
+
+    assert.deepStrictEqual(await tokens.getUserAuth(), { clientId: 'cid', token: 'new-1' });
+    assert.deepStrictEqual(auth.calls, ['validate old', 'refresh r-0 cid secret', 'validate new-1']);
+    assert.deepStrictEqual(refreshed, [{ accessToken: 'new-1', refreshToken: 'r-1' }]);
+    assert.strictEqual(tokens.chatPassword(), 'oauth:new-1');
+});
+
+test('tokens about to expire are refreshed before use', async () => {
+    const auth = fakeAuth(['good'], { expiresIn: 60 });
+    const tokens = createTokenManager({ accessToken: 'good', refreshToken: 'r-0', clientId: 'cid', clientSecret: 'secret', auth });
+    await tokens.validate();
+    assert.deepStrictEqual(auth.calls.filter(c => c.startsWith('refresh')), ['refresh r-0 cid secret']);
+    assert.strictEqual(tokens.chatPassword(), 'oauth:new-1');
+});
+
+test('without a refresh token an invalid token is reported', async () => {
+    const tokens = createTokenManager({ accessToken: 'old', auth: fakeAuth([]) });
+    await assert.rejects(tokens.validate(), /Twitch-Token ungültig oder abgelaufen/);
+});
+
+test('the app token is cached and needs the client secret', async () => {
+    let time = 0;
+    const auth = fakeAuth();
+    const tokens = createTokenManager({ accessToken: 'good', clientId: 'cid', clientSecret: 'secret', auth, now: () => time });
+    assert.deepStrictEqual(await tokens.getAppAuth(), { clientId: 'cid', token: 'app' });
+    await tokens.getAppAuth();
+    assert.deepStrictEqual(auth.calls, ['app cid']);
+
+    time += 56 * 60 * 1000;
+    await tokens.getAppAuth();
+    assert.strictEqual(auth.calls.length, 2);
+
+    const withoutSecret = createTokenManager({ accessToken: 'good', auth: fakeAuth() });
+    assert.deepStrictEqual(await withoutSecret.getAppAuth(), { clientId: 'cid', token: 'good' });
+});
+
+test('start reports missing scopes', async () => {
+    const tokens = createTokenManager({ accessToken: 'good', auth: fakeAuth(['good'], { scopes: ['chat:read', 'chat:edit'] }) });
+    const missing = await tokens.start();
+    tokens.stop();
+    assert.deepStrictEqual(missing.map(m => m.scope), ['moderator:manage:banned_users', 'user:manage:whispers']);
+    assert.strictEqual(missing[0].feature, 'Timeouts');
+});
+
+test('the bot refreshes its token through Twitch on start', async (t) => {
+    const ctx = await startTestBot({
+        env: { TWITCH_REFRESH_TOKEN: 'refresh-me', TWITCH_CLIENT_ID: 'stub-client', TWITCH_CLIENT_SECRET: 'secret' },
+        routes: {
+            'GET /oauth2/validate': (req) => (req.headers.authorization === 'OAuth fresh'
+                ? { client_id: 'stub-client', login: 'bot', user_id: '1', scopes: Object.keys(REQUIRED_SCOPES), expires_in: 14000 }
+                : { status: 401, json: { status: 401, message: 'invalid access token' } }),
+            'POST /oauth2/token': () => ({ access_token: 'fresh', refresh_token: 'refresh-me', expires_in: 14000 })
+        }
+    });
+    t.after(() => ctx.stop());
+
+    const [refresh] = ctx.api.requests.filter(r => r.path === '/oauth2/token');
+    assert.deepStrictEqual(refresh.query, {});
+    assert.deepStrictEqual(refresh.body, { grant_type: 'refresh_token', refresh_token: 'refresh-me', client_id: 'stub-client', client_secret: 'secret' });
+    assert.strictEqual(ctx.bot.tokens.chatPassword(), 'oauth:fresh');
+    assert.deepStrictEqual(ctx.bot.tokens.missingScopes(), []);
+    assert.strictEqual(ctx.api.requests.filter(r => r.path === '/oauth2/validate').length, 2);
+});
+
+test('rotated tokens are written back to the .env file they came from', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, '.env');
+    fs.writeFileSync(file, '# Bot\nTWITCH_OAUTH_TOKEN=oauth:old\nexport TWITCH_REFRESH_TOKEN="r-0"\nTWITCH_CLIENT_ID=cid\n');
+
+    assert.strictEqual(saveTokensToEnvFile(file, 'r-other', { accessToken: 'new-1', refreshToken: 'r-1' }), false);
+    assert.strictEqual(saveTokensToEnvFile(path.join(dir, 'missing'), 'r-0', { accessToken: 'new-1', refreshToken: 'r-1' }), false);
+    assert.strictEqual(saveTokensToEnvFile(file, 'r-0', { accessToken: 'new-1', refreshToken: 'r-1' }), true);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '# Bot\nTWITCH_OAUTH_TOKEN=oauth:new-1\nexport TWITCH_REFRESH_TOKEN=r-1\nTWITCH_CLIENT_ID=cid\n');
+});
+
+test('the bot keeps a rotated refresh token', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const envFile = path.join(dir, '.env');
+    fs.writeFileSync(envFile, 'TWITCH_OAUTH_TOKEN=oauth:test\nTWITCH_REFRESH_TOKEN=refresh-me\n');
+    const errors = t.mock.method(console, 'error', () => {});
+    const env = { TWITCH_REFRESH_TOKEN: 'refresh-me', TWITCH_CLIENT_ID: 'stub-client', TWITCH_CLIENT_SECRET: 'secret' };
+    const routes = {
+        'GET /oauth2/validate': (req) => (req.headers.authorization === 'OAuth fresh'
+            ? { client_id: 'stub-client', login: 'bot', user_id: '1', scopes: Object.keys(REQUIRED_SCOPES), expires_in: 14000 }
+            : { status: 401, json: { status: 401, message: 'invalid access token' } }),
+        'POST /oauth2/token': () => ({ access_token: 'fresh', refresh_token: 'rotated', expires_in: 14000 })
+    };
+
+    const fromFile = await startTestBot({ env, routes, envFile });
+    t.after(() => fromFile.stop());
+    assert.strictEqual(fs.readFileSync(envFile, 'utf8'), 'TWITCH_OAUTH_TOKEN=oauth:fresh\nTWITCH_REFRESH_TOKEN=rotated\n');
+    assert.strictEqual(errors.mock.callCount(), 0);
+
+    // Set in the environment of the host: the operator is told what to set
+    const fromHost = await startTestBot({ env, routes });
+    t.after(() => fromHost.stop());
+    const [message] = errors.mock.calls.map(c => c.arguments[0]).filter(m => m.includes('Refresh-Token'));
+    assert.match(message, /Setze TWITCH_REFRESH_TOKEN=rotated in den Umgebungsvariablen/);
+});